@@ -5,10 +5,14 @@
 
 import { defaultStateManager, StateActions } from './components/StateManager.js';
 import { defaultHPPCalculator } from './components/HPPCalculator.js';
+import { ProductCatalog } from './components/ProductCatalog.js';
 import { InputForm } from './components/InputForm.js';
 import { ResultsDisplay } from './components/ResultsDisplay.js';
+import { HistoryManager } from './components/HistoryManager.js';
+import { AssetRegister } from './components/FixedAssets.js';
+import { defaultUnitConverter } from './utils/units.js';
 import { DOMHelper, EventHelper } from './utils/helpers.js';
-import { SUCCESS_MESSAGES, ERROR_MESSAGES } from './utils/constants.js';
+import { SUCCESS_MESSAGES, ERROR_MESSAGES, VARIANCE_TYPES, PRICING_METHODS, TAX_TREATMENTS, DEPRECIATION_METHODS, ASSET_OVERHEAD_LINKS } from './utils/constants.js';
 
 /**
  * HPP Calculator Application
@@ -67,6 +71,12 @@ class HPPCalculatorApp {
    * Initialize all components
    */
   initializeComponents() {
+    this.applyRoundingModes();
+    defaultHPPCalculator.setInventoryValuation(defaultStateManager.getState('settings.inventoryValuation'));
+    // Pack units first: materials and BOM lines bought in packs refer to them
+    defaultUnitConverter.setPackUnits(defaultStateManager.getState('packUnits.items'));
+    defaultHPPCalculator.setMaterials(defaultStateManager.getState('materials.items'));
+
     // Initialize form component
     const formElement = DOMHelper.$('#hpp-form');
     if (formElement) {
@@ -76,6 +86,14 @@ class HPPCalculatorApp {
         autoCalculate: defaultStateManager.getState('settings.autoCalculate'),
         formatCurrency: true
       });
+      this.components.form.setJobs(defaultStateManager.getState('jobs.items'));
+      this.components.form.setInventoryValuation(defaultStateManager.getState('settings.inventoryValuation'));
+      this.components.form.setRoundingModes(defaultStateManager.getState('settings'));
+      this.components.form.setPackUnits(defaultStateManager.getState('packUnits.items'));
+      this.components.form.setMaterials(defaultStateManager.getState('materials.items'));
+      this.components.form.setAssets(defaultStateManager.getState('assets.items'));
+      this.components.form.setSalesChannels(defaultStateManager.getState('salesChannels.items'));
+      this.components.form.setScenarios(defaultStateManager.getState('scenarios.items'));
     }
 
     // Initialize results display
@@ -112,6 +130,14 @@ class HPPCalculatorApp {
       });
     }
 
+    // Calculation history list
+    const historyContainer = DOMHelper.$('#history-container');
+    if (historyContainer) {
+      this.components.history = new HistoryManager(historyContainer);
+      this.components.history.setMaterials(defaultStateManager.getState('materials.items'));
+      this.refreshHistory();
+    }
+
     // Clear history button
     const clearHistoryBtn = DOMHelper.$('#clear-history');
     if (clearHistoryBtn) {
@@ -149,6 +175,99 @@ class HPPCalculatorApp {
       this.handleReset();
     });
 
+    // Product catalog events
+    this.addEventListenerWithCleanup(document, 'hpp:catalog-save', (e) => {
+      this.handleCatalogSave(e.detail);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:catalog-calculate', () => {
+      this.handleCatalogCalculation();
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:catalog-load', (e) => {
+      this.handleCatalogLoad(e.detail.productId);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:catalog-remove', (e) => {
+      this.handleCatalogRemove(e.detail.productId);
+    });
+
+    // Job order events
+    this.addEventListenerWithCleanup(document, 'hpp:job-save', (e) => {
+      this.handleJobSave(e.detail.job);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:job-close', (e) => {
+      this.handleJobStatusChange(e.detail.jobId, StateActions.closeJob, SUCCESS_MESSAGES.jobClosed);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:job-reopen', (e) => {
+      this.handleJobStatusChange(e.detail.jobId, StateActions.reopenJob, SUCCESS_MESSAGES.jobReopened);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:job-select', (e) => {
+      StateActions.setActiveJob(defaultStateManager, e.detail.jobId);
+    });
+
+    // Goal seek requested from the results panel
+    this.addEventListenerWithCleanup(document, 'hpp:goal-seek', (e) => {
+      this.handleGoalSeek(e.detail);
+    });
+
+    // Purchase pack unit events
+    this.addEventListenerWithCleanup(document, 'hpp:pack-units-save', (e) => {
+      this.handlePackUnitsSave(e.detail.packUnits);
+    });
+
+    // Material master and history events
+    this.addEventListenerWithCleanup(document, 'hpp:materials-save', (e) => {
+      this.handleMaterialsSave(e.detail.materials);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:valuation-change', (e) => {
+      this.handleValuationChange(e.detail.method);
+    });
+
+    // Rounding settings
+    this.addEventListenerWithCleanup(document, 'hpp:rounding-change', (e) => {
+      this.handleRoundingChange(e.detail);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:history-load', (e) => {
+      this.handleHistoryLoad(e.detail.calculation);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:history-recalculate', (e) => {
+      this.handleHistoryRecalculate(e.detail.calculation);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:history-post', (e) => {
+      this.handleHistoryPost(e.detail.calculation);
+    });
+
+    // Fixed asset events
+    this.addEventListenerWithCleanup(document, 'hpp:assets-save', (e) => {
+      this.handleAssetsSave(e.detail.assets);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:depreciation-export', (e) => {
+      this.handleDepreciationExport(e.detail.assets);
+    });
+
+    // Sales channel events
+    this.addEventListenerWithCleanup(document, 'hpp:channels-save', (e) => {
+      this.handleSalesChannelsSave(e.detail.channels);
+    });
+
+    // Scenario events
+    this.addEventListenerWithCleanup(document, 'hpp:scenarios-save', (e) => {
+      this.handleScenariosSave(e.detail.scenarios);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:scenarios-compare', (e) => {
+      this.handleScenarioComparison(e.detail.scenarios);
+    });
+
     // State change events
     defaultStateManager.subscribe('ui.theme', (theme) => {
       this.applyTheme(theme);
@@ -216,12 +335,26 @@ class HPPCalculatorApp {
             name: `Perhitungan ${new Date().toLocaleDateString('id-ID')}`,
             data: result.toJSON()
           });
+          this.refreshHistory();
         }
 
         // Update form state
         StateActions.updateFormData(defaultStateManager, detail.data);
 
         this.showSuccessMessage(SUCCESS_MESSAGES.calculationComplete);
+
+        // Simulation runs in a worker after the result is shown
+        if (detail.data.monteCarlo) {
+          this.runMonteCarlo(result, detail.data.monteCarlo);
+        } else if (defaultHPPCalculator.cancelMonteCarlo()) {
+          EventHelper.trigger(document, 'hpp:monte-carlo-cancel');
+        }
+
+        // Keep an open scenario comparison in step with the new inputs
+        const scenarioComparison = defaultStateManager.getState('scenarios.comparison');
+        if (scenarioComparison) {
+          this.handleScenarioComparison(scenarioComparison.scenarios, { silent: true });
+        }
       } else {
         throw new Error('Invalid calculation result');
       }
@@ -233,10 +366,360 @@ class HPPCalculatorApp {
     }
   }
 
+  /**
+   * Run the Monte Carlo simulation of a result and announce progress and outcome
+   */
+  async runMonteCarlo(result, monteCarlo) {
+    EventHelper.trigger(document, 'hpp:monte-carlo-start', { iterations: monteCarlo.iterations });
+
+    try {
+      const simulation = await defaultHPPCalculator.runMonteCarlo(result, monteCarlo, (progress) => {
+        EventHelper.trigger(document, 'hpp:monte-carlo-progress', { progress });
+      });
+
+      // A newer calculation replaced this run and has announced its own start
+      if (!simulation) return;
+
+      EventHelper.trigger(document, 'hpp:monte-carlo-complete', { simulation });
+    } catch (error) {
+      console.error('Monte Carlo error:', error);
+      EventHelper.trigger(document, 'hpp:monte-carlo-error', { error: error.message });
+      this.showErrorMessage(error.message);
+    }
+  }
+
+  /**
+   * Solve a goal seek on the current form inputs
+   */
+  handleGoalSeek(goal) {
+    if (!this.components.form) return;
+
+    try {
+      const solution = defaultHPPCalculator.goalSeek(this.components.form.getFormData(), goal);
+      EventHelper.trigger(document, 'hpp:goal-seek-solved', { solution });
+    } catch (error) {
+      EventHelper.trigger(document, 'hpp:goal-seek-error', { error: error.message });
+    }
+  }
+
+  /**
+   * Compare named scenarios on the current form inputs
+   * @param {Array} scenarios - Scenarios { id, name, changes }
+   * @param {Object} options - { silent } to refresh without messages after a recalculation
+   */
+  handleScenarioComparison(scenarios, options = {}) {
+    if (!this.components.form) return;
+
+    try {
+      const comparison = defaultHPPCalculator.calculateScenarioComparison(this.components.form.getFormData(), scenarios);
+      StateActions.setScenarioComparison(defaultStateManager, comparison);
+
+      EventHelper.trigger(document, 'hpp:scenarios-calculated', { comparison });
+
+      if (options.silent) return;
+
+      if (comparison.summary.failed > 0) {
+        this.showToast({
+          type: 'warning',
+          message: `${comparison.summary.failed} skenario gagal dihitung, periksa perubahan inputnya`
+        });
+      } else {
+        this.showSuccessMessage(SUCCESS_MESSAGES.scenariosCalculated);
+      }
+    } catch (error) {
+      StateActions.setScenarioComparison(defaultStateManager, null);
+      EventHelper.trigger(document, 'hpp:scenarios-cleared', { source: 'scenarios-compare' });
+
+      if (!options.silent) {
+        this.showErrorMessage(error.message);
+      }
+    }
+  }
+
+  /**
+   * Save named scenarios to preferences
+   */
+  handleScenariosSave(scenarios) {
+    const items = StateActions.saveScenarios(defaultStateManager, scenarios);
+
+    if (this.components.form) {
+      this.components.form.setScenarios(items);
+    }
+
+    this.showSuccessMessage(SUCCESS_MESSAGES.scenariosSaved);
+  }
+
+  /**
+   * Save product from the form into the catalog
+   */
+  handleCatalogSave(detail) {
+    if (detail.sharedOverhead) {
+      StateActions.setCatalogSharedOverhead(defaultStateManager, detail.sharedOverhead);
+    }
+
+    StateActions.saveCatalogProduct(defaultStateManager, detail.product);
+    this.showSuccessMessage(SUCCESS_MESSAGES.catalogProductSaved);
+  }
+
+  /**
+   * Calculate HPP for all catalog products
+   */
+  handleCatalogCalculation() {
+    const catalog = defaultStateManager.getState('catalog');
+    if (!catalog.products || catalog.products.length === 0) {
+      this.showToast({ type: 'warning', message: ERROR_MESSAGES.catalogEmpty });
+      return;
+    }
+
+    const comparison = this.refreshCatalogComparison();
+
+    if (comparison.summary.failed > 0) {
+      this.showToast({
+        type: 'warning',
+        message: `${comparison.summary.failed} SKU gagal dihitung, periksa data produknya`
+      });
+    } else {
+      this.showSuccessMessage(SUCCESS_MESSAGES.catalogCalculated);
+    }
+  }
+
+  /**
+   * Recalculate the catalog comparison and show it
+   * @returns {Object} Catalog comparison
+   */
+  refreshCatalogComparison() {
+    const comparison = defaultHPPCalculator.calculateCatalog(defaultStateManager.getState('catalog'));
+    StateActions.setCatalogComparison(defaultStateManager, comparison);
+
+    EventHelper.trigger(document, 'hpp:catalog-calculated', { comparison });
+    return comparison;
+  }
+
+  /**
+   * Load catalog product into the form
+   */
+  handleCatalogLoad(productId) {
+    const catalog = new ProductCatalog(defaultStateManager.getState('catalog'));
+    const product = catalog.findProduct(productId);
+    if (!product || !this.components.form) return;
+
+    this.components.form.setFormData({
+      ...catalog.getInputData(product),
+      sku: product.sku,
+      name: product.name,
+      sellingPrice: product.sellingPrice,
+      standardCosting: product.standardCost ? { profile: product.standardCost, actual: {} } : null
+    });
+  }
+
+  /**
+   * Remove product from the catalog and refresh the comparison
+   */
+  handleCatalogRemove(productId) {
+    if (!StateActions.removeCatalogProduct(defaultStateManager, productId)) return;
+
+    if (defaultStateManager.getState('catalog.products').length > 0) {
+      this.handleCatalogCalculation();
+    } else {
+      EventHelper.trigger(document, 'hpp:catalog-cleared', { source: 'catalog-remove' });
+    }
+  }
+
+  /**
+   * Save job order from the form (closed jobs must be reopened first)
+   */
+  handleJobSave(jobData) {
+    const job = StateActions.saveJob(defaultStateManager, jobData);
+    if (!job) {
+      this.showToast({ type: 'warning', message: ERROR_MESSAGES.jobClosed });
+      return;
+    }
+
+    this.refreshJobs(job);
+    this.showSuccessMessage(SUCCESS_MESSAGES.jobSaved);
+  }
+
+  /**
+   * Close or reopen a job order
+   */
+  handleJobStatusChange(jobId, action, message) {
+    const job = action(defaultStateManager, jobId);
+    if (!job) {
+      this.showErrorMessage(ERROR_MESSAGES.jobNotFound);
+      return;
+    }
+
+    this.refreshJobs(job);
+    this.showSuccessMessage(message);
+  }
+
+  /**
+   * Refresh the job list in the form and show the saved job
+   */
+  refreshJobs(job) {
+    if (!this.components.form) return;
+
+    this.components.form.setJobs(defaultStateManager.getState('jobs.items'));
+    this.components.form.setJobData(job.toJSON());
+  }
+
+  /**
+   * Save purchase pack units; BOM lines and materials can then be bought in them
+   */
+  handlePackUnitsSave(packUnits) {
+    const items = StateActions.savePackUnits(defaultStateManager, packUnits);
+    defaultUnitConverter.setPackUnits(items);
+    defaultHPPCalculator.clearCache();
+
+    if (this.components.form) {
+      this.components.form.setPackUnits(items);
+    }
+
+    this.showSuccessMessage(SUCCESS_MESSAGES.packUnitsSaved);
+  }
+
+  /**
+   * Save material master; linked BOM lines and catalog products are priced with the new prices
+   */
+  handleMaterialsSave(materials) {
+    const items = StateActions.saveMaterials(defaultStateManager, materials);
+    defaultHPPCalculator.setMaterials(items);
+
+    const recosted = StateActions.applyMaterialPricesToCatalog(defaultStateManager, items);
+    if (recosted.length > 0 && defaultStateManager.getState('catalog.comparison')) {
+      this.refreshCatalogComparison();
+    }
+
+    if (this.components.history) {
+      this.components.history.setMaterials(items);
+    }
+
+    if (this.components.form) {
+      this.components.form.setMaterials(items);
+    }
+
+    this.showSuccessMessage(recosted.length > 0
+      ? SUCCESS_MESSAGES.catalogRecosted.replace('{count}', recosted.length)
+      : SUCCESS_MESSAGES.materialsSaved);
+  }
+
+  /**
+   * Save asset register
+   */
+  handleAssetsSave(assets) {
+    const items = StateActions.saveAssets(defaultStateManager, assets);
+
+    if (this.components.form) {
+      this.components.form.setAssets(items);
+    }
+
+    this.showSuccessMessage(SUCCESS_MESSAGES.assetsSaved);
+  }
+
+  /**
+   * Export the monthly depreciation schedule of all assets to CSV
+   */
+  handleDepreciationExport(assets) {
+    try {
+      const csvData = [
+        ['Aset', 'Metode', 'Periode', 'Bulan Ke', 'Unit Produksi', 'Penyusutan', 'Akumulasi Penyusutan', 'Nilai Buku', 'Ke Overhead'],
+        ...new AssetRegister(assets).getScheduleRows().map(row => [
+          row.name,
+          DEPRECIATION_METHODS[row.method].label,
+          row.period,
+          row.month,
+          row.units === null ? '' : row.units,
+          row.depreciation,
+          row.accumulated,
+          row.bookValue,
+          row.linkedToOverhead ? ASSET_OVERHEAD_LINKS.linked.label : ASSET_OVERHEAD_LINKS.excluded.label
+        ])
+      ];
+
+      if (this.downloadCSV(csvData, `jadwal-penyusutan-${new Date().toISOString().split('T')[0]}.csv`)) {
+        this.showSuccessMessage(SUCCESS_MESSAGES.depreciationExported);
+      }
+    } catch (error) {
+      console.error('Export error:', error);
+      this.showErrorMessage('Gagal mengekspor data');
+    }
+  }
+
+  /**
+   * Change how material consumption is costed; the form re-prices its BOM after this
+   */
+  handleValuationChange(method) {
+    StateActions.setInventoryValuation(defaultStateManager, method);
+    defaultHPPCalculator.setInventoryValuation(method);
+
+    if (this.components.history) {
+      this.components.history.render();
+    }
+  }
+
+  /**
+   * Load a saved calculation back into the form
+   */
+  handleHistoryLoad(calculation) {
+    if (!this.components.form || !calculation.data) return;
+
+    this.components.form.setFormData(calculation.data);
+  }
+
+  /**
+   * Load saved calculation into the form and cost it again with the current material prices
+   */
+  handleHistoryRecalculate(calculation) {
+    if (!this.components.form || !calculation.data) return;
+
+    this.components.form.setFormData(calculation.data);
+    this.handleCalculation({ data: this.components.form.getFormData(), source: 'history-recalculate' });
+  }
+
+  /**
+   * Post the material usage of a saved calculation: lots are drawn down and later
+   * calculations are costed from what is left
+   */
+  handleHistoryPost(calculation) {
+    const posted = StateActions.postMaterialUsage(defaultStateManager, calculation);
+    if (!posted) {
+      this.showToast({ type: 'warning', message: ERROR_MESSAGES.materialUsageEmpty });
+      return;
+    }
+
+    defaultHPPCalculator.setMaterials(posted.items);
+
+    if (this.components.form) {
+      this.components.form.setMaterials(posted.items);
+    }
+
+    if (this.components.history) {
+      this.components.history.setMaterials(posted.items);
+    }
+    this.refreshHistory();
+
+    this.showSuccessMessage(SUCCESS_MESSAGES.materialUsagePosted);
+  }
+
+  /**
+   * Save sales channel fee profiles to preferences
+   */
+  handleSalesChannelsSave(channels) {
+    const items = StateActions.saveSalesChannels(defaultStateManager, channels);
+
+    if (this.components.form) {
+      this.components.form.setSalesChannels(items);
+    }
+
+    this.showSuccessMessage(SUCCESS_MESSAGES.salesChannelsSaved);
+  }
+
   /**
    * Handle form reset
    */
   handleReset() {
+    defaultHPPCalculator.cancelMonteCarlo();
+    StateActions.setScenarioComparison(defaultStateManager, null);
     StateActions.resetForm(defaultStateManager);
     this.showSuccessMessage(SUCCESS_MESSAGES.formReset);
   }
@@ -278,6 +761,24 @@ class HPPCalculatorApp {
     this.applyTheme(theme);
   }
 
+  /**
+   * Save changed rounding modes and apply them before the form recalculates
+   */
+  handleRoundingChange(modes) {
+    StateActions.setRoundingModes(defaultStateManager, modes);
+    this.applyRoundingModes();
+  }
+
+  /**
+   * Apply the money rounding modes from settings to the calculator
+   */
+  applyRoundingModes() {
+    defaultHPPCalculator.setRoundingModes({
+      roundingMode: defaultStateManager.getState('settings.roundingMode'),
+      pricingRoundingMode: defaultStateManager.getState('settings.pricingRoundingMode')
+    });
+  }
+
   /**
    * Apply theme to document
    */
@@ -304,11 +805,21 @@ class HPPCalculatorApp {
   clearHistory() {
     const confirmClear = confirm('Yakin ingin menghapus semua riwayat perhitungan?');
     if (confirmClear) {
-      defaultStateManager.setState('history.calculations', [], 'history-clear');
+      StateActions.clearHistory(defaultStateManager);
+      this.refreshHistory();
       this.showSuccessMessage('Riwayat berhasil dihapus');
     }
   }
 
+  /**
+   * Re-render history list from state
+   */
+  refreshHistory() {
+    if (this.components.history) {
+      this.components.history.setCalculations(defaultStateManager.getState('history.calculations'));
+    }
+  }
+
   /**
    * Show welcome message
    */
@@ -608,7 +1119,38 @@ class HPPCalculatorApp {
    * Export to CSV
    */
   exportToCSV(data) {
-    const csvData = [
+    const csvData = data.mode === 'job' ? [
+      ['Pesanan', data.job.number, '', ''],
+      ['Pelanggan', data.job.customer, '', ''],
+      ['', '', '', ''],
+      ['Bon Permintaan Bahan', 'Jumlah', 'Harga Satuan', 'Jumlah Biaya'],
+      ...data.materials.map(line => [line.description, line.quantity, line.unitCost, line.amount]),
+      ['', '', '', ''],
+      ['Kartu Jam Kerja', 'Jam', 'Upah/Jam', 'Jumlah Upah'],
+      ...data.labor.map(line => [line.employee, line.hours, line.hourlyRate, line.amount]),
+      ['', '', '', ''],
+      ['Bahan Baku Langsung', '', '', data.directMaterials],
+      ['Tenaga Kerja Langsung', '', '', data.directLabor],
+      ['Overhead Dibebankan', data.overhead.base, data.overhead.rate, data.overhead.amount],
+      ['Total Biaya Pesanan', '', '', data.totalHPP],
+      ['Jumlah Unit', '', '', data.totalUnits],
+      ['HPP per Unit', '', '', data.hppPerUnit]
+    ] : data.mode === 'process' ? [
+      ['Departemen', 'Elemen Biaya', 'Unit Ekuivalen', 'Biaya per UE', 'BDP Akhir'],
+      ...data.reports.flatMap(department => [
+        ...department.lines.map(line => [department.name, line.label, line.equivalentUnits, line.costPerEquivalentUnit, line.endingCost]),
+        [department.name, 'Ditransfer keluar', department.units.completed, '', department.costs.transferredOut]
+      ]),
+      ['', '', '', '', ''],
+      ['Unit Selesai', '', data.totalUnits, '', ''],
+      ['HPP per Unit', '', '', data.hppPerUnit, '']
+    ] : data.mode === 'trading' ? [
+      ['Komponen', 'Jumlah'],
+      ...data.components.map(component => [`${component.operator} ${component.label}`.trim(), component.amount]),
+      ['', ''],
+      ['Jumlah Unit Terjual', data.unitsSold],
+      ['HPP per Unit', data.hppPerUnit]
+    ] : [
       ['Komponen', 'Jumlah', 'Persentase'],
       ['Bahan Baku Langsung', data.directMaterials, data.breakdown.directMaterials.percentage + '%'],
       ['Tenaga Kerja Langsung', data.directLabor, data.breakdown.directLabor.percentage + '%'],
@@ -617,26 +1159,145 @@ class HPPCalculatorApp {
       ['', '', ''],
       ['Total Biaya', data.totalCosts, '100%'],
       ['Jumlah Unit', data.totalUnits, ''],
-      ['HPP per Unit', data.hppPerUnit, '']
+      ['HPP per Unit', data.hppPerUnit, ''],
+      ...(data.statement ? [
+        ['', '', ''],
+        ['Laporan Harga Pokok Produksi', '', ''],
+        ...data.statement.costOfGoodsManufactured.map(line => [`${line.operator} ${line.label}`.trim(), line.amount, '']),
+        ['', '', ''],
+        ['Laporan Harga Pokok Penjualan', '', ''],
+        ...data.statement.costOfGoodsSold.map(line => [`${line.operator} ${line.label}`.trim(), line.amount, ''])
+      ] : []),
+      ...(data.variances ? [
+        ['', '', ''],
+        ['Analisis Selisih Biaya Standar', 'Selisih', 'Sifat'],
+        ...data.variances.groups.flatMap(group => [
+          [group.label, group.total, VARIANCE_TYPES[group.type].label],
+          ...group.variances.map(variance => [variance.label, variance.amount, VARIANCE_TYPES[variance.type].label])
+        ]),
+        ['Total Selisih', data.variances.totalVariance, VARIANCE_TYPES[data.variances.type].label]
+      ] : []),
+      ...(data.tax ? [
+        ['', '', ''],
+        [`PPN Masukan (${data.tax.rate}%)`, 'PPN', 'Dibebankan ke HPP'],
+        ...data.tax.lines
+          .filter(line => line.treatment !== 'exclusive')
+          .map(line => [`${line.label} (${TAX_TREATMENTS[line.treatment].label})`, line.ppn, line.net]),
+        ['Total PPN Masukan Dapat Dikreditkan', data.tax.creditableTax, '']
+      ] : []),
+      ...(data.depreciation ? [
+        ['', '', ''],
+        [`Penyusutan Aset ${data.depreciation.period}`, 'Penyusutan', 'Metode'],
+        ...data.depreciation.charges.map(charge => [charge.name, charge.amount, DEPRECIATION_METHODS[charge.method].label]),
+        ['Total Penyusutan ke Overhead', data.depreciation.total, '']
+      ] : [])
     ];
 
-    const csvContent = csvData.map(row => row.join(',')).join('\n');
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    
-    if (link.download !== undefined) {
-      const url = URL.createObjectURL(blob);
-      link.setAttribute('href', url);
-      link.setAttribute('download', `hpp-calculation-${new Date().toISOString().split('T')[0]}.csv`);
-      link.style.visibility = 'hidden';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      
+    if (data.pricing) {
+      const pad = (row) => [...row, ...new Array(csvData[0].length - row.length).fill('')];
+      csvData.push(...[
+        ['', ''],
+        ['Harga Jual', PRICING_METHODS[data.pricing.method].label],
+        ['Harga Jual per Unit', data.pricing.sellingPrice],
+        ['Laba per Unit', data.pricing.profitPerUnit],
+        ['Markup (laba ÷ HPP)', data.pricing.markupPercentage + '%'],
+        ['Margin Kotor (laba ÷ harga jual)', data.pricing.marginPercentage + '%'],
+        ['Total Pendapatan', data.pricing.totalRevenue],
+        ['Total Laba Kotor', data.pricing.totalProfit],
+        ...(data.pricing.tax ? [
+          ['DPP per Unit', data.pricing.tax.dpp],
+          [`PPN Keluaran ${data.pricing.tax.rate}% per Unit`, data.pricing.tax.ppn],
+          ['Harga Jual Termasuk PPN', data.pricing.tax.finalPrice],
+          ['Total PPN Keluaran', data.pricing.tax.totalPPN],
+          ['Total Pendapatan Termasuk PPN', data.pricing.tax.totalFinalRevenue]
+        ] : [])
+      ].map(pad));
+    }
+
+    if (data.channelComparison) {
+      const pad = (row) => [...row, ...new Array(Math.max(csvData[0].length - row.length, 0)).fill('')];
+      csvData.push(...[
+        [''],
+        ['Saluran Penjualan', 'Total Potongan', 'Pendapatan Bersih', 'Laba Bersih per Unit', 'Margin'],
+        ...data.channelComparison.channels.map(channel => [
+          channel.name, channel.fees.total, channel.netRevenue, channel.netProfit, channel.marginPercentage + '%'
+        ])
+      ].map(pad));
+    }
+
+    if (data.cvp) {
+      const pad = (row) => [...row, ...new Array(Math.max(csvData[0].length - row.length, 0)).fill('')];
+      const orDash = (value) => value === null ? '-' : value;
+      csvData.push(...[
+        [''],
+        ['Analisis Biaya-Volume-Laba', 'Perilaku', 'Biaya Tetap', 'Biaya Variabel'],
+        ...data.cvp.lines.map(line => [line.label, line.behaviorLabel, line.fixed, line.variable]),
+        ['Harga Jual per Unit', data.cvp.sellingPrice],
+        ['Biaya Tetap per Periode', data.cvp.fixedCosts],
+        ['Biaya Variabel per Unit', data.cvp.variableCostPerUnit],
+        ['Margin Kontribusi per Unit', data.cvp.contributionMargin],
+        ['Titik Impas (unit)', orDash(data.cvp.breakEvenUnits)],
+        ['Pendapatan Titik Impas', orDash(data.cvp.breakEvenRevenue)],
+        ['Margin of Safety (unit)', orDash(data.cvp.marginOfSafetyUnits)],
+        ['Margin of Safety', data.cvp.marginOfSafetyPercentage !== null ? data.cvp.marginOfSafetyPercentage + '%' : '-'],
+        ['Leverage Operasi', orDash(data.cvp.operatingLeverage)],
+        ['Volume Target Laba (unit)', orDash(data.cvp.targetProfitUnits)]
+      ].map(pad));
+    }
+
+    if (data.sensitivity) {
+      const pad = (row) => [...row, ...new Array(Math.max(csvData[0].length - row.length, 0)).fill('')];
+      csvData.push(...[
+        [''],
+        ['Analisis Sensitivitas (HPP per Unit)', ...data.sensitivity.steps.map(change => (change > 0 ? '+' : '') + change + '%'), 'Rentang HPP'],
+        ...data.sensitivity.drivers.map(driver => [
+          driver.label, ...driver.points.map(point => point.hppPerUnit), driver.swing
+        ])
+      ].map(pad));
+    }
+
+    if (data.monteCarlo) {
+      const pad = (row) => [...row, ...new Array(Math.max(csvData[0].length - row.length, 0)).fill('')];
+      csvData.push(...[
+        [''],
+        ['Simulasi Monte Carlo HPP per Unit', data.monteCarlo.iterations + ' simulasi'],
+        ['P10', data.monteCarlo.percentiles.p10],
+        ['P50', data.monteCarlo.percentiles.p50],
+        ['P90', data.monteCarlo.percentiles.p90],
+        ['Rata-rata', data.monteCarlo.mean],
+        ['Simpangan Baku', data.monteCarlo.stdev],
+        [''],
+        ['HPP per Unit Dari', 'Sampai', 'Jumlah Simulasi', 'Persentase'],
+        ...data.monteCarlo.histogram.map(bin => [bin.from, bin.to, bin.count, bin.percentage + '%'])
+      ].map(pad));
+    }
+
+    if (this.downloadCSV(csvData, `hpp-calculation-${new Date().toISOString().split('T')[0]}.csv`)) {
       this.showSuccessMessage('Data berhasil diekspor ke CSV');
     }
   }
 
+  /**
+   * Download rows as a CSV file
+   * @returns {boolean} Whether the browser supports the download
+   */
+  downloadCSV(rows, filename) {
+    const csvContent = rows.map(row => row.join(',')).join('\n');
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+
+    if (link.download === undefined) return false;
+
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    return true;
+  }
+
   /**
    * Print results
    */
@@ -0,0 +1,136 @@
+/**
+ * Activity-Based Costing
+ * Splits overhead into activity cost pools, each with its own driver and rate
+ */
+
+import { DEFAULTS, COST_BEHAVIORS, DEFAULT_COST_BEHAVIORS } from '../utils/constants.js';
+import { NumberHelper, MoneyHelper } from '../utils/helpers.js';
+
+/**
+ * Activity-Based Costing Class
+ */
+export class ActivityBasedCosting {
+  constructor(options = {}) {
+    this.options = {
+      precision: 2,
+      ...options
+    };
+  }
+
+  /**
+   * Compute activity rates and assign activity costs to products
+   * @param {Array} activities - Activity pools { id, name, cost, driver }
+   * @param {Array} products - Products { id, name, consumption: { [activityId]: quantity } }
+   * @returns {Object} Activity rates and overhead assigned per product
+   */
+  allocate(activities = [], products = []) {
+    const normalizedActivities = this.normalizeActivities(activities);
+    const normalizedProducts = this.normalizeProducts(products, normalizedActivities);
+
+    const rates = this.calculateActivityRates(normalizedActivities, normalizedProducts);
+
+    const assignedProducts = normalizedProducts.map(product => {
+      const items = rates.map(activity => ({
+        id: activity.id,
+        name: activity.name,
+        basisLabel: activity.driver,
+        driverQuantity: product.consumption[activity.id],
+        rate: NumberHelper.round(activity.rate, 4),
+        amount: MoneyHelper.multiply(activity.rate, product.consumption[activity.id])
+      }));
+
+      const amount = MoneyHelper.sum(items.map(item => item.amount));
+      const percentages = MoneyHelper.percentages(items.map(item => item.amount));
+
+      return {
+        id: product.id,
+        name: product.name,
+        consumption: product.consumption,
+        amount,
+        items: items.map((item, index) => ({
+          ...item,
+          percentage: percentages[index]
+        }))
+      };
+    });
+
+    const totalCost = MoneyHelper.sum(normalizedActivities.map(activity => activity.cost));
+    const totalAssigned = MoneyHelper.sum(assignedProducts.map(product => product.amount));
+
+    return {
+      totalCost,
+      totalAssigned,
+      unassigned: MoneyHelper.subtract(totalCost, totalAssigned),
+      activities: rates.map(activity => ({ ...activity, rate: NumberHelper.round(activity.rate, 4) })),
+      products: assignedProducts,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Activity rate = activity cost ÷ total driver volume consumed by all products
+   */
+  calculateActivityRates(activities, products) {
+    return activities.map(activity => {
+      const totalDriver = products.reduce((sum, product) => sum + product.consumption[activity.id], 0);
+
+      return {
+        ...activity,
+        totalDriver,
+        rate: totalDriver > 0 ? activity.cost / totalDriver : 0
+      };
+    });
+  }
+
+  /**
+   * Activity costs assigned to a single product
+   * @param {Object} costingInput - { activities, products, productId }
+   * @returns {Object|null} Assigned product or null if not found
+   */
+  allocateToProduct(costingInput = {}) {
+    const allocation = this.allocate(costingInput.activities, costingInput.products);
+    if (allocation.products.length === 0) return null;
+
+    if (!costingInput.productId) {
+      return allocation.products[0];
+    }
+
+    return allocation.products.find(product => product.id === costingInput.productId) || null;
+  }
+
+  /**
+   * Normalize activity pools
+   */
+  normalizeActivities(activities) {
+    return (Array.isArray(activities) ? activities : []).map((activity, index) => ({
+      id: activity.id || `activity-${index + 1}`,
+      name: (activity.name || '').toString().trim(),
+      cost: parseFloat(activity.cost) || 0,
+      driver: (activity.driver || '').toString().trim(),
+      behavior: COST_BEHAVIORS[activity.behavior] ? activity.behavior : DEFAULT_COST_BEHAVIORS.manufacturingOverhead,
+      variablePercentage: NumberHelper.toPercentage(activity.variablePercentage, DEFAULTS.semiVariablePercentage)
+    }));
+  }
+
+  /**
+   * Normalize products and their activity consumption
+   */
+  normalizeProducts(products, activities) {
+    return (Array.isArray(products) ? products : []).map((product, index) => {
+      const source = product.consumption || product;
+      const consumption = {};
+      activities.forEach(activity => {
+        consumption[activity.id] = parseFloat(source[activity.id]) || 0;
+      });
+
+      return {
+        id: product.id || `product-${index + 1}`,
+        name: (product.name || '').toString().trim(),
+        consumption
+      };
+    });
+  }
+}
+
+// Create and export default activity-based costing instance
+export const defaultActivityBasedCosting = new ActivityBasedCosting();
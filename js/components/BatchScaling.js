@@ -0,0 +1,151 @@
+/**
+ * Batch Scaling
+ * Recipe batch with output yield and process loss: derives the number of packs and rescales the recipe
+ */
+
+import { DEFAULTS } from '../utils/constants.js';
+import { NumberHelper, MoneyHelper } from '../utils/helpers.js';
+import { defaultUnitConverter } from '../utils/units.js';
+
+/**
+ * One production batch of a recipe
+ */
+export class Batch {
+  constructor(data = {}) {
+    // Input size of the batch, e.g. 10 kg of dough
+    this.size = Math.max(0, parseFloat(data.size) || 0);
+    this.unit = defaultUnitConverter.hasUnit(data.unit) ? data.unit : DEFAULTS.batchUnit;
+
+    // Share of the input that becomes product (trimming, rejects) and weight lost in processing (baking)
+    this.yieldPercentage = NumberHelper.toPercentage(data.yieldPercentage, DEFAULTS.batchYieldPercentage);
+    this.processLoss = NumberHelper.toPercentage(data.processLoss, 0);
+
+    // Size of one sellable unit, e.g. a 250 g pack
+    this.packSize = Math.max(0, parseFloat(data.packSize) || 0);
+    this.packUnit = defaultUnitConverter.hasUnit(data.packUnit) ? data.packUnit : DEFAULTS.packUnit;
+  }
+
+  /**
+   * Check if no batch has been set
+   */
+  isEmpty() {
+    return this.size <= 0 || this.packSize <= 0;
+  }
+
+  /**
+   * Check if batch and pack sizes can be converted into each other (both mass, volume or count)
+   */
+  hasCompatibleUnits() {
+    return defaultUnitConverter.canConvert(this.unit, this.packUnit);
+  }
+
+  /**
+   * Input quantity in the base unit (g, ml or pcs)
+   */
+  getInputQuantity() {
+    return NumberHelper.round(defaultUnitConverter.toBase(this.size, this.unit).quantity, 4);
+  }
+
+  /**
+   * Output quantity in the base unit after yield and process loss
+   */
+  getOutputQuantity() {
+    return NumberHelper.round(
+      this.getInputQuantity() * (this.yieldPercentage / 100) * (1 - this.processLoss / 100),
+      4
+    );
+  }
+
+  /**
+   * Pack size in the base unit
+   */
+  getPackQuantity() {
+    return NumberHelper.round(defaultUnitConverter.toBase(this.packSize, this.packUnit).quantity, 4);
+  }
+
+  /**
+   * Number of whole packs from the batch (0 when the units cannot be converted)
+   */
+  getTotalUnits() {
+    const pack = this.getPackQuantity();
+    if (pack <= 0 || !this.hasCompatibleUnits()) return 0;
+
+    return Math.floor(NumberHelper.round(this.getOutputQuantity() / pack, 6));
+  }
+
+  /**
+   * Output left over after filling whole packs, in the base unit
+   */
+  getLeftover() {
+    return NumberHelper.round(this.getOutputQuantity() - this.getTotalUnits() * this.getPackQuantity(), 4);
+  }
+
+  /**
+   * Factor that takes this batch to a new input size
+   */
+  getScaleFactor(size) {
+    const target = parseFloat(size) || 0;
+    if (this.size <= 0 || target <= 0) return 1;
+
+    return target / this.size;
+  }
+
+  /**
+   * Rescale the recipe of manufacturing input data to a new batch size
+   * BOM quantities (or the direct materials amount without a BOM) follow the batch;
+   * labor and overhead are left as entered
+   * @param {Object} data - Manufacturing input data
+   * @param {number} size - New input size in the batch unit
+   * @returns {Object} Input data of the rescaled batch
+   */
+  scale(data, size) {
+    const factor = this.getScaleFactor(size);
+    const bom = Array.isArray(data.bom) ? data.bom : [];
+    const batch = new Batch({ ...this.toJSON(), size });
+    const scaled = {
+      ...data,
+      batch: batch.toJSON(),
+      totalUnits: batch.getTotalUnits()
+    };
+
+    if (bom.length > 0) {
+      scaled.bom = bom.map(line => ({
+        ...line,
+        quantity: NumberHelper.round((parseFloat(line.quantity) || 0) * factor, 4)
+      }));
+    } else {
+      scaled.directMaterials = MoneyHelper.multiply(parseFloat(data.directMaterials) || 0, factor);
+    }
+
+    return scaled;
+  }
+
+  /**
+   * Batch inputs with the derived quantities, for results
+   */
+  getSummary() {
+    return {
+      ...this.toJSON(),
+      baseUnit: defaultUnitConverter.toBase(1, this.unit).base,
+      inputQuantity: this.getInputQuantity(),
+      outputQuantity: this.getOutputQuantity(),
+      packQuantity: this.getPackQuantity(),
+      totalUnits: this.getTotalUnits(),
+      leftover: this.getLeftover()
+    };
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      size: this.size,
+      unit: this.unit,
+      yieldPercentage: this.yieldPercentage,
+      processLoss: this.processLoss,
+      packSize: this.packSize,
+      packUnit: this.packUnit
+    };
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Bill of Materials
+ * Line-item material costing that rolls up into direct materials
+ */
+
+import { DEFAULTS, COST_BEHAVIORS, DEFAULT_COST_BEHAVIORS } from '../utils/constants.js';
+import { NumberHelper, MoneyHelper, IdHelper } from '../utils/helpers.js';
+import { defaultUnitConverter } from '../utils/units.js';
+
+/**
+ * Single BOM line (one material)
+ */
+export class BOMLine {
+  constructor(data = {}) {
+    this.id = data.id || IdHelper.generate();
+    this.name = (data.name || '').toString().trim();
+    this.quantity = parseFloat(data.quantity) || 0;
+    this.unit = data.unit || DEFAULTS.bomUnit;
+
+    // Linked raw material in the material master; its pack price replaces the one on the line
+    this.materialId = data.materialId || '';
+
+    // Supplier price per purchase pack (e.g. Rp 300.000 per 25 kg sack); 0 uses the entered price per unit
+    this.purchasePrice = Math.max(0, parseFloat(data.purchasePrice) || 0);
+    this.purchaseQuantity = parseFloat(data.purchaseQuantity) || 1;
+    this.purchaseUnit = data.purchaseUnit || this.unit;
+
+    // Density in g/ml, converts a price per litre into a price per gram and back
+    this.density = Math.max(0, parseFloat(data.density) || 0);
+
+    this.pricePerUnit = this.calculatePricePerUnit(parseFloat(data.pricePerUnit) || 0);
+    this.wastePercentage = parseFloat(data.wastePercentage) || 0;
+
+    // Cost behavior for CVP analysis (variable share applies to semi-variable lines)
+    this.behavior = COST_BEHAVIORS[data.behavior] ? data.behavior : DEFAULT_COST_BEHAVIORS.directMaterials;
+    this.variablePercentage = NumberHelper.toPercentage(data.variablePercentage, DEFAULTS.semiVariablePercentage);
+
+    // Calculated values
+    this.grossQuantity = this.calculateGrossQuantity();
+    this.totalCost = this.calculateTotalCost();
+  }
+
+  /**
+   * Price per recipe unit, converted from the purchase pack price when one is set
+   * @param {number} enteredPrice - Price per unit as entered, kept when the units cannot be converted
+   */
+  calculatePricePerUnit(enteredPrice) {
+    if (this.purchasePrice <= 0) return enteredPrice;
+
+    const price = defaultUnitConverter.getUnitPrice(this.purchasePrice, this.purchaseQuantity, this.purchaseUnit, this.unit, this.density);
+    return price === null ? enteredPrice : price;
+  }
+
+  /**
+   * Quantity including waste allowance
+   */
+  calculateGrossQuantity() {
+    return NumberHelper.round(this.quantity * (1 + this.wastePercentage / 100), 4);
+  }
+
+  /**
+   * Line cost (gross quantity × price per unit)
+   */
+  calculateTotalCost() {
+    return MoneyHelper.multiply(this.pricePerUnit, this.quantity * (1 + this.wastePercentage / 100));
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      materialId: this.materialId,
+      quantity: this.quantity,
+      unit: this.unit,
+      pricePerUnit: this.pricePerUnit,
+      purchasePrice: this.purchasePrice,
+      purchaseQuantity: this.purchaseQuantity,
+      purchaseUnit: this.purchaseUnit,
+      density: this.density,
+      wastePercentage: this.wastePercentage,
+      behavior: this.behavior,
+      variablePercentage: this.variablePercentage,
+      grossQuantity: this.grossQuantity,
+      totalCost: this.totalCost
+    };
+  }
+}
+
+/**
+ * Bill of Materials Class
+ */
+export class BillOfMaterials {
+  constructor(lines = []) {
+    this.lines = (Array.isArray(lines) ? lines : []).map(line => {
+      return line instanceof BOMLine ? line : new BOMLine(line);
+    });
+  }
+
+  /**
+   * Check if BOM has any lines
+   */
+  isEmpty() {
+    return this.lines.length === 0;
+  }
+
+  /**
+   * Total material cost of all lines
+   */
+  getTotalCost() {
+    return MoneyHelper.sum(this.lines.map(line => line.totalCost));
+  }
+
+  /**
+   * Per-line breakdown with share of total material cost
+   */
+  getBreakdown() {
+    const percentages = MoneyHelper.percentages(this.lines.map(line => line.totalCost));
+
+    return this.lines.map((line, index) => ({
+      id: line.id,
+      name: line.name,
+      materialId: line.materialId,
+      quantity: line.quantity,
+      grossQuantity: line.grossQuantity,
+      unit: line.unit,
+      pricePerUnit: line.pricePerUnit,
+      purchasePrice: line.purchasePrice,
+      purchaseQuantity: line.purchaseQuantity,
+      purchaseUnit: line.purchaseUnit,
+      wastePercentage: line.wastePercentage,
+      amount: line.totalCost,
+      percentage: percentages[index]
+    }));
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return this.lines.map(line => line.toJSON());
+  }
+}
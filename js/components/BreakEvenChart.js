@@ -0,0 +1,369 @@
+/**
+ * Break-Even Chart Component
+ * SVG cost-volume-profit chart with hover values and a draggable selling price
+ */
+
+import { DOMHelper, CurrencyHelper, NumberHelper } from '../utils/helpers.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export class BreakEvenChart {
+  constructor(containerElement, options = {}) {
+    this.container = containerElement;
+    this.options = {
+      width: 640,
+      height: 320,
+      padding: { top: 16, right: 24, bottom: 40, left: 72 },
+      ticks: 5,
+      onPriceChange: null,
+      ...options
+    };
+
+    this.analysis = null;
+    this.scale = null;
+    this.dragging = false;
+    this.elements = {};
+    this.eventListeners = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize chart component
+   */
+  init() {
+    if (!this.container) {
+      console.error('Break-even chart container element not found');
+      return;
+    }
+
+    this.setupElements();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup SVG layers and tooltip
+   */
+  setupElements() {
+    const { width, height } = this.options;
+
+    this.container.innerHTML = '';
+    DOMHelper.addClass(this.container, 'break-even-chart');
+
+    const svg = this.createSvgElement('svg', {
+      class: 'break-even-chart__svg',
+      viewBox: `0 0 ${width} ${height}`,
+      role: 'img',
+      'aria-label': 'Grafik titik impas: pendapatan, total biaya dan biaya tetap menurut jumlah unit'
+    });
+
+    this.elements = {
+      svg,
+      axes: this.createSvgElement('g', { class: 'break-even-chart__axes' }),
+      lines: this.createSvgElement('g', { class: 'break-even-chart__lines' }),
+      guide: this.createSvgElement('line', { class: 'break-even-chart__guide', visibility: 'hidden' }),
+      point: this.createSvgElement('g', { class: 'break-even-chart__point' }),
+      overlay: this.createSvgElement('rect', { class: 'break-even-chart__overlay' }),
+      handle: this.createSvgElement('circle', {
+        class: 'break-even-chart__handle',
+        r: 7,
+        tabindex: 0,
+        role: 'slider',
+        'aria-label': 'Harga jual per unit (geser untuk simulasi)'
+      }),
+      tooltip: DOMHelper.create('div', { className: 'break-even-chart__tooltip', role: 'status' }),
+      legend: DOMHelper.create('div', { className: 'break-even-chart__legend' })
+    };
+
+    ['axes', 'lines', 'guide', 'point', 'overlay', 'handle'].forEach(key => svg.appendChild(this.elements[key]));
+
+    this.elements.legend.innerHTML = `
+      <span class="break-even-chart__key break-even-chart__key--revenue">Pendapatan</span>
+      <span class="break-even-chart__key break-even-chart__key--cost">Total Biaya</span>
+      <span class="break-even-chart__key break-even-chart__key--fixed">Biaya Tetap</span>
+      <span class="break-even-chart__hint">Geser titik di ujung garis pendapatan untuk mengubah harga jual</span>
+    `;
+
+    this.container.appendChild(svg);
+    this.container.appendChild(this.elements.tooltip);
+    this.container.appendChild(this.elements.legend);
+  }
+
+  /**
+   * Setup hover and drag event listeners
+   */
+  setupEventListeners() {
+    const { overlay, handle } = this.elements;
+
+    this.addEventListenerWithCleanup(overlay, 'pointermove', (e) => this.handleHover(e));
+    this.addEventListenerWithCleanup(overlay, 'pointerleave', () => this.hideTooltip());
+
+    this.addEventListenerWithCleanup(handle, 'pointerdown', (e) => {
+      e.preventDefault();
+      this.dragging = true;
+      handle.setPointerCapture(e.pointerId);
+      DOMHelper.addClass(this.container, 'break-even-chart--dragging');
+    });
+
+    this.addEventListenerWithCleanup(handle, 'pointermove', (e) => {
+      if (!this.dragging) return;
+      const point = this.getSvgPoint(e);
+      this.setPrice(this.scale.yValue(point.y) / this.scale.maxUnits);
+    });
+
+    const endDrag = (e) => {
+      if (!this.dragging) return;
+      this.dragging = false;
+      handle.releasePointerCapture(e.pointerId);
+      DOMHelper.removeClass(this.container, 'break-even-chart--dragging');
+
+      // Rescale once the price settles so the lines fit the chart again
+      this.render(this.analysis);
+    };
+    this.addEventListenerWithCleanup(handle, 'pointerup', endDrag);
+    this.addEventListenerWithCleanup(handle, 'pointercancel', endDrag);
+
+    // Arrow keys move the price by 1%, PageUp/PageDown by 10%
+    this.addEventListenerWithCleanup(handle, 'keydown', (e) => {
+      const steps = { ArrowUp: 0.01, ArrowRight: 0.01, ArrowDown: -0.01, ArrowLeft: -0.01, PageUp: 0.1, PageDown: -0.1 };
+      if (!(e.key in steps) || !this.analysis) return;
+
+      e.preventDefault();
+      this.setPrice(this.analysis.sellingPrice * (1 + steps[e.key]));
+      this.render(this.analysis);
+    });
+  }
+
+  /**
+   * Draw the chart for a cost-volume-profit analysis
+   * @param {Object} analysis - Result of HPPCalculator.calculateCostVolumeProfit()
+   */
+  render(analysis) {
+    if (!this.container || !analysis) return;
+
+    this.analysis = analysis;
+    this.scale = this.createScale(analysis);
+
+    this.drawAxes();
+    this.drawLines();
+  }
+
+  /**
+   * Ask for a new analysis at the given price and redraw the lines (scale kept while dragging)
+   */
+  setPrice(price) {
+    const sellingPrice = NumberHelper.round(Math.max(price, 0.01));
+    if (typeof this.options.onPriceChange !== 'function') return;
+
+    const analysis = this.options.onPriceChange(sellingPrice);
+    if (!analysis) return;
+
+    this.analysis = analysis;
+    this.drawLines();
+  }
+
+  /**
+   * Unit and amount scales with room for break-even, planned volume and target-profit volume
+   */
+  createScale(analysis) {
+    const { width, height, padding } = this.options;
+    const candidates = [analysis.expectedUnits, analysis.breakEvenUnits, analysis.targetProfitUnits]
+      .filter(value => value !== null && value > 0);
+    const maxUnits = this.niceCeil(Math.max(...candidates, 1) * 1.25);
+
+    const maxAmount = this.niceCeil(Math.max(
+      analysis.sellingPrice * maxUnits,
+      analysis.fixedCosts + analysis.variableCostPerUnit * maxUnits,
+      1
+    ) * 1.1);
+
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    return {
+      maxUnits,
+      maxAmount,
+      x: (units) => padding.left + (units / maxUnits) * plotWidth,
+      y: (amount) => padding.top + plotHeight - (Math.min(amount, maxAmount) / maxAmount) * plotHeight,
+      xValue: (x) => NumberHelper.clamp((x - padding.left) / plotWidth, 0, 1) * maxUnits,
+      yValue: (y) => NumberHelper.clamp((padding.top + plotHeight - y) / plotHeight, 0, 1) * maxAmount
+    };
+  }
+
+  /**
+   * Draw axes, grid lines and tick labels
+   */
+  drawAxes() {
+    const { width, height, padding, ticks } = this.options;
+    const { axes, overlay } = this.elements;
+    const scale = this.scale;
+
+    axes.innerHTML = '';
+
+    for (let i = 0; i <= ticks; i++) {
+      const units = (scale.maxUnits / ticks) * i;
+      const amount = (scale.maxAmount / ticks) * i;
+
+      axes.appendChild(this.createSvgElement('line', {
+        class: 'break-even-chart__grid',
+        x1: padding.left, x2: width - padding.right, y1: scale.y(amount), y2: scale.y(amount)
+      }));
+      axes.appendChild(this.createSvgElement('text', {
+        class: 'break-even-chart__tick break-even-chart__tick--y',
+        x: padding.left - 8, y: scale.y(amount) + 4
+      }, this.formatCompact(amount)));
+      axes.appendChild(this.createSvgElement('text', {
+        class: 'break-even-chart__tick break-even-chart__tick--x',
+        x: scale.x(units), y: height - padding.bottom + 18
+      }, this.formatCompact(units)));
+    }
+
+    axes.appendChild(this.createSvgElement('text', {
+      class: 'break-even-chart__axis-label',
+      x: padding.left + (width - padding.left - padding.right) / 2, y: height - 4
+    }, 'Jumlah unit terjual per periode'));
+
+    Object.entries({
+      x: padding.left,
+      y: padding.top,
+      width: width - padding.left - padding.right,
+      height: height - padding.top - padding.bottom
+    }).forEach(([name, value]) => overlay.setAttribute(name, value));
+  }
+
+  /**
+   * Draw revenue, total cost and fixed cost lines, the break-even point and the price handle
+   */
+  drawLines() {
+    const { lines, point, handle } = this.elements;
+    const analysis = this.analysis;
+    const scale = this.scale;
+    const maxUnits = scale.maxUnits;
+
+    const line = (modifier, fromAmount, toAmount) => this.createSvgElement('line', {
+      class: `break-even-chart__line break-even-chart__line--${modifier}`,
+      x1: scale.x(0), y1: scale.y(fromAmount), x2: scale.x(maxUnits), y2: scale.y(toAmount)
+    });
+
+    lines.innerHTML = '';
+    lines.appendChild(line('fixed', analysis.fixedCosts, analysis.fixedCosts));
+    lines.appendChild(line('cost', analysis.fixedCosts, analysis.fixedCosts + analysis.variableCostPerUnit * maxUnits));
+    lines.appendChild(line('revenue', 0, analysis.sellingPrice * maxUnits));
+
+    point.innerHTML = '';
+    if (analysis.breakEvenUnits !== null && analysis.breakEvenUnits <= maxUnits) {
+      const x = scale.x(analysis.breakEvenUnits);
+      const y = scale.y(analysis.breakEvenRevenue);
+
+      point.appendChild(this.createSvgElement('line', {
+        class: 'break-even-chart__marker', x1: x, x2: x, y1: y, y2: scale.y(0)
+      }));
+      point.appendChild(this.createSvgElement('circle', { class: 'break-even-chart__dot', cx: x, cy: y, r: 5 }));
+      point.appendChild(this.createSvgElement('text', {
+        class: 'break-even-chart__label', x: x + 8, y: y - 8
+      }, `Titik impas ${analysis.breakEvenUnits.toLocaleString('id-ID')} unit`));
+    }
+
+    handle.setAttribute('cx', scale.x(maxUnits));
+    handle.setAttribute('cy', scale.y(analysis.sellingPrice * maxUnits));
+    handle.setAttribute('aria-valuenow', analysis.sellingPrice);
+    handle.setAttribute('aria-valuetext', `${CurrencyHelper.format(analysis.sellingPrice)} per unit`);
+  }
+
+  /**
+   * Show revenue, total cost and profit at the hovered volume
+   */
+  handleHover(e) {
+    if (!this.analysis || this.dragging) return;
+
+    const { guide, tooltip } = this.elements;
+    const point = this.getSvgPoint(e);
+    const units = Math.round(this.scale.xValue(point.x));
+    const revenue = units * this.analysis.sellingPrice;
+    const totalCost = this.analysis.fixedCosts + units * this.analysis.variableCostPerUnit;
+    const profit = revenue - totalCost;
+    const x = this.scale.x(units);
+
+    guide.setAttribute('x1', x);
+    guide.setAttribute('x2', x);
+    guide.setAttribute('y1', this.options.padding.top);
+    guide.setAttribute('y2', this.scale.y(0));
+    guide.setAttribute('visibility', 'visible');
+
+    tooltip.innerHTML = `
+      <strong>${units.toLocaleString('id-ID')} unit</strong>
+      <span>Pendapatan: ${CurrencyHelper.format(revenue)}</span>
+      <span>Total biaya: ${CurrencyHelper.format(totalCost)}</span>
+      <span class="${profit < 0 ? 'break-even-chart__loss' : ''}">${profit < 0 ? 'Rugi' : 'Laba'}: ${CurrencyHelper.format(Math.abs(profit))}</span>
+    `;
+    tooltip.style.left = `${(x / this.options.width) * 100}%`;
+    DOMHelper.addClass(tooltip, 'break-even-chart__tooltip--visible');
+  }
+
+  /**
+   * Hide hover guide and tooltip
+   */
+  hideTooltip() {
+    this.elements.guide.setAttribute('visibility', 'hidden');
+    DOMHelper.removeClass(this.elements.tooltip, 'break-even-chart__tooltip--visible');
+  }
+
+  /**
+   * Pointer position in SVG user units
+   */
+  getSvgPoint(e) {
+    const rect = this.elements.svg.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * this.options.width,
+      y: ((e.clientY - rect.top) / rect.height) * this.options.height
+    };
+  }
+
+  /**
+   * Round up to 1, 2, 2.5 or 5 times a power of ten for readable ticks
+   */
+  niceCeil(value) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 2.5, 5, 10].find(factor => factor * magnitude >= value);
+    return step * magnitude;
+  }
+
+  /**
+   * Short axis label (1,5 jt, 250 rb)
+   */
+  formatCompact(value) {
+    return new Intl.NumberFormat('id-ID', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+  }
+
+  /**
+   * Create SVG element with attributes and optional text
+   */
+  createSvgElement(tag, attributes = {}, text = null) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    if (text !== null) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Add event listener with cleanup tracking
+   */
+  addEventListenerWithCleanup(element, event, handler, options) {
+    if (!element) return;
+    element.addEventListener(event, handler, options);
+    this.eventListeners.push({ element, event, handler, options });
+  }
+
+  /**
+   * Destroy component and cleanup
+   */
+  destroy() {
+    this.eventListeners.forEach(({ element, event, handler, options }) => {
+      element.removeEventListener(event, handler, options);
+    });
+
+    this.eventListeners = [];
+    this.analysis = null;
+    this.elements = {};
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Cost-Volume-Profit
+ * Splits costs into fixed and variable parts and derives break-even, margin of safety and operating leverage
+ */
+
+import { COST_BEHAVIORS, COST_CATEGORIES, DEFAULTS, DEFAULT_COST_BEHAVIORS } from '../utils/constants.js';
+import { NumberHelper, MoneyHelper } from '../utils/helpers.js';
+import { defaultOverheadAllocator } from './OverheadAllocator.js';
+import { defaultActivityBasedCosting } from './ActivityBasedCosting.js';
+
+/**
+ * Cost-Volume-Profit Class
+ */
+export class CostVolumeProfit {
+  constructor(options = {}) {
+    this.options = {
+      precision: 2,
+      ...options
+    };
+  }
+
+  /**
+   * Fixed and variable part of an amount
+   * @param {number} amount - Cost amount
+   * @param {string} behavior - 'variable', 'fixed' or 'semiVariable'
+   * @param {number} variablePercentage - Variable share (%) of a semi-variable cost
+   * @returns {Object} { fixed, variable }
+   */
+  splitAmount(amount, behavior, variablePercentage = DEFAULTS.semiVariablePercentage) {
+    let variableShare = 1;
+    if (behavior === 'fixed') {
+      variableShare = 0;
+    } else if (behavior === 'semiVariable') {
+      variableShare = NumberHelper.clamp(parseFloat(variablePercentage) || 0, 0, 100) / 100;
+    }
+
+    const variable = MoneyHelper.multiply(amount, variableShare);
+    return {
+      fixed: MoneyHelper.subtract(amount, variable),
+      variable
+    };
+  }
+
+  /**
+   * Classify the cost components of one batch as fixed or variable
+   * Components built from line items (BOM, labor roles, overhead pools, activities) follow
+   * the behavior of their lines; the others follow the behavior set on the component
+   * @param {Object} costData - Calculation result (cost components, line items, totalUnits)
+   * @param {Object} behaviors - { [component]: { behavior, variablePercentage } }
+   * @returns {Object} Lines per component with fixedCosts and variableCosts of the batch
+   */
+  classifyCosts(costData, behaviors = {}) {
+    const lines = Object.keys(DEFAULT_COST_BEHAVIORS).map(key => {
+      const amount = parseFloat(costData[key]) || 0;
+      const setting = this.normalizeBehavior(key, behaviors[key]);
+      const lineItems = this.getLineItems(key, costData);
+
+      let split;
+      let behavior = setting.behavior;
+      if (lineItems.length > 0) {
+        // Apply the fixed share of the line items to the component amount (net of PPN masukan)
+        const total = lineItems.reduce((sum, item) => sum + item.amount, 0);
+        const fixed = lineItems.reduce((sum, item) => sum + this.splitAmount(item.amount, item.behavior, item.variablePercentage).fixed, 0);
+        const fixedAmount = total > 0 ? MoneyHelper.multiply(amount, fixed / total) : 0;
+
+        split = {
+          fixed: fixedAmount,
+          variable: MoneyHelper.subtract(amount, fixedAmount)
+        };
+        behavior = this.getCombinedBehavior(lineItems);
+      } else {
+        split = this.splitAmount(amount, setting.behavior, setting.variablePercentage);
+      }
+
+      return {
+        key,
+        label: COST_CATEGORIES[key].label,
+        amount,
+        behavior,
+        behaviorLabel: COST_BEHAVIORS[behavior].label,
+        // Variable share (%) as set on the component, or as it results from the line items
+        variablePercentage: lineItems.length > 0 ? NumberHelper.percentage(split.variable, amount) : setting.variablePercentage,
+        fromLineItems: lineItems.length > 0,
+        ...split
+      };
+    });
+
+    return {
+      lines,
+      fixedCosts: MoneyHelper.sum(lines.map(line => line.fixed)),
+      variableCosts: MoneyHelper.sum(lines.map(line => line.variable))
+    };
+  }
+
+  /**
+   * Cost-volume-profit figures for a period
+   * @param {Object} classification - Result of classifyCosts (costs of one batch)
+   * @param {Object} cvp - { totalUnits, sellingPrice, batchesPerPeriod, otherFixedCosts, expectedUnits, targetProfit }
+   * @returns {Object} Break-even, margin of safety, operating leverage and target-profit volume
+   */
+  analyze(classification, cvp = {}) {
+    const precision = this.options.precision;
+    const totalUnits = Math.max(1, parseFloat(cvp.totalUnits) || 1);
+    const sellingPrice = Math.max(0, parseFloat(cvp.sellingPrice) || 0);
+    const batchesPerPeriod = Math.max(0, parseFloat(cvp.batchesPerPeriod) || DEFAULTS.batchesPerPeriod);
+    const otherFixedCosts = Math.max(0, parseFloat(cvp.otherFixedCosts) || 0);
+    const targetProfit = Math.max(0, parseFloat(cvp.targetProfit) || 0);
+    const expectedUnits = parseFloat(cvp.expectedUnits) > 0 ? parseFloat(cvp.expectedUnits) : totalUnits * batchesPerPeriod;
+
+    // Fixed costs of one batch recur every batch in the period
+    const fixedCosts = MoneyHelper.sum([MoneyHelper.multiply(classification.fixedCosts, batchesPerPeriod), otherFixedCosts]);
+    const variableCostPerUnit = MoneyHelper.divide(classification.variableCosts, totalUnits);
+    const contributionMargin = MoneyHelper.subtract(sellingPrice, variableCostPerUnit);
+    const contributionMarginRatio = sellingPrice > 0 ? contributionMargin / sellingPrice : 0;
+    const isAchievable = contributionMargin > 0;
+
+    const breakEvenUnits = isAchievable ? Math.ceil(fixedCosts / contributionMargin) : null;
+    const targetProfitUnits = isAchievable ? Math.ceil((fixedCosts + targetProfit) / contributionMargin) : null;
+
+    const expectedRevenue = MoneyHelper.multiply(sellingPrice, expectedUnits);
+    const totalContributionMargin = MoneyHelper.multiply(contributionMargin, expectedUnits);
+    const operatingIncome = MoneyHelper.subtract(totalContributionMargin, fixedCosts);
+
+    const marginOfSafetyUnits = breakEvenUnits !== null ? expectedUnits - breakEvenUnits : null;
+
+    return {
+      lines: classification.lines,
+      totalUnits,
+      batchesPerPeriod,
+      sellingPrice,
+      fixedCostsPerBatch: classification.fixedCosts,
+      otherFixedCosts,
+      fixedCosts,
+      variableCostPerUnit,
+      contributionMargin,
+      contributionMarginRatio: NumberHelper.round(contributionMarginRatio * 100, precision),
+      isAchievable,
+      breakEvenUnits,
+      breakEvenRevenue: breakEvenUnits !== null ? MoneyHelper.multiply(sellingPrice, breakEvenUnits) : null,
+      expectedUnits,
+      expectedRevenue,
+      totalContributionMargin,
+      operatingIncome,
+      marginOfSafetyUnits,
+      marginOfSafetyRevenue: marginOfSafetyUnits !== null ? MoneyHelper.multiply(sellingPrice, marginOfSafetyUnits) : null,
+      marginOfSafetyPercentage: marginOfSafetyUnits !== null ? NumberHelper.percentage(marginOfSafetyUnits, expectedUnits) : null,
+      // Degree of operating leverage: % change in income per 1% change in sales (undefined at or below break-even)
+      operatingLeverage: operatingIncome > 0 ? NumberHelper.round(totalContributionMargin / operatingIncome, precision) : null,
+      targetProfit,
+      targetProfitUnits,
+      targetProfitRevenue: targetProfitUnits !== null ? MoneyHelper.multiply(sellingPrice, targetProfitUnits) : null
+    };
+  }
+
+  /**
+   * Line items behind a cost component, as { amount, behavior, variablePercentage }
+   */
+  getLineItems(key, costData) {
+    if (key === 'directMaterials') {
+      return (costData.bom || []).map(line => ({
+        amount: parseFloat(line.totalCost) || 0,
+        ...this.normalizeBehavior(key, line)
+      }));
+    }
+
+    if (key === 'directLabor') {
+      return (costData.labor || []).map(role => ({
+        amount: parseFloat(role.totalCost) || 0,
+        ...this.normalizeBehavior(key, role)
+      }));
+    }
+
+    if (key === 'manufacturingOverhead') {
+      // Activity costing replaces the overhead allocation when both are present
+      if (costData.activityCosting) {
+        const activities = defaultActivityBasedCosting.normalizeActivities(costData.activityCosting.activities);
+        const assigned = defaultActivityBasedCosting.allocateToProduct({ ...costData.activityCosting, activities });
+        return this.mapAllocatedItems(key, assigned, activities);
+      }
+
+      if (costData.overheadAllocation) {
+        const pools = defaultOverheadAllocator.normalizePools(costData.overheadAllocation.pools);
+        const allocated = defaultOverheadAllocator.allocateToProduct({ ...costData.overheadAllocation, pools });
+        return this.mapAllocatedItems(key, allocated, pools);
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Attach the behavior of each pool or activity to the amount allocated to the product
+   */
+  mapAllocatedItems(key, allocated, sources) {
+    if (!allocated) return [];
+
+    return allocated.items.map(item => ({
+      amount: item.amount,
+      ...this.normalizeBehavior(key, sources.find(source => source.id === item.id))
+    }));
+  }
+
+  /**
+   * Behavior shown for a component built from line items
+   */
+  getCombinedBehavior(lineItems) {
+    const behaviors = [...new Set(lineItems.filter(item => item.amount > 0).map(item => item.behavior))];
+    if (behaviors.length === 0) return lineItems[0].behavior;
+    return behaviors.length === 1 ? behaviors[0] : 'semiVariable';
+  }
+
+  /**
+   * Normalize a behavior setting, falling back to the component default
+   */
+  normalizeBehavior(key, setting) {
+    const source = setting || {};
+    return {
+      behavior: COST_BEHAVIORS[source.behavior] ? source.behavior : DEFAULT_COST_BEHAVIORS[key],
+      variablePercentage: NumberHelper.toPercentage(source.variablePercentage, DEFAULTS.semiVariablePercentage)
+    };
+  }
+}
+
+// Create and export default cost-volume-profit instance
+export const defaultCostVolumeProfit = new CostVolumeProfit();
@@ -0,0 +1,216 @@
+/**
+ * Fixed Assets
+ * Asset register with monthly depreciation schedules (straight-line, declining balance, units of production)
+ */
+
+import { DEFAULTS, DEPRECIATION_METHODS, ASSET_OVERHEAD_LINKS } from '../utils/constants.js';
+import { NumberHelper, MoneyHelper, IdHelper } from '../utils/helpers.js';
+
+/**
+ * Longest schedule generated, as a guard for tiny monthly production
+ */
+const MAX_SCHEDULE_MONTHS = 1200;
+
+/**
+ * Period key ('YYYY-MM') a number of months after a date
+ */
+const addMonths = (date, months) => {
+  const start = new Date(date);
+  const period = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+  return period.toISOString().slice(0, 7);
+};
+
+/**
+ * One fixed asset
+ */
+export class FixedAsset {
+  constructor(data = {}) {
+    this.id = data.id || IdHelper.generate();
+    this.name = (data.name || '').toString().trim();
+    this.method = DEPRECIATION_METHODS[data.method] ? data.method : DEFAULTS.depreciationMethod;
+
+    // Acquisition cost and expected value at the end of the useful life
+    this.cost = Math.max(0, parseFloat(data.cost) || 0);
+    this.salvageValue = Math.max(0, parseFloat(data.salvageValue) || 0);
+    this.usefulLife = Math.max(0, parseFloat(data.usefulLife) || 0);
+
+    // Units of production: lifetime capacity and planned output per month
+    this.totalUnits = Math.max(0, parseFloat(data.totalUnits) || 0);
+    this.unitsPerMonth = Math.max(0, parseFloat(data.unitsPerMonth) || 0);
+
+    // Depreciation starts in the month of acquisition
+    this.acquisitionDate = data.acquisitionDate || new Date().toISOString().slice(0, 10);
+    this.overheadLink = ASSET_OVERHEAD_LINKS[data.overheadLink] ? data.overheadLink : 'linked';
+  }
+
+  /**
+   * Check if depreciation is charged to manufacturing overhead
+   */
+  isLinkedToOverhead() {
+    return this.overheadLink === 'linked';
+  }
+
+  /**
+   * Amount to depreciate over the useful life
+   */
+  getDepreciableAmount() {
+    return Math.max(0, MoneyHelper.subtract(this.cost, this.salvageValue));
+  }
+
+  /**
+   * Useful life in months
+   */
+  getLifeMonths() {
+    return Math.round(this.usefulLife * 12);
+  }
+
+  /**
+   * Depreciation of one month
+   * @param {number} month - Zero-based month of the schedule
+   * @param {number} bookValue - Book value at the start of the month
+   * @param {number} remaining - Amount still to depreciate down to the salvage value
+   * @returns {number} Depreciation of the month
+   */
+  getMonthDepreciation(month, bookValue, remaining) {
+    if (this.method === 'unitsOfProduction') {
+      const produced = this.unitsPerMonth * (month + 1);
+      if (produced >= this.totalUnits) return remaining;
+
+      const ratePerUnit = this.getDepreciableAmount() / this.totalUnits;
+      return Math.min(MoneyHelper.multiply(ratePerUnit, this.unitsPerMonth), remaining);
+    }
+
+    const monthsLeft = this.getLifeMonths() - month;
+    if (monthsLeft <= 1) return remaining;
+
+    const straightLine = MoneyHelper.divide(remaining, monthsLeft);
+    if (this.method === 'straightLine') return straightLine;
+
+    // Declining balance switches to straight-line once that gives more, so the salvage value is reached at the end of the life
+    const rate = DEFAULTS.decliningBalanceFactor / this.getLifeMonths();
+    return Math.min(Math.max(MoneyHelper.multiply(bookValue, rate), straightLine), remaining);
+  }
+
+  /**
+   * Monthly depreciation schedule until the asset reaches its salvage value
+   * @returns {Array} { period, month, units, depreciation, accumulated, bookValue }
+   */
+  getSchedule() {
+    const canDepreciate = this.method === 'unitsOfProduction'
+      ? this.totalUnits > 0 && this.unitsPerMonth > 0
+      : this.getLifeMonths() > 0;
+    if (!canDepreciate) return [];
+
+    const schedule = [];
+    let bookValue = this.cost;
+    let accumulated = 0;
+
+    for (let month = 0; month < MAX_SCHEDULE_MONTHS; month++) {
+      const remaining = MoneyHelper.subtract(bookValue, this.salvageValue);
+      if (remaining <= 0) break;
+
+      const depreciation = this.getMonthDepreciation(month, bookValue, remaining);
+      accumulated = MoneyHelper.sum([accumulated, depreciation]);
+      bookValue = MoneyHelper.subtract(bookValue, depreciation);
+
+      schedule.push({
+        period: addMonths(this.acquisitionDate, month),
+        month: month + 1,
+        units: this.method === 'unitsOfProduction'
+          ? NumberHelper.round(Math.min(this.unitsPerMonth, this.totalUnits - this.unitsPerMonth * month), 4)
+          : null,
+        depreciation,
+        accumulated,
+        bookValue
+      });
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Depreciation of a period ('YYYY-MM'), 0 outside the schedule
+   */
+  getDepreciationFor(period) {
+    const entry = this.getSchedule().find(item => item.period === period);
+    return entry ? entry.depreciation : 0;
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      method: this.method,
+      cost: this.cost,
+      salvageValue: this.salvageValue,
+      usefulLife: this.usefulLife,
+      totalUnits: this.totalUnits,
+      unitsPerMonth: this.unitsPerMonth,
+      acquisitionDate: this.acquisitionDate,
+      overheadLink: this.overheadLink
+    };
+  }
+}
+
+/**
+ * Register of all fixed assets
+ */
+export class AssetRegister {
+  constructor(assets = []) {
+    this.assets = (Array.isArray(assets) ? assets : []).map(asset => {
+      return asset instanceof FixedAsset ? asset : new FixedAsset(asset);
+    });
+  }
+
+  /**
+   * Check if the register has any assets
+   */
+  isEmpty() {
+    return this.assets.length === 0;
+  }
+
+  /**
+   * Depreciation of one month charged to manufacturing overhead
+   * @param {string} period - Month as 'YYYY-MM'
+   * @returns {Object} { period, charges: [{ id, name, method, amount }], total }
+   */
+  getMonthlyDepreciation(period) {
+    const charges = this.assets
+      .filter(asset => asset.isLinkedToOverhead())
+      .map(asset => ({
+        id: asset.id,
+        name: asset.name,
+        method: asset.method,
+        amount: asset.getDepreciationFor(period)
+      }));
+
+    return {
+      period,
+      charges,
+      total: MoneyHelper.sum(charges.map(charge => charge.amount))
+    };
+  }
+
+  /**
+   * Schedules of all assets as rows, for export
+   * @returns {Array} { name, method, period, month, units, depreciation, accumulated, bookValue, linkedToOverhead }
+   */
+  getScheduleRows() {
+    return this.assets.flatMap(asset => asset.getSchedule().map(entry => ({
+      name: asset.name,
+      method: asset.method,
+      ...entry,
+      linkedToOverhead: asset.isLinkedToOverhead()
+    })));
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return this.assets.map(asset => asset.toJSON());
+  }
+}
@@ -3,9 +3,26 @@
  * Core calculation logic for Harga Pokok Penjualan (Cost of Goods Sold)
  */
 
-import { VALIDATION, COST_CATEGORIES } from '../utils/constants.js';
-import { NumberHelper } from '../utils/helpers.js';
+import { VALIDATION, ERROR_MESSAGES, COST_CATEGORIES, DEFAULTS, VARIANCE_GROUPS, VARIANCE_TYPES, TAX_TREATMENTS, TAXABLE_COST_COMPONENTS, MONTE_CARLO_INPUTS, GOAL_SEEK_VARIABLES, GOAL_SEEK_METRICS, GOAL_SEEK, ROUNDING_MODES, INVENTORY_VALUATION_METHODS, DEPRECIATION_METHODS, DEPRECIATION_POOL, ALLOCATION_BASES } from '../utils/constants.js';
+import { NumberHelper, MoneyHelper } from '../utils/helpers.js';
 import { defaultValidationManager } from '../utils/validation.js';
+import { BillOfMaterials } from './BillOfMaterials.js';
+import { MaterialMaster } from './MaterialMaster.js';
+import { defaultInventoryValuation } from './InventoryValuation.js';
+import { AssetRegister } from './FixedAssets.js';
+import { LaborCosting } from './LaborCosting.js';
+import { defaultOverheadAllocator } from './OverheadAllocator.js';
+import { defaultActivityBasedCosting } from './ActivityBasedCosting.js';
+import { ProductCatalog } from './ProductCatalog.js';
+import { defaultProcessCosting } from './ProcessCosting.js';
+import { JobOrder } from './JobOrderCosting.js';
+import { StandardCostProfile } from './StandardCosting.js';
+import { SalesChannel } from './SalesChannels.js';
+import { defaultCostVolumeProfit } from './CostVolumeProfit.js';
+import { defaultSensitivityAnalysis } from './SensitivityAnalysis.js';
+import { defaultMonteCarloSimulation } from './MonteCarloSimulation.js';
+import { Scenario } from './Scenarios.js';
+import { Batch } from './BatchScaling.js';
 
 /**
  * HPP Calculation Result
@@ -17,15 +34,55 @@ export class HPPResult {
     this.manufacturingOverhead = data.manufacturingOverhead || 0;
     this.otherCosts = data.otherCosts || 0;
     this.totalUnits = data.totalUnits || 1;
+    this.bom = Array.isArray(data.bom) ? data.bom : [];
+    this.labor = Array.isArray(data.labor) ? data.labor : [];
+    this.overheadAllocation = data.overheadAllocation || null;
+    this.activityCosting = data.activityCosting || null;
+
+    // Recipe batch the unit count was derived from
+    this.batch = data.batch || null;
+
+    // Monthly depreciation of fixed assets included in manufacturing overhead
+    this.depreciation = data.depreciation || null;
+
+    // Manufacturing statement mode: WIP and finished goods inventories
+    this.inventory = data.inventory || null;
+
+    // Standard-cost profile and actual quantities; variances are set by HPPCalculator
+    this.standardCosting = data.standardCosting || null;
+    this.variances = null;
+
+    // PPN masukan split out of the cost components by normalizeInputData
+    this.tax = data.tax || null;
+
+    // Fixed / variable / semi-variable tag of each cost component, used by the CVP analysis
+    this.costBehavior = data.costBehavior || null;
     
     // Calculated values
     this.totalCosts = this.calculateTotalCosts();
+    this.costOfGoodsManufactured = this.calculateCostOfGoodsManufactured();
     this.hppPerUnit = this.calculateHPPPerUnit();
     this.totalHPP = this.calculateTotalHPP();
     
     // Breakdown percentages
     this.breakdown = this.calculateBreakdown();
+
+    // Laporan Harga Pokok Produksi and Laporan HPP lines
+    this.statement = this.inventory ? this.calculateStatement() : null;
     
+    // Recommended selling price and net margin per sales channel, set by HPPCalculator on request
+    this.pricing = null;
+    this.channelComparison = null;
+
+    // Cost-volume-profit analysis of the period, set by HPPCalculator on request
+    this.cvp = null;
+
+    // HPP per unit when each cost driver changes by ± steps, set by HPPCalculator on request
+    this.sensitivity = null;
+
+    // HPP per unit distribution from uncertain inputs, set when HPPCalculator.runMonteCarlo completes
+    this.monteCarlo = null;
+
     // Metadata
     this.timestamp = new Date().toISOString();
     this.isValid = this.validate();
@@ -35,56 +92,131 @@ export class HPPResult {
    * Calculate total costs
    */
   calculateTotalCosts() {
-    return NumberHelper.round(
-      this.directMaterials + 
-      this.directLabor + 
-      this.manufacturingOverhead + 
+    return MoneyHelper.sum([
+      this.directMaterials,
+      this.directLabor,
+      this.manufacturingOverhead,
       this.otherCosts
-    );
+    ]);
+  }
+
+  /**
+   * Cost of goods manufactured = total costs + beginning WIP − ending WIP
+   */
+  calculateCostOfGoodsManufactured() {
+    if (!this.inventory) return this.totalCosts;
+
+    return MoneyHelper.sum([this.totalCosts, this.inventory.beginningWIP, -this.inventory.endingWIP]);
   }
 
   /**
-   * Calculate HPP per unit
+   * Calculate HPP per unit (cost of goods manufactured per unit produced)
    */
   calculateHPPPerUnit() {
     if (this.totalUnits <= 0) return 0;
-    return NumberHelper.round(this.totalCosts / this.totalUnits);
+    return MoneyHelper.divide(this.costOfGoodsManufactured, this.totalUnits);
   }
 
   /**
-   * Calculate total HPP (same as total costs)
+   * Calculate total HPP (same as total costs without inventories)
    */
   calculateTotalHPP() {
-    return this.totalCosts;
+    if (!this.inventory) return this.totalCosts;
+
+    return MoneyHelper.sum([
+      this.costOfGoodsManufactured,
+      this.inventory.beginningFinishedGoods,
+      -this.inventory.endingFinishedGoods
+    ]);
+  }
+
+  /**
+   * Statement lines: operator shows how each line enters the total
+   */
+  calculateStatement() {
+    const inventory = this.inventory;
+    const workInProcess = MoneyHelper.sum([this.totalCosts, inventory.beginningWIP]);
+    const goodsAvailableForSale = MoneyHelper.sum([this.costOfGoodsManufactured, inventory.beginningFinishedGoods]);
+
+    return {
+      costOfGoodsManufactured: [
+        { key: 'beginningWIP', label: 'Persediaan awal barang dalam proses', amount: inventory.beginningWIP, operator: '' },
+        { key: 'directMaterials', label: 'Bahan baku langsung', amount: this.directMaterials, operator: '', indent: true },
+        { key: 'directLabor', label: 'Tenaga kerja langsung', amount: this.directLabor, operator: '', indent: true },
+        { key: 'manufacturingOverhead', label: 'Overhead pabrik', amount: this.manufacturingOverhead, operator: '', indent: true },
+        { key: 'otherCosts', label: 'Biaya produksi lainnya', amount: this.otherCosts, operator: '', indent: true },
+        { key: 'totalCosts', label: 'Total biaya produksi', amount: this.totalCosts, operator: '+', subtotal: true },
+        { key: 'workInProcess', label: 'Total barang dalam proses', amount: workInProcess, operator: '=', subtotal: true },
+        { key: 'endingWIP', label: 'Persediaan akhir barang dalam proses', amount: inventory.endingWIP, operator: '−' },
+        { key: 'costOfGoodsManufactured', label: 'Harga Pokok Produksi', amount: this.costOfGoodsManufactured, operator: '=', total: true }
+      ],
+      costOfGoodsSold: [
+        { key: 'beginningFinishedGoods', label: 'Persediaan awal barang jadi', amount: inventory.beginningFinishedGoods, operator: '' },
+        { key: 'costOfGoodsManufactured', label: 'Harga pokok produksi', amount: this.costOfGoodsManufactured, operator: '+' },
+        { key: 'goodsAvailableForSale', label: 'Barang tersedia untuk dijual', amount: goodsAvailableForSale, operator: '=', subtotal: true },
+        { key: 'endingFinishedGoods', label: 'Persediaan akhir barang jadi', amount: inventory.endingFinishedGoods, operator: '−' },
+        { key: 'totalHPP', label: 'Harga Pokok Penjualan', amount: this.totalHPP, operator: '=', total: true }
+      ]
+    };
   }
 
   /**
-   * Calculate cost breakdown with percentages
+   * Calculate cost breakdown with percentages (they always add up to exactly 100)
    */
   calculateBreakdown() {
+    const [directMaterials, directLabor, manufacturingOverhead, otherCosts] = MoneyHelper.percentages([
+      this.directMaterials,
+      this.directLabor,
+      this.manufacturingOverhead,
+      this.otherCosts
+    ]);
+
     const breakdown = {
       directMaterials: {
         amount: this.directMaterials,
-        percentage: NumberHelper.percentage(this.directMaterials, this.totalCosts),
+        percentage: directMaterials,
         category: COST_CATEGORIES.directMaterials
       },
       directLabor: {
         amount: this.directLabor,
-        percentage: NumberHelper.percentage(this.directLabor, this.totalCosts),
+        percentage: directLabor,
         category: COST_CATEGORIES.directLabor
       },
       manufacturingOverhead: {
         amount: this.manufacturingOverhead,
-        percentage: NumberHelper.percentage(this.manufacturingOverhead, this.totalCosts),
+        percentage: manufacturingOverhead,
         category: COST_CATEGORIES.manufacturingOverhead
       },
       otherCosts: {
         amount: this.otherCosts,
-        percentage: NumberHelper.percentage(this.otherCosts, this.totalCosts),
+        percentage: otherCosts,
         category: COST_CATEGORIES.otherCosts
       }
     };
 
+    // Material drill-down from bill of materials
+    if (this.bom.length > 0) {
+      breakdown.directMaterials.items = new BillOfMaterials(this.bom).getBreakdown();
+    }
+
+    // Labor drill-down per worker role
+    if (this.labor.length > 0) {
+      breakdown.directLabor.items = new LaborCosting(this.labor).getBreakdown();
+    }
+
+    // Overhead drill-down per allocated pool or activity
+    if (this.activityCosting) {
+      const assigned = defaultActivityBasedCosting.allocateToProduct(this.activityCosting);
+      if (assigned) {
+        breakdown.manufacturingOverhead.items = assigned.items;
+      }
+    } else if (this.overheadAllocation) {
+      const allocated = defaultOverheadAllocator.allocateToProduct(this.overheadAllocation);
+      if (allocated) {
+        breakdown.manufacturingOverhead.items = allocated.items;
+      }
+    }
+
     return breakdown;
   }
 
@@ -97,12 +229,20 @@ export class HPPResult {
       directLabor: this.directLabor,
       manufacturingOverhead: this.manufacturingOverhead,
       otherCosts: this.otherCosts,
-      totalUnits: this.totalUnits
+      totalUnits: this.totalUnits,
+      inventory: this.inventory
     });
 
     return validationResult.isValid;
   }
 
+  /**
+   * Shallow copy with some fields replaced, leaving this result unchanged
+   */
+  clone(changes = {}) {
+    return Object.assign(Object.create(HPPResult.prototype), this, changes);
+  }
+
   /**
    * Get calculation summary
    */
@@ -110,9 +250,20 @@ export class HPPResult {
     return {
       totalCosts: this.totalCosts,
       totalUnits: this.totalUnits,
+      batch: this.batch,
+      depreciation: this.depreciation,
+      costOfGoodsManufactured: this.costOfGoodsManufactured,
       hppPerUnit: this.hppPerUnit,
       totalHPP: this.totalHPP,
       breakdown: this.breakdown,
+      statement: this.statement,
+      variances: this.variances,
+      tax: this.tax,
+      pricing: this.pricing,
+      channelComparison: this.channelComparison,
+      cvp: this.cvp,
+      sensitivity: this.sensitivity,
+      monteCarlo: this.monteCarlo,
       isValid: this.isValid,
       timestamp: this.timestamp
     };
@@ -128,10 +279,302 @@ export class HPPResult {
       manufacturingOverhead: this.manufacturingOverhead,
       otherCosts: this.otherCosts,
       totalUnits: this.totalUnits,
+      bom: this.bom,
+      labor: this.labor,
+      overheadAllocation: this.overheadAllocation,
+      activityCosting: this.activityCosting,
+      batch: this.batch,
+      depreciation: this.depreciation,
+      inventory: this.inventory,
+      standardCosting: this.standardCosting,
+      costBehavior: this.costBehavior,
       totalCosts: this.totalCosts,
+      costOfGoodsManufactured: this.costOfGoodsManufactured,
+      hppPerUnit: this.hppPerUnit,
+      totalHPP: this.totalHPP,
+      breakdown: this.breakdown,
+      statement: this.statement,
+      variances: this.variances,
+      tax: this.tax,
+      pricing: this.pricing,
+      channelComparison: this.channelComparison,
+      cvp: this.cvp,
+      sensitivity: this.sensitivity,
+      monteCarlo: this.monteCarlo,
+      timestamp: this.timestamp,
+      isValid: this.isValid
+    };
+  }
+}
+
+/**
+ * Trading Company COGS Result
+ * HPP = persediaan awal + pembelian bersih − persediaan akhir
+ */
+export class TradingCOGSResult {
+  constructor(data = {}) {
+    this.mode = 'trading';
+    this.beginningInventory = data.beginningInventory || 0;
+    this.purchases = data.purchases || 0;
+    this.purchaseReturns = data.purchaseReturns || 0;
+    this.purchaseDiscounts = data.purchaseDiscounts || 0;
+    this.freightIn = data.freightIn || 0;
+    this.endingInventory = data.endingInventory || 0;
+    this.unitsSold = data.unitsSold || 1;
+
+    // Calculated values
+    this.netPurchases = MoneyHelper.sum([
+      this.purchases, -this.purchaseReturns, -this.purchaseDiscounts, this.freightIn
+    ]);
+    this.goodsAvailableForSale = MoneyHelper.sum([this.beginningInventory, this.netPurchases]);
+    this.totalHPP = MoneyHelper.subtract(this.goodsAvailableForSale, this.endingInventory);
+    this.hppPerUnit = this.unitsSold > 0 ? MoneyHelper.divide(this.totalHPP, this.unitsSold) : 0;
+    this.inventoryTurnover = this.calculateInventoryTurnover();
+
+    // Formula components in statement order
+    this.components = this.calculateComponents();
+
+    this.pricing = null;
+    this.channelComparison = null;
+
+    // Metadata
+    this.timestamp = new Date().toISOString();
+    this.isValid = this.validate();
+  }
+
+  /**
+   * COGS ÷ average inventory
+   */
+  calculateInventoryTurnover() {
+    const averageInventory = (this.beginningInventory + this.endingInventory) / 2;
+    if (averageInventory <= 0) return 0;
+    return NumberHelper.round(this.totalHPP / averageInventory);
+  }
+
+  /**
+   * Formula lines: operator shows how each line enters the total
+   */
+  calculateComponents() {
+    return [
+      { key: 'beginningInventory', label: 'Persediaan awal', amount: this.beginningInventory, operator: '' },
+      { key: 'purchases', label: 'Pembelian', amount: this.purchases, operator: '', indent: true },
+      { key: 'purchaseReturns', label: 'Retur pembelian', amount: this.purchaseReturns, operator: '−', indent: true },
+      { key: 'purchaseDiscounts', label: 'Potongan pembelian', amount: this.purchaseDiscounts, operator: '−', indent: true },
+      { key: 'freightIn', label: 'Ongkos angkut pembelian', amount: this.freightIn, operator: '+', indent: true },
+      { key: 'netPurchases', label: 'Pembelian bersih', amount: this.netPurchases, operator: '+', subtotal: true },
+      { key: 'goodsAvailableForSale', label: 'Barang tersedia untuk dijual', amount: this.goodsAvailableForSale, operator: '=', subtotal: true },
+      { key: 'endingInventory', label: 'Persediaan akhir', amount: this.endingInventory, operator: '−' },
+      { key: 'totalHPP', label: 'Harga Pokok Penjualan', amount: this.totalHPP, operator: '=', total: true }
+    ];
+  }
+
+  /**
+   * Validate calculation result
+   */
+  validate() {
+    return defaultValidationManager.validateTradingData(this).isValid;
+  }
+
+  /**
+   * Get calculation summary
+   */
+  getSummary() {
+    return {
+      mode: this.mode,
+      netPurchases: this.netPurchases,
+      goodsAvailableForSale: this.goodsAvailableForSale,
+      unitsSold: this.unitsSold,
+      hppPerUnit: this.hppPerUnit,
+      totalHPP: this.totalHPP,
+      inventoryTurnover: this.inventoryTurnover,
+      pricing: this.pricing,
+      channelComparison: this.channelComparison,
+      isValid: this.isValid,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      mode: this.mode,
+      beginningInventory: this.beginningInventory,
+      purchases: this.purchases,
+      purchaseReturns: this.purchaseReturns,
+      purchaseDiscounts: this.purchaseDiscounts,
+      freightIn: this.freightIn,
+      endingInventory: this.endingInventory,
+      unitsSold: this.unitsSold,
+      netPurchases: this.netPurchases,
+      goodsAvailableForSale: this.goodsAvailableForSale,
+      hppPerUnit: this.hppPerUnit,
+      totalHPP: this.totalHPP,
+      inventoryTurnover: this.inventoryTurnover,
+      components: this.components,
+      pricing: this.pricing,
+      channelComparison: this.channelComparison,
+      timestamp: this.timestamp,
+      isValid: this.isValid
+    };
+  }
+}
+
+/**
+ * Process Costing Result
+ * HPP per unit = biaya yang ditransfer ke gudang ÷ unit selesai departemen terakhir
+ */
+export class ProcessCostingResult {
+  constructor(data = {}) {
+    this.mode = 'process';
+    this.method = data.method || 'weightedAverage';
+    this.departments = Array.isArray(data.departments) ? data.departments : [];
+
+    // Cost-of-production report per department
+    const report = defaultProcessCosting.calculate(this.departments, this.method);
+    this.reports = report.departments;
+
+    // Calculated values
+    this.totalUnits = report.completedUnits;
+    this.totalHPP = report.totalCost;
+    this.hppPerUnit = report.costPerUnit;
+    this.endingWIP = MoneyHelper.sum(this.reports.map(department => department.costs.endingWIP));
+
+    this.pricing = null;
+    this.channelComparison = null;
+
+    // Metadata
+    this.timestamp = new Date().toISOString();
+    this.isValid = this.validate();
+  }
+
+  /**
+   * Validate calculation result
+   */
+  validate() {
+    return defaultValidationManager.validateProcessCosting(this).isValid;
+  }
+
+  /**
+   * Get calculation summary
+   */
+  getSummary() {
+    return {
+      mode: this.mode,
+      method: this.method,
+      totalUnits: this.totalUnits,
+      hppPerUnit: this.hppPerUnit,
+      totalHPP: this.totalHPP,
+      endingWIP: this.endingWIP,
+      reports: this.reports,
+      pricing: this.pricing,
+      channelComparison: this.channelComparison,
+      isValid: this.isValid,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      mode: this.mode,
+      method: this.method,
+      departments: this.departments,
+      reports: this.reports,
+      totalUnits: this.totalUnits,
+      hppPerUnit: this.hppPerUnit,
+      totalHPP: this.totalHPP,
+      endingWIP: this.endingWIP,
+      pricing: this.pricing,
+      channelComparison: this.channelComparison,
+      timestamp: this.timestamp,
+      isValid: this.isValid
+    };
+  }
+}
+
+/**
+ * Job Cost Sheet (kartu harga pokok pesanan)
+ * Per-unit figure comes from HPPResult over the job's materials, labor and applied overhead
+ */
+export class JobCostSheet {
+  constructor(data = {}) {
+    this.mode = 'job';
+    this.job = data instanceof JobOrder ? data : new JobOrder(data);
+
+    // Cost records
+    this.materials = this.job.getMaterialLines();
+    this.labor = this.job.getLaborLines();
+    this.overhead = {
+      basis: this.job.overhead.basis,
+      rate: this.job.overhead.rate,
+      base: this.job.getOverheadBase(),
+      amount: this.job.getAppliedOverhead()
+    };
+
+    // Calculated values
+    this.result = new HPPResult(this.job.toInputData());
+    this.totalUnits = this.result.totalUnits;
+    this.totalHPP = this.result.totalHPP;
+    this.hppPerUnit = this.result.hppPerUnit;
+    this.breakdown = this.result.breakdown;
+
+    this.pricing = null;
+    this.channelComparison = null;
+
+    // Metadata
+    this.timestamp = new Date().toISOString();
+    this.isValid = this.validate();
+  }
+
+  /**
+   * Validate calculation result
+   */
+  validate() {
+    return defaultValidationManager.validateJob(this.job).isValid && this.result.isValid;
+  }
+
+  /**
+   * Get calculation summary
+   */
+  getSummary() {
+    return {
+      mode: this.mode,
+      jobNumber: this.job.number,
+      status: this.job.status,
+      totalUnits: this.totalUnits,
+      hppPerUnit: this.hppPerUnit,
+      totalHPP: this.totalHPP,
+      appliedOverhead: this.overhead.amount,
+      pricing: this.pricing,
+      channelComparison: this.channelComparison,
+      isValid: this.isValid,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      mode: this.mode,
+      job: this.job.toJSON(),
+      materials: this.materials,
+      labor: this.labor,
+      overhead: this.overhead,
+      directMaterials: this.result.directMaterials,
+      directLabor: this.result.directLabor,
+      manufacturingOverhead: this.result.manufacturingOverhead,
+      totalUnits: this.totalUnits,
       hppPerUnit: this.hppPerUnit,
       totalHPP: this.totalHPP,
       breakdown: this.breakdown,
+      pricing: this.pricing,
+      channelComparison: this.channelComparison,
       timestamp: this.timestamp,
       isValid: this.isValid
     };
@@ -145,6 +588,7 @@ export class HPPCalculator {
   constructor(options = {}) {
     this.options = {
       precision: 2,
+      pricingRoundingMode: DEFAULTS.pricingRoundingMode,
       validateInput: true,
       logCalculations: false,
       enableCaching: true,
@@ -154,13 +598,34 @@ export class HPPCalculator {
     this.calculationHistory = [];
     this.cache = new Map();
     this.callbacks = new Map();
+
+    // Current raw material prices, applied to BOM lines that reference a material
+    this.materialMaster = new MaterialMaster();
+
+    // Monte Carlo run in progress: { worker, resolve }
+    this.monteCarloRun = null;
   }
 
   /**
    * Calculate HPP from input data
    */
   calculate(inputData) {
+    if (inputData && inputData.calculationMode === 'trading') {
+      return this.applySalesAnalysis(this.calculateTrading(inputData), inputData);
+    }
+
+    if (inputData && inputData.calculationMode === 'process') {
+      return this.applySalesAnalysis(this.calculateProcess(inputData), inputData);
+    }
+
+    if (inputData && inputData.calculationMode === 'job') {
+      return this.applySalesAnalysis(this.calculateJob(inputData.job || inputData), inputData);
+    }
+
     try {
+      // Roll up line-item models into cost components
+      inputData = this.prepareInputData(inputData);
+
       // Validate input data
       if (this.options.validateInput) {
         const validation = defaultValidationManager.validateHPPData(inputData);
@@ -177,14 +642,24 @@ export class HPPCalculator {
         const cacheKey = this.generateCacheKey(normalizedData);
         const cachedResult = this.cache.get(cacheKey);
         if (cachedResult) {
-          this.triggerCallback('cache-hit', cachedResult);
-          return cachedResult;
+          // Sales analysis is set on a copy so callers holding the cached result do not see it change;
+          // the simulation runs after calculate() returns, so the copy must not keep the previous one
+          const result = cachedResult.clone({ monteCarlo: null });
+          this.triggerCallback('cache-hit', result);
+          return this.applySalesAnalysis(result, inputData);
         }
       }
 
       // Create calculation result
       const result = new HPPResult(normalizedData);
 
+      // Compare actual costs with the product's standard costs
+      if (normalizedData.standardCosting) {
+        result.variances = this.calculateVariances(result, normalizedData.standardCosting);
+      }
+
+      this.applySalesAnalysis(result, inputData);
+
       // Cache result if enabled
       if (this.options.enableCaching) {
         const cacheKey = this.generateCacheKey(normalizedData);
@@ -217,127 +692,1281 @@ export class HPPCalculator {
   }
 
   /**
-   * Calculate with step-by-step breakdown
+   * Standard cost variances of a manufacturing result
+   * Amounts are actual minus standard: positive is unfavorable, negative is favorable
+   * @param {HPPResult} result - Actual costs and units produced
+   * @param {Object} standardCosting - { profile, actual: { materialsQuantity, laborHours } }
+   * @returns {Object} Variances grouped by cost element
    */
-  calculateDetailed(inputData) {
-    const steps = [];
-    
-    try {
-      // Step 1: Input validation
-      steps.push({
-        step: 1,
-        description: 'Validasi input data',
-        data: inputData,
-        timestamp: new Date().toISOString()
-      });
-
-      const normalizedData = this.normalizeInputData(inputData);
-
-      // Step 2: Normalize data
-      steps.push({
-        step: 2,
-        description: 'Normalisasi data',
-        data: normalizedData,
-        timestamp: new Date().toISOString()
-      });
-
-      // Step 3: Calculate total costs
-      const totalCosts = normalizedData.directMaterials + 
-                        normalizedData.directLabor + 
-                        normalizedData.manufacturingOverhead + 
-                        normalizedData.otherCosts;
-
-      steps.push({
-        step: 3,
-        description: 'Hitung total biaya produksi',
-        calculation: `${normalizedData.directMaterials} + ${normalizedData.directLabor} + ${normalizedData.manufacturingOverhead} + ${normalizedData.otherCosts}`,
-        result: totalCosts,
-        timestamp: new Date().toISOString()
-      });
+  calculateVariances(result, standardCosting) {
+    const profile = new StandardCostProfile(standardCosting.profile);
+    const actual = standardCosting.actual || {};
+    const units = result.totalUnits;
+    const round = (value) => MoneyHelper.round(value);
 
-      // Step 4: Calculate HPP per unit
-      const hppPerUnit = totalCosts / normalizedData.totalUnits;
+    // Materials: AQ × AP against SQ × SP
+    const actualQuantity = parseFloat(actual.materialsQuantity) || 0;
+    const standardQuantity = profile.materials.quantityPerUnit * units;
+    const standardPrice = profile.materials.price;
 
-      steps.push({
-        step: 4,
-        description: 'Hitung HPP per unit',
-        calculation: `${totalCosts} ÷ ${normalizedData.totalUnits}`,
-        result: hppPerUnit,
-        timestamp: new Date().toISOString()
-      });
+    // Labor: AH × AR against SH × SR
+    const actualHours = parseFloat(actual.laborHours) || 0;
+    const standardHours = profile.labor.hoursPerUnit * units;
+    const standardRate = profile.labor.rate;
 
-      // Step 5: Final result
-      const result = new HPPResult(normalizedData);
+    // Overhead: flexible budget at standard hours allowed against overhead applied on those hours
+    const { fixedBudget, variableRate } = profile.overhead;
+    const overheadRate = profile.getOverheadRate();
+    const flexibleBudget = round(fixedBudget + variableRate * standardHours);
 
-      steps.push({
-        step: 5,
-        description: 'Hasil akhir perhitungan HPP',
-        result: result.getSummary(),
-        timestamp: new Date().toISOString()
-      });
+    const groups = [
+      {
+        key: 'directMaterials',
+        actual: result.directMaterials,
+        standard: round(standardQuantity * standardPrice),
+        variances: [
+          {
+            key: 'price',
+            amount: round(result.directMaterials - actualQuantity * standardPrice),
+            formula: `${result.directMaterials} − (${actualQuantity} × ${standardPrice})`
+          },
+          {
+            key: 'quantity',
+            amount: round((actualQuantity - standardQuantity) * standardPrice),
+            formula: `(${actualQuantity} − ${round(standardQuantity)}) × ${standardPrice}`
+          }
+        ]
+      },
+      {
+        key: 'directLabor',
+        actual: result.directLabor,
+        standard: round(standardHours * standardRate),
+        variances: [
+          {
+            key: 'rate',
+            amount: round(result.directLabor - actualHours * standardRate),
+            formula: `${result.directLabor} − (${actualHours} × ${standardRate})`
+          },
+          {
+            key: 'efficiency',
+            amount: round((actualHours - standardHours) * standardRate),
+            formula: `(${actualHours} − ${round(standardHours)}) × ${standardRate}`
+          }
+        ]
+      },
+      {
+        key: 'manufacturingOverhead',
+        actual: result.manufacturingOverhead,
+        standard: round(standardHours * overheadRate),
+        variances: [
+          {
+            key: 'spending',
+            amount: round(result.manufacturingOverhead - flexibleBudget),
+            formula: `${result.manufacturingOverhead} − (${fixedBudget} + ${variableRate} × ${round(standardHours)})`
+          },
+          {
+            key: 'volume',
+            amount: round(flexibleBudget - standardHours * overheadRate),
+            formula: `${flexibleBudget} − (${round(standardHours)} × ${round(overheadRate)})`
+          }
+        ]
+      }
+    ].map(group => {
+      const config = VARIANCE_GROUPS[group.key];
+      const total = round(group.actual - group.standard);
 
       return {
-        result,
-        steps,
-        success: true
+        ...group,
+        label: config.label,
+        variances: group.variances.map(variance => ({
+          ...variance,
+          label: config.variances[variance.key],
+          type: this.getVarianceType(variance.amount)
+        })),
+        total,
+        type: this.getVarianceType(total)
       };
+    });
 
-    } catch (error) {
-      steps.push({
-        step: 'error',
-        description: 'Error dalam perhitungan',
-        error: error.message,
-        timestamp: new Date().toISOString()
-      });
+    const standardTotal = round(groups.reduce((sum, group) => sum + group.standard, 0));
+    const actualTotal = round(groups.reduce((sum, group) => sum + group.actual, 0));
+    const totalVariance = round(actualTotal - standardTotal);
 
-      return {
-        result: null,
-        steps,
-        success: false,
-        error: error.message
-      };
-    }
+    return {
+      profile: profile.toJSON(),
+      units,
+      standardCostPerUnit: profile.getStandardCostPerUnit(),
+      standardQuantity: round(standardQuantity),
+      standardHours: round(standardHours),
+      groups,
+      standardTotal,
+      actualTotal,
+      totalVariance,
+      type: this.getVarianceType(totalVariance)
+    };
   }
 
   /**
-   * Calculate multiple scenarios
+   * Favorable when actual cost is below standard, unfavorable when above
    */
-  calculateScenarios(baseData, scenarios) {
-    const results = [];
+  getVarianceType(amount) {
+    if (amount > 0) return 'unfavorable';
+    if (amount < 0) return 'favorable';
+    return 'none';
+  }
+
+  /**
+   * Copy of a cached trading, process or job result: calculate() sets the sales analysis on the copy,
+   * so results returned earlier keep theirs
+   */
+  copyCachedResult(cachedResult) {
+    return Object.assign(Object.create(Object.getPrototypeOf(cachedResult)), cachedResult);
+  }
+
+  /**
+   * Calculate trading company COGS from inventory and purchases
+   */
+  calculateTrading(inputData) {
+    try {
+      const normalizedData = this.normalizeTradingData(inputData);
+
+      if (this.options.validateInput) {
+        const validation = defaultValidationManager.validateTradingData(normalizedData);
+        if (!validation.isValid) {
+          throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+        }
+      }
+
+      if (this.options.enableCaching) {
+        const cachedResult = this.cache.get(this.generateCacheKey(normalizedData));
+        if (cachedResult) {
+          const result = this.copyCachedResult(cachedResult);
+          this.triggerCallback('cache-hit', result);
+          return result;
+        }
+      }
+
+      const result = new TradingCOGSResult(normalizedData);
+
+      if (this.options.enableCaching) {
+        this.cache.set(this.generateCacheKey(normalizedData), result);
+      }
+
+      this.addToHistory(result);
+
+      if (this.options.logCalculations) {
+        console.log('Trading COGS Calculation:', result.getSummary());
+      }
+
+      this.triggerCallback('calculation-complete', result);
+
+      return result;
+
+    } catch (error) {
+      const errorResult = {
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        isValid: false
+      };
+
+      this.triggerCallback('calculation-error', errorResult);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate process costing HPP with equivalent units per department
+   */
+  calculateProcess(inputData) {
+    try {
+      const normalizedData = this.normalizeProcessData(inputData);
+
+      if (this.options.validateInput) {
+        const validation = defaultValidationManager.validateProcessCosting(normalizedData);
+        if (!validation.isValid) {
+          throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+        }
+      }
+
+      if (this.options.enableCaching) {
+        const cachedResult = this.cache.get(this.generateCacheKey(normalizedData));
+        if (cachedResult) {
+          const result = this.copyCachedResult(cachedResult);
+          this.triggerCallback('cache-hit', result);
+          return result;
+        }
+      }
+
+      const result = new ProcessCostingResult(normalizedData);
+
+      if (this.options.enableCaching) {
+        this.cache.set(this.generateCacheKey(normalizedData), result);
+      }
+
+      this.addToHistory(result);
+
+      if (this.options.logCalculations) {
+        console.log('Process Costing Calculation:', result.getSummary());
+      }
+
+      this.triggerCallback('calculation-complete', result);
+
+      return result;
+
+    } catch (error) {
+      const errorResult = {
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        isValid: false
+      };
+
+      this.triggerCallback('calculation-error', errorResult);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate job cost sheet for a single job order
+   */
+  calculateJob(jobData) {
+    try {
+      const job = new JobOrder(jobData);
+
+      if (this.options.validateInput) {
+        const validation = defaultValidationManager.validateJob(job);
+        if (!validation.isValid) {
+          throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+        }
+      }
+
+      if (this.options.enableCaching) {
+        const cachedResult = this.cache.get(this.generateCacheKey(job.toJSON()));
+        if (cachedResult) {
+          const result = this.copyCachedResult(cachedResult);
+          this.triggerCallback('cache-hit', result);
+          return result;
+        }
+      }
+
+      const result = new JobCostSheet(job);
+
+      if (this.options.enableCaching) {
+        this.cache.set(this.generateCacheKey(job.toJSON()), result);
+      }
+
+      this.addToHistory(result);
+
+      if (this.options.logCalculations) {
+        console.log('Job Order Calculation:', result.getSummary());
+      }
+
+      this.triggerCallback('calculation-complete', result);
+
+      return result;
+
+    } catch (error) {
+      const errorResult = {
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        isValid: false
+      };
+
+      this.triggerCallback('calculation-error', errorResult);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate with step-by-step breakdown
+   */
+  calculateDetailed(inputData) {
+    const steps = [];
+    const addStep = (step) => {
+      steps.push({
+        step: steps.length + 1,
+        ...step,
+        timestamp: new Date().toISOString()
+      });
+    };
+    
+    try {
+      // Input validation
+      addStep({
+        description: 'Validasi input data',
+        data: inputData
+      });
+
+      // Trading company: inventory and purchases formula
+      if (inputData.calculationMode === 'trading') {
+        const result = new TradingCOGSResult(this.normalizeTradingData(inputData));
+
+        addStep({
+          description: 'Hitung pembelian bersih',
+          calculation: `${result.purchases} − ${result.purchaseReturns} − ${result.purchaseDiscounts} + ${result.freightIn}`,
+          result: result.netPurchases
+        });
+
+        addStep({
+          description: 'Hitung barang tersedia untuk dijual',
+          calculation: `${result.beginningInventory} + ${result.netPurchases}`,
+          result: result.goodsAvailableForSale
+        });
+
+        addStep({
+          description: 'Hitung harga pokok penjualan',
+          calculation: `${result.goodsAvailableForSale} − ${result.endingInventory}`,
+          result: result.totalHPP
+        });
+
+        addStep({
+          description: 'Hitung HPP per unit terjual',
+          calculation: `${result.totalHPP} ÷ ${result.unitsSold}`,
+          result: result.hppPerUnit
+        });
+
+        return {
+          result,
+          steps,
+          success: true
+        };
+      }
+
+      // Process costing: equivalent units, cost per unit and cost assignment per department
+      if (inputData.calculationMode === 'process') {
+        const result = new ProcessCostingResult(this.normalizeProcessData(inputData));
+
+        result.reports.forEach(department => {
+          const units = department.units;
+          const isFifo = department.method === 'fifo';
+
+          addStep({
+            description: `${department.name}: unit ekuivalen`,
+            calculation: department.lines
+              .map(line => isFifo
+                ? `${line.label}: ${line.beginningEquivalentUnits} + ${units.startedAndCompleted} + ${line.endingEquivalentUnits} = ${line.equivalentUnits}`
+                : `${line.label}: ${units.completed} + ${line.endingEquivalentUnits} = ${line.equivalentUnits}`)
+              .join('; '),
+            result: Object.fromEntries(department.lines.map(line => [line.category, line.equivalentUnits]))
+          });
+
+          addStep({
+            description: `${department.name}: biaya per unit ekuivalen`,
+            calculation: department.lines
+              .map(line => isFifo
+                ? `${line.label}: ${line.addedCost} ÷ ${line.equivalentUnits}`
+                : `${line.label}: (${line.beginningCost} + ${line.addedCost}) ÷ ${line.equivalentUnits}`)
+              .join('; '),
+            result: department.costs.costPerEquivalentUnit
+          });
+
+          addStep({
+            description: `${department.name}: biaya BDP akhir`,
+            calculation: department.lines
+              .map(line => `${line.label}: ${line.endingCost}`)
+              .join(' + '),
+            result: department.costs.endingWIP
+          });
+
+          addStep({
+            description: `${department.name}: biaya yang ditransfer keluar`,
+            calculation: `${department.costs.total} − ${department.costs.endingWIP}`,
+            result: department.costs.transferredOut
+          });
+        });
+
+        addStep({
+          description: 'Hitung HPP per unit selesai',
+          calculation: `${result.totalHPP} ÷ ${result.totalUnits}`,
+          result: result.hppPerUnit
+        });
+
+        return {
+          result,
+          steps,
+          success: true
+        };
+      }
+
+      // Job order: requisitions, labor tickets and applied overhead of one job
+      if (inputData.calculationMode === 'job') {
+        const result = new JobCostSheet(inputData.job || inputData);
+
+        addStep({
+          description: `Pesanan ${result.job.number}: bahan baku dari bon permintaan`,
+          calculation: result.materials
+            .map(line => `${line.description}: ${line.quantity} × ${line.unitCost}`)
+            .join(' + '),
+          result: result.result.directMaterials
+        });
+
+        addStep({
+          description: `Pesanan ${result.job.number}: tenaga kerja dari kartu jam kerja`,
+          calculation: result.labor
+            .map(line => `${line.employee}: ${line.hours} jam × ${line.hourlyRate}`)
+            .join(' + '),
+          result: result.result.directLabor
+        });
+
+        addStep({
+          description: `Pesanan ${result.job.number}: overhead dibebankan dengan tarif ditentukan di muka`,
+          calculation: result.overhead.basis === 'laborCost'
+            ? `${result.overhead.base} × ${result.overhead.rate}%`
+            : `${result.overhead.base} jam × ${result.overhead.rate}`,
+          result: result.overhead.amount
+        });
+
+        addStep({
+          description: 'Hitung total biaya pesanan',
+          calculation: `${result.result.directMaterials} + ${result.result.directLabor} + ${result.overhead.amount}`,
+          result: result.totalHPP
+        });
+
+        addStep({
+          description: 'Hitung HPP per unit pesanan',
+          calculation: `${result.totalHPP} ÷ ${result.totalUnits}`,
+          result: result.hppPerUnit
+        });
+
+        return {
+          result,
+          steps,
+          success: true
+        };
+      }
+
+      // Bill of materials roll-up, with materials costed from their purchase lots
+      const valuedBOM = this.materialMaster.valueBOM(inputData.bom, defaultInventoryValuation);
+      valuedBOM.consumptions.forEach(consumption => {
+        addStep({
+          description: `Hitung pemakaian ${consumption.name} dari lot pembelian (${INVENTORY_VALUATION_METHODS[consumption.method].label})`,
+          calculation: consumption.lots
+            .map(lot => lot.id
+              ? `lot ${lot.date}: ${lot.quantity} kemasan × ${lot.price}`
+              : `di luar lot: ${lot.quantity} kemasan × ${lot.price}`)
+            .join(' + '),
+          result: consumption.amount,
+          lots: consumption.lots
+        });
+      });
+
+      const bom = new BillOfMaterials(valuedBOM.lines);
+      if (!bom.isEmpty()) {
+        addStep({
+          description: 'Hitung biaya bahan baku dari BOM',
+          calculation: bom.lines
+            .map(line => `${line.name}: ${line.quantity} ${line.unit} × (1 + ${line.wastePercentage}%) × ${line.pricePerUnit}`)
+            .join(' + '),
+          result: bom.getTotalCost()
+        });
+      }
+
+      // Labor roles roll-up
+      const labor = new LaborCosting(inputData.labor);
+      if (!labor.isEmpty()) {
+        addStep({
+          description: 'Hitung biaya tenaga kerja per peran',
+          calculation: labor.roles
+            .map(role => `${role.role}: ${role.hours} jam × ${role.hourlyRate} + ${role.overtimeHours} jam × ${role.hourlyRate} × ${role.overtimeMultiplier}`)
+            .join(' + '),
+          result: labor.getTotalCost()
+        });
+      }
+
+      // Pools and activities as allocated, including the depreciation pool line
+      const preparedData = this.prepareInputData(inputData);
+
+      // Shared overhead allocation
+      if (preparedData.overheadAllocation) {
+        const allocation = defaultOverheadAllocator.allocate(
+          preparedData.overheadAllocation.pools,
+          preparedData.overheadAllocation.products
+        );
+
+        addStep({
+          description: 'Hitung tarif alokasi overhead per pos biaya',
+          calculation: allocation.rates
+            .map(rate => `${rate.name}: ${rate.amount} ÷ ${rate.totalDriver} ${rate.basisLabel.toLowerCase()}`)
+            .join('; '),
+          result: allocation.rates.map(rate => ({ name: rate.name, basis: rate.basis, rate: rate.rate }))
+        });
+
+        const allocated = defaultOverheadAllocator.allocateToProduct(preparedData.overheadAllocation);
+        if (allocated) {
+          addStep({
+            description: `Alokasikan overhead ke produk ${allocated.name}`,
+            calculation: allocated.items
+              .map(item => `${item.name}: ${item.driverQuantity} × ${item.rate}`)
+              .join(' + '),
+            result: allocated.amount
+          });
+        }
+      }
+
+      // Activity-based costing: one step per activity pool
+      if (preparedData.activityCosting) {
+        const costing = defaultActivityBasedCosting.allocate(
+          preparedData.activityCosting.activities,
+          preparedData.activityCosting.products
+        );
+        const assigned = defaultActivityBasedCosting.allocateToProduct(preparedData.activityCosting);
+
+        costing.activities.forEach(activity => {
+          const item = assigned ? assigned.items.find(entry => entry.id === activity.id) : null;
+
+          addStep({
+            description: `Aktivitas ${activity.name}: tarif dan pembebanan ke produk`,
+            calculation: `Tarif = ${activity.cost} ÷ ${activity.totalDriver} ${activity.driver} = ${activity.rate}` +
+              (item ? `; ${assigned.name}: ${item.driverQuantity} ${activity.driver} × ${item.rate}` : ''),
+            result: {
+              activity: activity.name,
+              driver: activity.driver,
+              totalDriver: activity.totalDriver,
+              rate: activity.rate,
+              consumption: item ? item.driverQuantity : 0,
+              assigned: item ? item.amount : 0
+            }
+          });
+        });
+
+        if (assigned) {
+          addStep({
+            description: `Total overhead ABC untuk produk ${assigned.name}`,
+            calculation: assigned.items.map(item => item.amount).join(' + '),
+            result: assigned.amount
+          });
+        }
+      }
+
+      // Monthly depreciation of fixed assets charged to overhead
+      if (preparedData.depreciation) {
+        const depreciation = preparedData.depreciation;
+
+        addStep({
+          description: `Tambahkan penyusutan aset bulan ${depreciation.period} ke overhead pabrik`,
+          calculation: depreciation.charges
+            .map(charge => `${charge.name} (${DEPRECIATION_METHODS[charge.method].label}): ${charge.amount}`)
+            .join(' + ') +
+            (depreciation.charged !== depreciation.total ? `; bagian produk ini ${depreciation.charged}` : ''),
+          result: depreciation.charged
+        });
+      }
+
+      const normalizedData = this.normalizeInputData(preparedData);
+
+      // Normalize data
+      addStep({
+        description: 'Normalisasi data',
+        data: normalizedData
+      });
+
+      // PPN masukan removed from tax-inclusive components
+      if (normalizedData.tax) {
+        normalizedData.tax.lines
+          .filter(line => line.treatment === 'inclusive')
+          .forEach(line => {
+            addStep({
+              description: `Keluarkan PPN masukan ${normalizedData.tax.rate}% dari ${line.label}`,
+              calculation: `${line.gross} ÷ (1 + ${normalizedData.tax.rate}%)`,
+              result: line.net
+            });
+          });
+      }
+
+      // Recipe batch: output after yield and process loss, then whole packs
+      if (normalizedData.batch) {
+        const batch = normalizedData.batch;
+
+        addStep({
+          description: `Hitung hasil batch setelah rendemen ${batch.yieldPercentage}% dan susut proses ${batch.processLoss}%`,
+          calculation: `${batch.inputQuantity} ${batch.baseUnit} × ${batch.yieldPercentage}% × (100% − ${batch.processLoss}%)`,
+          result: batch.outputQuantity
+        });
+
+        addStep({
+          description: 'Hitung jumlah unit (kemasan utuh) dari hasil batch',
+          calculation: `${batch.outputQuantity} ÷ ${batch.packQuantity} ${batch.baseUnit}`,
+          result: batch.totalUnits
+        });
+      }
+
+      // Calculate total costs
+      const totalCosts = MoneyHelper.sum([
+        normalizedData.directMaterials,
+        normalizedData.directLabor,
+        normalizedData.manufacturingOverhead,
+        normalizedData.otherCosts
+      ]);
+
+      addStep({
+        description: 'Hitung total biaya produksi',
+        calculation: `${normalizedData.directMaterials} + ${normalizedData.directLabor} + ${normalizedData.manufacturingOverhead} + ${normalizedData.otherCosts}`,
+        result: totalCosts
+      });
+
+      // Final result
+      const result = new HPPResult(normalizedData);
+
+      // Manufacturing statement: one step per statement subtotal
+      if (result.statement) {
+        const inventory = result.inventory;
+        const workInProcess = result.statement.costOfGoodsManufactured.find(line => line.key === 'workInProcess');
+        const goodsAvailable = result.statement.costOfGoodsSold.find(line => line.key === 'goodsAvailableForSale');
+
+        addStep({
+          description: 'Tambah persediaan awal barang dalam proses',
+          calculation: `${inventory.beginningWIP} + ${result.totalCosts}`,
+          result: workInProcess.amount
+        });
+
+        addStep({
+          description: 'Kurangi persediaan akhir barang dalam proses: harga pokok produksi',
+          calculation: `${workInProcess.amount} − ${inventory.endingWIP}`,
+          result: result.costOfGoodsManufactured
+        });
+
+        addStep({
+          description: 'Hitung harga pokok produksi per unit',
+          calculation: `${result.costOfGoodsManufactured} ÷ ${result.totalUnits}`,
+          result: result.hppPerUnit
+        });
+
+        addStep({
+          description: 'Tambah persediaan awal barang jadi: barang tersedia untuk dijual',
+          calculation: `${inventory.beginningFinishedGoods} + ${result.costOfGoodsManufactured}`,
+          result: goodsAvailable.amount
+        });
+
+        addStep({
+          description: 'Kurangi persediaan akhir barang jadi: harga pokok penjualan',
+          calculation: `${goodsAvailable.amount} − ${inventory.endingFinishedGoods}`,
+          result: result.totalHPP
+        });
+      } else {
+        // Calculate HPP per unit
+        addStep({
+          description: 'Hitung HPP per unit',
+          calculation: `${totalCosts} ÷ ${normalizedData.totalUnits}`,
+          result: MoneyHelper.divide(totalCosts, normalizedData.totalUnits)
+        });
+      }
+
+      // Standard costing: one step per variance
+      if (normalizedData.standardCosting) {
+        result.variances = this.calculateVariances(result, normalizedData.standardCosting);
+
+        result.variances.groups.forEach(group => {
+          group.variances.forEach(variance => {
+            addStep({
+              description: `${variance.label} (${VARIANCE_TYPES[variance.type].label.toLowerCase()})`,
+              calculation: variance.formula,
+              result: variance.amount
+            });
+          });
+        });
+      }
+
+      addStep({
+        description: 'Hasil akhir perhitungan HPP',
+        result: result.getSummary()
+      });
+
+      return {
+        result,
+        steps,
+        success: true
+      };
+
+    } catch (error) {
+      steps.push({
+        step: 'error',
+        description: 'Error dalam perhitungan',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      return {
+        result: null,
+        steps,
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Calculate multiple scenarios
+   * A scenario with changes ({ name, changes }) scales the base inputs by percent,
+   * any other scenario overrides base input fields directly.
+   * Scenarios are not cached, added to history or announced, so they never replace the form result
+   */
+  calculateScenarios(baseData, scenarios) {
+    const results = [];
+    const pricedData = this.fixMaterialPrices(baseData);
 
     scenarios.forEach((scenario, index) => {
-      const scenarioData = { ...baseData, ...scenario };
+      const scenarioData = scenario.changes
+        ? new Scenario(scenario).apply(pricedData)
+        : { ...pricedData, ...scenario };
       
       try {
-        const result = this.calculate(scenarioData);
-        results.push({
-          id: index + 1,
-          name: scenario.name || `Scenario ${index + 1}`,
-          data: scenarioData,
-          result: result.getSummary(),
-          success: true
-        });
+        const result = this.calculateVariation(scenarioData);
+        results.push({
+          id: scenario.id || index + 1,
+          name: scenario.name || `Scenario ${index + 1}`,
+          data: scenarioData,
+          result: result.getSummary(),
+          success: true
+        });
+      } catch (error) {
+        results.push({
+          id: scenario.id || index + 1,
+          name: scenario.name || `Scenario ${index + 1}`,
+          data: scenarioData,
+          result: null,
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Rescale the recipe of manufacturing input data to a new batch size
+   * BOM quantities (or direct materials without a BOM) follow the batch; the unit count is derived again
+   * @param {Object} inputData - Manufacturing input data with a recipe batch
+   * @param {number} size - New input size in the batch unit
+   * @returns {Object} Input data of the rescaled batch
+   */
+  rescaleBatch(inputData, size) {
+    if (!inputData.batch) {
+      throw new Error(ERROR_MESSAGES.batchRequired);
+    }
+
+    const validation = defaultValidationManager.validateBatch({ ...inputData.batch, size });
+    if (!validation.isValid) {
+      throw new Error(validation.errors.map(e => e.message).join(', '));
+    }
+
+    return new Batch(inputData.batch).scale(inputData, size);
+  }
+
+  /**
+   * Calculate a variation of manufacturing input data with pricing, CVP and channel figures
+   * Validated like calculate(), but not cached, added to history or announced
+   */
+  calculateVariation(inputData) {
+    const prepared = this.prepareInputData(inputData);
+
+    if (this.options.validateInput) {
+      const validation = defaultValidationManager.validateHPPData(prepared);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+      }
+    }
+
+    const result = new HPPResult(this.normalizeInputData(prepared));
+    this.applyPricing(result, inputData.pricing, inputData.tax);
+    this.applyCostVolumeProfit(result, inputData.cvp, result.costBehavior);
+    return this.applyChannelComparison(result, inputData.salesChannels, inputData.tax);
+  }
+
+  /**
+   * Compare named scenarios side by side with the form inputs
+   * @param {Object} baseData - Manufacturing input data from the form
+   * @param {Array<Object>} scenarios - Scenarios { id, name, changes } with changes in percent
+   * @returns {Object} HPP, total costs and cost mix per scenario, with the change from the form inputs
+   */
+  calculateScenarioComparison(baseData, scenarios) {
+    if (baseData.calculationMode && baseData.calculationMode !== 'manufacturing') {
+      throw new Error(ERROR_MESSAGES.scenariosManufacturingOnly);
+    }
+
+    const validation = defaultValidationManager.validateScenarios(scenarios);
+    if (!validation.isValid) {
+      throw new Error(validation.errors[0].message);
+    }
+
+    const base = this.calculateVariation(baseData);
+    const items = scenarios.map(scenario => new Scenario(scenario));
+
+    const results = this.calculateScenarios(baseData, items.map(item => item.toJSON())).map((entry, index) => {
+      const scenario = {
+        id: items[index].id,
+        name: items[index].name,
+        changes: items[index].changes
+      };
+
+      if (!entry.success) {
+        return { ...scenario, success: false, error: entry.error };
+      }
+
+      const { result } = entry;
+      const hppChange = MoneyHelper.subtract(result.hppPerUnit, base.hppPerUnit);
+
+      return {
+        ...scenario,
+        success: true,
+        totalUnits: result.totalUnits,
+        totalCosts: result.totalCosts,
+        totalHPP: result.totalHPP,
+        hppPerUnit: result.hppPerUnit,
+        hppChange,
+        hppChangePercentage: NumberHelper.percentage(hppChange, base.hppPerUnit),
+        costMix: Object.fromEntries(
+          Object.entries(result.breakdown).map(([key, data]) => [key, data.percentage])
+        )
+      };
+    });
+
+    const calculated = results.filter(scenario => scenario.success);
+
+    const comparison = {
+      scenarios: results,
+      summary: {
+        count: results.length,
+        calculated: calculated.length,
+        failed: results.length - calculated.length,
+        baseHppPerUnit: base.hppPerUnit,
+        baseTotalCosts: base.totalCosts,
+        maxTotalCosts: calculated.reduce((max, scenario) => Math.max(max, scenario.totalCosts), base.totalCosts),
+        lowestHppId: calculated.length > 0
+          ? calculated.reduce((min, scenario) => scenario.hppPerUnit < min.hppPerUnit ? scenario : min).id
+          : null,
+        highestHppId: calculated.length > 0
+          ? calculated.reduce((max, scenario) => scenario.hppPerUnit > max.hppPerUnit ? scenario : max).id
+          : null
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    this.triggerCallback('scenarios-calculated', comparison);
+    return comparison;
+  }
+
+  /**
+   * Sensitivity of HPP per unit to each cost driver
+   * Like calculateScenarios, the variations are not cached, added to history or announced
+   * @param {Object} baseData - Manufacturing input data
+   * @param {Object} options - { range, step } in percent, sellingPrice to report margins
+   * @returns {Object} HPP per unit and margin per driver and step, drivers ranked by swing
+   */
+  calculateSensitivity(baseData, options = {}) {
+    if (baseData.calculationMode && baseData.calculationMode !== 'manufacturing') {
+      throw new Error(ERROR_MESSAGES.sensitivityManufacturingOnly);
+    }
+
+    const settings = {
+      range: DEFAULTS.sensitivityRange,
+      step: DEFAULTS.sensitivityStep,
+      ...options
+    };
+
+    const validation = defaultValidationManager.validateSensitivity(settings);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.map(e => e.message).join(', '));
+    }
+
+    const evaluate = (data) => new HPPResult(this.normalizeInputData(this.prepareInputData(data)));
+    const analysis = defaultSensitivityAnalysis.analyze(this.fixMaterialPrices(baseData), evaluate, settings);
+
+    this.triggerCallback('sensitivity-calculated', analysis);
+    return analysis;
+  }
+
+  /**
+   * Set or clear the sensitivity analysis requested in the input data (manufacturing only)
+   * Margins use the entered selling price, else the CVP or recommended selling price
+   */
+  applySensitivity(result, inputData) {
+    if (!(result instanceof HPPResult)) return result;
+
+    const sensitivity = inputData.sensitivity;
+    if (!sensitivity) {
+      result.sensitivity = null;
+      return result;
+    }
+
+    const sellingPrice = parseFloat(sensitivity.sellingPrice) ||
+      (result.cvp ? result.cvp.sellingPrice : 0) ||
+      (result.pricing ? result.pricing.sellingPrice : 0);
+
+    result.sensitivity = this.calculateSensitivity(inputData, { ...sensitivity, sellingPrice });
+    return result;
+  }
+
+  /**
+   * Goal seek: find the value of one input at which a summary metric reaches a target
+   * Solved by bisection, so the metric should move in one direction as the input grows.
+   * Like calculateSensitivity, the trial calculations are not cached, added to history or announced
+   * @param {Object} baseData - Manufacturing input data
+   * @param {Object} goal - { variable, metric (path into getSummary()), target, min, max }
+   * @returns {Object} Solved input value, metric reached and whether the target is achievable
+   */
+  goalSeek(baseData, goal = {}) {
+    if (baseData.calculationMode && baseData.calculationMode !== 'manufacturing') {
+      throw new Error(ERROR_MESSAGES.goalSeekManufacturingOnly);
+    }
+
+    const validation = defaultValidationManager.validateGoalSeek(goal);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.map(e => e.message).join(', '));
+    }
+
+    baseData = this.fixMaterialPrices(baseData);
+    const { variable, metric } = goal;
+    const target = parseFloat(goal.target);
+    const isInteger = Boolean(GOAL_SEEK_VARIABLES[variable].integer);
+    const prepared = this.prepareInputData(baseData);
+    const baseValue = isInteger ? parseInt(prepared.totalUnits) || 1 : parseFloat(prepared[variable]) || 0;
+    const driver = defaultSensitivityAnalysis.getDrivers(baseData).find(item => item.key === variable);
+
+    // Line items are scaled to the new component total; without a base amount the component is set directly
+    const withValue = (value) => {
+      if (isInteger) return { ...baseData, totalUnits: value, batch: null };
+      if (baseValue > 0) return driver.apply(baseData, (value / baseValue - 1) * 100);
+
+      const data = { ...baseData, [variable]: value };
+      if (variable === 'directMaterials') data.bom = [];
+      if (variable === 'directLabor') data.labor = [];
+      if (variable === 'manufacturingOverhead') {
+        data.overheadAllocation = null;
+        data.activityCosting = null;
+        data.depreciation = null;
+      }
+      return data;
+    };
+
+    const evaluate = (value) => {
+      const data = withValue(value);
+      const result = new HPPResult(this.normalizeInputData(this.prepareInputData(data)));
+      if (metric.startsWith('pricing.')) this.applyPricing(result, data.pricing, data.tax);
+      if (metric.startsWith('cvp.')) this.applyCostVolumeProfit(result, data.cvp, result.costBehavior);
+
+      const metricValue = metric.split('.').reduce((source, key) => (source ? source[key] : undefined), result.getSummary());
+      if (typeof metricValue !== 'number' || !Number.isFinite(metricValue)) {
+        throw new Error(ERROR_MESSAGES.goalSeekMetricUnavailable);
+      }
+
+      return { result, gap: metricValue - target, metricValue };
+    };
+
+    const hasMax = goal.max !== null && goal.max !== undefined && goal.max !== '';
+    const hasMin = goal.min !== null && goal.min !== undefined && goal.min !== '';
+    const limit = isInteger ? VALIDATION.maxUnits : VALIDATION.maxValue;
+    let lower = hasMin ? parseFloat(goal.min) : (isInteger ? 1 : 0);
+    let upper = hasMax ? parseFloat(goal.max) : Math.max(baseValue * 2, lower + 1);
+    if (isInteger) {
+      lower = Math.max(1, Math.ceil(lower));
+      upper = Math.max(lower, Math.floor(upper));
+    }
+
+    let low = evaluate(lower);
+    let high = evaluate(upper);
+    const start = { value: lower, gap: low.gap };
+
+    // Widen the search upwards until the target lies between the bounds
+    for (let i = 0; !hasMax && i < GOAL_SEEK.maxExpansions && Math.sign(low.gap) === Math.sign(high.gap) && upper < limit; i++) {
+      lower = upper;
+      low = high;
+      upper = Math.min(upper * 2, limit);
+      high = evaluate(upper);
+    }
+
+    let value;
+    let iterations = 0;
+    const isAchievable = low.gap === 0 || high.gap === 0 || Math.sign(low.gap) !== Math.sign(high.gap);
+
+    if (!isAchievable) {
+      // Report the end of the searched range that comes closest to the target
+      value = Math.abs(start.gap) <= Math.abs(high.gap) ? start.value : upper;
+    } else if (low.gap === 0 || high.gap === 0) {
+      value = low.gap === 0 ? lower : upper;
+    } else {
+      while (iterations < GOAL_SEEK.maxIterations && (!isInteger || upper - lower > 1)) {
+        const middle = isInteger ? Math.floor((lower + upper) / 2) : (lower + upper) / 2;
+        const trial = evaluate(middle);
+        iterations++;
+
+        if (!isInteger && (Math.abs(trial.gap) <= GOAL_SEEK.tolerance || upper - lower < 1e-9 * Math.max(1, middle))) {
+          value = middle;
+          break;
+        }
+
+        if (Math.sign(trial.gap) === Math.sign(low.gap)) {
+          lower = middle;
+          low = trial;
+        } else {
+          upper = middle;
+          high = trial;
+        }
+      }
+
+      if (value === undefined) {
+        // Whole units (or an unconverged search) settle on the bound that does not exceed the target
+        value = low.gap <= 0 ? lower : upper;
+      }
+    }
+
+    value = isInteger ? value : NumberHelper.round(value, this.options.precision);
+    const solved = evaluate(value);
+    const base = evaluate(baseValue);
+
+    const solution = {
+      variable,
+      variableLabel: GOAL_SEEK_VARIABLES[variable].label,
+      metric,
+      metricLabel: GOAL_SEEK_METRICS[metric] ? GOAL_SEEK_METRICS[metric].label : metric,
+      target,
+      baseValue,
+      baseMetricValue: base.metricValue,
+      value,
+      change: NumberHelper.round(value - baseValue, this.options.precision),
+      changePercentage: NumberHelper.percentage(value - baseValue, baseValue),
+      metricValue: solved.metricValue,
+      hppPerUnit: solved.result.hppPerUnit,
+      isAchievable,
+      iterations,
+      timestamp: new Date().toISOString()
+    };
+
+    this.triggerCallback('goal-seek-solved', solution);
+    return solution;
+  }
+
+  /**
+   * Simulation model of a manufacturing result
+   * Costs are drawn as entered (before PPN) and converted with the net-to-gross ratio of the result
+   * @param {HPPResult} result - Calculated result
+   * @param {Object} distributions - { [input]: { type, min, mode, max, stdev } }
+   * @returns {Object} { inputs: { [input]: { label, base, netRatio, distribution } }, inventoryAdjustment }
+   */
+  getMonteCarloModel(result, distributions = {}) {
+    const grossAmounts = {};
+    if (result.tax) {
+      result.tax.lines.forEach(line => {
+        grossAmounts[line.key] = line.gross;
+      });
+    }
+
+    const inputs = {};
+    Object.keys(MONTE_CARLO_INPUTS).forEach(key => {
+      const base = grossAmounts[key] !== undefined ? grossAmounts[key] : result[key];
+
+      inputs[key] = {
+        label: MONTE_CARLO_INPUTS[key].label,
+        base,
+        netRatio: key !== 'totalUnits' && base > 0 ? result[key] / base : 1,
+        distribution: defaultMonteCarloSimulation.normalizeDistribution(distributions[key], base)
+      };
+    });
+
+    return {
+      inputs,
+      // WIP change stays as calculated
+      inventoryAdjustment: MoneyHelper.subtract(result.costOfGoodsManufactured, result.totalCosts)
+    };
+  }
+
+  /**
+   * Simulate HPP per unit from uncertain inputs in a Web Worker (in this thread where workers are unavailable)
+   * Starting a new run stops the one in progress, whose promise resolves with null
+   * @param {HPPResult} result - Calculated manufacturing result, receives the simulation when it completes
+   * @param {Object} monteCarlo - { iterations, distributions, seed }
+   * @param {Function|null} onProgress - Called with the completed share (0–1)
+   * @returns {Promise<Object|null>} HPP per unit statistics, P10/P50/P90 and histogram
+   */
+  runMonteCarlo(result, monteCarlo, onProgress = null) {
+    this.cancelMonteCarlo();
+
+    if (!(result instanceof HPPResult)) {
+      return Promise.reject(new Error(ERROR_MESSAGES.monteCarloManufacturingOnly));
+    }
+
+    const settings = {
+      iterations: DEFAULTS.monteCarloIterations,
+      ...monteCarlo
+    };
+    const model = this.getMonteCarloModel(result, settings.distributions);
+
+    const distributions = {};
+    Object.entries(model.inputs).forEach(([key, input]) => {
+      distributions[key] = input.distribution;
+    });
+
+    const validation = defaultValidationManager.validateMonteCarlo({ iterations: settings.iterations, distributions });
+    if (!validation.isValid) {
+      return Promise.reject(new Error(validation.errors.map(e => e.message).join(', ')));
+    }
+
+    const options = { iterations: settings.iterations, seed: settings.seed };
+
+    const progress = (share) => {
+      this.triggerCallback('monte-carlo-progress', share);
+      if (onProgress) onProgress(share);
+    };
+
+    const complete = (simulation) => {
+      simulation.baseHppPerUnit = result.hppPerUnit;
+      result.monteCarlo = simulation;
+      this.triggerCallback('monte-carlo-calculated', simulation);
+      return simulation;
+    };
+
+    if (typeof Worker === 'undefined') {
+      return Promise.resolve().then(() => complete(defaultMonteCarloSimulation.simulate(model, options, progress)));
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./MonteCarloWorker.js', import.meta.url), { type: 'module' });
+      const run = { worker, resolve };
+      this.monteCarloRun = run;
+
+      const finish = () => {
+        worker.terminate();
+        if (this.monteCarloRun === run) {
+          this.monteCarloRun = null;
+        }
+      };
+
+      worker.addEventListener('message', (e) => {
+        if (e.data.type === 'progress') {
+          progress(e.data.progress);
+          return;
+        }
+
+        finish();
+        if (e.data.type === 'complete') {
+          resolve(complete(e.data.simulation));
+        } else {
+          reject(new Error(e.data.error || ERROR_MESSAGES.monteCarloFailed));
+        }
+      });
+
+      worker.addEventListener('error', () => {
+        finish();
+        reject(new Error(ERROR_MESSAGES.monteCarloFailed));
+      });
+
+      worker.postMessage({ model, options });
+    });
+  }
+
+  /**
+   * Stop the Monte Carlo run in progress (its promise resolves with null)
+   * @returns {boolean} True if a run was stopped
+   */
+  cancelMonteCarlo() {
+    if (!this.monteCarloRun) return false;
+
+    this.monteCarloRun.worker.terminate();
+    this.monteCarloRun.resolve(null);
+    this.monteCarloRun = null;
+    return true;
+  }
+
+  /**
+   * Calculate HPP for every product in a catalog and compare them
+   * @param {ProductCatalog|Object} catalog - Catalog or { products, sharedOverhead }
+   * @returns {Object} Per-SKU HPP, margin and cost mix with catalog summary
+   */
+  calculateCatalog(catalog) {
+    const productCatalog = catalog instanceof ProductCatalog ? catalog : new ProductCatalog(catalog);
+
+    const products = productCatalog.products.map(product => {
+      const base = {
+        id: product.id,
+        sku: product.sku,
+        name: product.name,
+        sellingPrice: product.sellingPrice,
+        standardCostPerUnit: product.getStandardCostPerUnit()
+      };
+
+      try {
+        const result = this.calculate(productCatalog.getInputData(product));
+        const marginPerUnit = product.sellingPrice > 0
+          ? MoneyHelper.subtract(product.sellingPrice, result.hppPerUnit)
+          : null;
+
+        return {
+          ...base,
+          success: true,
+          totalUnits: result.totalUnits,
+          totalHPP: result.totalHPP,
+          hppPerUnit: result.hppPerUnit,
+          marginPerUnit,
+          marginPercentage: marginPerUnit !== null ? NumberHelper.percentage(marginPerUnit, product.sellingPrice) : null,
+          costMix: Object.fromEntries(
+            Object.entries(result.breakdown).map(([key, data]) => [key, data.percentage])
+          ),
+          result: result.toJSON()
+        };
       } catch (error) {
-        results.push({
-          id: index + 1,
-          name: scenario.name || `Scenario ${index + 1}`,
-          data: scenarioData,
-          result: null,
+        return {
+          ...base,
           success: false,
           error: error.message
-        });
+        };
       }
     });
 
-    return results;
+    const calculated = products.filter(product => product.success);
+    const priced = calculated.filter(product => product.marginPercentage !== null);
+    const totalHPP = MoneyHelper.sum(calculated.map(product => product.totalHPP));
+    const totalUnits = calculated.reduce((sum, product) => sum + product.totalUnits, 0);
+
+    const comparison = {
+      products,
+      summary: {
+        count: products.length,
+        calculated: calculated.length,
+        failed: products.length - calculated.length,
+        totalHPP,
+        totalUnits,
+        averageHppPerUnit: totalUnits > 0 ? MoneyHelper.divide(totalHPP, totalUnits) : 0,
+        lowestMarginId: priced.length > 0
+          ? priced.reduce((min, product) => product.marginPercentage < min.marginPercentage ? product : min).id
+          : null,
+        highestMarginId: priced.length > 0
+          ? priced.reduce((max, product) => product.marginPercentage > max.marginPercentage ? product : max).id
+          : null
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    this.triggerCallback('catalog-calculated', comparison);
+    return comparison;
+  }
+
+  /**
+   * Allocate a shared overhead pool across products
+   */
+  allocateOverhead(pools, products) {
+    const allocation = defaultOverheadAllocator.allocate(pools, products);
+    this.triggerCallback('overhead-allocated', allocation);
+    return allocation;
+  }
+
+  /**
+   * Compute activity rates and assign activity costs to products (ABC)
+   */
+  calculateActivityCosts(activities, products) {
+    const costing = defaultActivityBasedCosting.allocate(activities, products);
+    this.triggerCallback('activity-costs-calculated', costing);
+    return costing;
   }
 
   /**
    * Calculate break-even analysis
+   * @param {Object|HPPResult} costData - Manufacturing input data or an existing result (costBehavior tags the cost components)
+   * @param {number} sellingPricePerUnit - Selling price per unit (before PPN)
+   * @param {Object} options - { batchesPerPeriod, otherFixedCosts, expectedUnits, targetProfit }
    */
-  calculateBreakEven(costData, sellingPricePerUnit) {
+  calculateBreakEven(costData, sellingPricePerUnit, options = {}) {
     try {
-      const result = this.calculate(costData);
+      // An existing result is reused so a what-if price does not recalculate the costs
+      const result = costData instanceof HPPResult ? costData : this.calculate(costData);
       
       if (!result.isValid) {
         throw new Error('Invalid cost data for break-even analysis');
@@ -347,22 +1976,14 @@ export class HPPCalculator {
       const profitPerUnit = sellingPricePerUnit - hppPerUnit;
       const profitMargin = NumberHelper.percentage(profitPerUnit, sellingPricePerUnit);
 
-      // Calculate break-even for fixed costs (if overhead is considered fixed)
-      const fixedCosts = result.manufacturingOverhead;
-      const variableCostPerUnit = (result.directMaterials + result.directLabor + result.otherCosts) / result.totalUnits;
-      const contributionMargin = sellingPricePerUnit - variableCostPerUnit;
-      const breakEvenUnits = contributionMargin > 0 ? Math.ceil(fixedCosts / contributionMargin) : 0;
+      const cvp = this.calculateCostVolumeProfit(result, { ...options, sellingPrice: sellingPricePerUnit }, result.costBehavior || {});
 
       return {
+        ...cvp,
         hppPerUnit,
         sellingPricePerUnit,
         profitPerUnit,
         profitMargin,
-        fixedCosts,
-        variableCostPerUnit,
-        contributionMargin,
-        breakEvenUnits,
-        breakEvenRevenue: breakEvenUnits * sellingPricePerUnit,
         isValid: true,
         timestamp: new Date().toISOString()
       };
@@ -376,16 +1997,502 @@ export class HPPCalculator {
     }
   }
 
+  /**
+   * Cost-volume-profit analysis of a manufacturing result
+   * Costs in the result are one batch of totalUnits; fixed costs recur every batch in the period
+   * @param {HPPResult} result - Calculation result
+   * @param {Object} cvp - { sellingPrice, batchesPerPeriod, otherFixedCosts, expectedUnits, targetProfit }
+   * @param {Object} behaviors - { [component]: { behavior, variablePercentage } }
+   * @returns {Object} Break-even units and revenue, margin of safety, operating leverage, target-profit volume
+   */
+  calculateCostVolumeProfit(result, cvp, behaviors = {}) {
+    const validation = defaultValidationManager.validateCostVolumeProfit(cvp, behaviors);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.map(e => e.message).join(', '));
+    }
+
+    const classification = defaultCostVolumeProfit.classifyCosts(result, behaviors);
+    const analysis = defaultCostVolumeProfit.analyze(classification, { ...cvp, totalUnits: result.totalUnits });
+
+    this.triggerCallback('cvp-calculated', analysis);
+    return analysis;
+  }
+
+  /**
+   * Set or clear the cost-volume-profit analysis requested in the input data (manufacturing only)
+   */
+  applyCostVolumeProfit(result, cvp, behaviors = {}) {
+    if (!(result instanceof HPPResult)) return result;
+
+    result.cvp = cvp ? this.calculateCostVolumeProfit(result, cvp, behaviors || {}) : null;
+    return result;
+  }
+
+  /**
+   * Recommended selling price for a target markup, gross margin or profit per unit
+   * (inverse of calculateBreakEven, which needs the selling price up front)
+   * Markup is profit ÷ HPP; gross margin is profit ÷ selling price
+   * @param {number} hppPerUnit - HPP per unit from the calculation result
+   * @param {Object} pricing - { method: 'markup'|'margin'|'profit', target }
+   * @param {number} units - Units to price, for total revenue and profit
+   * @param {number|null} taxRate - PPN rate (%) added on top of the price as DPP, null for no PPN
+   * @returns {Object} Selling price with the resulting markup and margin
+   */
+  calculateSellingPrice(hppPerUnit, pricing, units = 1, taxRate = null) {
+    const validation = defaultValidationManager.validatePricing(pricing);
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const target = parseFloat(pricing.target) || 0;
+
+    // Prices are rounded with their own mode (ceiling by default) so the target is never undercut
+    const priceRounding = this.options.pricingRoundingMode;
+    let sellingPrice;
+    switch (pricing.method) {
+      case 'margin':
+        sellingPrice = MoneyHelper.divide(hppPerUnit, 1 - target / 100, priceRounding);
+        break;
+      case 'profit':
+        sellingPrice = MoneyHelper.sum([hppPerUnit, target], priceRounding);
+        break;
+      default:
+        sellingPrice = MoneyHelper.multiply(hppPerUnit, 1 + target / 100, priceRounding);
+    }
+
+    const profitPerUnit = MoneyHelper.subtract(sellingPrice, hppPerUnit);
+
+    // PPN keluaran is collected for the state: the price before tax is the DPP (dasar pengenaan pajak)
+    let tax = null;
+    if (taxRate !== null) {
+      const ppn = MoneyHelper.multiply(sellingPrice, taxRate / 100);
+      const finalPrice = MoneyHelper.sum([sellingPrice, ppn]);
+
+      tax = {
+        rate: taxRate,
+        dpp: sellingPrice,
+        ppn,
+        finalPrice,
+        totalPPN: MoneyHelper.multiply(ppn, units),
+        totalFinalRevenue: MoneyHelper.multiply(finalPrice, units)
+      };
+    }
+
+    return {
+      method: pricing.method,
+      target,
+      hppPerUnit,
+      sellingPrice,
+      profitPerUnit,
+      markupPercentage: NumberHelper.percentage(profitPerUnit, hppPerUnit),
+      marginPercentage: NumberHelper.percentage(profitPerUnit, sellingPrice),
+      units,
+      totalRevenue: MoneyHelper.multiply(sellingPrice, units),
+      totalProfit: MoneyHelper.multiply(profitPerUnit, units),
+      tax
+    };
+  }
+
+  /**
+   * Attach recommended selling price to a result (null clears it)
+   */
+  applyPricing(result, pricing, tax = null) {
+    const units = result.mode === 'trading' ? result.unitsSold : result.totalUnits;
+    const taxSettings = this.normalizeTax(tax);
+
+    result.pricing = pricing
+      ? this.calculateSellingPrice(result.hppPerUnit, pricing, units, taxSettings ? taxSettings.rate : null)
+      : null;
+    return result;
+  }
+
+  /**
+   * Net profit and margin per unit in each sales channel at one list price
+   * @param {number} hppPerUnit - HPP per unit from the calculation result
+   * @param {number} listPrice - Price paid by the buyer per unit (including PPN when taxRate is set)
+   * @param {Array} channels - Sales channel fee profiles
+   * @param {number|null} taxRate - PPN rate (%) included in the list price, null for no PPN
+   * @returns {Object} { hppPerUnit, listPrice, taxRate, ppn, channels: [...], bestChannelId }
+   */
+  compareChannels(hppPerUnit, listPrice, channels, taxRate = null) {
+    const validation = defaultValidationManager.validateSalesChannels(channels);
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const price = parseFloat(listPrice) || 0;
+
+    // PPN keluaran in the list price is remitted, not earned
+    const dpp = taxRate === null ? MoneyHelper.round(price) : MoneyHelper.divide(price, 1 + taxRate / 100);
+    const ppn = MoneyHelper.subtract(price, dpp);
+
+    const results = channels.map(data => {
+      const channel = new SalesChannel(data);
+      const fees = channel.getFees(price);
+      const netRevenue = MoneyHelper.subtract(dpp, fees.total);
+      const netProfit = MoneyHelper.subtract(netRevenue, hppPerUnit);
+
+      return {
+        id: channel.id,
+        name: channel.name,
+        fees,
+        feePercentage: NumberHelper.percentage(fees.total, price),
+        netRevenue,
+        netProfit,
+        marginPercentage: NumberHelper.percentage(netProfit, dpp)
+      };
+    });
+
+    const best = results.reduce((top, channel) => (!top || channel.netProfit > top.netProfit ? channel : top), null);
+
+    return {
+      hppPerUnit,
+      listPrice: price,
+      taxRate,
+      ppn,
+      dpp,
+      channels: results,
+      bestChannelId: best ? best.id : null
+    };
+  }
+
+  /**
+   * Attach sales channel comparison to a result (null without list price or channels)
+   */
+  applyChannelComparison(result, salesChannels, tax = null) {
+    const channels = salesChannels && Array.isArray(salesChannels.channels) ? salesChannels.channels : [];
+    const listPrice = salesChannels ? parseFloat(salesChannels.listPrice) || 0 : 0;
+    const taxSettings = this.normalizeTax(tax);
+
+    result.channelComparison = listPrice > 0 && channels.length > 0
+      ? this.compareChannels(result.hppPerUnit, listPrice, channels, taxSettings ? taxSettings.rate : null)
+      : null;
+    return result;
+  }
+
+  /**
+   * Attach selling price and sales channel comparison requested in the input data
+   */
+  applySalesAnalysis(result, inputData) {
+    this.applyPricing(result, inputData.pricing, inputData.tax);
+    this.applyCostVolumeProfit(result, inputData.cvp, result.costBehavior);
+    this.applySensitivity(result, inputData);
+    return this.applyChannelComparison(result, inputData.salesChannels, inputData.tax);
+  }
+
+  /**
+   * Price BOM lines linked to the material master once and unlink them,
+   * so material prices varied by scenarios, sensitivity or goal seek are not overwritten by the master
+   */
+  fixMaterialPrices(data) {
+    if (!Array.isArray(data.bom) || data.bom.length === 0) return data;
+
+    return {
+      ...data,
+      bom: this.materialMaster.applyToBOM(data.bom, defaultInventoryValuation).map(line => ({ ...line, materialId: '' }))
+    };
+  }
+
+  /**
+   * Roll up line-item cost models (BOM, labor roles, overhead allocation, ABC) into the cost components
+   */
+  prepareInputData(data) {
+    const prepared = { ...data };
+
+    const bom = new BillOfMaterials(this.materialMaster.applyToBOM(data.bom, defaultInventoryValuation));
+    if (!bom.isEmpty()) {
+      prepared.bom = bom.toJSON();
+      prepared.directMaterials = bom.getTotalCost();
+    }
+
+    const labor = new LaborCosting(data.labor);
+    if (!labor.isEmpty()) {
+      prepared.labor = labor.toJSON();
+      prepared.directLabor = labor.getTotalCost();
+    }
+
+    // Depreciation of the month joins the shared pools below, or the overhead of one batch
+    const register = data.depreciation ? new AssetRegister(data.depreciation.assets) : null;
+    const depreciation = register ? register.getMonthlyDepreciation(data.depreciation.period) : null;
+    let charged = null;
+
+    const allocation = data.overheadAllocation;
+    if (allocation && Array.isArray(allocation.pools) && allocation.pools.length > 0) {
+      const pools = this.addDepreciationPool(allocation, depreciation);
+      const allocated = defaultOverheadAllocator.allocateToProduct({ ...allocation, pools });
+      if (allocated) {
+        prepared.overheadAllocation = {
+          pools,
+          products: defaultOverheadAllocator.normalizeProducts(allocation.products),
+          productId: allocated.id
+        };
+        prepared.manufacturingOverhead = allocated.amount;
+        charged = this.getAllocatedDepreciation(allocated, depreciation);
+      }
+    } else {
+      delete prepared.overheadAllocation;
+    }
+
+    const costing = data.activityCosting;
+    if (costing && Array.isArray(costing.activities) && costing.activities.length > 0) {
+      const { activities, products } = this.addDepreciationActivity(costing, depreciation);
+      const assigned = defaultActivityBasedCosting.allocateToProduct({ ...costing, activities, products });
+      if (assigned) {
+        prepared.activityCosting = {
+          activities,
+          products: defaultActivityBasedCosting.normalizeProducts(products, activities),
+          productId: assigned.id
+        };
+        prepared.manufacturingOverhead = assigned.amount;
+        charged = this.getAllocatedDepreciation(assigned, depreciation);
+      }
+    } else {
+      delete prepared.activityCosting;
+    }
+
+    if (depreciation) {
+      // Without shared pools one batch bears its share of the month
+      if (charged === null) {
+        const batchesPerPeriod = (data.cvp && parseFloat(data.cvp.batchesPerPeriod) > 0)
+          ? parseFloat(data.cvp.batchesPerPeriod)
+          : DEFAULTS.batchesPerPeriod;
+        charged = MoneyHelper.divide(depreciation.total, batchesPerPeriod);
+        prepared.manufacturingOverhead = MoneyHelper.sum([parseFloat(prepared.manufacturingOverhead) || 0, charged]);
+      }
+
+      // The register is kept alongside the charges so the prepared data still validates
+      prepared.depreciation = { assets: register.toJSON(), ...depreciation, charged };
+    } else {
+      delete prepared.depreciation;
+    }
+
+    // The recipe batch replaces a hand-typed unit count
+    if (data.batch) {
+      const batch = new Batch(data.batch);
+      prepared.batch = batch.getSummary();
+      prepared.totalUnits = batch.getTotalUnits();
+    } else {
+      delete prepared.batch;
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Overhead pools with the month's depreciation as one fixed pool line (replacing the line of an earlier run)
+   * The line uses the first basis the products have quantities for, machine hours first
+   */
+  addDepreciationPool(allocation, depreciation) {
+    const pools = defaultOverheadAllocator.normalizePools(allocation.pools)
+      .filter(pool => pool.id !== DEPRECIATION_POOL.id);
+    if (!depreciation || depreciation.total <= 0) return pools;
+
+    const products = defaultOverheadAllocator.normalizeProducts(allocation.products);
+    const basis = [DEFAULTS.allocationBasis, ...Object.keys(ALLOCATION_BASES)]
+      .find(key => products.some(product => product.drivers[key] > 0)) || DEFAULTS.allocationBasis;
+
+    return [...pools, ...defaultOverheadAllocator.normalizePools([{
+      id: DEPRECIATION_POOL.id,
+      name: DEPRECIATION_POOL.name,
+      amount: depreciation.total,
+      basis,
+      behavior: 'fixed'
+    }])];
+  }
+
+  /**
+   * Activities with the month's depreciation as one fixed activity (replacing the one of an earlier run)
+   * Each product consumes it in proportion to the other activity costs assigned to it
+   * @returns {Object} { activities, products }
+   */
+  addDepreciationActivity(costing, depreciation) {
+    const activities = defaultActivityBasedCosting.normalizeActivities(costing.activities)
+      .filter(activity => activity.id !== DEPRECIATION_POOL.id);
+    if (!depreciation || depreciation.total <= 0) {
+      return { activities, products: costing.products };
+    }
+
+    const assigned = defaultActivityBasedCosting.allocate(activities, costing.products).products;
+    return {
+      activities: [...activities, ...defaultActivityBasedCosting.normalizeActivities([{
+        id: DEPRECIATION_POOL.id,
+        name: DEPRECIATION_POOL.name,
+        cost: depreciation.total,
+        driver: DEPRECIATION_POOL.driver,
+        behavior: 'fixed'
+      }])],
+      products: assigned.map(product => ({
+        id: product.id,
+        name: product.name,
+        consumption: { ...product.consumption, [DEPRECIATION_POOL.id]: product.amount }
+      }))
+    };
+  }
+
+  /**
+   * Depreciation allocated to a product with its pool line (0 without depreciation)
+   */
+  getAllocatedDepreciation(product, depreciation) {
+    if (!depreciation) return null;
+
+    const item = product.items.find(entry => entry.id === DEPRECIATION_POOL.id);
+    return item ? item.amount : 0;
+  }
+
   /**
    * Normalize input data
    */
   normalizeInputData(data) {
+    const costs = {
+      directMaterials: MoneyHelper.round(parseFloat(data.directMaterials) || 0),
+      directLabor: MoneyHelper.round(parseFloat(data.directLabor) || 0),
+      manufacturingOverhead: MoneyHelper.round(parseFloat(data.manufacturingOverhead) || 0),
+      otherCosts: MoneyHelper.round(parseFloat(data.otherCosts) || 0)
+    };
+
+    // Recoverable PPN masukan is not part of HPP
+    const taxSettings = this.normalizeTax(data.tax);
+    const tax = taxSettings ? this.calculateInputTax(costs, taxSettings) : null;
+    if (tax) {
+      tax.lines.forEach(line => {
+        costs[line.key] = line.net;
+      });
+    }
+
+    return {
+      ...costs,
+      totalUnits: parseInt(data.totalUnits) || 1,
+      bom: Array.isArray(data.bom) ? data.bom : [],
+      labor: Array.isArray(data.labor) ? data.labor : [],
+      overheadAllocation: data.overheadAllocation || null,
+      activityCosting: data.activityCosting || null,
+      batch: data.batch || null,
+      depreciation: data.depreciation || null,
+      inventory: this.normalizeInventory(data.inventory),
+      standardCosting: this.normalizeStandardCosting(data.standardCosting),
+      costBehavior: data.costBehavior || null,
+      tax
+    };
+  }
+
+  /**
+   * Normalize PPN settings (null when tax handling is off)
+   */
+  normalizeTax(tax) {
+    if (!tax || typeof tax !== 'object') return null;
+
+    const rate = parseFloat(tax.rate);
+    const treatments = tax.treatments || {};
+
+    return {
+      rate: NumberHelper.clamp(isNaN(rate) ? DEFAULTS.ppnRate : rate, 0, 100),
+      treatments: TAXABLE_COST_COMPONENTS.reduce((result, key) => {
+        result[key] = TAX_TREATMENTS[treatments[key]] ? treatments[key] : DEFAULTS.taxTreatment;
+        return result;
+      }, {})
+    };
+  }
+
+  /**
+   * Split PPN masukan out of tax-inclusive cost components
+   * Creditable PPN is offset against PPN keluaran, so only its DPP is capitalized;
+   * non-creditable PPN stays in the cost
+   * @param {Object} costs - Cost component amounts as entered
+   * @param {Object} tax - Normalized PPN settings
+   * @returns {Object} { rate, treatments, lines: [{ key, label, treatment, gross, ppn, net }], creditableTax, nonCreditableTax }
+   */
+  calculateInputTax(costs, tax) {
+    const lines = TAXABLE_COST_COMPONENTS.map(key => {
+      const treatment = tax.treatments[key];
+      const gross = costs[key];
+      const ppn = treatment === 'exclusive'
+        ? 0
+        : MoneyHelper.subtract(gross, MoneyHelper.divide(gross, 1 + tax.rate / 100));
+
+      return {
+        key,
+        label: COST_CATEGORIES[key].label,
+        treatment,
+        gross,
+        ppn,
+        net: treatment === 'inclusive' ? MoneyHelper.subtract(gross, ppn) : gross
+      };
+    });
+
+    const sumTax = (treatment) => MoneyHelper.sum(
+      lines.filter(line => line.treatment === treatment).map(line => line.ppn)
+    );
+
+    return {
+      rate: tax.rate,
+      treatments: tax.treatments,
+      lines,
+      creditableTax: sumTax('inclusive'),
+      nonCreditableTax: sumTax('nonCreditable')
+    };
+  }
+
+  /**
+   * Normalize standard-cost profile and actual quantities (null skips variance analysis)
+   */
+  normalizeStandardCosting(standardCosting) {
+    if (!standardCosting || typeof standardCosting !== 'object') return null;
+
+    const actual = standardCosting.actual || {};
+
+    return {
+      profile: new StandardCostProfile(standardCosting.profile).toJSON(),
+      actual: {
+        materialsQuantity: parseFloat(actual.materialsQuantity) || 0,
+        laborHours: parseFloat(actual.laborHours) || 0
+      }
+    };
+  }
+
+  /**
+   * Normalize WIP and finished goods inventories (null keeps the plain HPP mode)
+   */
+  normalizeInventory(inventory) {
+    if (!inventory || typeof inventory !== 'object') return null;
+
+    const amount = (value) => MoneyHelper.round(parseFloat(value) || 0);
+
+    return {
+      beginningWIP: amount(inventory.beginningWIP),
+      endingWIP: amount(inventory.endingWIP),
+      beginningFinishedGoods: amount(inventory.beginningFinishedGoods),
+      endingFinishedGoods: amount(inventory.endingFinishedGoods)
+    };
+  }
+
+  /**
+   * Normalize trading company input data
+   */
+  normalizeTradingData(data) {
+    const amount = (value) => MoneyHelper.round(parseFloat(value) || 0);
+
+    return {
+      calculationMode: 'trading',
+      beginningInventory: amount(data.beginningInventory),
+      purchases: amount(data.purchases),
+      purchaseReturns: amount(data.purchaseReturns),
+      purchaseDiscounts: amount(data.purchaseDiscounts),
+      freightIn: amount(data.freightIn),
+      endingInventory: amount(data.endingInventory),
+      unitsSold: parseInt(data.unitsSold) || 1
+    };
+  }
+
+  /**
+   * Normalize process costing input data
+   */
+  normalizeProcessData(data) {
+    const costing = data.processCosting || data;
+
     return {
-      directMaterials: NumberHelper.round(parseFloat(data.directMaterials) || 0, this.options.precision),
-      directLabor: NumberHelper.round(parseFloat(data.directLabor) || 0, this.options.precision),
-      manufacturingOverhead: NumberHelper.round(parseFloat(data.manufacturingOverhead) || 0, this.options.precision),
-      otherCosts: NumberHelper.round(parseFloat(data.otherCosts) || 0, this.options.precision),
-      totalUnits: parseInt(data.totalUnits) || 1
+      calculationMode: 'process',
+      method: costing.method || DEFAULTS.processCostingMethod,
+      departments: defaultProcessCosting.normalizeDepartments(costing.departments)
     };
   }
 
@@ -427,6 +2534,45 @@ export class HPPCalculator {
     this.triggerCallback('history-cleared');
   }
 
+  /**
+   * Change rounding of money amounts and of recommended selling prices
+   * @param {Object} modes - { roundingMode, pricingRoundingMode } as keys of ROUNDING_MODES
+   */
+  setRoundingModes(modes = {}) {
+    if (modes.roundingMode) {
+      MoneyHelper.setRoundingMode(modes.roundingMode);
+    }
+
+    if (modes.pricingRoundingMode && ROUNDING_MODES[modes.pricingRoundingMode]) {
+      this.options.pricingRoundingMode = modes.pricingRoundingMode;
+    }
+
+    // Cached results were rounded with the previous modes
+    this.clearCache();
+  }
+
+  /**
+   * Replace the material master used to price linked BOM lines
+   * @param {Array} materials - Materials from the master
+   */
+  setMaterials(materials = []) {
+    this.materialMaster = new MaterialMaster(materials);
+
+    // Cached results were priced with the previous materials
+    this.clearCache();
+  }
+
+  /**
+   * Change how material consumption is costed from purchase lots
+   * @param {string} method - Key of INVENTORY_VALUATION_METHODS
+   */
+  setInventoryValuation(method) {
+    defaultInventoryValuation.setMethod(method);
+
+    // Cached results were costed with the previous method
+    this.clearCache();
+  }
+
   /**
    * Clear calculation cache
    */
@@ -490,11 +2636,11 @@ export class HPPCalculator {
     }
 
     const hppValues = calculations.map(calc => calc.hppPerUnit);
-    const totalUnits = calculations.reduce((sum, calc) => sum + calc.totalUnits, 0);
+    const totalUnits = calculations.reduce((sum, calc) => sum + (calc.totalUnits || calc.unitsSold || 0), 0);
 
     return {
       totalCalculations: calculations.length,
-      averageHPP: NumberHelper.round(hppValues.reduce((sum, hpp) => sum + hpp, 0) / hppValues.length),
+      averageHPP: MoneyHelper.divide(MoneyHelper.sum(hppValues), hppValues.length),
       minHPP: Math.min(...hppValues),
       maxHPP: Math.max(...hppValues),
       totalUnitsCalculated: totalUnits,
@@ -533,6 +2679,7 @@ export class HPPCalculator {
    * Reset calculator
    */
   reset() {
+    this.cancelMonteCarlo();
     this.clearHistory();
     this.clearCache();
     this.triggerCallback('calculator-reset');
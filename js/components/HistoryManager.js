@@ -0,0 +1,189 @@
+/**
+ * History Manager Component
+ * List of saved calculations with a marker when material prices changed since they were calculated
+ */
+
+import { INFO_MESSAGES } from '../utils/constants.js';
+import { DOMHelper, EventHelper, CurrencyHelper, DateHelper } from '../utils/helpers.js';
+import { MaterialMaster } from './MaterialMaster.js';
+import { defaultInventoryValuation } from './InventoryValuation.js';
+
+export class HistoryManager {
+  constructor(containerElement, options = {}) {
+    this.container = containerElement;
+    this.options = {
+      emptyText: INFO_MESSAGES.noHistory,
+      ...options
+    };
+
+    this.calculations = [];
+    this.materialMaster = new MaterialMaster();
+    this.eventListeners = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize history component
+   */
+  init() {
+    if (!this.container) {
+      console.error('History container element not found');
+      return;
+    }
+
+    this.setupEventListeners();
+    this.render();
+  }
+
+  /**
+   * Setup load, recalculate and post buttons (delegated)
+   */
+  setupEventListeners() {
+    const actions = {
+      historyLoad: 'hpp:history-load',
+      historyRecalculate: 'hpp:history-recalculate',
+      historyPost: 'hpp:history-post'
+    };
+
+    this.addEventListenerWithCleanup(this.container, 'click', (e) => {
+      const button = e.target.closest('[data-history-load], [data-history-recalculate], [data-history-post]');
+      if (!button) return;
+
+      const action = Object.keys(actions).find(key => button.dataset[key]);
+      const calculation = this.calculations.find(item => item.id === button.dataset[action]);
+      if (calculation) {
+        EventHelper.trigger(this.container, actions[action], { calculation });
+      }
+    });
+  }
+
+  /**
+   * Replace saved calculations
+   */
+  setCalculations(calculations = []) {
+    this.calculations = Array.isArray(calculations) ? calculations : [];
+    this.render();
+  }
+
+  /**
+   * Replace the material master the calculations are compared against
+   */
+  setMaterials(materials = []) {
+    this.materialMaster = new MaterialMaster(materials);
+    this.render();
+  }
+
+  /**
+   * Render history list
+   */
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+
+    if (this.calculations.length === 0) {
+      this.container.innerHTML = `
+        <div class="history__empty">
+          <i class="fas fa-clock history__empty-icon" aria-hidden="true"></i>
+          <p class="history__empty-text">${this.options.emptyText}</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.calculations.forEach(calculation => {
+      this.container.appendChild(this.createItem(calculation));
+    });
+  }
+
+  /**
+   * Create one history entry
+   */
+  createItem(calculation) {
+    const data = calculation.data || {};
+    const changes = this.materialMaster.getPriceChanges(data.bom, defaultInventoryValuation);
+    const item = DOMHelper.create('div', {
+      className: `history__item${changes.length > 0 ? ' history__item--stale' : ''}`
+    });
+
+    const details = [DateHelper.format(new Date(calculation.timestamp))];
+    if (typeof data.hppPerUnit === 'number') {
+      details.push(`HPP/unit ${CurrencyHelper.format(data.hppPerUnit)}`);
+    }
+    if (data.totalUnits) {
+      details.push(`${data.totalUnits} unit`);
+    }
+
+    item.innerHTML = `
+      <div class="history__item-info">
+        <span class="history__item-name">${DOMHelper.escapeHtml(calculation.name || 'Perhitungan')}</span>
+        <span class="history__item-meta">${details.join(' · ')}</span>
+      </div>
+    `;
+
+    if (changes.length > 0) {
+      const title = changes
+        .map(change => `${change.name}: ${CurrencyHelper.format(change.previousPrice)} → ${CurrencyHelper.format(change.currentPrice)}/${change.unit}`)
+        .join('\n');
+
+      item.appendChild(DOMHelper.create('span', {
+        className: 'history__badge',
+        title
+      }, 'Harga bahan berubah'));
+
+      item.appendChild(DOMHelper.create('button', {
+        type: 'button',
+        className: 'btn btn--primary btn--small',
+        dataset: { historyRecalculate: calculation.id }
+      }, 'Hitung Ulang'));
+    }
+
+    // Material usage is posted to the purchase lots once per calculation
+    if (calculation.postedAt) {
+      item.appendChild(DOMHelper.create('span', {
+        className: 'history__badge history__badge--posted',
+        title: DateHelper.format(new Date(calculation.postedAt))
+      }, 'Pemakaian dicatat'));
+    } else if (this.usesMaterials(data.bom)) {
+      item.appendChild(DOMHelper.create('button', {
+        type: 'button',
+        className: 'btn btn--outline-primary btn--small',
+        dataset: { historyPost: calculation.id }
+      }, 'Catat Pemakaian'));
+    }
+
+    item.appendChild(DOMHelper.create('button', {
+      type: 'button',
+      className: 'btn btn--outline-primary btn--small',
+      dataset: { historyLoad: calculation.id }
+    }, 'Muat'));
+
+    return item;
+  }
+
+  /**
+   * Check if BOM lines use materials of the master, so their usage can be posted
+   */
+  usesMaterials(lines) {
+    return (Array.isArray(lines) ? lines : []).some(line => this.materialMaster.getMaterial(line.materialId));
+  }
+
+  /**
+   * Add event listener with cleanup tracking
+   */
+  addEventListenerWithCleanup(element, event, handler, options) {
+    element.addEventListener(event, handler, options);
+    this.eventListeners.push({ element, event, handler, options });
+  }
+
+  /**
+   * Destroy component
+   */
+  destroy() {
+    this.eventListeners.forEach(({ element, event, handler, options }) => {
+      element.removeEventListener(event, handler, options);
+    });
+    this.eventListeners = [];
+  }
+}
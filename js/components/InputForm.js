@@ -3,9 +3,173 @@
  * Handles form interactions, validation, and user input for HPP calculation
  */
 
-import { FORM_FIELDS, ANIMATIONS, ERROR_MESSAGES, SUCCESS_MESSAGES } from '../utils/constants.js';
-import { DOMHelper, EventHelper, CurrencyHelper, AnimationHelper } from '../utils/helpers.js';
+import { FORM_FIELDS, TRADING_FORM_FIELDS, INVENTORY_FORM_FIELDS, CALCULATION_MODES, ANIMATIONS, ERROR_MESSAGES, SUCCESS_MESSAGES, DEFAULTS, MEASUREMENT_UNITS, ALLOCATION_BASES, OVERHEAD_METHODS, PROCESS_COSTING_METHODS, JOB_OVERHEAD_BASES, JOB_STATUSES, PRICING_METHODS, TAX_TREATMENTS, COST_BEHAVIORS, DEFAULT_COST_BEHAVIORS, DISTRIBUTION_TYPES, SCENARIO_INPUTS, VALIDATION, ROUNDING_MODES, INVENTORY_VALUATION_METHODS, DEPRECIATION_METHODS, ASSET_OVERHEAD_LINKS } from '../utils/constants.js';
+import { DOMHelper, EventHelper, CurrencyHelper, AnimationHelper, IdHelper } from '../utils/helpers.js';
 import { defaultValidationManager, RealTimeValidator } from '../utils/validation.js';
+import { defaultUnitConverter } from '../utils/units.js';
+import { LineItemsEditor } from './LineItemsEditor.js';
+import { BillOfMaterials, BOMLine } from './BillOfMaterials.js';
+import { LaborCosting, LaborRole } from './LaborCosting.js';
+import { defaultOverheadAllocator } from './OverheadAllocator.js';
+import { defaultActivityBasedCosting } from './ActivityBasedCosting.js';
+import { ProcessCosting } from './ProcessCosting.js';
+import { JobOrder, JobOrderCosting } from './JobOrderCosting.js';
+import { SalesChannel } from './SalesChannels.js';
+import { Material, MaterialMaster } from './MaterialMaster.js';
+import { defaultInventoryValuation } from './InventoryValuation.js';
+import { Scenario } from './Scenarios.js';
+import { Batch } from './BatchScaling.js';
+import { FixedAsset, AssetRegister } from './FixedAssets.js';
+
+/**
+ * Line-item models that roll up into a single cost field
+ */
+const LINE_ITEM_MODELS = {
+  bom: {
+    field: 'directMaterials',
+    getTotal: (lines, materialMaster) => new BillOfMaterials(materialMaster.applyToBOM(lines, defaultInventoryValuation)).getTotalCost(),
+    validate: (lines) => defaultValidationManager.validateBOM(lines)
+  },
+  labor: {
+    field: 'directLabor',
+    getTotal: (lines) => new LaborCosting(lines).getTotalCost(),
+    validate: (lines) => defaultValidationManager.validateLabor(lines)
+  }
+};
+
+/**
+ * Fields formatted as Rupiah amounts
+ */
+const CURRENCY_FIELDS = [
+  'directMaterials', 'directLabor', 'manufacturingOverhead', 'otherCosts',
+  'beginningInventory', 'purchases', 'purchaseReturns', 'purchaseDiscounts', 'freightIn', 'endingInventory',
+  'beginningWIP', 'endingWIP', 'beginningFinishedGoods', 'endingFinishedGoods'
+];
+
+/**
+ * Form fields used by each calculation mode
+ */
+const MODE_FIELDS = {
+  manufacturing: [...Object.keys(FORM_FIELDS), ...Object.keys(INVENTORY_FORM_FIELDS)],
+  trading: Object.keys(TRADING_FORM_FIELDS),
+  process: [],
+  job: []
+};
+
+/**
+ * Job header fields validated by validateJob (errors shown in "#<field>-error")
+ */
+const JOB_FIELDS = ['jobNumber', 'jobUnits', 'jobOverheadRate', 'jobMachineHours'];
+
+/**
+ * Standard costing inputs: validator field name → input ID and position in { profile, actual }
+ */
+const STANDARD_COSTING_INPUTS = {
+  standardMaterialsQuantity: { id: 'standard-materials-quantity', group: 'materials', key: 'quantityPerUnit' },
+  standardMaterialsPrice: { id: 'standard-materials-price', group: 'materials', key: 'price' },
+  standardLaborHours: { id: 'standard-labor-hours', group: 'labor', key: 'hoursPerUnit' },
+  standardLaborRate: { id: 'standard-labor-rate', group: 'labor', key: 'rate' },
+  standardVariableOverheadRate: { id: 'standard-variable-overhead-rate', group: 'overhead', key: 'variableRate' },
+  standardFixedOverhead: { id: 'standard-fixed-overhead', group: 'overhead', key: 'fixedBudget' },
+  standardNormalHours: { id: 'standard-normal-hours', group: 'overhead', key: 'normalHours' },
+  actualMaterialsQuantity: { id: 'actual-materials-quantity', group: 'actual', key: 'materialsQuantity' },
+  actualLaborHours: { id: 'actual-labor-hours', group: 'actual', key: 'laborHours' }
+};
+
+/**
+ * Selling price target and PPN rate fields (errors shown in "#<field>-error")
+ */
+const PRICING_FIELDS = ['pricingTarget', 'ppnRate', 'channelListPrice'];
+
+/**
+ * PPN treatment select ID of each taxable cost component
+ */
+const TAX_TREATMENT_SELECTS = {
+  directMaterials: 'tax-direct-materials',
+  manufacturingOverhead: 'tax-manufacturing-overhead',
+  otherCosts: 'tax-other-costs'
+};
+
+/**
+ * Cost behavior select ID of each cost component (variable share input is "<id>-variable")
+ */
+const COST_BEHAVIOR_SELECTS = {
+  directMaterials: 'behavior-direct-materials',
+  directLabor: 'behavior-direct-labor',
+  manufacturingOverhead: 'behavior-overhead',
+  otherCosts: 'behavior-other-costs'
+};
+
+/**
+ * Cost-volume-profit inputs (errors shown in "#<field>-error")
+ */
+const CVP_INPUTS = {
+  cvpSellingPrice: { id: 'cvp-selling-price', key: 'sellingPrice' },
+  cvpBatchesPerPeriod: { id: 'cvp-batches-per-period', key: 'batchesPerPeriod' },
+  cvpOtherFixedCosts: { id: 'cvp-other-fixed-costs', key: 'otherFixedCosts' },
+  cvpExpectedUnits: { id: 'cvp-expected-units', key: 'expectedUnits' },
+  cvpTargetProfit: { id: 'cvp-target-profit', key: 'targetProfit' }
+};
+
+/**
+ * Recipe batch inputs (errors shown in "#<field>-error")
+ */
+const BATCH_INPUTS = {
+  batchSize: { id: 'batch-size', key: 'size' },
+  batchYield: { id: 'batch-yield', key: 'yieldPercentage' },
+  batchProcessLoss: { id: 'batch-process-loss', key: 'processLoss' },
+  batchPackSize: { id: 'batch-pack-size', key: 'packSize' }
+};
+
+/**
+ * Measurement unit selects of the recipe batch
+ */
+const BATCH_UNIT_SELECTS = {
+  unit: { id: 'batch-unit', default: DEFAULTS.batchUnit },
+  packUnit: { id: 'batch-pack-unit', default: DEFAULTS.packUnit }
+};
+
+/**
+ * Sensitivity analysis inputs (errors shown in "#<field>-error")
+ */
+const SENSITIVITY_INPUTS = {
+  sensitivityRange: { id: 'sensitivity-range', key: 'range' },
+  sensitivityStep: { id: 'sensitivity-step', key: 'step' },
+  sensitivitySellingPrice: { id: 'sensitivity-selling-price', key: 'sellingPrice' }
+};
+
+/**
+ * Monte Carlo distribution rows: "<id>-type", "<id>-min", "<id>-mode", "<id>-max" and "<id>-stdev"
+ */
+const MONTE_CARLO_DISTRIBUTIONS = {
+  directMaterials: 'mc-direct-materials',
+  directLabor: 'mc-direct-labor',
+  manufacturingOverhead: 'mc-overhead',
+  otherCosts: 'mc-other-costs',
+  totalUnits: 'mc-total-units'
+};
+
+/**
+ * Distribution parameters used by each distribution type
+ */
+const DISTRIBUTION_PARAMETERS = {
+  fixed: [],
+  triangular: ['min', 'mode', 'max'],
+  normal: ['mode', 'stdev']
+};
+
+/**
+ * Behavior and variable share columns of the BOM, labor, overhead pool and activity editors
+ */
+const costBehaviorColumns = () => [
+  {
+    key: 'behavior',
+    label: 'Perilaku',
+    type: 'select',
+    options: Object.entries(COST_BEHAVIORS).map(([value, behavior]) => ({ value, label: behavior.label }))
+  },
+  { key: 'variablePercentage', label: 'Variabel %', type: 'number', step: 'any' }
+];
 
 export class InputForm {
   constructor(formElement, options = {}) {
@@ -22,6 +186,7 @@ export class InputForm {
 
     this.formData = {};
     this.validationResults = new Map();
+    this.lineItemEditors = {};
     this.eventListeners = [];
     this.realTimeValidator = new RealTimeValidator(defaultValidationManager);
     
@@ -54,6 +219,17 @@ export class InputForm {
       manufacturingOverhead: DOMHelper.$('#overhead', this.form),
       otherCosts: DOMHelper.$('#other-costs', this.form),
       totalUnits: DOMHelper.$('#total-units', this.form),
+      beginningInventory: DOMHelper.$('#beginning-inventory', this.form),
+      purchases: DOMHelper.$('#purchases', this.form),
+      purchaseReturns: DOMHelper.$('#purchase-returns', this.form),
+      purchaseDiscounts: DOMHelper.$('#purchase-discounts', this.form),
+      freightIn: DOMHelper.$('#freight-in', this.form),
+      endingInventory: DOMHelper.$('#ending-inventory', this.form),
+      unitsSold: DOMHelper.$('#units-sold', this.form),
+      beginningWIP: DOMHelper.$('#beginning-wip', this.form),
+      endingWIP: DOMHelper.$('#ending-wip', this.form),
+      beginningFinishedGoods: DOMHelper.$('#beginning-finished-goods', this.form),
+      endingFinishedGoods: DOMHelper.$('#ending-finished-goods', this.form),
       submitBtn: DOMHelper.$('button[type="submit"]', this.form),
       resetBtn: DOMHelper.$('button[type="reset"]', this.form)
     };
@@ -63,246 +239,3200 @@ export class InputForm {
     
     // Setup unit input
     this.setupUnitInput();
+
+    // Setup material master and line item editors
+    this.materialMaster = new MaterialMaster();
+    this.setupLineItemEditors();
+    this.setupPackUnitControls();
+    this.setupMaterialControls();
+
+    // Setup product catalog controls
+    this.setupCatalogControls();
+
+    // Setup calculation mode (manufacturing / trading)
+    this.setupCalculationModeSelect();
+
+    // Setup recipe batch that derives the unit count
+    this.setupBatchControls();
+
+    // Setup fixed asset register and depreciation charged to overhead
+    this.setupDepreciationControls();
+
+    // Setup WIP and finished goods inventories
+    this.setupManufacturingStatementToggle();
+    this.setupStandardCostingControls();
+
+    // Setup PPN, recommended selling price and sales channels
+    this.setupTaxControls();
+    this.setupPricingControls();
+    this.setupSalesChannelControls();
+
+    // Setup cost behavior, cost-volume-profit, sensitivity and Monte Carlo inputs
+    this.setupCostVolumeProfitControls();
+    this.setupSensitivityControls();
+    this.setupMonteCarloControls();
+
+    // Setup named scenarios
+    this.setupScenarioControls();
+
+    // Setup money rounding settings
+    this.setupRoundingControls();
   }
 
   /**
-   * Setup currency input formatting
+   * Setup line item editors (bill of materials, labor roles)
    */
-  setupCurrencyInputs() {
-    const currencyFields = ['directMaterials', 'directLabor', 'manufacturingOverhead', 'otherCosts'];
-    
-    currencyFields.forEach(field => {
-      const element = this.elements[field];
+  setupLineItemEditors() {
+    this.createLineItemEditor('bom', {
+      addLabel: 'Tambah Bahan',
+      emptyText: 'Belum ada rincian bahan. Isi total biaya di atas atau tambahkan bahan satu per satu.',
+      columns: [
+        { key: 'materialId', label: 'Master Bahan', type: 'select', options: this.materialMaster.getOptions() },
+        { key: 'name', label: 'Bahan', type: 'text', placeholder: 'Tepung terigu' },
+        { key: 'quantity', label: 'Jumlah', type: 'number', step: 'any' },
+        { key: 'unit', label: 'Satuan', type: 'select', options: defaultUnitConverter.getUnits() },
+        { key: 'pricePerUnit', label: 'Harga/Satuan', type: 'number', step: 'any' },
+        { key: 'purchasePrice', label: 'Harga Beli/Kemasan', type: 'number', step: 'any' },
+        { key: 'purchaseQuantity', label: 'Isi Kemasan', type: 'number', step: 'any' },
+        { key: 'purchaseUnit', label: 'Satuan Isi', type: 'select', options: defaultUnitConverter.getUnits() },
+        { key: 'density', label: 'Densitas g/ml', type: 'number', step: 'any' },
+        { key: 'wastePercentage', label: 'Susut %', type: 'number', step: 'any' },
+        ...costBehaviorColumns()
+      ],
+      createLine: () => ({
+        id: IdHelper.generate(),
+        materialId: '',
+        name: '',
+        quantity: 0,
+        unit: DEFAULTS.bomUnit,
+        pricePerUnit: 0,
+        purchasePrice: 0,
+        purchaseQuantity: 1,
+        purchaseUnit: DEFAULTS.bomUnit,
+        density: 0,
+        wastePercentage: 0,
+        behavior: DEFAULT_COST_BEHAVIORS.directMaterials,
+        variablePercentage: DEFAULTS.semiVariablePercentage
+      }),
+      computeLineTotal: (line) => new BOMLine(line).totalCost
+    });
+
+    this.createLineItemEditor('labor', {
+      addLabel: 'Tambah Peran',
+      emptyText: 'Belum ada rincian tenaga kerja. Isi total biaya di atas atau tambahkan jam kerja per peran.',
+      columns: [
+        { key: 'role', label: 'Peran', type: 'text', placeholder: 'Operator' },
+        { key: 'hours', label: 'Jam', type: 'number', step: 'any' },
+        { key: 'hourlyRate', label: 'Upah/Jam', type: 'number', step: 'any' },
+        { key: 'overtimeHours', label: 'Jam Lembur', type: 'number', step: 'any' },
+        { key: 'overtimeMultiplier', label: 'Pengali Lembur', type: 'number', step: 'any', min: 1 },
+        ...costBehaviorColumns()
+      ],
+      createLine: () => ({
+        id: IdHelper.generate(),
+        role: '',
+        hours: 0,
+        hourlyRate: 0,
+        overtimeHours: 0,
+        overtimeMultiplier: DEFAULTS.overtimeMultiplier,
+        behavior: DEFAULT_COST_BEHAVIORS.directLabor,
+        variablePercentage: DEFAULTS.semiVariablePercentage
+      }),
+      computeLineTotal: (line) => new LaborRole(line).totalCost
+    });
+
+    this.setupOverheadAllocationEditors();
+    this.setupActivityCostingEditors();
+    this.setupOverheadMethodSelect();
+    this.setupProcessCostingEditors();
+    this.setupJobCostingControls();
+  }
+
+  /**
+   * Setup job order inputs, requisition and labor ticket editors
+   */
+  setupJobCostingControls() {
+    this.createLineItemEditor('jobMaterials', {
+      addLabel: 'Tambah Bon Bahan',
+      emptyText: 'Belum ada bon permintaan bahan untuk pesanan ini.',
+      columns: [
+        { key: 'reference', label: 'No. Bon', type: 'text', placeholder: 'BPB-001' },
+        { key: 'description', label: 'Bahan', type: 'text', placeholder: 'Kain katun' },
+        { key: 'quantity', label: 'Jumlah', type: 'number', step: 'any' },
+        { key: 'unitCost', label: 'Harga Satuan', type: 'number', step: 'any' }
+      ],
+      createLine: () => ({
+        id: IdHelper.generate(),
+        reference: '',
+        description: '',
+        quantity: 0,
+        unitCost: 0
+      }),
+      computeLineTotal: (line) => (parseFloat(line.quantity) || 0) * (parseFloat(line.unitCost) || 0),
+      onChange: () => this.handleJobChange()
+    });
+
+    this.createLineItemEditor('jobLabor', {
+      addLabel: 'Tambah Kartu Jam Kerja',
+      emptyText: 'Belum ada kartu jam kerja untuk pesanan ini.',
+      columns: [
+        { key: 'reference', label: 'No. Kartu', type: 'text', placeholder: 'KJK-001' },
+        { key: 'employee', label: 'Karyawan', type: 'text', placeholder: 'Budi' },
+        { key: 'hours', label: 'Jam', type: 'number', step: 'any' },
+        { key: 'hourlyRate', label: 'Upah/Jam', type: 'number', step: 'any' }
+      ],
+      createLine: () => ({
+        id: IdHelper.generate(),
+        reference: '',
+        employee: '',
+        hours: 0,
+        hourlyRate: 0
+      }),
+      computeLineTotal: (line) => (parseFloat(line.hours) || 0) * (parseFloat(line.hourlyRate) || 0),
+      onChange: () => this.handleJobChange()
+    });
+
+    this.jobs = [];
+    this.jobElements = {
+      select: DOMHelper.$('#job-select', this.form),
+      number: DOMHelper.$('#job-number', this.form),
+      customer: DOMHelper.$('#job-customer', this.form),
+      description: DOMHelper.$('#job-description', this.form),
+      units: DOMHelper.$('#job-units', this.form),
+      overheadBasis: DOMHelper.$('#job-overhead-basis', this.form),
+      overheadRate: DOMHelper.$('#job-overhead-rate', this.form),
+      overheadRateLabel: DOMHelper.$('#job-overhead-rate-label', this.form),
+      estimatedOverhead: DOMHelper.$('#job-estimated-overhead', this.form),
+      estimatedBase: DOMHelper.$('#job-estimated-base', this.form),
+      machineHours: DOMHelper.$('#job-machine-hours', this.form),
+      status: DOMHelper.$('#job-status', this.form),
+      rateBtn: DOMHelper.$('#job-rate-btn', this.form),
+      saveBtn: DOMHelper.$('#job-save-btn', this.form),
+      closeBtn: DOMHelper.$('#job-close-btn', this.form),
+      reopenBtn: DOMHelper.$('#job-reopen-btn', this.form)
+    };
+
+    const { select, overheadBasis, rateBtn, saveBtn, closeBtn, reopenBtn } = this.jobElements;
+
+    if (overheadBasis) {
+      overheadBasis.innerHTML = '';
+      Object.entries(JOB_OVERHEAD_BASES).forEach(([value, basis]) => {
+        overheadBasis.appendChild(DOMHelper.create('option', { value }, basis.label));
+      });
+      overheadBasis.value = DEFAULTS.jobOverheadBasis;
+      this.applyJobOverheadBasis();
+
+      this.addEventListenerWithCleanup(overheadBasis, 'change', () => {
+        this.applyJobOverheadBasis();
+        this.handleJobChange();
+      });
+    }
+
+    ['number', 'customer', 'description', 'units', 'overheadRate', 'machineHours'].forEach(key => {
+      const element = this.jobElements[key];
       if (!element) return;
 
-      // Add currency wrapper if not exists
-      if (!element.parentElement.classList.contains('currency-input')) {
-        const wrapper = DOMHelper.create('div', { className: 'currency-input' });
-        element.parentElement.insertBefore(wrapper, element);
-        wrapper.appendChild(element);
-      }
+      this.addEventListenerWithCleanup(element, 'input', EventHelper.debounce(() => {
+        this.handleJobChange();
+      }, this.options.debounceDelay));
+    });
 
-      // Format on blur
-      this.addEventListenerWithCleanup(element, 'blur', () => {
-        if (this.options.formatCurrency && element.value) {
-          const value = CurrencyHelper.parse(element.value);
-          element.value = CurrencyHelper.format(value, false);
-        }
+    if (select) {
+      this.setJobs([]);
+      this.addEventListenerWithCleanup(select, 'change', () => {
+        this.handleJobSelect(select.value);
       });
+    }
 
-      // Parse on focus
-      this.addEventListenerWithCleanup(element, 'focus', () => {
-        if (element.value) {
-          const value = CurrencyHelper.parse(element.value);
-          element.value = value.toString();
-        }
+    if (rateBtn) {
+      this.addEventListenerWithCleanup(rateBtn, 'click', (e) => {
+        e.preventDefault();
+        this.applyPredeterminedRate();
+      });
+    }
+
+    if (saveBtn) {
+      this.addEventListenerWithCleanup(saveBtn, 'click', (e) => {
+        e.preventDefault();
+        this.handleJobSave();
+      });
+    }
+
+    [[closeBtn, 'hpp:job-close'], [reopenBtn, 'hpp:job-reopen']].forEach(([button, eventName]) => {
+      if (!button) return;
+
+      this.addEventListenerWithCleanup(button, 'click', (e) => {
+        e.preventDefault();
+        if (!this.activeJobId) return;
+        EventHelper.trigger(this.form, eventName, {
+          jobId: this.activeJobId,
+          source: 'job-button'
+        });
+      });
+    });
+
+    this.activeJobId = null;
+    this.applyJobStatus(null);
+  }
+
+  /**
+   * Setup process costing department editor and method selector
+   */
+  setupProcessCostingEditors() {
+    this.createLineItemEditor('processDepartments', {
+      addLabel: 'Tambah Departemen',
+      emptyText: 'Belum ada departemen. Tambahkan departemen sesuai urutan proses produksi.',
+      columns: [
+        { key: 'name', label: 'Departemen', type: 'text', placeholder: 'Pencampuran' },
+        { key: 'unitsStarted', label: 'Unit Mulai (dept. pertama)', type: 'number', step: 'any' },
+        { key: 'beginningUnits', label: 'BDP Awal (unit)', type: 'number', step: 'any' },
+        { key: 'beginningTransferredInCost', label: 'BDP Awal: Biaya Dept. Sebelumnya', type: 'number', step: 'any' },
+        { key: 'beginningMaterialsCost', label: 'BDP Awal: Bahan', type: 'number', step: 'any' },
+        { key: 'beginningConversionCost', label: 'BDP Awal: Konversi', type: 'number', step: 'any' },
+        { key: 'beginningMaterialsCompletion', label: 'BDP Awal: % Bahan', type: 'number', step: 'any' },
+        { key: 'beginningConversionCompletion', label: 'BDP Awal: % Konversi', type: 'number', step: 'any' },
+        { key: 'materialsCost', label: 'Biaya Bahan Periode Ini', type: 'number', step: 'any' },
+        { key: 'conversionCost', label: 'Biaya Konversi Periode Ini', type: 'number', step: 'any' },
+        { key: 'endingUnits', label: 'BDP Akhir (unit)', type: 'number', step: 'any' },
+        { key: 'endingMaterialsCompletion', label: 'BDP Akhir: % Bahan', type: 'number', step: 'any' },
+        { key: 'endingConversionCompletion', label: 'BDP Akhir: % Konversi', type: 'number', step: 'any' }
+      ],
+      createLine: () => ProcessCosting.toLine({
+        endingWIP: { completion: { materials: 100, conversion: 50 } }
+      }),
+      onChange: () => this.handleProcessCostingChange()
+    });
+
+    this.processMethodSelect = DOMHelper.$('#process-method', this.form);
+    if (!this.processMethodSelect) return;
+
+    this.processMethodSelect.innerHTML = '';
+    Object.entries(PROCESS_COSTING_METHODS).forEach(([value, method]) => {
+      this.processMethodSelect.appendChild(DOMHelper.create('option', { value }, method.label));
+    });
+    this.processMethodSelect.value = DEFAULTS.processCostingMethod;
+
+    this.addEventListenerWithCleanup(this.processMethodSelect, 'change', () => {
+      this.handleProcessCostingChange();
+    });
+  }
+
+  /**
+   * Setup shared overhead pool and allocation driver editors
+   */
+  setupOverheadAllocationEditors() {
+    const basisOptions = Object.entries(ALLOCATION_BASES).map(([value, basis]) => ({
+      value,
+      label: basis.label
+    }));
+
+    this.createLineItemEditor('overheadPools', {
+      addLabel: 'Tambah Pos Overhead',
+      emptyText: 'Belum ada pos overhead bersama.',
+      columns: [
+        { key: 'name', label: 'Pos Biaya', type: 'text', placeholder: 'Sewa dapur' },
+        { key: 'amount', label: 'Biaya/Bulan', type: 'number', step: 'any' },
+        { key: 'basis', label: 'Dasar Alokasi', type: 'select', options: basisOptions },
+        ...costBehaviorColumns()
+      ],
+      createLine: () => ({
+        name: '',
+        amount: 0,
+        basis: DEFAULTS.allocationBasis,
+        behavior: DEFAULT_COST_BEHAVIORS.manufacturingOverhead,
+        variablePercentage: DEFAULTS.semiVariablePercentage
+      }),
+      onChange: () => this.handleOverheadAllocationChange()
+    });
+
+    this.createLineItemEditor('overheadDrivers', {
+      addLabel: 'Tambah Produk',
+      emptyText: 'Belum ada produk yang berbagi overhead.',
+      columns: [
+        { key: 'name', label: 'Produk', type: 'text', placeholder: 'Roti tawar' },
+        ...Object.entries(ALLOCATION_BASES).map(([key, basis]) => ({
+          key,
+          label: `${basis.label} (${basis.unit})`,
+          type: 'number',
+          step: 'any'
+        }))
+      ],
+      createLine: () => ({
+        name: '',
+        ...Object.fromEntries(Object.keys(ALLOCATION_BASES).map(key => [key, 0]))
+      }),
+      onChange: () => this.handleOverheadAllocationChange()
+    });
+
+    this.overheadProductSelect = DOMHelper.$('#overhead-product', this.form);
+    if (this.overheadProductSelect) {
+      this.addEventListenerWithCleanup(this.overheadProductSelect, 'change', () => {
+        this.handleOverheadAllocationChange();
+      });
+    }
+  }
+
+  /**
+   * Setup activity pool and activity consumption editors (ABC)
+   */
+  setupActivityCostingEditors() {
+    this.createLineItemEditor('activities', {
+      addLabel: 'Tambah Aktivitas',
+      emptyText: 'Belum ada aktivitas overhead.',
+      columns: [
+        { key: 'name', label: 'Aktivitas', type: 'text', placeholder: 'Setup mesin' },
+        { key: 'cost', label: 'Biaya/Bulan', type: 'number', step: 'any' },
+        { key: 'driver', label: 'Pemicu', type: 'text', placeholder: 'kali setup' },
+        ...costBehaviorColumns()
+      ],
+      createLine: () => ({
+        name: '',
+        cost: 0,
+        driver: '',
+        behavior: DEFAULT_COST_BEHAVIORS.manufacturingOverhead,
+        variablePercentage: DEFAULTS.semiVariablePercentage
+      }),
+      onChange: () => this.handleActivityCostingChange()
+    });
+
+    this.activityColumnsSignature = null;
+    this.setupActivityConsumptionEditor();
+
+    this.abcProductSelect = DOMHelper.$('#abc-product', this.form);
+    if (this.abcProductSelect) {
+      this.addEventListenerWithCleanup(this.abcProductSelect, 'change', () => {
+        this.handleActivityCostingChange();
+      });
+    }
+  }
+
+  /**
+   * (Re)build the consumption editor with one column per activity
+   */
+  setupActivityConsumptionEditor() {
+    const activitiesEditor = this.lineItemEditors.activities;
+    const activities = activitiesEditor ? activitiesEditor.getLines() : [];
+
+    const signature = activities.map(activity => `${activity.id}:${activity.name}:${activity.driver}`).join('|');
+    if (signature === this.activityColumnsSignature) return;
+    this.activityColumnsSignature = signature;
+
+    const previous = this.lineItemEditors.activityConsumption;
+    const lines = previous ? previous.getLines() : [];
+    if (previous) {
+      previous.destroy();
+    }
+
+    this.createLineItemEditor('activityConsumption', {
+      addLabel: 'Tambah Produk',
+      emptyText: 'Belum ada produk yang memakai aktivitas.',
+      columns: [
+        { key: 'name', label: 'Produk', type: 'text', placeholder: 'Roti tawar' },
+        ...activities.map((activity, index) => ({
+          key: activity.id,
+          label: `${activity.name || `Aktivitas ${index + 1}`}${activity.driver ? ` (${activity.driver})` : ''}`,
+          type: 'number',
+          step: 'any'
+        }))
+      ],
+      createLine: () => ({
+        name: '',
+        ...Object.fromEntries(activities.map(activity => [activity.id, 0]))
+      }),
+      onChange: () => this.handleActivityCostingChange()
+    });
+
+    if (this.lineItemEditors.activityConsumption) {
+      this.lineItemEditors.activityConsumption.setLines(lines);
+    }
+  }
+
+  /**
+   * Setup overhead method selector (direct, single-driver allocation, ABC)
+   */
+  setupOverheadMethodSelect() {
+    this.overheadMethodSelect = DOMHelper.$('#overhead-method', this.form);
+    if (!this.overheadMethodSelect) return;
+
+    this.overheadMethodSelect.innerHTML = '';
+    Object.entries(OVERHEAD_METHODS).forEach(([value, method]) => {
+      this.overheadMethodSelect.appendChild(DOMHelper.create('option', { value }, method.label));
+    });
+    this.overheadMethodSelect.value = DEFAULTS.overheadMethod;
+    this.applyOverheadMethod();
+
+    this.addEventListenerWithCleanup(this.overheadMethodSelect, 'change', () => {
+      this.applyOverheadMethod();
+      this.handleOverheadAllocationChange();
+      this.handleActivityCostingChange();
+    });
+  }
+
+  /**
+   * Current overhead method
+   */
+  getOverheadMethod() {
+    return this.overheadMethodSelect ? this.overheadMethodSelect.value : DEFAULTS.overheadMethod;
+  }
+
+  /**
+   * Show only the overhead groups of the selected method
+   */
+  applyOverheadMethod() {
+    const method = this.getOverheadMethod();
+    this.formData.overheadMethod = method;
+
+    DOMHelper.$$('[data-overhead-method]', this.form).forEach(group => {
+      group.style.display = group.dataset.overheadMethod === method ? '' : 'none';
+    });
+  }
+
+  /**
+   * Setup calculation mode selector
+   */
+  setupCalculationModeSelect() {
+    this.calculationModeSelect = DOMHelper.$('#calculation-mode', this.form);
+    if (!this.calculationModeSelect) return;
+
+    this.calculationModeSelect.innerHTML = '';
+    Object.entries(CALCULATION_MODES).forEach(([value, mode]) => {
+      this.calculationModeSelect.appendChild(DOMHelper.create('option', { value }, mode.label));
+    });
+    this.calculationModeSelect.value = DEFAULTS.calculationMode;
+    this.applyCalculationMode();
+
+    this.addEventListenerWithCleanup(this.calculationModeSelect, 'change', () => {
+      this.applyCalculationMode();
+      this.updateSubmitButtonState();
+    });
+  }
+
+  /**
+   * Current calculation mode
+   */
+  getCalculationMode() {
+    return this.calculationModeSelect ? this.calculationModeSelect.value : DEFAULTS.calculationMode;
+  }
+
+  /**
+   * Show only the sections of the selected mode and drop errors of hidden fields
+   */
+  applyCalculationMode() {
+    const mode = this.getCalculationMode();
+    this.formData.calculationMode = mode;
+
+    DOMHelper.$$('[data-calculation-mode]', this.form).forEach(section => {
+      section.style.display = section.dataset.calculationMode === mode ? '' : 'none';
+    });
+
+    Object.entries(MODE_FIELDS)
+      .filter(([otherMode]) => otherMode !== mode)
+      .forEach(([, fields]) => {
+        fields.forEach(field => {
+          this.validationResults.delete(field);
+          this.clearFieldError(field);
+        });
+      });
+
+    this.formData.processCosting = this.getProcessCosting();
+    if (mode !== 'process') {
+      this.validationResults.delete('processCosting');
+      this.showLineItemsError('processDepartments', null);
+    }
+
+    this.formData.job = this.getJob();
+    if (mode !== 'job') {
+      this.validationResults.delete('job');
+      this.showJobErrors(null);
+    }
+
+    this.formData.standardCosting = this.getStandardCosting();
+    if (mode !== 'manufacturing') {
+      this.validationResults.delete('standardCosting');
+      this.showStandardCostingErrors(null);
+    }
+
+    this.formData.batch = this.getBatch();
+    if (mode !== 'manufacturing') {
+      this.validationResults.delete('batch');
+      this.showBatchErrors(null);
+    }
+
+    this.formData.depreciation = this.getDepreciation();
+    if (mode !== 'manufacturing') {
+      this.validationResults.delete('depreciation');
+      this.showDepreciationErrors(null);
+    }
+
+    this.formData.cvp = this.getCostVolumeProfit();
+    if (mode !== 'manufacturing') {
+      this.validationResults.delete('cvp');
+      this.showCostVolumeProfitErrors(null);
+    }
+
+    this.formData.sensitivity = this.getSensitivity();
+    if (mode !== 'manufacturing') {
+      this.validationResults.delete('sensitivity');
+      this.showSensitivityErrors(null);
+    }
+
+    this.formData.monteCarlo = this.getMonteCarlo();
+    if (mode !== 'manufacturing') {
+      this.validationResults.delete('monteCarlo');
+      this.showMonteCarloErrors(null);
+    }
+  }
+
+  /**
+   * Setup toggle for the manufacturing statement (WIP and finished goods inventories)
+   */
+  setupManufacturingStatementToggle() {
+    this.manufacturingStatementToggle = DOMHelper.$('#manufacturing-statement', this.form);
+    if (!this.manufacturingStatementToggle) return;
+
+    this.applyManufacturingStatement();
+
+    this.addEventListenerWithCleanup(this.manufacturingStatementToggle, 'change', () => {
+      this.applyManufacturingStatement();
+      this.updateFormData();
+    });
+  }
+
+  /**
+   * Setup toggle, inputs and rescale button of the recipe batch
+   */
+  setupBatchControls() {
+    this.batchToggle = DOMHelper.$('#batch-enabled', this.form);
+    this.batchElements = {};
+    this.batchUnitSelects = {};
+
+    Object.entries(BATCH_INPUTS).forEach(([field, config]) => {
+      const element = DOMHelper.$(`#${config.id}`, this.form);
+      if (!element) return;
+
+      this.batchElements[field] = element;
+      this.addEventListenerWithCleanup(element, 'input', EventHelper.debounce(() => {
+        this.handleBatchChange();
+      }, this.options.debounceDelay));
+    });
+
+    Object.entries(BATCH_UNIT_SELECTS).forEach(([key, config]) => {
+      const select = DOMHelper.$(`#${config.id}`, this.form);
+      if (!select) return;
+
+      select.innerHTML = '';
+      MEASUREMENT_UNITS.forEach(unit => {
+        select.appendChild(DOMHelper.create('option', { value: unit.value }, unit.label));
       });
+      select.value = config.default;
+
+      this.batchUnitSelects[key] = select;
+      this.addEventListenerWithCleanup(select, 'change', () => this.handleBatchChange());
+    });
+
+    this.batchRescaleInput = DOMHelper.$('#batch-rescale-size', this.form);
+    const rescaleButton = DOMHelper.$('#batch-rescale-btn', this.form);
+    if (rescaleButton) {
+      this.addEventListenerWithCleanup(rescaleButton, 'click', () => this.handleBatchRescale());
+    }
+
+    if (!this.batchToggle) return;
+
+    this.applyBatch();
+
+    this.addEventListenerWithCleanup(this.batchToggle, 'change', () => {
+      this.applyBatch();
+      this.handleBatchChange();
+    });
+  }
+
+  /**
+   * Check if the unit count is derived from a recipe batch
+   */
+  isBatchEnabled() {
+    return Boolean(this.batchToggle && this.batchToggle.checked);
+  }
+
+  /**
+   * Show batch inputs and lock the unit count while a batch is used
+   */
+  applyBatch() {
+    const enabled = this.isBatchEnabled();
+
+    DOMHelper.$$('[data-batch]', this.form).forEach(group => {
+      group.style.display = enabled ? '' : 'none';
     });
+
+    if (this.elements.totalUnits) {
+      this.elements.totalUnits.readOnly = enabled;
+    }
+
+    if (!enabled) {
+      this.validationResults.delete('batch');
+      this.showBatchErrors(null);
+    }
+  }
+
+  /**
+   * Build recipe batch (null unless enabled in manufacturing mode)
+   */
+  getBatch() {
+    if (!this.isBatchEnabled() || this.getCalculationMode() !== 'manufacturing') return null;
+
+    const value = (field, fallback) => {
+      const element = this.batchElements[field];
+      return element && element.value.trim() !== '' ? parseFloat(element.value) || 0 : fallback;
+    };
+
+    return {
+      size: value('batchSize', 0),
+      unit: this.batchUnitSelects.unit ? this.batchUnitSelects.unit.value : DEFAULTS.batchUnit,
+      yieldPercentage: value('batchYield', DEFAULTS.batchYieldPercentage),
+      processLoss: value('batchProcessLoss', 0),
+      packSize: value('batchPackSize', 0),
+      packUnit: this.batchUnitSelects.packUnit ? this.batchUnitSelects.packUnit.value : DEFAULTS.packUnit
+    };
+  }
+
+  /**
+   * Fill recipe batch inputs (null goes back to a hand-typed unit count)
+   */
+  setBatch(batch) {
+    if (!this.batchToggle) return;
+
+    this.batchToggle.checked = Boolean(batch);
+
+    Object.entries(BATCH_INPUTS).forEach(([field, config]) => {
+      const element = this.batchElements[field];
+      if (!element) return;
+
+      element.value = batch && batch[config.key] !== undefined && batch[config.key] !== null ? batch[config.key] : '';
+    });
+
+    Object.entries(BATCH_UNIT_SELECTS).forEach(([key, config]) => {
+      const select = this.batchUnitSelects[key];
+      if (!select) return;
+
+      select.value = batch && MEASUREMENT_UNITS.some(unit => unit.value === batch[key]) ? batch[key] : config.default;
+    });
+
+    if (this.batchRescaleInput) {
+      this.batchRescaleInput.value = '';
+    }
+
+    this.applyBatch();
+    this.formData.batch = this.getBatch();
+  }
+
+  /**
+   * Handle recipe batch change: validate, then derive the unit count
+   */
+  handleBatchChange() {
+    const batch = this.getBatch();
+    this.formData.batch = batch;
+
+    if (!batch) {
+      this.updateSubmitButtonState();
+      return;
+    }
+
+    const result = defaultValidationManager.validateBatch(batch);
+    this.validationResults.set('batch', result);
+    this.showBatchErrors(result);
+
+    if (!result.isValid) {
+      this.updateSubmitButtonState();
+      return;
+    }
+
+    const totalUnits = String(new Batch(batch).getTotalUnits());
+    if (this.elements.totalUnits) {
+      this.elements.totalUnits.value = totalUnits;
+    }
+    this.handleInputChange('totalUnits', totalUnits);
+    this.updateSubmitButtonState();
+  }
+
+  /**
+   * Rescale the BOM quantities (or direct materials without a BOM) to a new batch size
+   */
+  handleBatchRescale() {
+    const batch = this.getBatch();
+    if (!batch) {
+      this.showLineItemsError('batchRescaleSize', ERROR_MESSAGES.batchRequired);
+      return;
+    }
+
+    const size = this.batchRescaleInput ? parseFloat(this.batchRescaleInput.value) || 0 : 0;
+    const result = defaultValidationManager.validateBatch({ ...batch, size });
+    if (!result.isValid) {
+      this.showLineItemsError('batchRescaleSize', result.errors[0].message);
+      return;
+    }
+
+    this.showLineItemsError('batchRescaleSize', null);
+
+    const data = this.getFormData();
+    const scaled = new Batch(batch).scale(data, size);
+    if (this.lineItemEditors.bom && Array.isArray(data.bom) && data.bom.length > 0) {
+      this.lineItemEditors.bom.setLines(scaled.bom);
+      this.formData.bom = scaled.bom;
+      this.syncLineItemTotal('bom');
+    } else if (this.elements.directMaterials) {
+      this.elements.directMaterials.value = CurrencyHelper.format(scaled.directMaterials, false);
+      this.formData.directMaterials = scaled.directMaterials;
+    }
+
+    if (this.batchElements.batchSize) {
+      this.batchElements.batchSize.value = size;
+    }
+    this.batchRescaleInput.value = '';
+    this.handleBatchChange();
+    this.showSuccessMessage(SUCCESS_MESSAGES.batchRescaled);
+  }
+
+  /**
+   * Show or clear errors of the recipe batch inputs
+   * @param {ValidationResult|null} result - Batch validation result, null clears all errors
+   */
+  showBatchErrors(result) {
+    Object.keys(BATCH_INPUTS).forEach(field => {
+      this.showLineItemsError(field, result ? result.getFirstFieldError(field) : null);
+    });
+  }
+
+  /**
+   * Setup toggle and inputs of the standard-cost profile
+   */
+  setupStandardCostingControls() {
+    this.standardCostingToggle = DOMHelper.$('#standard-costing', this.form);
+    this.standardCostingElements = {};
+
+    Object.entries(STANDARD_COSTING_INPUTS).forEach(([field, config]) => {
+      const element = DOMHelper.$(`#${config.id}`, this.form);
+      if (!element) return;
+
+      this.standardCostingElements[field] = element;
+      this.addEventListenerWithCleanup(element, 'input', EventHelper.debounce(() => {
+        this.handleStandardCostingChange();
+      }, this.options.debounceDelay));
+    });
+
+    if (!this.standardCostingToggle) return;
+
+    this.applyStandardCosting();
+
+    this.addEventListenerWithCleanup(this.standardCostingToggle, 'change', () => {
+      this.applyStandardCosting();
+      this.handleStandardCostingChange();
+    });
+  }
+
+  /**
+   * Check if variances against standard costs are calculated
+   */
+  isStandardCosting() {
+    return Boolean(this.standardCostingToggle && this.standardCostingToggle.checked);
+  }
+
+  /**
+   * Show standard-cost inputs only when variance analysis is enabled
+   */
+  applyStandardCosting() {
+    const enabled = this.isStandardCosting();
+
+    DOMHelper.$$('[data-standard-costing]', this.form).forEach(group => {
+      group.style.display = enabled ? '' : 'none';
+    });
+
+    if (!enabled) {
+      this.validationResults.delete('standardCosting');
+      this.showStandardCostingErrors(null);
+    }
+  }
+
+  /**
+   * Build standard-cost profile and actual quantities (null unless enabled in manufacturing mode)
+   */
+  getStandardCosting() {
+    if (!this.isStandardCosting() || this.getCalculationMode() !== 'manufacturing') return null;
+
+    const standardCosting = {
+      profile: { materials: {}, labor: {}, overhead: {} },
+      actual: {}
+    };
+
+    Object.entries(STANDARD_COSTING_INPUTS).forEach(([field, config]) => {
+      const element = this.standardCostingElements[field];
+      const value = element ? parseFloat(element.value) || 0 : 0;
+      const target = config.group === 'actual' ? standardCosting.actual : standardCosting.profile[config.group];
+      target[config.key] = value;
+    });
+
+    return standardCosting;
+  }
+
+  /**
+   * Fill standard-cost inputs (null disables variance analysis)
+   */
+  setStandardCosting(standardCosting) {
+    if (!this.standardCostingToggle) return;
+
+    this.standardCostingToggle.checked = Boolean(standardCosting);
+
+    Object.entries(STANDARD_COSTING_INPUTS).forEach(([field, config]) => {
+      const element = this.standardCostingElements[field];
+      if (!element) return;
+
+      const source = standardCosting
+        ? (config.group === 'actual' ? standardCosting.actual : (standardCosting.profile || {})[config.group])
+        : null;
+      element.value = source && source[config.key] ? source[config.key] : '';
+    });
+
+    this.applyStandardCosting();
+    this.formData.standardCosting = this.getStandardCosting();
+  }
+
+  /**
+   * Setup fixed asset register, depreciation toggle and month, save and export buttons
+   */
+  setupDepreciationControls() {
+    this.createLineItemEditor('assets', {
+      addLabel: 'Tambah Aset',
+      emptyText: 'Belum ada aset tetap. Tambahkan mesin atau peralatan produksi yang disusutkan.',
+      columns: [
+        { key: 'name', label: 'Aset', type: 'text', placeholder: 'Oven deck' },
+        {
+          key: 'method',
+          label: 'Metode',
+          type: 'select',
+          options: Object.entries(DEPRECIATION_METHODS).map(([value, method]) => ({ value, label: method.label }))
+        },
+        { key: 'cost', label: 'Harga Perolehan', type: 'number', step: 'any' },
+        { key: 'salvageValue', label: 'Nilai Sisa', type: 'number', step: 'any' },
+        { key: 'usefulLife', label: 'Umur (Tahun)', type: 'number', step: 'any' },
+        { key: 'totalUnits', label: 'Kapasitas Unit', type: 'number', step: 'any' },
+        { key: 'unitsPerMonth', label: 'Unit/Bulan', type: 'number', step: 'any' },
+        { key: 'acquisitionDate', label: 'Tanggal Perolehan', type: 'date' },
+        {
+          key: 'overheadLink',
+          label: 'Ke Overhead',
+          type: 'select',
+          options: Object.entries(ASSET_OVERHEAD_LINKS).map(([value, link]) => ({ value, label: link.label }))
+        }
+      ],
+      createLine: () => new FixedAsset().toJSON(),
+      onChange: () => this.handleDepreciationChange()
+    });
+
+    this.depreciationToggle = DOMHelper.$('#depreciation-enabled', this.form);
+    this.depreciationPeriodInput = DOMHelper.$('#depreciation-period', this.form);
+
+    if (this.depreciationPeriodInput) {
+      this.depreciationPeriodInput.value = new Date().toISOString().slice(0, 7);
+      this.addEventListenerWithCleanup(this.depreciationPeriodInput, 'change', () => this.handleDepreciationChange());
+    }
+
+    const saveBtn = DOMHelper.$('#assets-save-btn', this.form);
+    if (saveBtn && this.lineItemEditors.assets) {
+      this.addEventListenerWithCleanup(saveBtn, 'click', (e) => {
+        e.preventDefault();
+        this.handleAssetsSave();
+      });
+    }
+
+    const exportBtn = DOMHelper.$('#depreciation-export-btn', this.form);
+    if (exportBtn && this.lineItemEditors.assets) {
+      this.addEventListenerWithCleanup(exportBtn, 'click', (e) => {
+        e.preventDefault();
+        this.handleDepreciationExport();
+      });
+    }
+
+    if (!this.depreciationToggle) return;
+
+    this.applyDepreciation();
+
+    this.addEventListenerWithCleanup(this.depreciationToggle, 'change', () => {
+      this.applyDepreciation();
+      this.handleDepreciationChange();
+    });
+  }
+
+  /**
+   * Check if asset depreciation is charged to overhead
+   */
+  isDepreciationEnabled() {
+    return Boolean(this.depreciationToggle && this.depreciationToggle.checked);
+  }
+
+  /**
+   * Show the depreciation month only when depreciation is charged to overhead
+   */
+  applyDepreciation() {
+    const enabled = this.isDepreciationEnabled();
+
+    DOMHelper.$$('[data-depreciation]', this.form).forEach(group => {
+      group.style.display = enabled ? '' : 'none';
+    });
+
+    if (!enabled) {
+      this.validationResults.delete('depreciation');
+      this.showDepreciationErrors(null);
+    }
+  }
+
+  /**
+   * Build depreciation charged to overhead (null unless enabled in manufacturing mode)
+   */
+  getDepreciation() {
+    if (!this.isDepreciationEnabled() || this.getCalculationMode() !== 'manufacturing') return null;
+
+    return {
+      assets: this.lineItemEditors.assets ? this.lineItemEditors.assets.getLines() : [],
+      period: this.depreciationPeriodInput ? this.depreciationPeriodInput.value : ''
+    };
+  }
+
+  /**
+   * Set depreciation toggle and month (null stops charging depreciation); assets come from the register
+   */
+  setDepreciation(depreciation) {
+    if (!this.depreciationToggle) return;
+
+    this.depreciationToggle.checked = Boolean(depreciation);
+    if (this.depreciationPeriodInput) {
+      this.depreciationPeriodInput.value = depreciation && depreciation.period
+        ? depreciation.period
+        : new Date().toISOString().slice(0, 7);
+    }
+
+    this.applyDepreciation();
+    this.formData.depreciation = this.getDepreciation();
+  }
+
+  /**
+   * Fill asset register editor with saved assets
+   */
+  setAssets(assets = []) {
+    if (!this.lineItemEditors.assets) return;
+
+    // Kept so a form reset brings the saved register back
+    this.savedAssets = new AssetRegister(assets).toJSON();
+    this.lineItemEditors.assets.setLines(this.savedAssets);
+    this.formData.depreciation = this.getDepreciation();
+  }
+
+  /**
+   * Handle asset or depreciation month change
+   */
+  handleDepreciationChange() {
+    const depreciation = this.getDepreciation();
+    this.formData.depreciation = depreciation;
+
+    if (!depreciation) {
+      // Register edits are still checked, but only block the form when charged to overhead
+      const assets = this.lineItemEditors.assets ? this.lineItemEditors.assets.getLines() : [];
+      const result = defaultValidationManager.validateAssets(assets);
+      this.showLineItemsError('assets', result.isValid ? null : result.errors[0].message);
+      this.updateSubmitButtonState();
+      return;
+    }
+
+    const result = defaultValidationManager.validateDepreciation(depreciation);
+    this.validationResults.set('depreciation', result);
+    this.showDepreciationErrors(result);
+
+    if (this.options.autoCalculate && this.isFormValid()) {
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'auto-calculate'
+      });
+    }
+
+    this.updateSubmitButtonState();
+  }
+
+  /**
+   * Show or clear errors of the asset register and depreciation month
+   * @param {ValidationResult|null} result - Depreciation validation result, null clears all errors
+   */
+  showDepreciationErrors(result) {
+    const assetError = result ? result.errors.find(error => error.field.startsWith('assets')) : null;
+    this.showLineItemsError('assets', assetError ? assetError.message : null);
+    this.showLineItemsError('depreciationPeriod', result ? result.getFirstFieldError('depreciationPeriod') : null);
+  }
+
+  /**
+   * Save asset register to storage
+   */
+  handleAssetsSave() {
+    const assets = this.lineItemEditors.assets.getLines();
+    const result = defaultValidationManager.validateAssets(assets);
+
+    if (!result.isValid) {
+      this.showLineItemsError('assets', result.errors[0].message);
+      return;
+    }
+
+    this.showLineItemsError('assets', null);
+    EventHelper.trigger(this.form, 'hpp:assets-save', {
+      assets,
+      source: 'asset-register'
+    });
+  }
+
+  /**
+   * Export the monthly depreciation schedule of the register
+   */
+  handleDepreciationExport() {
+    const assets = this.lineItemEditors.assets.getLines();
+    const result = defaultValidationManager.validateAssets(assets);
+    const error = assets.length === 0 ? ERROR_MESSAGES.assetsRequired : (result.isValid ? null : result.errors[0].message);
+
+    this.showLineItemsError('assets', error);
+    if (error) return;
+
+    EventHelper.trigger(this.form, 'hpp:depreciation-export', {
+      assets,
+      source: 'asset-register'
+    });
+  }
+
+  /**
+   * Handle standard-cost profile or actual quantity change
+   */
+  handleStandardCostingChange() {
+    const standardCosting = this.getStandardCosting();
+    this.formData.standardCosting = standardCosting;
+
+    if (!standardCosting) return;
+
+    const result = defaultValidationManager.validateStandardCosting(standardCosting);
+    this.validationResults.set('standardCosting', result);
+    this.showStandardCostingErrors(result);
+
+    if (this.options.autoCalculate && this.isFormValid()) {
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'auto-calculate'
+      });
+    }
+
+    this.updateSubmitButtonState();
+  }
+
+  /**
+   * Show or clear errors of the standard costing inputs
+   * @param {ValidationResult|null} result - Standard costing validation result, null clears all errors
+   */
+  showStandardCostingErrors(result) {
+    Object.keys(STANDARD_COSTING_INPUTS).forEach(field => {
+      this.showLineItemsError(field, result ? result.getFirstFieldError(field) : null);
+    });
+  }
+
+  /**
+   * Setup PPN toggle, rate and per-component treatment selects
+   */
+  setupTaxControls() {
+    this.taxToggle = DOMHelper.$('#tax-enabled', this.form);
+    this.taxRateInput = DOMHelper.$('#ppn-rate', this.form);
+    this.taxTreatmentSelects = {};
+    if (!this.taxToggle || !this.taxRateInput) return;
+
+    this.taxRateInput.value = DEFAULTS.ppnRate;
+
+    Object.entries(TAX_TREATMENT_SELECTS).forEach(([key, id]) => {
+      const select = DOMHelper.$(`#${id}`, this.form);
+      if (!select) return;
+
+      select.innerHTML = '';
+      Object.entries(TAX_TREATMENTS).forEach(([value, treatment]) => {
+        select.appendChild(DOMHelper.create('option', { value }, treatment.label));
+      });
+      select.value = DEFAULTS.taxTreatment;
+
+      this.taxTreatmentSelects[key] = select;
+      this.addEventListenerWithCleanup(select, 'change', () => this.handleTaxChange());
+    });
+
+    this.applyTax();
+
+    this.addEventListenerWithCleanup(this.taxToggle, 'change', () => {
+      this.applyTax();
+      this.handleTaxChange();
+    });
+
+    this.addEventListenerWithCleanup(this.taxRateInput, 'input', EventHelper.debounce(() => {
+      this.handleTaxChange();
+    }, this.options.debounceDelay));
+  }
+
+  /**
+   * Check if PPN is handled in cost and selling price
+   */
+  isTaxEnabled() {
+    return Boolean(this.taxToggle && this.taxToggle.checked);
+  }
+
+  /**
+   * Show PPN inputs only when tax handling is enabled
+   */
+  applyTax() {
+    const enabled = this.isTaxEnabled();
+
+    DOMHelper.$$('[data-tax]', this.form).forEach(group => {
+      group.style.display = enabled ? '' : 'none';
+    });
+
+    if (!enabled) {
+      this.validationResults.delete('tax');
+      this.showLineItemsError('ppnRate', null);
+    }
+  }
+
+  /**
+   * Build PPN settings (null when tax handling is off)
+   */
+  getTax() {
+    if (!this.isTaxEnabled()) return null;
+
+    const treatments = {};
+    Object.entries(this.taxTreatmentSelects).forEach(([key, select]) => {
+      treatments[key] = select.value;
+    });
+
+    return {
+      rate: this.taxRateInput.value.trim() === '' ? DEFAULTS.ppnRate : parseFloat(this.taxRateInput.value),
+      treatments
+    };
+  }
+
+  /**
+   * Fill PPN inputs (null disables tax handling)
+   */
+  setTax(tax) {
+    if (!this.taxToggle || !this.taxRateInput) return;
+
+    const treatments = tax && tax.treatments ? tax.treatments : {};
+
+    this.taxToggle.checked = Boolean(tax);
+    this.taxRateInput.value = tax && tax.rate !== undefined ? tax.rate : DEFAULTS.ppnRate;
+    Object.entries(this.taxTreatmentSelects).forEach(([key, select]) => {
+      select.value = TAX_TREATMENTS[treatments[key]] ? treatments[key] : DEFAULTS.taxTreatment;
+    });
+
+    this.applyTax();
+    this.formData.tax = this.getTax();
+  }
+
+  /**
+   * Handle PPN toggle, rate or treatment change
+   */
+  handleTaxChange() {
+    const tax = this.getTax();
+    this.formData.tax = tax;
+
+    const result = tax ? defaultValidationManager.validateTax(tax) : null;
+    if (result) {
+      this.validationResults.set('tax', result);
+    } else {
+      this.validationResults.delete('tax');
+    }
+    this.showLineItemsError('ppnRate', result ? result.getFirstFieldError('ppnRate') : null);
+
+    if (this.options.autoCalculate && this.isFormValid()) {
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'auto-calculate'
+      });
+    }
+
+    this.updateSubmitButtonState();
+  }
+
+  /**
+   * Setup selling price method select and target input
+   */
+  setupPricingControls() {
+    this.pricingMethodSelect = DOMHelper.$('#pricing-method', this.form);
+    this.pricingTargetInput = DOMHelper.$('#pricing-target', this.form);
+    if (!this.pricingMethodSelect || !this.pricingTargetInput) return;
+
+    this.pricingMethodSelect.innerHTML = '';
+    Object.entries(PRICING_METHODS).forEach(([value, method]) => {
+      this.pricingMethodSelect.appendChild(DOMHelper.create('option', { value }, method.label));
+    });
+    this.pricingMethodSelect.value = DEFAULTS.pricingMethod;
+    this.applyPricingMethod();
+
+    this.addEventListenerWithCleanup(this.pricingMethodSelect, 'change', () => {
+      this.applyPricingMethod();
+      this.handlePricingChange();
+    });
+
+    this.addEventListenerWithCleanup(this.pricingTargetInput, 'input', EventHelper.debounce(() => {
+      this.handlePricingChange();
+    }, this.options.debounceDelay));
+  }
+
+  /**
+   * Update target label and help text for the selected pricing method
+   */
+  applyPricingMethod() {
+    const method = PRICING_METHODS[this.pricingMethodSelect.value] || PRICING_METHODS[DEFAULTS.pricingMethod];
+
+    const label = DOMHelper.$('#pricing-target-label', this.form);
+    if (label) label.textContent = method.targetLabel;
+
+    const help = DOMHelper.$('#pricing-method-help', this.form);
+    if (help) help.textContent = method.description;
+  }
+
+  /**
+   * Build selling price target (null when no target is entered)
+   */
+  getPricing() {
+    if (!this.pricingMethodSelect || !this.pricingTargetInput) return null;
+    if (this.pricingTargetInput.value.trim() === '') return null;
+
+    return {
+      method: this.pricingMethodSelect.value,
+      target: parseFloat(this.pricingTargetInput.value) || 0
+    };
+  }
+
+  /**
+   * Fill selling price inputs (null clears the target)
+   */
+  setPricing(pricing) {
+    if (!this.pricingMethodSelect || !this.pricingTargetInput) return;
+
+    this.pricingMethodSelect.value = pricing && PRICING_METHODS[pricing.method] ? pricing.method : DEFAULTS.pricingMethod;
+    this.pricingTargetInput.value = pricing ? pricing.target : '';
+    this.applyPricingMethod();
+
+    this.validationResults.delete('pricing');
+    this.showLineItemsError('pricingTarget', null);
+    this.formData.pricing = this.getPricing();
+  }
+
+  /**
+   * Handle selling price method or target change
+   */
+  handlePricingChange() {
+    const pricing = this.getPricing();
+    this.formData.pricing = pricing;
+
+    const result = pricing ? defaultValidationManager.validatePricing(pricing) : null;
+    if (result) {
+      this.validationResults.set('pricing', result);
+    } else {
+      this.validationResults.delete('pricing');
+    }
+    this.showLineItemsError('pricingTarget', result ? result.getFirstFieldError('pricingTarget') : null);
+
+    if (this.options.autoCalculate && this.isFormValid()) {
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'auto-calculate'
+      });
+    }
+
+    this.updateSubmitButtonState();
+  }
+
+  /**
+   * Setup sales channel list price, fee profile editor and save button
+   */
+  setupSalesChannelControls() {
+    this.createLineItemEditor('salesChannels', {
+      addLabel: 'Tambah Saluran',
+      emptyText: 'Belum ada saluran penjualan. Tambahkan marketplace, reseller atau toko sendiri.',
+      columns: [
+        { key: 'name', label: 'Saluran', type: 'text', placeholder: 'Marketplace' },
+        { key: 'commissionRate', label: 'Komisi %', type: 'number', step: 'any' },
+        { key: 'paymentFeeRate', label: 'Biaya Pembayaran %', type: 'number', step: 'any' },
+        { key: 'fixedFeePerOrder', label: 'Biaya Tetap/Pesanan', type: 'number', step: 'any' },
+        { key: 'freeShippingRate', label: 'Subsidi Ongkir %', type: 'number', step: 'any' },
+        { key: 'unitsPerOrder', label: 'Unit/Pesanan', type: 'number', step: 'any', min: 1 }
+      ],
+      createLine: () => new SalesChannel().toJSON(),
+      onChange: () => this.handleSalesChannelsChange()
+    });
+
+    this.channelListPriceInput = DOMHelper.$('#channel-list-price', this.form);
+    if (this.channelListPriceInput) {
+      this.addEventListenerWithCleanup(this.channelListPriceInput, 'input', EventHelper.debounce(() => {
+        this.handleSalesChannelsChange();
+      }, this.options.debounceDelay));
+    }
+
+    const saveBtn = DOMHelper.$('#channels-save-btn', this.form);
+    if (saveBtn && this.lineItemEditors.salesChannels) {
+      this.addEventListenerWithCleanup(saveBtn, 'click', (e) => {
+        e.preventDefault();
+        this.handleSalesChannelsSave();
+      });
+    }
+  }
+
+  /**
+   * Build list price and channel profiles (null when no list price is entered)
+   */
+  getSalesChannels() {
+    if (!this.channelListPriceInput || !this.lineItemEditors.salesChannels) return null;
+    if (this.channelListPriceInput.value.trim() === '') return null;
+
+    return {
+      listPrice: parseFloat(this.channelListPriceInput.value) || 0,
+      channels: this.lineItemEditors.salesChannels.getLines()
+    };
+  }
+
+  /**
+   * Fill channel profile editor with saved profiles
+   */
+  setSalesChannels(channels = []) {
+    if (!this.lineItemEditors.salesChannels) return;
+
+    // Kept so a form reset brings the saved profiles back
+    this.savedSalesChannels = channels.map(channel => new SalesChannel(channel).toJSON());
+    this.lineItemEditors.salesChannels.setLines(this.savedSalesChannels);
+    this.formData.salesChannels = this.getSalesChannels();
+  }
+
+  /**
+   * Handle list price or channel profile change
+   */
+  handleSalesChannelsChange() {
+    const salesChannels = this.getSalesChannels();
+    this.formData.salesChannels = salesChannels;
+
+    const result = salesChannels ? defaultValidationManager.validateChannelComparison(salesChannels) : null;
+    if (result) {
+      this.validationResults.set('salesChannels', result);
+    } else {
+      this.validationResults.delete('salesChannels');
+    }
+
+    const channelError = result ? result.errors.find(error => error.field.startsWith('salesChannels.')) : null;
+    this.showLineItemsError('salesChannels', channelError ? channelError.message : null);
+    this.showLineItemsError('channelListPrice', result ? result.getFirstFieldError('channelListPrice') : null);
+
+    if (this.options.autoCalculate && this.isFormValid()) {
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'auto-calculate'
+      });
+    }
+
+    this.updateSubmitButtonState();
+  }
+
+  /**
+   * Save channel profiles to preferences
+   */
+  handleSalesChannelsSave() {
+    const channels = this.lineItemEditors.salesChannels.getLines();
+    const result = defaultValidationManager.validateSalesChannels(channels);
+
+    if (!result.isValid) {
+      this.showLineItemsError('salesChannels', result.errors[0].message);
+      return;
+    }
+
+    this.showLineItemsError('salesChannels', null);
+    EventHelper.trigger(this.form, 'hpp:channels-save', {
+      channels,
+      source: 'sales-channels'
+    });
+  }
+
+  /**
+   * Setup purchase pack unit editor and save button
+   */
+  setupPackUnitControls() {
+    this.createLineItemEditor('packUnits', {
+      addLabel: 'Tambah Kemasan',
+      emptyText: 'Belum ada kemasan beli. Tambahkan misalnya sak isi 25 kg.',
+      columns: [
+        { key: 'name', label: 'Kemasan', type: 'text', placeholder: 'sak' },
+        { key: 'quantity', label: 'Isi', type: 'number', step: 'any' },
+        { key: 'unit', label: 'Satuan Isi', type: 'select', options: MEASUREMENT_UNITS }
+      ],
+      createLine: () => ({
+        id: IdHelper.generate(),
+        name: '',
+        quantity: 0,
+        unit: DEFAULTS.bomUnit
+      }),
+      onChange: () => this.handlePackUnitsChange()
+    });
+
+    const saveBtn = DOMHelper.$('#packUnits-save-btn', this.form);
+    if (saveBtn && this.lineItemEditors.packUnits) {
+      this.addEventListenerWithCleanup(saveBtn, 'click', (e) => {
+        e.preventDefault();
+        this.handlePackUnitsSave();
+      });
+    }
+  }
+
+  /**
+   * Fill pack unit editor and the unit options of BOM lines and materials
+   */
+  setPackUnits(packUnits = []) {
+    // Kept so a form reset brings the saved packs back
+    this.savedPackUnits = packUnits;
+
+    if (this.lineItemEditors.packUnits) {
+      this.lineItemEditors.packUnits.setLines(packUnits);
+      this.showLineItemsError('packUnits', null);
+    }
+
+    const units = defaultUnitConverter.getUnits();
+    if (this.lineItemEditors.bom) {
+      this.lineItemEditors.bom.setColumnOptions('unit', units);
+      this.lineItemEditors.bom.setColumnOptions('purchaseUnit', units);
+    }
+    if (this.lineItemEditors.materials) {
+      this.lineItemEditors.materials.setColumnOptions('purchaseUnit', units);
+    }
+  }
+
+  /**
+   * Validate edited pack units; they apply once saved
+   * @returns {ValidationResult} Validation result
+   */
+  handlePackUnitsChange() {
+    const result = defaultValidationManager.validatePackUnits(this.lineItemEditors.packUnits.getLines());
+    this.showLineItemsError('packUnits', result.isValid ? null : result.errors[0].message);
+    return result;
+  }
+
+  /**
+   * Save pack units to storage
+   */
+  handlePackUnitsSave() {
+    if (!this.handlePackUnitsChange().isValid) return;
+
+    EventHelper.trigger(this.form, 'hpp:pack-units-save', {
+      packUnits: this.lineItemEditors.packUnits.getLines(),
+      source: 'pack-units'
+    });
+  }
+
+  /**
+   * Setup material master editor and save button
+   */
+  setupMaterialControls() {
+    this.createLineItemEditor('materials', {
+      addLabel: 'Tambah Bahan Baku',
+      emptyText: 'Belum ada bahan di master. Tambahkan bahan agar harganya dapat dipakai di semua BOM.',
+      columns: [
+        { key: 'name', label: 'Bahan', type: 'text', placeholder: 'Tepung terigu' },
+        { key: 'supplier', label: 'Pemasok', type: 'text', placeholder: 'Toko Sumber Rejeki' },
+        { key: 'purchaseQuantity', label: 'Isi Kemasan', type: 'number', step: 'any' },
+        { key: 'purchaseUnit', label: 'Satuan Isi', type: 'select', options: defaultUnitConverter.getUnits() },
+        { key: 'currentPrice', label: 'Harga Beli/Kemasan', type: 'number', step: 'any' },
+        { key: 'density', label: 'Densitas g/ml', type: 'number', step: 'any' }
+      ],
+      createLine: () => new Material().toJSON(),
+      onChange: () => this.handleMaterialsChange()
+    });
+
+    this.createLineItemEditor('materialLots', {
+      addLabel: 'Tambah Lot',
+      emptyText: 'Belum ada lot pembelian. Tanpa lot, bahan dihitung dengan harga beli terkini.',
+      columns: [
+        { key: 'materialId', label: 'Bahan', type: 'select', options: this.getMaterialLotOptions() },
+        { key: 'date', label: 'Tanggal Beli', type: 'date' },
+        { key: 'quantity', label: 'Jumlah Kemasan', type: 'number', step: 'any' },
+        { key: 'price', label: 'Harga/Kemasan', type: 'number', step: 'any' }
+      ],
+      createLine: () => ({
+        id: IdHelper.generate(),
+        materialId: '',
+        date: new Date().toISOString().slice(0, 10),
+        quantity: 0,
+        price: 0
+      }),
+      onChange: () => this.handleMaterialsChange()
+    });
+
+    this.inventoryValuationSelect = DOMHelper.$('#inventory-valuation', this.form);
+    if (this.inventoryValuationSelect) {
+      this.inventoryValuationSelect.innerHTML = '';
+      Object.entries(INVENTORY_VALUATION_METHODS).forEach(([value, method]) => {
+        this.inventoryValuationSelect.appendChild(DOMHelper.create('option', { value }, method.label));
+      });
+      this.inventoryValuationSelect.value = defaultInventoryValuation.method;
+
+      this.addEventListenerWithCleanup(this.inventoryValuationSelect, 'change', () => {
+        EventHelper.trigger(this.form, 'hpp:valuation-change', {
+          method: this.inventoryValuationSelect.value,
+          source: 'material-master'
+        });
+        this.refreshMaterialCosts();
+      });
+    }
+
+    const saveBtn = DOMHelper.$('#materials-save-btn', this.form);
+    if (saveBtn && this.lineItemEditors.materials) {
+      this.addEventListenerWithCleanup(saveBtn, 'click', (e) => {
+        e.preventDefault();
+        this.handleMaterialsSave();
+      });
+    }
+  }
+
+  /**
+   * Fill material master editor and BOM material options with saved materials
+   */
+  setMaterials(materials = []) {
+    this.materialMaster = new MaterialMaster(materials);
+
+    if (this.lineItemEditors.materials) {
+      this.lineItemEditors.materials.setLines(this.materialMaster.toJSON());
+      this.showLineItemsError('materials', null);
+    }
+
+    // Lots of all materials in one ledger editor
+    if (this.lineItemEditors.materialLots) {
+      this.lineItemEditors.materialLots.setColumnOptions('materialId', this.getMaterialLotOptions());
+      this.lineItemEditors.materialLots.setLines(this.materialMaster.materials.flatMap(material => {
+        return material.lots.map(lot => ({ ...lot, materialId: material.id }));
+      }));
+    }
+
+    if (this.lineItemEditors.bom) {
+      this.lineItemEditors.bom.setColumnOptions('materialId', this.materialMaster.getOptions());
+    }
+
+    this.refreshMaterialCosts();
+  }
+
+  /**
+   * Materials as select options for purchase lots
+   */
+  getMaterialLotOptions() {
+    return [{ value: '', label: 'Pilih bahan' }, ...this.materialMaster.getOptions().slice(1)];
+  }
+
+  /**
+   * Setup selects of the cost and selling price rounding modes
+   */
+  setupRoundingControls() {
+    this.roundingSelects = {
+      roundingMode: DOMHelper.$('#rounding-mode', this.form),
+      pricingRoundingMode: DOMHelper.$('#pricing-rounding-mode', this.form)
+    };
+    this.roundingModes = {
+      roundingMode: DEFAULTS.roundingMode,
+      pricingRoundingMode: DEFAULTS.pricingRoundingMode
+    };
+
+    Object.entries(this.roundingSelects).forEach(([key, select]) => {
+      if (!select) return;
+
+      select.innerHTML = '';
+      Object.entries(ROUNDING_MODES).forEach(([value, mode]) => {
+        select.appendChild(DOMHelper.create('option', { value }, mode.label));
+      });
+      select.value = this.roundingModes[key];
+
+      this.addEventListenerWithCleanup(select, 'change', () => this.handleRoundingChange(key, select.value));
+    });
+  }
+
+  /**
+   * Select rounding modes from settings
+   * @param {Object} modes - { roundingMode, pricingRoundingMode }
+   */
+  setRoundingModes(modes = {}) {
+    Object.entries(this.roundingSelects || {}).forEach(([key, select]) => {
+      if (ROUNDING_MODES[modes[key]]) {
+        this.roundingModes[key] = modes[key];
+      }
+      if (select) {
+        select.value = this.roundingModes[key];
+      }
+    });
+  }
+
+  /**
+   * Handle rounding mode change; results are recalculated with the new mode
+   */
+  handleRoundingChange(key, mode) {
+    if (!ROUNDING_MODES[mode]) return;
+
+    this.roundingModes[key] = mode;
+    EventHelper.trigger(this.form, 'hpp:rounding-change', {
+      ...this.roundingModes,
+      source: 'settings'
+    });
+
+    if (this.options.autoCalculate && this.isFormValid()) {
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'auto-calculate'
+      });
+    }
+  }
+
+  /**
+   * Select how consumption is costed from purchase lots
+   */
+  setInventoryValuation(method) {
+    if (this.inventoryValuationSelect && INVENTORY_VALUATION_METHODS[method]) {
+      this.inventoryValuationSelect.value = method;
+    }
+
+    this.refreshMaterialCosts();
+  }
+
+  /**
+   * Re-price BOM lines linked to the material master
+   */
+  refreshMaterialCosts() {
+    const bomEditor = this.lineItemEditors.bom;
+    if (!bomEditor) return;
+
+    const lines = bomEditor.getLines();
+    if (lines.some(line => line.materialId)) {
+      this.handleLineItemsChange('bom', lines);
+    }
+  }
+
+  /**
+   * Validate edited materials and purchase lots; they apply once saved
+   * @returns {ValidationResult} Validation result
+   */
+  handleMaterialsChange() {
+    const result = defaultValidationManager.validateMaterials(this.lineItemEditors.materials.getLines());
+    const lotsResult = this.lineItemEditors.materialLots
+      ? defaultValidationManager.validateMaterialLots(this.lineItemEditors.materialLots.getLines())
+      : null;
+
+    this.showLineItemsError('materials', result.isValid ? null : result.errors[0].message);
+    if (lotsResult) {
+      this.showLineItemsError('materialLots', lotsResult.isValid ? null : lotsResult.errors[0].message);
+      defaultValidationManager.mergeResult(result, lotsResult);
+    }
+
+    return result;
+  }
+
+  /**
+   * Save material master with its purchase lots to storage
+   */
+  handleMaterialsSave() {
+    if (!this.handleMaterialsChange().isValid) return;
+
+    const lots = this.lineItemEditors.materialLots ? this.lineItemEditors.materialLots.getLines() : null;
+    const materials = this.lineItemEditors.materials.getLines().map(material => {
+      if (!lots) return material;
+
+      return {
+        ...material,
+        lots: lots
+          .filter(lot => lot.materialId === material.id)
+          .map(({ materialId, ...lot }) => lot)
+      };
+    });
+
+    EventHelper.trigger(this.form, 'hpp:materials-save', {
+      materials,
+      source: 'material-master'
+    });
+  }
+
+  /**
+   * Setup scenario editor with save and compare buttons
+   */
+  setupScenarioControls() {
+    this.createLineItemEditor('scenarios', {
+      addLabel: 'Tambah Skenario',
+      emptyText: 'Belum ada skenario. Tambahkan misalnya skenario pesimis, dasar dan optimis.',
+      columns: [
+        { key: 'name', label: 'Skenario', type: 'text', placeholder: 'Pesimis' },
+        ...Object.entries(SCENARIO_INPUTS).map(([key, input]) => ({
+          key,
+          label: input.shortLabel,
+          type: 'number',
+          step: 'any',
+          min: VALIDATION.minScenarioChange
+        }))
+      ],
+      createLine: () => this.toScenarioLine(new Scenario().toJSON()),
+      onChange: () => this.showLineItemsError('scenarios', null)
+    });
+
+    [
+      ['#scenarios-save-btn', 'save'],
+      ['#scenarios-compare-btn', 'compare']
+    ].forEach(([selector, action]) => {
+      const button = DOMHelper.$(selector, this.form);
+      if (!button || !this.lineItemEditors.scenarios) return;
+
+      this.addEventListenerWithCleanup(button, 'click', (e) => {
+        e.preventDefault();
+        this.handleScenariosAction(action);
+      });
+    });
+  }
+
+  /**
+   * Editor row of a scenario: name and one column per changed input
+   */
+  toScenarioLine(scenario) {
+    return { id: scenario.id, name: scenario.name, ...scenario.changes };
+  }
+
+  /**
+   * Build scenarios from the editor rows
+   */
+  getScenarios() {
+    if (!this.lineItemEditors.scenarios) return [];
+
+    return this.lineItemEditors.scenarios.getLines()
+      .map(line => new Scenario({ id: line.id, name: line.name, changes: line }).toJSON());
+  }
+
+  /**
+   * Fill scenario editor with saved scenarios
+   */
+  setScenarios(scenarios = []) {
+    if (!this.lineItemEditors.scenarios) return;
+
+    // Kept so a form reset brings the saved scenarios back
+    this.savedScenarios = scenarios.map(scenario => new Scenario(scenario).toJSON());
+    this.lineItemEditors.scenarios.setLines(this.savedScenarios.map(scenario => this.toScenarioLine(scenario)));
+    this.showLineItemsError('scenarios', null);
+  }
+
+  /**
+   * Validate scenarios and request saving or comparing them
+   * @param {string} action - 'save' or 'compare'
+   */
+  handleScenariosAction(action) {
+    const scenarios = this.getScenarios();
+    const result = defaultValidationManager.validateScenarios(scenarios);
+
+    if (!result.isValid) {
+      this.showLineItemsError('scenarios', result.errors[0].message);
+      return;
+    }
+
+    this.showLineItemsError('scenarios', null);
+    EventHelper.trigger(this.form, `hpp:scenarios-${action}`, {
+      scenarios,
+      source: 'scenarios'
+    });
+  }
+
+  /**
+   * Setup cost behavior selects and cost-volume-profit inputs
+   */
+  setupCostVolumeProfitControls() {
+    this.cvpElements = {};
+    this.costBehaviorElements = {};
+
+    Object.entries(CVP_INPUTS).forEach(([field, config]) => {
+      const element = DOMHelper.$(`#${config.id}`, this.form);
+      if (!element) return;
+
+      this.cvpElements[field] = element;
+      this.addEventListenerWithCleanup(element, 'input', EventHelper.debounce(() => {
+        this.handleCostVolumeProfitChange();
+      }, this.options.debounceDelay));
+    });
+
+    Object.entries(COST_BEHAVIOR_SELECTS).forEach(([key, id]) => {
+      const select = DOMHelper.$(`#${id}`, this.form);
+      const variableInput = DOMHelper.$(`#${id}-variable`, this.form);
+      if (!select || !variableInput) return;
+
+      select.innerHTML = '';
+      Object.entries(COST_BEHAVIORS).forEach(([value, behavior]) => {
+        select.appendChild(DOMHelper.create('option', { value }, behavior.label));
+      });
+      select.value = DEFAULT_COST_BEHAVIORS[key];
+      variableInput.value = DEFAULTS.semiVariablePercentage;
+
+      this.costBehaviorElements[key] = { select, variableInput };
+      this.addEventListenerWithCleanup(select, 'change', () => {
+        this.applyCostBehaviors();
+        this.handleCostVolumeProfitChange();
+      });
+      this.addEventListenerWithCleanup(variableInput, 'input', EventHelper.debounce(() => {
+        this.handleCostVolumeProfitChange();
+      }, this.options.debounceDelay));
+    });
+
+    this.applyCostBehaviors();
+  }
+
+  /**
+   * Show the variable share input only for semi-variable components
+   */
+  applyCostBehaviors() {
+    Object.values(this.costBehaviorElements).forEach(({ select, variableInput }) => {
+      const group = variableInput.closest('.form__group');
+      if (group) {
+        group.style.display = select.value === 'semiVariable' ? '' : 'none';
+      }
+    });
+  }
+
+  /**
+   * Build behavior of each cost component
+   */
+  getCostBehavior() {
+    const behaviors = {};
+    Object.entries(this.costBehaviorElements || {}).forEach(([key, { select, variableInput }]) => {
+      behaviors[key] = {
+        behavior: select.value,
+        variablePercentage: variableInput.value.trim() === '' ? DEFAULTS.semiVariablePercentage : parseFloat(variableInput.value)
+      };
+    });
+
+    return behaviors;
+  }
+
+  /**
+   * Build cost-volume-profit inputs (null unless a selling price is entered in manufacturing mode)
+   */
+  getCostVolumeProfit() {
+    const sellingPrice = this.cvpElements && this.cvpElements.cvpSellingPrice;
+    if (!sellingPrice || sellingPrice.value.trim() === '' || this.getCalculationMode() !== 'manufacturing') return null;
+
+    const cvp = {};
+    Object.entries(CVP_INPUTS).forEach(([field, config]) => {
+      const element = this.cvpElements[field];
+      cvp[config.key] = element && element.value.trim() !== '' ? parseFloat(element.value) || 0 : null;
+    });
+
+    cvp.batchesPerPeriod = cvp.batchesPerPeriod || DEFAULTS.batchesPerPeriod;
+    cvp.otherFixedCosts = cvp.otherFixedCosts || 0;
+    cvp.targetProfit = cvp.targetProfit || 0;
+    return cvp;
+  }
+
+  /**
+   * Fill cost behavior and cost-volume-profit inputs from a saved analysis (null clears them)
+   * @param {Object|null} cvp - Saved analysis or inputs
+   * @param {Object} behaviors - { [component]: { behavior, variablePercentage } }
+   */
+  setCostVolumeProfit(cvp, behaviors = {}) {
+    if (!this.cvpElements) return;
+
+    Object.entries(CVP_INPUTS).forEach(([field, config]) => {
+      const element = this.cvpElements[field];
+      if (!element) return;
+
+      element.value = cvp && cvp[config.key] ? cvp[config.key] : '';
+    });
+
+    // Planned volume equal to the default (units × batches) was not entered
+    if (cvp && this.cvpElements.cvpExpectedUnits && cvp.totalUnits &&
+      cvp.expectedUnits === cvp.totalUnits * cvp.batchesPerPeriod) {
+      this.cvpElements.cvpExpectedUnits.value = '';
+    }
+
+    Object.entries(this.costBehaviorElements).forEach(([key, { select, variableInput }]) => {
+      const setting = behaviors[key] || {};
+      select.value = COST_BEHAVIORS[setting.behavior] ? setting.behavior : DEFAULT_COST_BEHAVIORS[key];
+      variableInput.value = setting.variablePercentage !== undefined && setting.variablePercentage !== null
+        ? setting.variablePercentage
+        : DEFAULTS.semiVariablePercentage;
+    });
+
+    this.applyCostBehaviors();
+    this.validationResults.delete('cvp');
+    this.showCostVolumeProfitErrors(null);
+    this.formData.cvp = this.getCostVolumeProfit();
+    this.formData.costBehavior = this.getCostBehavior();
+  }
+
+  /**
+   * Handle cost behavior or cost-volume-profit input change
+   */
+  handleCostVolumeProfitChange() {
+    const cvp = this.getCostVolumeProfit();
+    this.formData.cvp = cvp;
+    this.formData.costBehavior = this.getCostBehavior();
+
+    const result = cvp ? defaultValidationManager.validateCostVolumeProfit(cvp, this.formData.costBehavior) : null;
+    if (result) {
+      this.validationResults.set('cvp', result);
+    } else {
+      this.validationResults.delete('cvp');
+    }
+    this.showCostVolumeProfitErrors(result);
+
+    if (this.options.autoCalculate && this.isFormValid()) {
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'auto-calculate'
+      });
+    }
+
+    this.updateSubmitButtonState();
+  }
+
+  /**
+   * Show or clear errors of the cost-volume-profit inputs
+   * @param {ValidationResult|null} result - CVP validation result, null clears all errors
+   */
+  showCostVolumeProfitErrors(result) {
+    [...Object.keys(CVP_INPUTS), 'costBehavior'].forEach(field => {
+      this.showLineItemsError(field, result ? result.getFirstFieldError(field) : null);
+    });
+  }
+
+  /**
+   * Setup sensitivity toggle, range, step and selling price inputs
+   */
+  setupSensitivityControls() {
+    this.sensitivityToggle = DOMHelper.$('#sensitivity-enabled', this.form);
+    this.sensitivityElements = {};
+    if (!this.sensitivityToggle) return;
+
+    Object.entries(SENSITIVITY_INPUTS).forEach(([field, config]) => {
+      const element = DOMHelper.$(`#${config.id}`, this.form);
+      if (!element) return;
+
+      this.sensitivityElements[field] = element;
+      this.addEventListenerWithCleanup(element, 'input', EventHelper.debounce(() => {
+        this.handleSensitivityChange();
+      }, this.options.debounceDelay));
+    });
+
+    this.setSensitivity(null);
+
+    this.addEventListenerWithCleanup(this.sensitivityToggle, 'change', () => {
+      this.applySensitivity();
+      this.handleSensitivityChange();
+    });
+  }
+
+  /**
+   * Check if the sensitivity analysis is requested
+   */
+  isSensitivityEnabled() {
+    return Boolean(this.sensitivityToggle && this.sensitivityToggle.checked);
+  }
+
+  /**
+   * Show sensitivity inputs only when the analysis is enabled
+   */
+  applySensitivity() {
+    const enabled = this.isSensitivityEnabled();
+
+    DOMHelper.$$('[data-sensitivity]', this.form).forEach(group => {
+      group.style.display = enabled ? '' : 'none';
+    });
+
+    if (!enabled) {
+      this.validationResults.delete('sensitivity');
+      this.showSensitivityErrors(null);
+    }
+  }
+
+  /**
+   * Build sensitivity settings (null unless enabled in manufacturing mode)
+   */
+  getSensitivity() {
+    if (!this.isSensitivityEnabled() || this.getCalculationMode() !== 'manufacturing') return null;
+
+    const { sensitivityRange, sensitivityStep, sensitivitySellingPrice } = this.sensitivityElements;
+    return {
+      range: sensitivityRange && sensitivityRange.value.trim() !== '' ? parseFloat(sensitivityRange.value) : DEFAULTS.sensitivityRange,
+      step: sensitivityStep && sensitivityStep.value.trim() !== '' ? parseFloat(sensitivityStep.value) : DEFAULTS.sensitivityStep,
+      sellingPrice: sensitivitySellingPrice ? parseFloat(sensitivitySellingPrice.value) || 0 : 0
+    };
+  }
+
+  /**
+   * Fill sensitivity inputs (null disables the analysis)
+   */
+  setSensitivity(sensitivity) {
+    if (!this.sensitivityToggle) return;
+
+    const { sensitivityRange, sensitivityStep, sensitivitySellingPrice } = this.sensitivityElements;
+
+    this.sensitivityToggle.checked = Boolean(sensitivity);
+    if (sensitivityRange) sensitivityRange.value = sensitivity && sensitivity.range ? sensitivity.range : DEFAULTS.sensitivityRange;
+    if (sensitivityStep) sensitivityStep.value = sensitivity && sensitivity.step ? sensitivity.step : DEFAULTS.sensitivityStep;
+    if (sensitivitySellingPrice) sensitivitySellingPrice.value = sensitivity && sensitivity.sellingPrice ? sensitivity.sellingPrice : '';
+
+    this.applySensitivity();
+    this.formData.sensitivity = this.getSensitivity();
+  }
+
+  /**
+   * Handle sensitivity toggle or input change
+   */
+  handleSensitivityChange() {
+    const sensitivity = this.getSensitivity();
+    this.formData.sensitivity = sensitivity;
+
+    const result = sensitivity ? defaultValidationManager.validateSensitivity(sensitivity) : null;
+    if (result) {
+      this.validationResults.set('sensitivity', result);
+    } else {
+      this.validationResults.delete('sensitivity');
+    }
+    this.showSensitivityErrors(result);
+
+    if (this.options.autoCalculate && this.isFormValid()) {
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'auto-calculate'
+      });
+    }
+
+    this.updateSubmitButtonState();
+  }
+
+  /**
+   * Show or clear errors of the sensitivity inputs
+   * @param {ValidationResult|null} result - Sensitivity validation result, null clears all errors
+   */
+  showSensitivityErrors(result) {
+    Object.keys(SENSITIVITY_INPUTS).forEach(field => {
+      this.showLineItemsError(field, result ? result.getFirstFieldError(field) : null);
+    });
+  }
+
+  /**
+   * Setup Monte Carlo toggle, simulation count and distribution rows
+   */
+  setupMonteCarloControls() {
+    this.monteCarloToggle = DOMHelper.$('#monte-carlo-enabled', this.form);
+    this.monteCarloIterationsInput = DOMHelper.$('#monte-carlo-iterations', this.form);
+    this.distributionElements = {};
+    if (!this.monteCarloToggle) return;
+
+    const handleChange = EventHelper.debounce(() => {
+      this.handleMonteCarloChange();
+    }, this.options.debounceDelay);
+
+    if (this.monteCarloIterationsInput) {
+      this.addEventListenerWithCleanup(this.monteCarloIterationsInput, 'input', handleChange);
+    }
+
+    Object.entries(MONTE_CARLO_DISTRIBUTIONS).forEach(([key, id]) => {
+      const type = DOMHelper.$(`#${id}-type`, this.form);
+      if (!type) return;
+
+      type.innerHTML = '';
+      Object.entries(DISTRIBUTION_TYPES).forEach(([value, distribution]) => {
+        type.appendChild(DOMHelper.create('option', { value }, distribution.label));
+      });
+
+      const elements = { type };
+      ['min', 'mode', 'max', 'stdev'].forEach(parameter => {
+        elements[parameter] = DOMHelper.$(`#${id}-${parameter}`, this.form);
+        if (elements[parameter]) {
+          this.addEventListenerWithCleanup(elements[parameter], 'input', handleChange);
+        }
+      });
+
+      this.distributionElements[key] = elements;
+      this.addEventListenerWithCleanup(type, 'change', () => {
+        this.applyDistributionTypes();
+        this.handleMonteCarloChange();
+      });
+    });
+
+    this.setMonteCarlo(null);
+
+    this.addEventListenerWithCleanup(this.monteCarloToggle, 'change', () => {
+      this.applyMonteCarlo();
+      this.handleMonteCarloChange();
+    });
+  }
+
+  /**
+   * Check if the Monte Carlo simulation is requested
+   */
+  isMonteCarloEnabled() {
+    return Boolean(this.monteCarloToggle && this.monteCarloToggle.checked);
+  }
+
+  /**
+   * Show Monte Carlo inputs only when the simulation is enabled
+   */
+  applyMonteCarlo() {
+    const enabled = this.isMonteCarloEnabled();
+
+    DOMHelper.$$('[data-monte-carlo]', this.form).forEach(group => {
+      group.style.display = enabled ? '' : 'none';
+    });
+
+    if (!enabled) {
+      this.validationResults.delete('monteCarlo');
+      this.showMonteCarloErrors(null);
+    }
+  }
+
+  /**
+   * Enable only the parameters of each row's distribution type
+   */
+  applyDistributionTypes() {
+    Object.values(this.distributionElements).forEach(elements => {
+      const used = DISTRIBUTION_PARAMETERS[elements.type.value] || [];
+
+      ['min', 'mode', 'max', 'stdev'].forEach(parameter => {
+        if (elements[parameter]) {
+          elements[parameter].disabled = !used.includes(parameter);
+        }
+      });
+    });
+  }
+
+  /**
+   * Build Monte Carlo settings (null unless enabled in manufacturing mode)
+   * Blank parameters are null; a blank most likely value (mean) stands for the calculated value
+   */
+  getMonteCarlo() {
+    if (!this.isMonteCarloEnabled() || this.getCalculationMode() !== 'manufacturing') return null;
+
+    const distributions = {};
+    Object.entries(this.distributionElements).forEach(([key, elements]) => {
+      const type = elements.type.value;
+      const distribution = { type };
+
+      DISTRIBUTION_PARAMETERS[type].forEach(parameter => {
+        const input = elements[parameter];
+        distribution[parameter] = input && input.value.trim() !== '' ? parseFloat(input.value) : null;
+      });
+
+      distributions[key] = distribution;
+    });
+
+    const iterations = this.monteCarloIterationsInput ? this.monteCarloIterationsInput.value.trim() : '';
+    return {
+      iterations: iterations !== '' ? Number(iterations) : DEFAULTS.monteCarloIterations,
+      distributions
+    };
+  }
+
+  /**
+   * Fill Monte Carlo inputs (null disables the simulation)
+   * Accepts the settings of the form or a saved simulation, whose inputs carry the distributions used
+   */
+  setMonteCarlo(monteCarlo) {
+    if (!this.monteCarloToggle) return;
+
+    let distributions = {};
+    if (monteCarlo && monteCarlo.distributions) {
+      distributions = monteCarlo.distributions;
+    } else if (monteCarlo && Array.isArray(monteCarlo.inputs)) {
+      distributions = Object.fromEntries(monteCarlo.inputs.map(input => [input.key, input.distribution]));
+    }
+
+    this.monteCarloToggle.checked = Boolean(monteCarlo);
+    if (this.monteCarloIterationsInput) {
+      this.monteCarloIterationsInput.value = monteCarlo && monteCarlo.iterations ? monteCarlo.iterations : DEFAULTS.monteCarloIterations;
+    }
+
+    Object.entries(this.distributionElements).forEach(([key, elements]) => {
+      const distribution = distributions[key] || {};
+      const type = DISTRIBUTION_TYPES[distribution.type] ? distribution.type : DEFAULTS.distributionType;
+      elements.type.value = type;
+
+      ['min', 'mode', 'max', 'stdev'].forEach(parameter => {
+        if (!elements[parameter]) return;
+
+        const value = DISTRIBUTION_PARAMETERS[type].includes(parameter) ? distribution[parameter] : null;
+        elements[parameter].value = value !== null && value !== undefined ? value : '';
+      });
+    });
+
+    this.applyDistributionTypes();
+    this.applyMonteCarlo();
+    this.formData.monteCarlo = this.getMonteCarlo();
+  }
+
+  /**
+   * Handle Monte Carlo toggle or input change
+   */
+  handleMonteCarloChange() {
+    const monteCarlo = this.getMonteCarlo();
+    this.formData.monteCarlo = monteCarlo;
+
+    const result = monteCarlo ? defaultValidationManager.validateMonteCarlo(monteCarlo) : null;
+    if (result) {
+      this.validationResults.set('monteCarlo', result);
+    } else {
+      this.validationResults.delete('monteCarlo');
+    }
+    this.showMonteCarloErrors(result);
+
+    if (this.options.autoCalculate && this.isFormValid()) {
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'auto-calculate'
+      });
+    }
+
+    this.updateSubmitButtonState();
+  }
+
+  /**
+   * Show or clear errors of the simulation count and distribution rows
+   * @param {ValidationResult|null} result - Monte Carlo validation result, null clears all errors
+   */
+  showMonteCarloErrors(result) {
+    const distributionError = result
+      ? result.errors.find(e => e.field === 'monteCarloDistributions' || e.field.startsWith('monteCarlo.'))
+      : null;
+
+    this.showLineItemsError('monteCarloIterations', result ? result.getFirstFieldError('monteCarloIterations') : null);
+    this.showLineItemsError('monteCarloDistributions', distributionError ? distributionError.message : null);
+  }
+
+  /**
+   * Check if inventories are included in the calculation
+   */
+  isManufacturingStatement() {
+    return Boolean(this.manufacturingStatementToggle && this.manufacturingStatementToggle.checked);
+  }
+
+  /**
+   * Show inventory inputs only when the statement is enabled
+   */
+  applyManufacturingStatement() {
+    const enabled = this.isManufacturingStatement();
+
+    DOMHelper.$$('[data-manufacturing-statement]', this.form).forEach(group => {
+      group.style.display = enabled ? '' : 'none';
+    });
+
+    if (!enabled) {
+      Object.keys(INVENTORY_FORM_FIELDS).forEach(field => {
+        this.validationResults.delete(field);
+        this.clearFieldError(field);
+      });
+    }
+  }
+
+  /**
+   * Build inventories input for HPPCalculator (null when the statement is disabled)
+   */
+  getInventory() {
+    if (!this.isManufacturingStatement()) return null;
+
+    const inventory = {};
+    Object.keys(INVENTORY_FORM_FIELDS).forEach(field => {
+      inventory[field] = this.elements[field] ? this.parseFieldValue(field, this.elements[field].value) : 0;
+    });
+    return inventory;
+  }
+
+  /**
+   * Setup product catalog (SKU) inputs and actions
+   */
+  setupCatalogControls() {
+    this.catalogElements = {
+      sku: DOMHelper.$('#product-sku', this.form),
+      name: DOMHelper.$('#product-name', this.form),
+      sellingPrice: DOMHelper.$('#selling-price', this.form),
+      saveBtn: DOMHelper.$('#catalog-save-btn', this.form),
+      calculateBtn: DOMHelper.$('#catalog-calculate-btn', this.form)
+    };
+
+    if (this.catalogElements.saveBtn) {
+      this.addEventListenerWithCleanup(this.catalogElements.saveBtn, 'click', (e) => {
+        e.preventDefault();
+        this.handleCatalogSave();
+      });
+    }
+
+    if (this.catalogElements.calculateBtn) {
+      this.addEventListenerWithCleanup(this.catalogElements.calculateBtn, 'click', (e) => {
+        e.preventDefault();
+        EventHelper.trigger(this.form, 'hpp:catalog-calculate', {
+          source: 'catalog-button'
+        });
+      });
+    }
+  }
+
+  /**
+   * Create line item editor bound to its container
+   */
+  createLineItemEditor(key, editorOptions) {
+    const container = DOMHelper.$(`#${key}-editor`, this.form);
+    if (!container) return;
+
+    this.lineItemEditors[key] = new LineItemsEditor(container, {
+      onChange: (lines) => this.handleLineItemsChange(key, lines),
+      ...editorOptions,
+      debounceDelay: this.options.debounceDelay
+    });
+  }
+
+  /**
+   * Setup currency input formatting
+   */
+  setupCurrencyInputs() {
+    CURRENCY_FIELDS.forEach(field => {
+      const element = this.elements[field];
+      if (!element) return;
+
+      // Add currency wrapper if not exists
+      if (!element.parentElement.classList.contains('currency-input')) {
+        const wrapper = DOMHelper.create('div', { className: 'currency-input' });
+        element.parentElement.insertBefore(wrapper, element);
+        wrapper.appendChild(element);
+      }
+
+      // Format on blur
+      this.addEventListenerWithCleanup(element, 'blur', () => {
+        if (this.options.formatCurrency && element.value) {
+          const value = CurrencyHelper.parse(element.value);
+          element.value = CurrencyHelper.format(value, false);
+        }
+      });
+
+      // Parse on focus
+      this.addEventListenerWithCleanup(element, 'focus', () => {
+        if (element.value) {
+          const value = CurrencyHelper.parse(element.value);
+          element.value = value.toString();
+        }
+      });
+    });
+  }
+
+  /**
+   * Setup unit input
+   */
+  setupUnitInput() {
+    ['totalUnits', 'unitsSold'].forEach(field => {
+      const element = this.elements[field];
+      if (!element) return;
+
+      // Add unit wrapper if not exists
+      if (!element.parentElement.classList.contains('unit-input')) {
+        DOMHelper.addClass(element.parentElement, 'unit-input');
+      }
+
+      // Only allow integers
+      this.addEventListenerWithCleanup(element, 'input', () => {
+        element.value = element.value.replace(/[^\d]/g, '');
+      });
+    });
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Form submission
+    this.addEventListenerWithCleanup(this.form, 'submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    });
+
+    // Form reset
+    if (this.elements.resetBtn) {
+      this.addEventListenerWithCleanup(this.elements.resetBtn, 'click', (e) => {
+        e.preventDefault();
+        this.handleReset();
+      });
+    }
+
+    // Input change events
+    Object.entries(this.elements).forEach(([field, element]) => {
+      if (!element || ['submitBtn', 'resetBtn'].includes(field)) return;
+
+      // Debounced input handler for auto-calculation
+      const debouncedHandler = EventHelper.debounce(() => {
+        this.handleInputChange(field, element.value);
+      }, this.options.debounceDelay);
+
+      this.addEventListenerWithCleanup(element, 'input', debouncedHandler);
+
+      // Immediate validation on blur
+      this.addEventListenerWithCleanup(element, 'blur', () => {
+        this.validateField(field, element.value);
+      });
+
+      // Clear errors on focus
+      this.addEventListenerWithCleanup(element, 'focus', () => {
+        this.clearFieldError(field);
+      });
+    });
+
+    // Keyboard shortcuts
+    this.addEventListenerWithCleanup(document, 'keydown', (e) => {
+      this.handleKeyboardShortcuts(e);
+    });
+  }
+
+  /**
+   * Setup form validation
+   */
+  setupValidation() {
+    Object.entries(this.elements).forEach(([field, element]) => {
+      if (!element || ['submitBtn', 'resetBtn'].includes(field)) return;
+
+      this.realTimeValidator.registerField(field, element, (result, fieldName) => {
+        this.handleValidationResult(result, fieldName);
+      });
+    });
+  }
+
+  /**
+   * Setup tooltips for help text
+   */
+  setupTooltips() {
+    if (!this.options.showTooltips) return;
+
+    const helpButtons = DOMHelper.$$('.help-btn', this.form);
+    helpButtons.forEach(button => {
+      this.addEventListenerWithCleanup(button, 'click', (e) => {
+        e.preventDefault();
+        this.showTooltip(button);
+      });
+
+      this.addEventListenerWithCleanup(button, 'mouseenter', () => {
+        this.showTooltip(button);
+      });
+
+      this.addEventListenerWithCleanup(button, 'mouseleave', () => {
+        this.hideTooltip(button);
+      });
+    });
+  }
+
+  /**
+   * Load initial form data
+   */
+  loadInitialData() {
+    // Set default values
+    Object.entries({ ...FORM_FIELDS, ...TRADING_FORM_FIELDS, ...INVENTORY_FORM_FIELDS }).forEach(([field, config]) => {
+      const element = this.elements[field];
+      if (element && !element.value) {
+        element.value = config.type === 'number' ? '0' : '';
+      }
+    });
+
+    // Update form data
+    this.updateFormData();
+  }
+
+  /**
+   * Handle form submission
+   */
+  async handleSubmit() {
+    try {
+      // Show loading state
+      this.setLoadingState(true);
+
+      // Update form data
+      this.updateFormData();
+
+      // Validate all fields of the active mode
+      const validationResult = this.validateCalculationMode();
+
+      if (!validationResult.isValid) {
+        this.displayValidationErrors(validationResult);
+        this.setLoadingState(false);
+        return;
+      }
+
+      // Trigger calculation event
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'form-submit'
+      });
+
+      // Show success message
+      this.showSuccessMessage(SUCCESS_MESSAGES.calculationComplete);
+
+    } catch (error) {
+      console.error('Form submission error:', error);
+      this.showErrorMessage(ERROR_MESSAGES.calculationError);
+    } finally {
+      this.setLoadingState(false);
+    }
+  }
+
+  /**
+   * Validate form data of the active calculation mode
+   */
+  validateCalculationMode() {
+    let result;
+    switch (this.formData.calculationMode) {
+      case 'trading':
+        result = defaultValidationManager.validateTradingData(this.formData);
+        break;
+      case 'process':
+        result = defaultValidationManager.validateProcessCosting(this.formData.processCosting || { departments: [] });
+        break;
+      case 'job':
+        result = defaultValidationManager.validateJob(this.formData.job || {});
+        break;
+      default:
+        result = defaultValidationManager.validateHPPData(this.formData);
+    }
+
+    if (this.formData.tax) {
+      defaultValidationManager.mergeResult(result, defaultValidationManager.validateTax(this.formData.tax));
+    }
+
+    if (this.formData.pricing) {
+      defaultValidationManager.mergeResult(result, defaultValidationManager.validatePricing(this.formData.pricing));
+    }
+
+    if (this.formData.salesChannels) {
+      defaultValidationManager.mergeResult(result, defaultValidationManager.validateChannelComparison(this.formData.salesChannels));
+    }
+
+    if (this.formData.cvp) {
+      defaultValidationManager.mergeResult(result, defaultValidationManager.validateCostVolumeProfit(this.formData.cvp, this.formData.costBehavior));
+    }
+
+    if (this.formData.sensitivity) {
+      defaultValidationManager.mergeResult(result, defaultValidationManager.validateSensitivity(this.formData.sensitivity));
+    }
+
+    if (this.formData.monteCarlo) {
+      defaultValidationManager.mergeResult(result, defaultValidationManager.validateMonteCarlo(this.formData.monteCarlo));
+    }
+
+    return result;
+  }
+
+  /**
+   * Handle form reset
+   */
+  handleReset() {
+    // Reset form elements
+    this.form.reset();
+
+    // Clear validation states
+    this.clearAllErrors();
+    this.realTimeValidator.resetAll();
+
+    // Reset form data
+    this.formData = {};
+    Object.entries(this.lineItemEditors).forEach(([key, editor]) => {
+      editor.setLines([]);
+      this.validationResults.delete(key);
+      this.showLineItemsError(key, null);
+      this.syncLineItemTotal(key);
+    });
+    this.validationResults.delete('overheadAllocation');
+    this.validationResults.delete('activityCosting');
+    this.validationResults.delete('processCosting');
+    if (this.processMethodSelect) {
+      this.processMethodSelect.value = DEFAULTS.processCostingMethod;
+    }
+    this.validationResults.delete('job');
+    this.setJobData(null);
+    this.setStandardCosting(null);
+    this.setBatch(null);
+    this.setDepreciation(null);
+    this.setAssets(this.savedAssets || []);
+    this.setTax(null);
+    this.setPricing(null);
+    this.setCostVolumeProfit(null);
+    this.setSensitivity(null);
+    this.setMonteCarlo(null);
+    this.validationResults.delete('salesChannels');
+    this.setSalesChannels(this.savedSalesChannels || []);
+    this.setPackUnits(this.savedPackUnits || []);
+    this.setMaterials(this.materialMaster.toJSON());
+    this.setScenarios(this.savedScenarios || []);
+    this.setRoundingModes(this.roundingModes);
+    if (this.overheadMethodSelect) {
+      this.overheadMethodSelect.value = DEFAULTS.overheadMethod;
+      this.applyOverheadMethod();
+    }
+    if (this.calculationModeSelect) {
+      this.calculationModeSelect.value = DEFAULTS.calculationMode;
+      this.applyCalculationMode();
+    }
+    this.applyManufacturingStatement();
+    this.setupActivityConsumptionEditor();
+    this.syncOverheadAllocation();
+    this.loadInitialData();
+
+    // Trigger reset event
+    EventHelper.trigger(this.form, 'hpp:reset', {
+      source: 'form-reset'
+    });
+
+    // Show success message
+    this.showSuccessMessage(SUCCESS_MESSAGES.formReset);
+  }
+
+  /**
+   * Handle input change
+   */
+  handleInputChange(field, value) {
+    // Update form data
+    this.formData[field] = this.parseFieldValue(field, value);
+    if (INVENTORY_FORM_FIELDS[field]) {
+      this.formData.inventory = this.getInventory();
+    }
+
+    // Validate if enabled
+    if (this.options.validateOnInput) {
+      this.validateField(field, value);
+    }
+
+    // Auto-calculate if enabled
+    if (this.options.autoCalculate && this.isFormValid()) {
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'auto-calculate'
+      });
+    }
+
+    // Trigger input change event
+    EventHelper.trigger(this.form, 'hpp:input-change', {
+      field,
+      value,
+      formData: { ...this.formData }
+    });
+  }
+
+  /**
+   * Handle line items change (BOM, labor roles)
+   */
+  handleLineItemsChange(key, lines) {
+    const model = LINE_ITEM_MODELS[key];
+
+    // Lines picked from the material master take its name and purchase price
+    if (key === 'bom') {
+      const linked = this.materialMaster.applyToBOM(lines);
+      if (JSON.stringify(linked) !== JSON.stringify(lines)) {
+        this.lineItemEditors.bom.setLines(linked);
+        lines = linked;
+      }
+    }
+
+    this.formData[key] = lines;
+
+    const result = model.validate(lines);
+    this.validationResults.set(key, result);
+    this.showLineItemsError(key, result.isValid ? null : result.errors[0].message);
+
+    this.syncLineItemTotal(key);
+
+    const element = this.elements[model.field];
+    this.handleInputChange(model.field, element ? element.value : '0');
+  }
+
+  /**
+   * Lock a cost input to its line items total while lines exist
+   */
+  syncLineItemTotal(key) {
+    const model = LINE_ITEM_MODELS[key];
+    const element = model ? this.elements[model.field] : null;
+    if (!element) return;
+
+    const lines = this.formData[key] || [];
+    if (lines.length > 0) {
+      element.readOnly = true;
+      element.value = CurrencyHelper.format(model.getTotal(lines, this.materialMaster), false);
+    } else {
+      element.readOnly = false;
+    }
+  }
+
+  /**
+   * Handle shared overhead allocation change
+   */
+  handleOverheadAllocationChange() {
+    this.populateOverheadProductSelect();
+
+    const allocation = this.getOverheadAllocation();
+    this.formData.overheadAllocation = allocation;
+
+    if (allocation) {
+      const result = defaultValidationManager.validateOverheadAllocation(allocation);
+      this.validationResults.set('overheadAllocation', result);
+
+      ['overheadPools', 'overheadDrivers'].forEach(key => {
+        const error = result.errors.find(err => err.field.split('.')[0] === key);
+        this.showLineItemsError(key, error ? error.message : null);
+      });
+    } else {
+      this.validationResults.delete('overheadAllocation');
+      this.showLineItemsError('overheadPools', null);
+      this.showLineItemsError('overheadDrivers', null);
+    }
+
+    this.syncOverheadAllocation();
+
+    const element = this.elements.manufacturingOverhead;
+    this.handleInputChange('manufacturingOverhead', element ? element.value : '0');
+  }
+
+  /**
+   * Build overhead allocation input from the editors (null when no pools)
+   */
+  getOverheadAllocation() {
+    const poolsEditor = this.lineItemEditors.overheadPools;
+    const driversEditor = this.lineItemEditors.overheadDrivers;
+    if (!poolsEditor || !driversEditor) return null;
+    if (this.overheadMethodSelect && this.getOverheadMethod() !== 'allocation') return null;
+
+    const pools = poolsEditor.getLines();
+    if (pools.length === 0) return null;
+
+    const products = driversEditor.getLines();
+    const selectedId = this.overheadProductSelect ? this.overheadProductSelect.value : '';
+
+    return {
+      pools,
+      products,
+      productId: products.some(product => product.id === selectedId)
+        ? selectedId
+        : (products[0] ? products[0].id : null)
+    };
+  }
+
+  /**
+   * Refresh product options for the overhead allocation target
+   */
+  populateOverheadProductSelect() {
+    this.populateProductSelect(this.overheadProductSelect, this.lineItemEditors.overheadDrivers);
+  }
+
+  /**
+   * Fill a product select from the product rows of an editor
+   */
+  populateProductSelect(select, productsEditor) {
+    if (!select || !productsEditor) return;
+
+    const selectedId = select.value;
+    const products = productsEditor.getLines();
+
+    select.innerHTML = '';
+    products.forEach((product, index) => {
+      const option = DOMHelper.create('option', { value: product.id }, product.name || `Produk ${index + 1}`);
+      option.selected = product.id === selectedId;
+      select.appendChild(option);
+    });
+
+    select.disabled = products.length === 0;
+  }
+
+  /**
+   * Handle activity-based costing change
+   */
+  handleActivityCostingChange() {
+    this.setupActivityConsumptionEditor();
+    this.populateProductSelect(this.abcProductSelect, this.lineItemEditors.activityConsumption);
+
+    const costing = this.getActivityCosting();
+    this.formData.activityCosting = costing;
+
+    if (costing) {
+      const result = defaultValidationManager.validateActivityCosting(costing);
+      this.validationResults.set('activityCosting', result);
+
+      ['activities', 'activityConsumption'].forEach(key => {
+        const error = result.errors.find(err => err.field.split('.')[0] === key);
+        this.showLineItemsError(key, error ? error.message : null);
+      });
+    } else {
+      this.validationResults.delete('activityCosting');
+      this.showLineItemsError('activities', null);
+      this.showLineItemsError('activityConsumption', null);
+    }
+
+    this.syncOverheadAllocation();
+
+    const element = this.elements.manufacturingOverhead;
+    this.handleInputChange('manufacturingOverhead', element ? element.value : '0');
+  }
+
+  /**
+   * Handle process costing department or method change
+   */
+  handleProcessCostingChange() {
+    const costing = this.getProcessCosting();
+    this.formData.processCosting = costing;
+
+    if (!costing) return;
+
+    const result = defaultValidationManager.validateProcessCosting(costing);
+    this.validationResults.set('processCosting', result);
+
+    const error = result.errors[0];
+    this.showLineItemsError('processDepartments', error ? error.message : null);
+
+    if (this.options.autoCalculate && this.isFormValid()) {
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'auto-calculate'
+      });
+    }
+  }
+
+  /**
+   * Build process costing input from the department editor (null unless process mode is selected)
+   */
+  getProcessCosting() {
+    const editor = this.lineItemEditors.processDepartments;
+    if (!editor || this.getCalculationMode() !== 'process') return null;
+
+    return {
+      method: this.processMethodSelect ? this.processMethodSelect.value : DEFAULTS.processCostingMethod,
+      departments: editor.getLines().map(line => ProcessCosting.fromLine(line))
+    };
   }
 
   /**
-   * Setup unit input
+   * Handle job header, requisition or labor ticket change
    */
-  setupUnitInput() {
-    const element = this.elements.totalUnits;
-    if (!element) return;
+  handleJobChange() {
+    const job = this.getJob();
+    this.formData.job = job;
+
+    if (!job) return;
+
+    const result = defaultValidationManager.validateJob(job);
+    this.validationResults.set('job', result);
+    this.showJobErrors(result);
 
-    // Add unit wrapper if not exists
-    if (!element.parentElement.classList.contains('unit-input')) {
-      DOMHelper.addClass(element.parentElement, 'unit-input');
+    if (this.options.autoCalculate && this.isFormValid()) {
+      EventHelper.trigger(this.form, 'hpp:calculate', {
+        data: this.formData,
+        source: 'auto-calculate'
+      });
     }
 
-    // Only allow integers
-    this.addEventListenerWithCleanup(element, 'input', () => {
-      element.value = element.value.replace(/[^\d]/g, '');
-    });
+    this.updateSubmitButtonState();
   }
 
   /**
-   * Setup event listeners
+   * Show or clear errors of the job header fields and editors
+   * @param {ValidationResult|null} result - Job validation result, null clears all errors
    */
-  setupEventListeners() {
-    // Form submission
-    this.addEventListenerWithCleanup(this.form, 'submit', (e) => {
-      e.preventDefault();
-      this.handleSubmit();
+  showJobErrors(result) {
+    [...JOB_FIELDS, 'jobMaterials', 'jobLabor'].forEach(field => {
+      const error = result
+        ? result.errors.find(e => e.field === field || e.field.startsWith(`${field}.`))
+        : null;
+      this.showLineItemsError(field, error ? error.message : null);
     });
+  }
 
-    // Form reset
-    if (this.elements.resetBtn) {
-      this.addEventListenerWithCleanup(this.elements.resetBtn, 'click', (e) => {
-        e.preventDefault();
-        this.handleReset();
-      });
-    }
+  /**
+   * Build job order input from the job inputs (null unless job mode is selected)
+   */
+  getJob() {
+    if (!this.jobElements || this.getCalculationMode() !== 'job') return null;
+
+    const { number, customer, description, units, overheadBasis, overheadRate, machineHours } = this.jobElements;
+    const activeJob = this.jobs.find(job => job.id === this.activeJobId) || null;
+
+    return {
+      id: activeJob ? activeJob.id : undefined,
+      number: number ? number.value.trim() : '',
+      customer: customer ? customer.value.trim() : '',
+      description: description ? description.value.trim() : '',
+      units: units ? parseInt(units.value) || 0 : 0,
+      status: activeJob ? activeJob.status : 'open',
+      openedAt: activeJob ? activeJob.openedAt : undefined,
+      closedAt: activeJob ? activeJob.closedAt : undefined,
+      materialRequisitions: this.lineItemEditors.jobMaterials ? this.lineItemEditors.jobMaterials.getLines() : [],
+      laborTickets: this.lineItemEditors.jobLabor ? this.lineItemEditors.jobLabor.getLines() : [],
+      overhead: {
+        basis: overheadBasis ? overheadBasis.value : DEFAULTS.jobOverheadBasis,
+        rate: overheadRate ? parseFloat(overheadRate.value) || 0 : 0
+      },
+      machineHours: machineHours ? parseFloat(machineHours.value) || 0 : 0
+    };
+  }
 
-    // Input change events
-    Object.entries(this.elements).forEach(([field, element]) => {
-      if (!element || ['submitBtn', 'resetBtn'].includes(field)) return;
+  /**
+   * Refresh the saved job list, grouped by status
+   * @param {Array} jobs - Stored jobs
+   */
+  setJobs(jobs = []) {
+    this.jobs = Array.isArray(jobs) ? jobs : [];
 
-      // Debounced input handler for auto-calculation
-      const debouncedHandler = EventHelper.debounce(() => {
-        this.handleInputChange(field, element.value);
-      }, this.options.debounceDelay);
+    const select = this.jobElements && this.jobElements.select;
+    if (!select) return;
 
-      this.addEventListenerWithCleanup(element, 'input', debouncedHandler);
+    select.innerHTML = '';
+    select.appendChild(DOMHelper.create('option', { value: '' }, '— Pesanan baru —'));
 
-      // Immediate validation on blur
-      this.addEventListenerWithCleanup(element, 'blur', () => {
-        this.validateField(field, element.value);
-      });
+    Object.entries(JOB_STATUSES).forEach(([status, config]) => {
+      const jobs = this.jobs.filter(job => job.status === status);
+      if (jobs.length === 0) return;
 
-      // Clear errors on focus
-      this.addEventListenerWithCleanup(element, 'focus', () => {
-        this.clearFieldError(field);
+      const group = DOMHelper.create('optgroup', { label: config.label });
+      jobs.forEach(job => {
+        const label = job.customer ? `${job.number} — ${job.customer}` : job.number;
+        const option = DOMHelper.create('option', { value: job.id });
+        option.textContent = label;
+        group.appendChild(option);
       });
+      select.appendChild(group);
     });
 
-    // Keyboard shortcuts
-    this.addEventListenerWithCleanup(document, 'keydown', (e) => {
-      this.handleKeyboardShortcuts(e);
-    });
+    select.value = this.jobs.some(job => job.id === this.activeJobId) ? this.activeJobId : '';
   }
 
   /**
-   * Setup form validation
+   * Load a saved job into the form, or start a new one
    */
-  setupValidation() {
-    Object.entries(this.elements).forEach(([field, element]) => {
-      if (!element || ['submitBtn', 'resetBtn'].includes(field)) return;
+  handleJobSelect(jobId) {
+    const job = this.jobs.find(item => item.id === jobId) || null;
+    this.setJobData(job);
 
-      this.realTimeValidator.registerField(field, element, (result, fieldName) => {
-        this.handleValidationResult(result, fieldName);
-      });
+    EventHelper.trigger(this.form, 'hpp:job-select', {
+      jobId: job ? job.id : null,
+      source: 'job-select'
     });
   }
 
   /**
-   * Setup tooltips for help text
+   * Fill job inputs from a job (null clears them for a new job)
    */
-  setupTooltips() {
-    if (!this.options.showTooltips) return;
+  setJobData(job) {
+    if (!this.jobElements) return;
 
-    const helpButtons = DOMHelper.$$('.help-btn', this.form);
-    helpButtons.forEach(button => {
-      this.addEventListenerWithCleanup(button, 'click', (e) => {
-        e.preventDefault();
-        this.showTooltip(button);
-      });
+    const data = job ? new JobOrder(job).toJSON() : null;
+    const { select, number, customer, description, units, overheadBasis, overheadRate, machineHours } = this.jobElements;
 
-      this.addEventListenerWithCleanup(button, 'mouseenter', () => {
-        this.showTooltip(button);
-      });
+    this.activeJobId = data ? data.id : null;
+    if (data && !this.jobs.some(item => item.id === data.id)) {
+      this.jobs = [...this.jobs, data];
+    } else if (data) {
+      this.jobs = this.jobs.map(item => item.id === data.id ? data : item);
+    }
 
-      this.addEventListenerWithCleanup(button, 'mouseleave', () => {
-        this.hideTooltip(button);
-      });
-    });
+    if (select) this.setJobs(this.jobs);
+    if (number) number.value = data ? data.number : '';
+    if (customer) customer.value = data ? data.customer : '';
+    if (description) description.value = data ? data.description : '';
+    if (units) units.value = data ? data.units : '';
+    if (overheadBasis) overheadBasis.value = data ? data.overhead.basis : DEFAULTS.jobOverheadBasis;
+    if (overheadRate) overheadRate.value = data ? data.overhead.rate : '';
+    if (machineHours) machineHours.value = data ? data.machineHours : '';
+
+    if (this.lineItemEditors.jobMaterials) {
+      this.lineItemEditors.jobMaterials.setLines(data ? data.materialRequisitions : []);
+    }
+    if (this.lineItemEditors.jobLabor) {
+      this.lineItemEditors.jobLabor.setLines(data ? data.laborTickets : []);
+    }
+
+    this.applyJobOverheadBasis();
+    this.applyJobStatus(data);
+    this.formData.job = this.getJob();
+    this.showJobErrors(null);
   }
 
   /**
-   * Load initial form data
+   * Show job status and enable the buttons that apply to it
    */
-  loadInitialData() {
-    // Set default values
-    Object.entries(FORM_FIELDS).forEach(([field, config]) => {
-      const element = this.elements[field];
-      if (element && !element.value) {
-        element.value = config.type === 'number' ? '0' : '';
-      }
+  applyJobStatus(job) {
+    const { status, saveBtn, closeBtn, reopenBtn } = this.jobElements;
+    const isClosed = Boolean(job && job.status === 'closed');
+
+    if (status) {
+      status.textContent = job ? `Status: ${JOB_STATUSES[job.status].label}` : 'Pesanan baru (belum disimpan)';
+      status.className = `job-status${job ? ` job-status--${job.status}` : ''}`;
+    }
+
+    if (saveBtn) saveBtn.disabled = isClosed;
+    if (closeBtn) closeBtn.style.display = job && !isClosed ? '' : 'none';
+    if (reopenBtn) reopenBtn.style.display = isClosed ? '' : 'none';
+  }
+
+  /**
+   * Update the overhead rate label and show machine hours only for that basis
+   */
+  applyJobOverheadBasis() {
+    const { overheadBasis, overheadRateLabel } = this.jobElements;
+    const basis = overheadBasis ? overheadBasis.value : DEFAULTS.jobOverheadBasis;
+    const config = JOB_OVERHEAD_BASES[basis] || JOB_OVERHEAD_BASES[DEFAULTS.jobOverheadBasis];
+
+    if (overheadRateLabel) {
+      overheadRateLabel.textContent = `Tarif Overhead (${config.rateLabel})`;
+    }
+
+    DOMHelper.$$('[data-job-basis]', this.form).forEach(group => {
+      group.style.display = group.dataset.jobBasis === basis ? '' : 'none';
     });
+  }
 
-    // Update form data
-    this.updateFormData();
+  /**
+   * Fill the overhead rate from estimated overhead and estimated basis activity
+   */
+  applyPredeterminedRate() {
+    const { overheadBasis, overheadRate, estimatedOverhead, estimatedBase } = this.jobElements;
+    if (!overheadRate) return;
+
+    overheadRate.value = JobOrderCosting.calculatePredeterminedRate(
+      estimatedOverhead ? estimatedOverhead.value : 0,
+      estimatedBase ? estimatedBase.value : 0,
+      overheadBasis ? overheadBasis.value : DEFAULTS.jobOverheadBasis
+    );
+
+    this.handleJobChange();
   }
 
   /**
-   * Handle form submission
+   * Validate and save the job shown in the form
    */
-  async handleSubmit() {
-    try {
-      // Show loading state
-      this.setLoadingState(true);
+  handleJobSave() {
+    const job = this.getJob();
+    if (!job) return;
 
-      // Update form data
-      this.updateFormData();
+    const result = defaultValidationManager.validateJob(job);
+    this.validationResults.set('job', result);
+    this.showJobErrors(result);
 
-      // Validate all fields
-      const validationResult = defaultValidationManager.validateHPPData(this.formData);
+    if (!result.isValid) return;
 
-      if (!validationResult.isValid) {
-        this.displayValidationErrors(validationResult);
-        this.setLoadingState(false);
-        return;
-      }
+    EventHelper.trigger(this.form, 'hpp:job-save', {
+      job,
+      source: 'job-button'
+    });
+  }
 
-      // Trigger calculation event
-      EventHelper.trigger(this.form, 'hpp:calculate', {
-        data: this.formData,
-        source: 'form-submit'
-      });
+  /**
+   * Build activity costing input from the editors (null unless ABC is selected with activities)
+   */
+  getActivityCosting() {
+    const activitiesEditor = this.lineItemEditors.activities;
+    const consumptionEditor = this.lineItemEditors.activityConsumption;
+    if (!activitiesEditor || !consumptionEditor) return null;
+    if (this.getOverheadMethod() !== 'abc') return null;
+
+    const activities = activitiesEditor.getLines();
+    if (activities.length === 0) return null;
+
+    const products = consumptionEditor.getLines();
+    const selectedId = this.abcProductSelect ? this.abcProductSelect.value : '';
+
+    return {
+      activities,
+      products,
+      productId: products.some(product => product.id === selectedId)
+        ? selectedId
+        : (products[0] ? products[0].id : null)
+    };
+  }
 
-      // Show success message
-      this.showSuccessMessage(SUCCESS_MESSAGES.calculationComplete);
+  /**
+   * Lock overhead input to the allocated or ABC amount while the method is active
+   */
+  syncOverheadAllocation() {
+    const element = this.elements.manufacturingOverhead;
+    if (!element) return;
 
-    } catch (error) {
-      console.error('Form submission error:', error);
-      this.showErrorMessage(ERROR_MESSAGES.calculationError);
-    } finally {
-      this.setLoadingState(false);
+    const allocation = this.formData.overheadAllocation;
+    const costing = this.formData.activityCosting;
+    const allocated = costing
+      ? defaultActivityBasedCosting.allocateToProduct(costing)
+      : (allocation ? defaultOverheadAllocator.allocateToProduct(allocation) : null);
+
+    if (allocated) {
+      element.readOnly = true;
+      element.value = CurrencyHelper.format(allocated.amount, false);
+    } else {
+      element.readOnly = false;
     }
   }
 
   /**
-   * Handle form reset
+   * Save current form as a catalog product
    */
-  handleReset() {
-    // Reset form elements
-    this.form.reset();
+  handleCatalogSave() {
+    this.updateFormData();
 
-    // Clear validation states
-    this.clearAllErrors();
-    this.realTimeValidator.resetAll();
+    const product = this.getCatalogProduct();
+    const productResult = defaultValidationManager.validateCatalogProduct(product);
+    ['productName', 'sellingPrice'].forEach(field => {
+      this.showLineItemsError(field, productResult.getFirstFieldError(field));
+    });
 
-    // Reset form data
-    this.formData = {};
-    this.loadInitialData();
+    if (!productResult.isValid) return;
 
-    // Trigger reset event
-    EventHelper.trigger(this.form, 'hpp:reset', {
-      source: 'form-reset'
-    });
+    const validationResult = defaultValidationManager.validateHPPData(this.formData);
+    if (!validationResult.isValid) {
+      this.displayValidationErrors(validationResult);
+      return;
+    }
 
-    // Show success message
-    this.showSuccessMessage(SUCCESS_MESSAGES.formReset);
+    EventHelper.trigger(this.form, 'hpp:catalog-save', {
+      product,
+      sharedOverhead: this.getSharedOverhead(),
+      source: 'catalog-button'
+    });
   }
 
   /**
-   * Handle input change
+   * Build catalog product from the form
    */
-  handleInputChange(field, value) {
-    // Update form data
-    this.formData[field] = this.parseFieldValue(field, value);
+  getCatalogProduct() {
+    const { sku, name, sellingPrice } = this.catalogElements;
+    const overhead = this.formData.activityCosting || this.formData.overheadAllocation;
+
+    return {
+      sku: sku ? sku.value.trim() : '',
+      name: name ? name.value.trim() : '',
+      sellingPrice: sellingPrice ? parseFloat(sellingPrice.value) || 0 : 0,
+      directMaterials: this.formData.directMaterials,
+      directLabor: this.formData.directLabor,
+      manufacturingOverhead: this.formData.manufacturingOverhead,
+      otherCosts: this.formData.otherCosts,
+      totalUnits: this.formData.totalUnits,
+      bom: this.formData.bom || [],
+      labor: this.formData.labor || [],
+      batch: this.formData.batch || null,
+      overheadProductId: overhead ? overhead.productId : null,
+      standardCost: this.formData.standardCosting ? this.formData.standardCosting.profile : null
+    };
+  }
 
-    // Validate if enabled
-    if (this.options.validateOnInput) {
-      this.validateField(field, value);
+  /**
+   * Overhead pools or activities of the form, shared by every catalog product
+   */
+  getSharedOverhead() {
+    if (this.formData.activityCosting) {
+      const { activities, products } = this.formData.activityCosting;
+      return { activityCosting: { activities, products } };
     }
 
-    // Auto-calculate if enabled
-    if (this.options.autoCalculate && this.isFormValid()) {
-      EventHelper.trigger(this.form, 'hpp:calculate', {
-        data: this.formData,
-        source: 'auto-calculate'
-      });
+    if (this.formData.overheadAllocation) {
+      const { pools, products } = this.formData.overheadAllocation;
+      return { overheadAllocation: { pools, products } };
     }
 
-    // Trigger input change event
-    EventHelper.trigger(this.form, 'hpp:input-change', {
-      field,
-      value,
-      formData: { ...this.formData }
-    });
+    return null;
+  }
+
+  /**
+   * Show or clear error for a line items editor
+   */
+  showLineItemsError(key, message) {
+    const errorElement = DOMHelper.$(`#${key}-error`, this.form);
+    if (!errorElement) return;
+
+    errorElement.textContent = message || '';
+    errorElement.style.display = message ? 'flex' : 'none';
   }
 
   /**
@@ -365,17 +3495,47 @@ export class InputForm {
       
       this.formData[field] = this.parseFieldValue(field, element.value);
     });
+
+    Object.keys(LINE_ITEM_MODELS).forEach(key => {
+      if (this.lineItemEditors[key]) {
+        this.formData[key] = this.lineItemEditors[key].getLines();
+      }
+    });
+
+    if (this.lineItemEditors.overheadPools) {
+      this.formData.overheadAllocation = this.getOverheadAllocation();
+    }
+
+    if (this.lineItemEditors.activities) {
+      this.formData.activityCosting = this.getActivityCosting();
+    }
+
+    this.formData.overheadMethod = this.getOverheadMethod();
+    this.formData.calculationMode = this.getCalculationMode();
+    this.formData.inventory = this.getInventory();
+    this.formData.processCosting = this.getProcessCosting();
+    this.formData.job = this.getJob();
+    this.formData.standardCosting = this.getStandardCosting();
+    this.formData.batch = this.getBatch();
+    this.formData.depreciation = this.getDepreciation();
+    this.formData.tax = this.getTax();
+    this.formData.pricing = this.getPricing();
+    this.formData.salesChannels = this.getSalesChannels();
+    this.formData.costBehavior = this.getCostBehavior();
+    this.formData.cvp = this.getCostVolumeProfit();
+    this.formData.sensitivity = this.getSensitivity();
+    this.formData.monteCarlo = this.getMonteCarlo();
   }
 
   /**
    * Parse field value based on field type
    */
   parseFieldValue(field, value) {
-    const config = FORM_FIELDS[field];
+    const config = FORM_FIELDS[field] || TRADING_FORM_FIELDS[field] || INVENTORY_FORM_FIELDS[field];
     if (!config) return value;
 
     if (config.type === 'number') {
-      if (['directMaterials', 'directLabor', 'manufacturingOverhead', 'otherCosts'].includes(field)) {
+      if (CURRENCY_FIELDS.includes(field)) {
         return CurrencyHelper.parse(value);
       }
       return parseFloat(value) || 0;
@@ -398,6 +3558,25 @@ export class InputForm {
    * Show field error
    */
   showFieldError(field, message) {
+    // Distribution errors are reported as "monteCarlo.<input>" and share one error line
+    if (field === 'monteCarloDistributions' || field.startsWith('monteCarlo.')) {
+      this.showLineItemsError('monteCarloDistributions', message);
+      return;
+    }
+
+    // Line item errors are reported as "<editor>.<index>.<column>"
+    const editorKey = field.split('.')[0];
+    if (this.lineItemEditors[editorKey]) {
+      this.showLineItemsError(editorKey, message);
+      return;
+    }
+
+    if (JOB_FIELDS.includes(field) || STANDARD_COSTING_INPUTS[field] || PRICING_FIELDS.includes(field) ||
+      CVP_INPUTS[field] || SENSITIVITY_INPUTS[field] || field === 'costBehavior' || field === 'monteCarloIterations') {
+      this.showLineItemsError(field, message);
+      return;
+    }
+
     const element = this.elements[field];
     if (!element) return;
 
@@ -584,11 +3763,20 @@ export class InputForm {
       <div class="help-content">
         <h4>Cara Menggunakan Kalkulator HPP</h4>
         <ol>
-          <li><strong>Bahan Baku Langsung:</strong> Masukkan total biaya bahan yang langsung digunakan dalam produksi</li>
-          <li><strong>Tenaga Kerja Langsung:</strong> Masukkan biaya upah pekerja yang terlibat langsung dalam produksi</li>
-          <li><strong>Biaya Overhead:</strong> Masukkan biaya tidak langsung seperti listrik, sewa, depresiasi</li>
+          <li><strong>Bahan Baku Langsung:</strong> Masukkan total biaya bahan, atau tambahkan rincian bahan (BOM) berisi jumlah, satuan, harga per satuan dan persentase susut</li>
+          <li><strong>Tenaga Kerja Langsung:</strong> Masukkan total upah, atau tambahkan jam kerja, upah per jam dan lembur untuk setiap peran (operator, helper, packer)</li>
+          <li><strong>Biaya Overhead:</strong> Masukkan biaya tidak langsung seperti listrik, sewa, depresiasi, atau alokasikan pos overhead bulanan bersama ke beberapa produk berdasarkan jam mesin, jam kerja, unit atau luas lantai. Mode ABC memecah overhead menjadi aktivitas (setup, inspeksi, penanganan material) dengan pemicu dan tarif masing-masing</li>
           <li><strong>Biaya Lainnya:</strong> Masukkan biaya tambahan lainnya (opsional)</li>
           <li><strong>Jumlah Unit:</strong> Masukkan jumlah unit yang diproduksi</li>
+          <li><strong>Biaya Standar:</strong> Isi kuantitas, harga, jam kerja dan anggaran overhead standar per unit beserta kuantitas bahan dan jam kerja aktual untuk melihat selisih harga/kuantitas bahan, tarif/efisiensi upah dan pengeluaran/volume overhead</li>
+          <li><strong>Laporan Harga Pokok Produksi:</strong> Sertakan persediaan barang dalam proses dan barang jadi untuk menghitung harga pokok produksi dan harga pokok penjualan periode ini</li>
+          <li><strong>Perusahaan Dagang:</strong> Pilih mode dagang untuk menghitung HPP = persediaan awal + pembelian bersih (pembelian − retur − potongan + ongkos angkut) − persediaan akhir</li>
+          <li><strong>Kalkulasi Biaya Proses:</strong> Untuk produksi terus-menerus, isi setiap departemen sesuai urutan proses beserta unit BDP awal/akhir dan tingkat penyelesaiannya, lalu pilih metode rata-rata tertimbang atau FIFO</li>
+          <li><strong>Pesanan (Job Order):</strong> Untuk produk sesuai pesanan, catat bon permintaan bahan dan kartu jam kerja per pesanan, bebankan overhead dengan tarif yang ditentukan di muka, lalu simpan dan tutup pesanan setelah selesai</li>
+          <li><strong>Pajak (PPN):</strong> Tandai biaya yang sudah termasuk PPN. PPN masukan yang dapat dikreditkan dikeluarkan dari HPP, sedangkan PPN yang tidak dapat dikreditkan tetap menjadi biaya. Harga jual ditampilkan sebagai DPP, PPN keluaran dan harga akhir</li>
+          <li><strong>Harga Jual:</strong> Isi target markup (laba ÷ HPP), margin kotor (laba ÷ harga jual) atau laba per unit untuk mendapatkan harga jual yang disarankan. Markup 25% setara margin 20%, bukan 25%</li>
+          <li><strong>Saluran Penjualan:</strong> Isi harga jual di etalase dan profil biaya tiap marketplace atau reseller (komisi, biaya pembayaran, biaya tetap per pesanan, subsidi gratis ongkir) untuk membandingkan laba bersih dan margin per unit. Klik "Simpan Profil Saluran" agar profil dipakai lagi</li>
+          <li><strong>Katalog Produk:</strong> Simpan setiap SKU dengan harga jualnya, lalu klik "Hitung Semua SKU" untuk membandingkan HPP per unit, margin dan komposisi biaya</li>
         </ol>
         
         <h4>Tips:</h4>
@@ -613,10 +3801,143 @@ export class InputForm {
    * Set form data
    */
   setFormData(data) {
-    Object.entries(data).forEach(([field, value]) => {
+    Object.keys(LINE_ITEM_MODELS).forEach(key => {
+      if (this.lineItemEditors[key] && Array.isArray(data[key])) {
+        this.lineItemEditors[key].setLines(key === 'bom' ? this.materialMaster.applyToBOM(data[key]) : data[key]);
+      }
+    });
+
+    if (this.calculationModeSelect) {
+      const mode = data.calculationMode || data.mode;
+      this.calculationModeSelect.value = CALCULATION_MODES[mode] ? mode : DEFAULTS.calculationMode;
+      this.applyCalculationMode();
+    }
+
+    if (this.lineItemEditors.processDepartments) {
+      const costing = data.processCosting || (data.mode === 'process' ? data : { departments: [] });
+      this.lineItemEditors.processDepartments.setLines((costing.departments || []).map(department => ProcessCosting.toLine(department)));
+      if (this.processMethodSelect) {
+        this.processMethodSelect.value = PROCESS_COSTING_METHODS[costing.method] ? costing.method : DEFAULTS.processCostingMethod;
+      }
+    }
+
+    if (this.standardCostingToggle) {
+      this.setStandardCosting(data.standardCosting || null);
+    }
+
+    if (this.batchToggle) {
+      this.setBatch(data.batch || null);
+    }
+
+    if (this.depreciationToggle) {
+      // A saved calculation brings back the assets it was depreciated with
+      if (data.depreciation && Array.isArray(data.depreciation.assets) && this.lineItemEditors.assets) {
+        this.lineItemEditors.assets.setLines(data.depreciation.assets);
+      }
+      this.setDepreciation(data.depreciation || null);
+    }
+
+    if (this.taxToggle) {
+      this.setTax(data.tax || null);
+    }
+
+    if (this.pricingMethodSelect) {
+      this.setPricing(data.pricing || null);
+    }
+
+    if (this.cvpElements) {
+      // Saved results carry the component behaviors on the analysis lines
+      const behaviors = data.costBehavior || Object.fromEntries(
+        (data.cvp && Array.isArray(data.cvp.lines) ? data.cvp.lines : [])
+          .filter(line => !line.fromLineItems)
+          .map(line => [line.key, { behavior: line.behavior, variablePercentage: line.variablePercentage }])
+      );
+      this.setCostVolumeProfit(data.cvp || null, behaviors);
+    }
+
+    if (this.sensitivityToggle) {
+      this.setSensitivity(data.sensitivity || null);
+    }
+
+    if (this.monteCarloToggle) {
+      this.setMonteCarlo(data.monteCarlo || null);
+    }
+
+    if (this.jobElements && (data.job || data.mode === 'job')) {
+      this.setJobData(data.job || null);
+    }
+
+    if (this.manufacturingStatementToggle) {
+      const inventory = data.inventory || null;
+      this.manufacturingStatementToggle.checked = Boolean(inventory);
+      this.applyManufacturingStatement();
+
+      Object.keys(INVENTORY_FORM_FIELDS).forEach(field => {
+        if (this.elements[field]) {
+          this.elements[field].value = CurrencyHelper.format(inventory ? inventory[field] || 0 : 0, false);
+        }
+      });
+    }
+
+    if (this.overheadMethodSelect) {
+      const method = data.overheadMethod || (data.activityCosting ? 'abc' : (data.overheadAllocation ? 'allocation' : DEFAULTS.overheadMethod));
+      this.overheadMethodSelect.value = OVERHEAD_METHODS[method] ? method : DEFAULTS.overheadMethod;
+      this.applyOverheadMethod();
+    }
+
+    if (this.lineItemEditors.overheadPools && this.lineItemEditors.overheadDrivers) {
+      const allocation = data.overheadAllocation || { pools: [], products: [] };
+      this.lineItemEditors.overheadPools.setLines(allocation.pools || []);
+      this.lineItemEditors.overheadDrivers.setLines((allocation.products || []).map(product => ({
+        id: product.id,
+        name: product.name,
+        ...(product.drivers || product)
+      })));
+      this.populateOverheadProductSelect();
+      if (this.overheadProductSelect && allocation.productId) {
+        this.overheadProductSelect.value = allocation.productId;
+      }
+    }
+
+    if (this.lineItemEditors.activities) {
+      const costing = data.activityCosting || { activities: [], products: [] };
+      this.lineItemEditors.activities.setLines(costing.activities || []);
+      this.setupActivityConsumptionEditor();
+    }
+
+    if (this.lineItemEditors.activityConsumption) {
+      const costing = data.activityCosting || { products: [] };
+      this.lineItemEditors.activityConsumption.setLines((costing.products || []).map(product => ({
+        id: product.id,
+        name: product.name,
+        ...(product.consumption || product)
+      })));
+      this.populateProductSelect(this.abcProductSelect, this.lineItemEditors.activityConsumption);
+      if (this.abcProductSelect && costing.productId) {
+        this.abcProductSelect.value = costing.productId;
+      }
+    }
+
+    if (this.catalogElements) {
+      ['sku', 'name', 'sellingPrice'].forEach(key => {
+        if (this.catalogElements[key] && data[key] !== undefined) {
+          this.catalogElements[key].value = data[key];
+        }
+      });
+    }
+
+    // Saved results hold cost net of PPN masukan: restore the amounts as entered
+    const grossAmounts = {};
+    if (data.tax && Array.isArray(data.tax.lines)) {
+      data.tax.lines.forEach(line => {
+        grossAmounts[line.key] = line.gross;
+      });
+    }
+
+    Object.entries({ ...data, ...grossAmounts }).forEach(([field, value]) => {
       const element = this.elements[field];
       if (element) {
-        if (['directMaterials', 'directLabor', 'manufacturingOverhead', 'otherCosts'].includes(field)) {
+        if (CURRENCY_FIELDS.includes(field)) {
           element.value = CurrencyHelper.format(value, false);
         } else {
           element.value = value;
@@ -625,6 +3946,8 @@ export class InputForm {
     });
 
     this.updateFormData();
+    Object.keys(LINE_ITEM_MODELS).forEach(key => this.syncLineItemTotal(key));
+    this.syncOverheadAllocation();
   }
 
   /**
@@ -644,7 +3967,10 @@ export class InputForm {
       element.removeEventListener(event, handler, options);
     });
     
+    Object.values(this.lineItemEditors).forEach(editor => editor.destroy());
+    
     this.eventListeners = [];
+    this.lineItemEditors = {};
     this.validationResults.clear();
     this.formData = {};
   }
@@ -0,0 +1,130 @@
+/**
+ * Inventory Valuation
+ * Costs material consumption from purchase lots with FIFO or moving weighted average
+ */
+
+import { DEFAULTS, INVENTORY_VALUATION_METHODS } from '../utils/constants.js';
+import { NumberHelper, MoneyHelper } from '../utils/helpers.js';
+
+/**
+ * Precision of lot quantities (purchase packs)
+ */
+const QUANTITY_PRECISION = 8;
+
+/**
+ * Inventory valuation of purchase lots
+ */
+export class InventoryValuation {
+  constructor(method = DEFAULTS.inventoryValuation) {
+    this.setMethod(method);
+  }
+
+  /**
+   * Change valuation method (unknown methods fall back to the default)
+   * @param {string} method - Key of INVENTORY_VALUATION_METHODS
+   */
+  setMethod(method) {
+    this.method = INVENTORY_VALUATION_METHODS[method] ? method : DEFAULTS.inventoryValuation;
+  }
+
+  /**
+   * Lots on hand in order of purchase
+   */
+  sortLots(lots) {
+    return (Array.isArray(lots) ? lots : [])
+      .filter(lot => lot.quantity > 0)
+      .map(lot => ({ ...lot }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  /**
+   * Cost one issue of material from the lots on hand
+   * Lots are drawn oldest first under both methods; FIFO prices each lot at its own price,
+   * moving average prices the whole issue at the average of the lots on hand
+   * @param {Array} lots - Lots on hand: { id, date, quantity, price } with quantity in purchase packs
+   * @param {number} quantity - Packs to consume
+   * @param {number} fallbackPrice - Price per pack of the quantity not covered by the lots
+   * @param {number|null} movingAverage - Moving average price per pack kept by the material, null averages the lots on hand
+   * @returns {Object} { method, quantity, amount, unitCost, lots, shortage, remaining }
+   */
+  consume(lots, quantity, fallbackPrice = 0, movingAverage = null) {
+    const onHand = this.sortLots(lots);
+    const averagePrice = movingAverage === null ? this.getAveragePrice(onHand) : movingAverage;
+    let needed = Math.max(0, parseFloat(quantity) || 0);
+
+    const consumed = [];
+    onHand.forEach(lot => {
+      if (needed <= 0) return;
+
+      const taken = NumberHelper.round(Math.min(lot.quantity, needed), QUANTITY_PRECISION);
+      const price = this.method === 'movingAverage' ? averagePrice : lot.price;
+
+      consumed.push({
+        id: lot.id,
+        date: lot.date,
+        quantity: taken,
+        price,
+        amount: MoneyHelper.multiply(price, taken)
+      });
+
+      lot.quantity = NumberHelper.round(lot.quantity - taken, QUANTITY_PRECISION);
+      needed = NumberHelper.round(needed - taken, QUANTITY_PRECISION);
+    });
+
+    // Quantity beyond the lots on hand is costed at the current price
+    if (needed > 0) {
+      const price = Math.max(0, parseFloat(fallbackPrice) || 0);
+      consumed.push({ id: null, date: null, quantity: needed, price, amount: MoneyHelper.multiply(price, needed) });
+    }
+
+    // Under moving average what is left stays valued at the average
+    const remaining = onHand
+      .filter(lot => lot.quantity > 0)
+      .map(lot => this.method === 'movingAverage' ? { ...lot, price: averagePrice } : lot);
+
+    const consumedQuantity = NumberHelper.round(
+      consumed.reduce((total, lot) => total + lot.quantity, 0),
+      QUANTITY_PRECISION
+    );
+    const amount = MoneyHelper.sum(consumed.map(lot => lot.amount));
+
+    return {
+      method: this.method,
+      quantity: consumedQuantity,
+      amount,
+      unitCost: consumedQuantity > 0 ? NumberHelper.round(amount / consumedQuantity, QUANTITY_PRECISION) : 0,
+      lots: consumed,
+      shortage: needed,
+      remaining
+    };
+  }
+
+  /**
+   * Moving average price per pack after a purchase (positive quantity) or issue (negative quantity)
+   * @param {number} quantity - Packs on hand before the movement
+   * @param {number} averagePrice - Average price per pack before the movement
+   * @param {number} movedQuantity - Packs purchased, or issued as a negative number
+   * @param {number} movedAmount - Cost of the packs moved, negative for an issue
+   * @returns {number} Average price per pack of the packs left on hand
+   */
+  getMovingAverage(quantity, averagePrice, movedQuantity, movedAmount) {
+    const total = NumberHelper.round(quantity + movedQuantity, QUANTITY_PRECISION);
+    if (total <= 0) return 0;
+
+    return NumberHelper.round((quantity * averagePrice + movedAmount) / total, QUANTITY_PRECISION);
+  }
+
+  /**
+   * Weighted average price per pack of the lots on hand
+   */
+  getAveragePrice(lots) {
+    const quantity = lots.reduce((total, lot) => total + lot.quantity, 0);
+    if (quantity <= 0) return 0;
+
+    const cost = lots.reduce((total, lot) => total + lot.quantity * lot.price, 0);
+    return NumberHelper.round(cost / quantity, QUANTITY_PRECISION);
+  }
+}
+
+// Export default instance
+export const defaultInventoryValuation = new InventoryValuation();
@@ -0,0 +1,282 @@
+/**
+ * Job Order Costing
+ * Custom orders (jobs) costed separately from requisitions, labor tickets and applied overhead
+ */
+
+import { DEFAULTS, JOB_OVERHEAD_BASES } from '../utils/constants.js';
+import { NumberHelper, MoneyHelper, IdHelper } from '../utils/helpers.js';
+
+/**
+ * Single job (pesanan) with its own cost records
+ */
+export class JobOrder {
+  constructor(data = {}) {
+    this.id = data.id || IdHelper.generate();
+    this.number = (data.number || '').toString().trim();
+    this.customer = (data.customer || '').toString().trim();
+    this.description = (data.description || '').toString().trim();
+    this.units = parseInt(data.units) || DEFAULTS.totalUnits;
+    this.status = data.status === 'closed' ? 'closed' : 'open';
+    this.openedAt = data.openedAt || new Date().toISOString();
+    this.closedAt = this.status === 'closed' ? (data.closedAt || new Date().toISOString()) : null;
+
+    // Bon permintaan bahan: { id, reference, description, quantity, unitCost }
+    this.materialRequisitions = Array.isArray(data.materialRequisitions) ? data.materialRequisitions : [];
+
+    // Kartu jam kerja: { id, reference, employee, hours, hourlyRate }
+    this.laborTickets = Array.isArray(data.laborTickets) ? data.laborTickets : [];
+
+    // Predetermined overhead rate: per hour for hour bases, percentage for labor cost
+    const overhead = data.overhead || {};
+    this.overhead = {
+      basis: JOB_OVERHEAD_BASES[overhead.basis] ? overhead.basis : DEFAULTS.jobOverheadBasis,
+      rate: parseFloat(overhead.rate) || 0
+    };
+    this.machineHours = parseFloat(data.machineHours) || 0;
+  }
+
+  /**
+   * Check if job is closed
+   */
+  isClosed() {
+    return this.status === 'closed';
+  }
+
+  /**
+   * Requisitions with computed amounts
+   */
+  getMaterialLines() {
+    return this.materialRequisitions.map(line => {
+      const quantity = parseFloat(line.quantity) || 0;
+      const unitCost = parseFloat(line.unitCost) || 0;
+
+      return {
+        ...line,
+        quantity,
+        unitCost,
+        amount: MoneyHelper.multiply(unitCost, quantity)
+      };
+    });
+  }
+
+  /**
+   * Labor tickets with computed amounts
+   */
+  getLaborLines() {
+    return this.laborTickets.map(line => {
+      const hours = parseFloat(line.hours) || 0;
+      const hourlyRate = parseFloat(line.hourlyRate) || 0;
+
+      return {
+        ...line,
+        hours,
+        hourlyRate,
+        amount: MoneyHelper.multiply(hourlyRate, hours)
+      };
+    });
+  }
+
+  /**
+   * Total direct materials requisitioned
+   */
+  getMaterialsCost() {
+    return MoneyHelper.sum(this.getMaterialLines().map(line => line.amount));
+  }
+
+  /**
+   * Total direct labor hours on tickets
+   */
+  getLaborHours() {
+    return NumberHelper.round(this.getLaborLines().reduce((sum, line) => sum + line.hours, 0));
+  }
+
+  /**
+   * Total direct labor cost on tickets
+   */
+  getLaborCost() {
+    return MoneyHelper.sum(this.getLaborLines().map(line => line.amount));
+  }
+
+  /**
+   * Actual activity of the overhead basis for this job
+   */
+  getOverheadBase() {
+    switch (this.overhead.basis) {
+      case 'laborCost':
+        return this.getLaborCost();
+      case 'machineHours':
+        return this.machineHours;
+      default:
+        return this.getLaborHours();
+    }
+  }
+
+  /**
+   * Applied overhead = predetermined rate × actual basis
+   */
+  getAppliedOverhead() {
+    const base = this.getOverheadBase();
+    const rate = this.overhead.basis === 'laborCost'
+      ? this.overhead.rate / 100
+      : this.overhead.rate;
+
+    return MoneyHelper.multiply(base, rate);
+  }
+
+  /**
+   * Total job cost
+   */
+  getTotalCost() {
+    return MoneyHelper.sum([this.getMaterialsCost(), this.getLaborCost(), this.getAppliedOverhead()]);
+  }
+
+  /**
+   * Build HPPCalculator input for the job
+   */
+  toInputData() {
+    return {
+      directMaterials: this.getMaterialsCost(),
+      directLabor: this.getLaborCost(),
+      manufacturingOverhead: this.getAppliedOverhead(),
+      otherCosts: 0,
+      totalUnits: this.units
+    };
+  }
+
+  /**
+   * Close job (costs are final)
+   */
+  close() {
+    this.status = 'closed';
+    this.closedAt = new Date().toISOString();
+  }
+
+  /**
+   * Reopen closed job
+   */
+  reopen() {
+    this.status = 'open';
+    this.closedAt = null;
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      number: this.number,
+      customer: this.customer,
+      description: this.description,
+      units: this.units,
+      status: this.status,
+      openedAt: this.openedAt,
+      closedAt: this.closedAt,
+      materialRequisitions: this.materialRequisitions,
+      laborTickets: this.laborTickets,
+      overhead: this.overhead,
+      machineHours: this.machineHours
+    };
+  }
+}
+
+/**
+ * Job Order Costing Class (list of open and closed jobs)
+ */
+export class JobOrderCosting {
+  constructor(data = {}) {
+    this.jobs = (Array.isArray(data.jobs) ? data.jobs : []).map(job => {
+      return job instanceof JobOrder ? job : new JobOrder(job);
+    });
+  }
+
+  /**
+   * Find job by ID
+   */
+  findJob(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  /**
+   * Find job with the same ID or job number
+   */
+  findMatchingJob(data) {
+    return this.jobs.find(job => {
+      return job.id === data.id || (data.number && job.number === data.number.toString().trim());
+    }) || null;
+  }
+
+  /**
+   * Jobs still accumulating costs
+   */
+  getOpenJobs() {
+    return this.jobs.filter(job => !job.isClosed());
+  }
+
+  /**
+   * Finished jobs
+   */
+  getClosedJobs() {
+    return this.jobs.filter(job => job.isClosed());
+  }
+
+  /**
+   * Add job, or replace the one with the same ID or job number
+   * @returns {JobOrder} Saved job
+   */
+  upsertJob(data) {
+    const existing = this.findMatchingJob(data);
+    const index = this.jobs.indexOf(existing);
+
+    const job = new JobOrder({
+      ...data,
+      id: existing ? existing.id : data.id,
+      openedAt: existing ? existing.openedAt : data.openedAt,
+      status: existing ? existing.status : data.status,
+      closedAt: existing ? existing.closedAt : data.closedAt
+    });
+
+    if (index !== -1) {
+      this.jobs[index] = job;
+    } else {
+      this.jobs.push(job);
+    }
+
+    return job;
+  }
+
+  /**
+   * Remove job by ID
+   */
+  removeJob(id) {
+    const initialLength = this.jobs.length;
+    this.jobs = this.jobs.filter(job => job.id !== id);
+    return this.jobs.length < initialLength;
+  }
+
+  /**
+   * Predetermined overhead rate = estimated overhead ÷ estimated basis activity
+   * @param {number} estimatedOverhead - Budgeted overhead for the period
+   * @param {number} estimatedBase - Budgeted hours, or labor cost for the labor-cost basis
+   * @param {string} basis - Overhead basis key
+   * @returns {number} Rate per hour, or percentage of labor cost
+   */
+  static calculatePredeterminedRate(estimatedOverhead, estimatedBase, basis = DEFAULTS.jobOverheadBasis) {
+    const overhead = parseFloat(estimatedOverhead) || 0;
+    const base = parseFloat(estimatedBase) || 0;
+    if (base <= 0) return 0;
+
+    return basis === 'laborCost'
+      ? NumberHelper.round(overhead / base * 100)
+      : NumberHelper.round(overhead / base);
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      jobs: this.jobs.map(job => job.toJSON())
+    };
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Labor Costing
+ * Hours × rate costing per worker role that rolls up into direct labor
+ */
+
+import { DEFAULTS, COST_BEHAVIORS, DEFAULT_COST_BEHAVIORS } from '../utils/constants.js';
+import { NumberHelper, MoneyHelper, IdHelper } from '../utils/helpers.js';
+
+/**
+ * Single labor role row
+ */
+export class LaborRole {
+  constructor(data = {}) {
+    this.id = data.id || IdHelper.generate();
+    this.role = (data.role || '').toString().trim();
+    this.hours = parseFloat(data.hours) || 0;
+    this.hourlyRate = parseFloat(data.hourlyRate) || 0;
+    this.overtimeHours = parseFloat(data.overtimeHours) || 0;
+    this.overtimeMultiplier = parseFloat(data.overtimeMultiplier) || DEFAULTS.overtimeMultiplier;
+
+    // Cost behavior for CVP analysis (salaried roles are fixed)
+    this.behavior = COST_BEHAVIORS[data.behavior] ? data.behavior : DEFAULT_COST_BEHAVIORS.directLabor;
+    this.variablePercentage = NumberHelper.toPercentage(data.variablePercentage, DEFAULTS.semiVariablePercentage);
+
+    // Calculated values
+    this.regularCost = MoneyHelper.multiply(this.hourlyRate, this.hours);
+    this.overtimeCost = MoneyHelper.multiply(this.hourlyRate, this.overtimeHours * this.overtimeMultiplier);
+    this.totalCost = MoneyHelper.sum([this.regularCost, this.overtimeCost]);
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      role: this.role,
+      hours: this.hours,
+      hourlyRate: this.hourlyRate,
+      overtimeHours: this.overtimeHours,
+      overtimeMultiplier: this.overtimeMultiplier,
+      behavior: this.behavior,
+      variablePercentage: this.variablePercentage,
+      regularCost: this.regularCost,
+      overtimeCost: this.overtimeCost,
+      totalCost: this.totalCost
+    };
+  }
+}
+
+/**
+ * Labor Costing Class
+ */
+export class LaborCosting {
+  constructor(roles = []) {
+    this.roles = (Array.isArray(roles) ? roles : []).map(role => {
+      return role instanceof LaborRole ? role : new LaborRole(role);
+    });
+  }
+
+  /**
+   * Check if any role rows exist
+   */
+  isEmpty() {
+    return this.roles.length === 0;
+  }
+
+  /**
+   * Total labor cost of all roles
+   */
+  getTotalCost() {
+    return MoneyHelper.sum(this.roles.map(role => role.totalCost));
+  }
+
+  /**
+   * Total hours worked (regular + overtime)
+   */
+  getTotalHours() {
+    return NumberHelper.round(
+      this.roles.reduce((sum, role) => sum + role.hours + role.overtimeHours, 0)
+    );
+  }
+
+  /**
+   * Per-role breakdown with share of total labor cost
+   */
+  getBreakdown() {
+    const percentages = MoneyHelper.percentages(this.roles.map(role => role.totalCost));
+
+    return this.roles.map((role, index) => ({
+      id: role.id,
+      name: role.role,
+      hours: role.hours,
+      overtimeHours: role.overtimeHours,
+      hourlyRate: role.hourlyRate,
+      overtimeMultiplier: role.overtimeMultiplier,
+      amount: role.totalCost,
+      percentage: percentages[index]
+    }));
+  }
+
+  /**
+   * Role with the highest cost
+   */
+  getDominantRole() {
+    if (this.isEmpty()) return null;
+
+    return this.roles.reduce((max, role) => role.totalCost > max.totalCost ? role : max);
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return this.roles.map(role => role.toJSON());
+  }
+}
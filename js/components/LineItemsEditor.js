@@ -0,0 +1,319 @@
+/**
+ * Line Items Editor Component
+ * Editable table of cost line items (bill of materials, labor roles, etc.)
+ */
+
+import { DOMHelper, EventHelper, CurrencyHelper, IdHelper } from '../utils/helpers.js';
+
+export class LineItemsEditor {
+  constructor(containerElement, options = {}) {
+    this.container = containerElement;
+    this.options = {
+      columns: [],
+      addLabel: 'Tambah Baris',
+      emptyText: 'Belum ada baris',
+      totalLabel: 'Total',
+      createLine: () => ({}),
+      computeLineTotal: null,
+      onChange: null,
+      debounceDelay: 300,
+      ...options
+    };
+
+    this.lines = [];
+    this.elements = {};
+    this.eventListeners = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize editor component
+   */
+  init() {
+    if (!this.container) {
+      console.error('Line items container element not found');
+      return;
+    }
+
+    this.setupElements();
+    this.setupEventListeners();
+    this.render();
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupElements() {
+    const hasTotal = typeof this.options.computeLineTotal === 'function';
+
+    const headerCells = this.options.columns
+      .map(column => `<th scope="col" class="line-items__heading">${column.label}</th>`)
+      .join('');
+
+    this.container.innerHTML = `
+      <div class="line-items">
+        <table class="line-items__table">
+          <thead>
+            <tr>
+              ${headerCells}
+              ${hasTotal ? `<th scope="col" class="line-items__heading line-items__heading--total">${this.options.totalLabel}</th>` : ''}
+              <th scope="col" class="line-items__heading"><span class="sr-only">Aksi</span></th>
+            </tr>
+          </thead>
+          <tbody class="line-items__body"></tbody>
+        </table>
+        <p class="line-items__empty">${this.options.emptyText}</p>
+        <button type="button" class="btn btn--outline-primary btn--small line-items__add">
+          <i class="fas fa-plus" aria-hidden="true"></i>
+          ${this.options.addLabel}
+        </button>
+      </div>
+    `;
+
+    this.elements = {
+      table: DOMHelper.$('.line-items__table', this.container),
+      body: DOMHelper.$('.line-items__body', this.container),
+      empty: DOMHelper.$('.line-items__empty', this.container),
+      addBtn: DOMHelper.$('.line-items__add', this.container)
+    };
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.addEventListenerWithCleanup(this.elements.addBtn, 'click', (e) => {
+      e.preventDefault();
+      this.addLine();
+    });
+
+    const debouncedChange = EventHelper.debounce(() => {
+      this.notifyChange();
+    }, this.options.debounceDelay);
+
+    // Delegate cell edits to the table body so re-rendering keeps listeners
+    this.addEventListenerWithCleanup(this.elements.body, 'input', (e) => {
+      this.handleCellInput(e.target);
+      debouncedChange();
+    });
+
+    this.addEventListenerWithCleanup(this.elements.body, 'change', (e) => {
+      if (e.target.tagName === 'SELECT') {
+        this.handleCellInput(e.target);
+        this.notifyChange();
+      }
+    });
+
+    this.addEventListenerWithCleanup(this.elements.body, 'click', (e) => {
+      const removeBtn = e.target.closest('.line-items__remove');
+      if (removeBtn) {
+        e.preventDefault();
+        this.removeLine(parseInt(removeBtn.dataset.index));
+      }
+    });
+  }
+
+  /**
+   * Render all rows
+   */
+  render() {
+    if (!this.elements.body) return;
+
+    this.elements.body.innerHTML = '';
+
+    this.lines.forEach((line, index) => {
+      this.elements.body.appendChild(this.createRow(line, index));
+    });
+
+    const isEmpty = this.lines.length === 0;
+    this.elements.table.style.display = isEmpty ? 'none' : '';
+    this.elements.empty.style.display = isEmpty ? '' : 'none';
+  }
+
+  /**
+   * Create table row for a line
+   */
+  createRow(line, index) {
+    const row = DOMHelper.create('tr', { className: 'line-items__row' });
+
+    this.options.columns.forEach(column => {
+      const cell = DOMHelper.create('td', { className: 'line-items__cell' });
+      cell.appendChild(this.createCellInput(column, line[column.key], index));
+      row.appendChild(cell);
+    });
+
+    if (typeof this.options.computeLineTotal === 'function') {
+      const totalCell = DOMHelper.create('td', {
+        className: 'line-items__cell line-items__cell--total'
+      }, CurrencyHelper.format(this.options.computeLineTotal(line)));
+      row.appendChild(totalCell);
+    }
+
+    const actionCell = DOMHelper.create('td', { className: 'line-items__cell' }, `
+      <button type="button" class="btn btn--ghost btn--icon-small line-items__remove" data-index="${index}" aria-label="Hapus baris">
+        <i class="fas fa-trash" aria-hidden="true"></i>
+      </button>
+    `);
+    row.appendChild(actionCell);
+
+    return row;
+  }
+
+  /**
+   * Create input element for a cell
+   */
+  createCellInput(column, value, index) {
+    const attributes = {
+      className: 'form__input form__input--small line-items__input',
+      'aria-label': column.label,
+      dataset: { index: index.toString(), key: column.key }
+    };
+
+    if (column.type === 'select') {
+      const select = DOMHelper.create('select', {
+        ...attributes,
+        className: `${attributes.className} form__select`
+      });
+
+      column.options.forEach(option => {
+        const optionEl = DOMHelper.create('option', { value: option.value }, option.label);
+        if (option.value === value) {
+          optionEl.selected = true;
+        }
+        select.appendChild(optionEl);
+      });
+
+      return select;
+    }
+
+    const input = DOMHelper.create('input', {
+      ...attributes,
+      type: ['number', 'date'].includes(column.type) ? column.type : 'text',
+      placeholder: column.placeholder || ''
+    });
+
+    if (column.type === 'number') {
+      input.min = column.min !== undefined ? column.min : 0;
+      input.step = column.step || 'any';
+    }
+
+    input.value = value !== undefined && value !== null ? value : '';
+    return input;
+  }
+
+  /**
+   * Handle edit of a single cell
+   */
+  handleCellInput(target) {
+    const index = parseInt(target.dataset.index);
+    const key = target.dataset.key;
+    const line = this.lines[index];
+    if (!line || !key) return;
+
+    const column = this.options.columns.find(col => col.key === key);
+    line[key] = column && column.type === 'number'
+      ? (parseFloat(target.value) || 0)
+      : target.value;
+
+    // Refresh computed total without re-rendering (keeps focus)
+    if (typeof this.options.computeLineTotal === 'function') {
+      const totalCell = DOMHelper.$('.line-items__cell--total', target.closest('tr'));
+      if (totalCell) {
+        totalCell.textContent = CurrencyHelper.format(this.options.computeLineTotal(line));
+      }
+    }
+  }
+
+  /**
+   * Add new line
+   */
+  addLine(data = {}) {
+    const line = { ...this.options.createLine(), ...data };
+    if (!line.id) {
+      line.id = IdHelper.generate();
+    }
+
+    this.lines.push(line);
+    this.render();
+    this.notifyChange();
+
+    // Focus first input of new row
+    const rows = DOMHelper.$$('.line-items__row', this.elements.body);
+    const lastRow = rows[rows.length - 1];
+    const firstInput = lastRow ? DOMHelper.$('.line-items__input', lastRow) : null;
+    if (firstInput) {
+      firstInput.focus();
+    }
+  }
+
+  /**
+   * Remove line by index
+   */
+  removeLine(index) {
+    if (index < 0 || index >= this.lines.length) return;
+
+    this.lines.splice(index, 1);
+    this.render();
+    this.notifyChange();
+  }
+
+  /**
+   * Replace all lines
+   */
+  setLines(lines = []) {
+    this.lines = (Array.isArray(lines) ? lines : []).map(line => ({ ...line }));
+    this.render();
+  }
+
+  /**
+   * Replace options of a select column and re-render
+   * @param {string} key - Column key
+   * @param {Array} options - { value, label }
+   */
+  setColumnOptions(key, options = []) {
+    const column = this.options.columns.find(item => item.key === key);
+    if (!column) return;
+
+    column.options = options;
+    this.render();
+  }
+
+  /**
+   * Get copy of current lines
+   */
+  getLines() {
+    return this.lines.map(line => ({ ...line }));
+  }
+
+  /**
+   * Notify change callback
+   */
+  notifyChange() {
+    if (typeof this.options.onChange === 'function') {
+      this.options.onChange(this.getLines());
+    }
+  }
+
+  /**
+   * Add event listener with cleanup tracking
+   */
+  addEventListenerWithCleanup(element, event, handler, options) {
+    if (!element) return;
+    element.addEventListener(event, handler, options);
+    this.eventListeners.push({ element, event, handler, options });
+  }
+
+  /**
+   * Destroy component and cleanup
+   */
+  destroy() {
+    this.eventListeners.forEach(({ element, event, handler, options }) => {
+      element.removeEventListener(event, handler, options);
+    });
+
+    this.eventListeners = [];
+    this.lines = [];
+    this.elements = {};
+  }
+}
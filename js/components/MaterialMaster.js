@@ -0,0 +1,433 @@
+/**
+ * Material Master
+ * Raw materials with supplier, purchase pack, dated price history and purchase lots, referenced by BOM lines by ID
+ */
+
+import { DEFAULTS } from '../utils/constants.js';
+import { IdHelper, NumberHelper } from '../utils/helpers.js';
+import { defaultUnitConverter } from '../utils/units.js';
+import { BOMLine } from './BillOfMaterials.js';
+import { defaultInventoryValuation } from './InventoryValuation.js';
+
+/**
+ * Precision of lot quantities (purchase packs)
+ */
+const QUANTITY_PRECISION = 8;
+
+/**
+ * One raw material
+ */
+export class Material {
+  constructor(data = {}) {
+    this.id = data.id || IdHelper.generate();
+    this.name = (data.name || '').toString().trim();
+    this.supplier = (data.supplier || '').toString().trim();
+
+    // Purchase pack the price applies to, e.g. Rp 300.000 per 25 kg sack
+    this.purchaseQuantity = parseFloat(data.purchaseQuantity) || 1;
+    this.purchaseUnit = defaultUnitConverter.hasUnit(data.purchaseUnit) ? data.purchaseUnit : DEFAULTS.bomUnit;
+    this.currentPrice = Math.max(0, parseFloat(data.currentPrice) || 0);
+
+    // Density in g/ml for recipes measured by volume while bought by weight (or the other way round)
+    this.density = Math.max(0, parseFloat(data.density) || 0);
+
+    // Dated prices, oldest first: [{ price, date }]
+    this.priceHistory = (Array.isArray(data.priceHistory) ? data.priceHistory : [])
+      .map(entry => ({ price: parseFloat(entry.price) || 0, date: entry.date }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    // Purchase lot ledger, oldest first: [{ id, date, quantity, remaining, price }]
+    // with quantity purchased and remaining on hand in packs, and price per pack
+    this.lots = (Array.isArray(data.lots) ? data.lots : [])
+      .map(lot => Material.createLot(lot))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    // Moving average price per pack of the packs on hand, kept up to date by purchases and issues
+    this.averageCost = Number.isFinite(parseFloat(data.averageCost))
+      ? Math.max(0, parseFloat(data.averageCost))
+      : defaultInventoryValuation.getAveragePrice(this.getLotsOnHand());
+
+    // Issue log of posted usage, oldest first: [{ id, date, reference, method, quantity, amount, unitCost, lots, shortage }]
+    this.issues = (Array.isArray(data.issues) ? data.issues : []).map(issue => ({ ...issue }));
+
+    this.updatedAt = data.updatedAt || null;
+  }
+
+  /**
+   * Normalize a purchase lot (remaining defaults to the whole purchase)
+   */
+  static createLot(lot) {
+    const quantity = Math.max(0, parseFloat(lot.quantity) || 0);
+    const remaining = parseFloat(lot.remaining);
+
+    return {
+      id: lot.id || IdHelper.generate(),
+      date: lot.date,
+      quantity,
+      remaining: Number.isFinite(remaining) ? Math.min(quantity, Math.max(0, remaining)) : quantity,
+      price: Math.max(0, parseFloat(lot.price) || 0)
+    };
+  }
+
+  /**
+   * Check if consumption can be costed from purchase lots
+   */
+  hasLots() {
+    return this.lots.some(lot => lot.remaining > 0);
+  }
+
+  /**
+   * Lots with packs left, with quantity as the packs on hand
+   */
+  getLotsOnHand() {
+    return this.lots
+      .filter(lot => lot.remaining > 0)
+      .map(lot => ({ id: lot.id, date: lot.date, quantity: lot.remaining, price: lot.price }));
+  }
+
+  /**
+   * Packs on hand over all lots
+   */
+  getQuantityOnHand() {
+    return NumberHelper.round(this.lots.reduce((total, lot) => total + lot.remaining, 0), QUANTITY_PRECISION);
+  }
+
+  /**
+   * Record a purchase lot and move the average price towards its price
+   * @param {Object} lot - { id, date, quantity, price } with quantity in packs
+   * @returns {Object} Recorded lot
+   */
+  receiveLot(lot) {
+    const received = Material.createLot({ ...lot, remaining: undefined });
+
+    this.averageCost = defaultInventoryValuation.getMovingAverage(
+      this.getQuantityOnHand(),
+      this.averageCost,
+      received.quantity,
+      received.quantity * received.price
+    );
+    this.lots.push(received);
+    this.lots.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return received;
+  }
+
+  /**
+   * Replace the lot ledger with edited lots
+   * Lots already on the ledger keep the packs issued from them; new lots are received as purchases.
+   * Changing or removing a recorded lot is a correction, so the average restarts from the lots on hand.
+   * @param {Array} lots - Edited lots { id, date, quantity, price }
+   */
+  setLots(lots) {
+    const edited = Array.isArray(lots) ? lots : [];
+    const existing = new Map(this.lots.map(lot => [lot.id, lot]));
+    let corrected = edited.filter(lot => existing.has(lot.id)).length < existing.size;
+
+    this.lots = edited
+      .filter(lot => existing.has(lot.id))
+      .map(lot => {
+        const recorded = existing.get(lot.id);
+        const updated = Material.createLot({
+          ...lot,
+          remaining: (parseFloat(lot.quantity) || 0) - (recorded.quantity - recorded.remaining)
+        });
+
+        if (updated.quantity !== recorded.quantity || updated.price !== recorded.price) {
+          corrected = true;
+        }
+        return updated;
+      })
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    if (corrected) {
+      this.averageCost = defaultInventoryValuation.getAveragePrice(this.getLotsOnHand());
+    }
+
+    edited.filter(lot => !existing.has(lot.id)).forEach(lot => this.receiveLot(lot));
+  }
+
+  /**
+   * Post usage of packs: draw them from the lots on hand and log the issue
+   * @param {number} packs - Packs used
+   * @param {InventoryValuation} valuation - Valuation of the issue
+   * @param {string|null} reference - What the packs were used for, e.g. a saved calculation ID
+   * @param {string} date - ISO date of the issue, defaults to now
+   * @returns {Object} Logged issue { id, date, reference, method, quantity, amount, unitCost, lots, shortage }
+   */
+  issue(packs, valuation, reference = null, date = new Date().toISOString()) {
+    const onHand = this.getQuantityOnHand();
+    const { remaining, ...issue } = valuation.consume(this.getLotsOnHand(), packs, this.currentPrice, this.averageCost);
+
+    // Only packs drawn from lots leave the stock; a shortage is costed at the current price
+    const drawn = issue.lots.filter(lot => lot.id);
+    drawn.forEach(taken => {
+      const lot = this.lots.find(item => item.id === taken.id);
+      lot.remaining = NumberHelper.round(lot.remaining - taken.quantity, QUANTITY_PRECISION);
+    });
+
+    this.averageCost = defaultInventoryValuation.getMovingAverage(
+      onHand,
+      this.averageCost,
+      -drawn.reduce((total, lot) => total + lot.quantity, 0),
+      -drawn.reduce((total, lot) => total + lot.amount, 0)
+    );
+
+    const entry = { id: IdHelper.generate(), date, reference, ...issue };
+    this.issues.push(entry);
+
+    return entry;
+  }
+
+  /**
+   * Number of purchase packs in a quantity of a recipe unit (null when the units cannot be converted)
+   */
+  getPacks(quantity, unit) {
+    const converted = defaultUnitConverter.convert(quantity, unit, this.purchaseUnit, this.density);
+    return converted === null ? null : converted / this.purchaseQuantity;
+  }
+
+  /**
+   * Set current price, recording it in the history when it changes
+   * @param {number} price - Price of one purchase pack
+   * @param {string} date - ISO date of the price, defaults to now
+   * @returns {boolean} Whether the price changed
+   */
+  setPrice(price, date = new Date().toISOString()) {
+    const value = Math.max(0, parseFloat(price) || 0);
+    if (value === this.currentPrice && this.priceHistory.length > 0) return false;
+
+    this.currentPrice = value;
+    this.priceHistory.push({ price: value, date });
+    this.updatedAt = date;
+    return true;
+  }
+
+  /**
+   * Price in effect on a date (null before the first recorded price)
+   */
+  getPriceOn(date) {
+    const time = new Date(date).getTime();
+    const entries = this.priceHistory.filter(entry => new Date(entry.date).getTime() <= time);
+
+    return entries.length > 0 ? entries[entries.length - 1].price : null;
+  }
+
+  /**
+   * Purchase fields copied onto a linked BOM line
+   */
+  getLineFields() {
+    return {
+      materialId: this.id,
+      name: this.name,
+      purchasePrice: this.currentPrice,
+      purchaseQuantity: this.purchaseQuantity,
+      purchaseUnit: this.purchaseUnit,
+      density: this.density
+    };
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      supplier: this.supplier,
+      purchaseQuantity: this.purchaseQuantity,
+      purchaseUnit: this.purchaseUnit,
+      currentPrice: this.currentPrice,
+      density: this.density,
+      priceHistory: this.priceHistory.map(entry => ({ ...entry })),
+      lots: this.lots.map(lot => ({ ...lot })),
+      averageCost: this.averageCost,
+      issues: this.issues.map(issue => ({ ...issue })),
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+/**
+ * Material master of all raw materials
+ */
+export class MaterialMaster {
+  constructor(materials = []) {
+    this.materials = (Array.isArray(materials) ? materials : []).map(material => {
+      return material instanceof Material ? material : new Material(material);
+    });
+  }
+
+  /**
+   * Check if the master has any materials
+   */
+  isEmpty() {
+    return this.materials.length === 0;
+  }
+
+  /**
+   * Find a material by ID
+   */
+  getMaterial(id) {
+    return id ? this.materials.find(material => material.id === id) || null : null;
+  }
+
+  /**
+   * Merge edited materials into the master, keeping the price history, average price and issue log
+   * of existing ones (and their purchase lots when the edit has none)
+   * @param {Array} materials - Edited materials (the full list; missing ones are removed)
+   * @param {string} date - ISO date of price changes, defaults to now
+   * @returns {MaterialMaster} Updated master
+   */
+  update(materials, date = new Date().toISOString()) {
+    return new MaterialMaster((Array.isArray(materials) ? materials : []).map(data => {
+      const existing = this.getMaterial(data.id);
+      const material = new Material({
+        ...data,
+        currentPrice: existing ? existing.currentPrice : 0,
+        priceHistory: existing ? existing.priceHistory : [],
+        lots: existing ? existing.lots : data.lots,
+        averageCost: existing ? existing.averageCost : null,
+        issues: existing ? existing.issues : [],
+        updatedAt: existing ? existing.updatedAt : null
+      });
+
+      if (existing && Array.isArray(data.lots)) {
+        material.setLots(data.lots);
+      }
+      material.setPrice(data.currentPrice, date);
+      return material;
+    }));
+  }
+
+  /**
+   * Change the price of one material
+   * @returns {boolean} Whether the price changed
+   */
+  updatePrice(id, price, date) {
+    const material = this.getMaterial(id);
+    return material ? material.setPrice(price, date) : false;
+  }
+
+  /**
+   * Copy current material data onto BOM lines that reference a material
+   * Lines without a material, or whose material was removed, keep their own values
+   * @param {Array} lines - BOM lines
+   * @param {InventoryValuation|null} valuation - Costs materials with purchase lots from the lots instead of the current price
+   * @returns {Array} BOM lines with material data applied
+   */
+  applyToBOM(lines, valuation = null) {
+    return this.valueBOM(lines, valuation).lines;
+  }
+
+  /**
+   * Apply material data to BOM lines and cost their consumption from purchase lots
+   * Lines consume in order, so two lines of one material draw on the same lots
+   * @param {Array} lines - BOM lines
+   * @param {InventoryValuation|null} valuation - Valuation of the purchase lots, null prices at the current price
+   * @returns {Object} { lines, consumptions: [{ lineId, materialId, name, method, quantity, amount, unitCost, lots, shortage }] }
+   */
+  valueBOM(lines, valuation = null) {
+    const onHand = new Map();
+    const consumptions = [];
+
+    const valued = (Array.isArray(lines) ? lines : []).map(line => {
+      const material = this.getMaterial(line.materialId);
+      if (!material) return line;
+
+      const linked = { ...line, ...material.getLineFields() };
+      if (!valuation || !material.hasLots()) return linked;
+
+      const packs = material.getPacks(new BOMLine(linked).grossQuantity, linked.unit);
+      if (packs === null || packs <= 0) return linked;
+
+      const { remaining, ...issue } = valuation.consume(
+        onHand.has(material.id) ? onHand.get(material.id) : material.getLotsOnHand(),
+        packs,
+        material.currentPrice,
+        material.averageCost
+      );
+      onHand.set(material.id, remaining);
+      consumptions.push({ lineId: line.id, materialId: material.id, name: material.name, ...issue });
+
+      // Price per pack of this issue, converted to the recipe unit by the BOM line
+      return { ...linked, purchasePrice: issue.unitCost };
+    });
+
+    return { lines: valued, consumptions };
+  }
+
+  /**
+   * Post the material usage of BOM lines: each linked line draws its packs from the lots on hand
+   * Unlike valueBOM this changes the materials, so post each calculation only once
+   * @param {Array} lines - BOM lines as calculated (gross quantity includes waste)
+   * @param {InventoryValuation} valuation - Valuation of the issues
+   * @param {string|null} reference - What the materials were used for, e.g. a saved calculation ID
+   * @param {string} date - ISO date of the issues, defaults to now
+   * @returns {Array} Logged issues { materialId, name, ...issue }
+   */
+  recordUsage(lines, valuation, reference = null, date = new Date().toISOString()) {
+    return (Array.isArray(lines) ? lines : []).reduce((issues, line) => {
+      const material = this.getMaterial(line.materialId);
+      if (!material) return issues;
+
+      const bomLine = new BOMLine({ ...line, ...material.getLineFields() });
+      const packs = material.getPacks(bomLine.grossQuantity, bomLine.unit);
+      if (packs === null || packs <= 0) return issues;
+
+      const issue = material.issue(packs, valuation, reference, date);
+      return [...issues, { materialId: material.id, name: material.name, ...issue }];
+    }, []);
+  }
+
+  /**
+   * Linked BOM lines whose price per recipe unit differs from the current material price
+   * @param {Array} lines - BOM lines as last calculated
+   * @param {InventoryValuation|null} valuation - Valuation of the purchase lots used for the current price
+   * @returns {Array} { materialId, name, unit, previousPrice, currentPrice }
+   */
+  getPriceChanges(lines, valuation = null) {
+    const source = Array.isArray(lines) ? lines : [];
+    const valued = this.applyToBOM(source, valuation);
+
+    return source
+      .map((line, index) => ({ line, material: this.getMaterial(line.materialId), current: new BOMLine(valued[index]) }))
+      .filter(({ material }) => material)
+      .map(({ line, material, current }) => {
+        return {
+          materialId: material.id,
+          name: material.name,
+          unit: current.unit,
+          previousPrice: parseFloat(line.pricePerUnit) || 0,
+          currentPrice: current.pricePerUnit
+        };
+      })
+      .filter(change => change.previousPrice !== change.currentPrice);
+  }
+
+  /**
+   * Check if any linked BOM line was priced differently than the material is now
+   */
+  hasPriceChanged(lines, valuation = null) {
+    return this.getPriceChanges(lines, valuation).length > 0;
+  }
+
+  /**
+   * Materials as select options for BOM lines, with a manual entry first
+   */
+  getOptions() {
+    return [
+      { value: '', label: 'Manual' },
+      ...this.materials.map(material => ({
+        value: material.id,
+        label: material.supplier ? `${material.name} (${material.supplier})` : material.name
+      }))
+    ];
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return this.materials.map(material => material.toJSON());
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * Monte Carlo Simulation
+ * Samples uncertain cost inputs and yield to build the distribution of HPP per unit
+ */
+
+import { DEFAULTS, DISTRIBUTION_TYPES, MONTE_CARLO_INPUTS } from '../utils/constants.js';
+import { NumberHelper } from '../utils/helpers.js';
+
+/**
+ * Monte Carlo Simulation Class
+ */
+export class MonteCarloSimulation {
+  constructor(options = {}) {
+    this.options = {
+      precision: 2,
+      bins: DEFAULTS.monteCarloBins,
+      progressInterval: 500,
+      ...options
+    };
+  }
+
+  /**
+   * Random number generator returning values in [0, 1)
+   * A seed gives a repeatable sequence (mulberry32), otherwise Math.random is used
+   * @param {number|null} seed - Optional 32-bit seed
+   * @returns {Function} Generator
+   */
+  createRandom(seed = null) {
+    if (seed === null || seed === undefined || !Number.isFinite(Number(seed))) return Math.random;
+
+    let state = Number(seed) >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Normalize a distribution; a blank most likely value (mean) falls back to the base value
+   * @param {Object} distribution - { type, min, mode, max, stdev }
+   * @param {number} baseValue - Value used by the regular calculation
+   * @returns {Object} { type, min, mode, max, stdev } with unused parameters set to null
+   */
+  normalizeDistribution(distribution, baseValue) {
+    const source = distribution || {};
+    const type = DISTRIBUTION_TYPES[source.type] ? source.type : DEFAULTS.distributionType;
+    const value = (key, fallback) => {
+      const parsed = parseFloat(source[key]);
+      return Number.isFinite(parsed) ? parsed : fallback;
+    };
+    const mode = type === 'fixed' ? baseValue : value('mode', baseValue);
+
+    return {
+      type,
+      min: type === 'triangular' ? value('min', mode) : null,
+      mode,
+      max: type === 'triangular' ? value('max', mode) : null,
+      stdev: type === 'normal' ? value('stdev', 0) : null
+    };
+  }
+
+  /**
+   * Draw one value from a normalized distribution
+   * @param {Object} distribution - Result of normalizeDistribution
+   * @param {Function} random - Generator returning values in [0, 1)
+   * @returns {number} Sampled value
+   */
+  sample(distribution, random) {
+    const { type, min, mode, max, stdev } = distribution;
+
+    if (type === 'triangular') {
+      // Inverse of the cumulative distribution function
+      const u = random();
+      const range = max - min;
+      return u < (mode - min) / range
+        ? min + Math.sqrt(u * range * (mode - min))
+        : max - Math.sqrt((1 - u) * range * (max - mode));
+    }
+
+    if (type === 'normal') {
+      // Box-Muller transform; 1 − random() keeps the logarithm finite
+      const u1 = 1 - random();
+      const u2 = random();
+      return mode + stdev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    }
+
+    return mode;
+  }
+
+  /**
+   * Run the simulation
+   * @param {Object} model - { inputs: { [input]: { label, base, netRatio, distribution } }, inventoryAdjustment }
+   * @param {Object} options - { iterations, seed }
+   * @param {Function|null} onProgress - Called with the completed share (0–1) every progressInterval draws
+   * @returns {Object} HPP per unit statistics, P10/P50/P90 and histogram
+   */
+  simulate(model, options = {}, onProgress = null) {
+    const iterations = parseInt(options.iterations) || DEFAULTS.monteCarloIterations;
+    const random = this.createRandom(options.seed);
+    const costInputs = Object.keys(MONTE_CARLO_INPUTS)
+      .filter(key => key !== 'totalUnits')
+      .map(key => model.inputs[key]);
+    const units = model.inputs.totalUnits;
+    const samples = new Float64Array(iterations);
+
+    for (let i = 0; i < iterations; i++) {
+      // Drawn amounts are as entered; netRatio removes recoverable PPN like the regular calculation
+      let costs = model.inventoryAdjustment || 0;
+      for (const input of costInputs) {
+        costs += Math.max(0, this.sample(input.distribution, random)) * input.netRatio;
+      }
+
+      // Whole units only, and at least one (a normal draw can fall below zero)
+      const producedUnits = Math.max(1, Math.round(this.sample(units.distribution, random)));
+      samples[i] = costs / producedUnits;
+
+      if (onProgress && (i + 1) % this.options.progressInterval === 0) {
+        onProgress((i + 1) / iterations);
+      }
+    }
+
+    return {
+      ...this.summarize(samples),
+      inputs: Object.keys(MONTE_CARLO_INPUTS).map(key => ({
+        key,
+        label: MONTE_CARLO_INPUTS[key].label,
+        base: model.inputs[key].base,
+        distribution: model.inputs[key].distribution
+      })),
+      seed: options.seed !== undefined ? options.seed : null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Statistics of the simulated HPP per unit
+   * @param {Float64Array} samples - Simulated HPP per unit
+   * @returns {Object} { iterations, mean, stdev, min, max, percentiles, histogram }
+   */
+  summarize(samples) {
+    const precision = this.options.precision;
+    const sorted = Float64Array.from(samples).sort();
+    const count = sorted.length;
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+    const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(count - 1, 1);
+
+    return {
+      iterations: count,
+      mean: NumberHelper.round(mean, precision),
+      stdev: NumberHelper.round(Math.sqrt(variance), precision),
+      min: NumberHelper.round(sorted[0], precision),
+      max: NumberHelper.round(sorted[count - 1], precision),
+      percentiles: {
+        p10: NumberHelper.round(this.percentile(sorted, 10), precision),
+        p50: NumberHelper.round(this.percentile(sorted, 50), precision),
+        p90: NumberHelper.round(this.percentile(sorted, 90), precision)
+      },
+      histogram: this.createHistogram(sorted)
+    };
+  }
+
+  /**
+   * Percentile of sorted values, interpolating between neighbouring ranks
+   */
+  percentile(sorted, percent) {
+    const rank = (percent / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  /**
+   * Equal-width bins from the smallest to the largest value
+   * @returns {Array<Object>} Bins { from, to, count, percentage }
+   */
+  createHistogram(sorted) {
+    const precision = this.options.precision;
+    const count = sorted.length;
+    const min = sorted[0];
+    const max = sorted[count - 1];
+    const bins = this.options.bins;
+    const width = (max - min) / bins;
+
+    if (!(width > 0)) {
+      return [{ from: NumberHelper.round(min, precision), to: NumberHelper.round(max, precision), count, percentage: 100 }];
+    }
+
+    const counts = new Array(bins).fill(0);
+    sorted.forEach(value => {
+      counts[Math.min(bins - 1, Math.floor((value - min) / width))]++;
+    });
+
+    return counts.map((binCount, index) => ({
+      from: NumberHelper.round(min + index * width, precision),
+      to: NumberHelper.round(min + (index + 1) * width, precision),
+      count: binCount,
+      percentage: NumberHelper.percentage(binCount, count)
+    }));
+  }
+}
+
+// Create and export default Monte Carlo simulation instance
+export const defaultMonteCarloSimulation = new MonteCarloSimulation();
@@ -0,0 +1,19 @@
+/**
+ * Monte Carlo Worker
+ * Runs the HPP simulation off the main thread so the form stays responsive
+ */
+
+import { defaultMonteCarloSimulation } from './MonteCarloSimulation.js';
+
+self.addEventListener('message', (e) => {
+  const { model, options } = e.data;
+
+  try {
+    const simulation = defaultMonteCarloSimulation.simulate(model, options, (progress) => {
+      self.postMessage({ type: 'progress', progress });
+    });
+    self.postMessage({ type: 'complete', simulation });
+  } catch (error) {
+    self.postMessage({ type: 'error', error: error.message });
+  }
+});
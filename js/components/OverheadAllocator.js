@@ -0,0 +1,132 @@
+/**
+ * Overhead Allocator
+ * Allocates a shared monthly overhead pool across products by cost driver
+ */
+
+import { ALLOCATION_BASES, DEFAULTS, COST_BEHAVIORS, DEFAULT_COST_BEHAVIORS } from '../utils/constants.js';
+import { NumberHelper, MoneyHelper } from '../utils/helpers.js';
+
+/**
+ * Overhead Allocator Class
+ */
+export class OverheadAllocator {
+  constructor(options = {}) {
+    this.options = {
+      precision: 2,
+      ...options
+    };
+  }
+
+  /**
+   * Allocate overhead pools to products
+   * @param {Array} pools - Overhead pool lines { name, amount, basis }
+   * @param {Array} products - Products { id, name, machineHours, laborHours, units, floorArea }
+   * @returns {Object} Allocation with rates per pool and overhead per product
+   */
+  allocate(pools = [], products = []) {
+    const normalizedPools = this.normalizePools(pools);
+    const normalizedProducts = this.normalizeProducts(products);
+
+    // Rate per pool = pool amount ÷ total driver quantity of its basis
+    const rates = normalizedPools.map(pool => {
+      const totalDriver = normalizedProducts.reduce((sum, product) => sum + product.drivers[pool.basis], 0);
+
+      return {
+        ...pool,
+        basisLabel: ALLOCATION_BASES[pool.basis].label,
+        totalDriver,
+        rate: totalDriver > 0 ? pool.amount / totalDriver : 0
+      };
+    });
+
+    const allocatedProducts = normalizedProducts.map(product => {
+      const items = rates.map(rate => ({
+        id: rate.id,
+        name: rate.name,
+        basis: rate.basis,
+        basisLabel: rate.basisLabel,
+        driverQuantity: product.drivers[rate.basis],
+        rate: NumberHelper.round(rate.rate, 4),
+        amount: MoneyHelper.multiply(rate.rate, product.drivers[rate.basis])
+      }));
+
+      const amount = MoneyHelper.sum(items.map(item => item.amount));
+      const percentages = MoneyHelper.percentages(items.map(item => item.amount));
+
+      return {
+        id: product.id,
+        name: product.name,
+        drivers: product.drivers,
+        amount,
+        items: items.map((item, index) => ({
+          ...item,
+          percentage: percentages[index]
+        }))
+      };
+    });
+
+    const totalPool = MoneyHelper.sum(normalizedPools.map(pool => pool.amount));
+    const totalAllocated = MoneyHelper.sum(allocatedProducts.map(product => product.amount));
+
+    return {
+      totalPool,
+      totalAllocated,
+      unallocated: MoneyHelper.subtract(totalPool, totalAllocated),
+      rates: rates.map(rate => ({ ...rate, rate: NumberHelper.round(rate.rate, 4) })),
+      products: allocatedProducts,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Allocated overhead for a single product
+   * @param {Object} allocationInput - { pools, products, productId }
+   * @returns {Object|null} Allocated product or null if not found
+   */
+  allocateToProduct(allocationInput = {}) {
+    const allocation = this.allocate(allocationInput.pools, allocationInput.products);
+    if (allocation.products.length === 0) return null;
+
+    if (!allocationInput.productId) {
+      return allocation.products[0];
+    }
+
+    return allocation.products.find(product => product.id === allocationInput.productId) || null;
+  }
+
+  /**
+   * Normalize overhead pool lines
+   */
+  normalizePools(pools) {
+    return (Array.isArray(pools) ? pools : []).map((pool, index) => ({
+      id: pool.id || `pool-${index + 1}`,
+      name: (pool.name || '').toString().trim(),
+      amount: parseFloat(pool.amount) || 0,
+      basis: ALLOCATION_BASES[pool.basis] ? pool.basis : DEFAULTS.allocationBasis,
+      behavior: COST_BEHAVIORS[pool.behavior] ? pool.behavior : DEFAULT_COST_BEHAVIORS.manufacturingOverhead,
+      variablePercentage: NumberHelper.toPercentage(pool.variablePercentage, DEFAULTS.semiVariablePercentage)
+    }));
+  }
+
+  /**
+   * Normalize products and their driver quantities
+   */
+  normalizeProducts(products) {
+    return (Array.isArray(products) ? products : []).map((product, index) => {
+      const drivers = {};
+      Object.keys(ALLOCATION_BASES).forEach(basis => {
+        const source = product.drivers ? product.drivers[basis] : product[basis];
+        drivers[basis] = parseFloat(source) || 0;
+      });
+
+      return {
+        id: product.id || `product-${index + 1}`,
+        name: (product.name || '').toString().trim(),
+        drivers
+      };
+    });
+  }
+}
+
+// Create and export default allocator instance
+export const defaultOverheadAllocator = new OverheadAllocator();
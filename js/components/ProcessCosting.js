@@ -0,0 +1,256 @@
+/**
+ * Process Costing
+ * Equivalent units of production and cost-of-production report per department
+ */
+
+import { PROCESS_COST_CATEGORIES } from '../utils/constants.js';
+import { NumberHelper, MoneyHelper } from '../utils/helpers.js';
+
+/**
+ * Process Costing Class
+ */
+export class ProcessCosting {
+  constructor(options = {}) {
+    this.options = {
+      precision: 2,
+      ...options
+    };
+  }
+
+  /**
+   * Cost all departments in sequence, passing completed units and their cost to the next department
+   * @param {Array} departments - Departments in process order
+   * @param {string} method - 'weightedAverage' or 'fifo'
+   * @returns {Object} Report per department and the finished goods cost
+   */
+  calculate(departments = [], method = 'weightedAverage') {
+    const normalizedDepartments = this.normalizeDepartments(departments);
+
+    const reports = [];
+    let transferred = null;
+
+    normalizedDepartments.forEach((department, index) => {
+      const report = this.calculateDepartment({
+        ...department,
+        unitsStarted: transferred ? transferred.units : department.unitsStarted,
+        transferredInCost: transferred ? transferred.cost : 0
+      }, method, index > 0);
+
+      reports.push(report);
+      transferred = { units: report.units.completed, cost: report.costs.transferredOut };
+    });
+
+    const lastReport = reports[reports.length - 1] || null;
+    const completedUnits = lastReport ? lastReport.units.completed : 0;
+    const totalCost = lastReport ? lastReport.costs.transferredOut : 0;
+
+    return {
+      method,
+      departments: reports,
+      completedUnits,
+      totalCost,
+      costPerUnit: completedUnits > 0 ? MoneyHelper.divide(totalCost, completedUnits) : 0,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Cost-of-production report for one department
+   * @param {Object} department - Normalized department with unitsStarted and transferredInCost resolved
+   * @param {string} method - 'weightedAverage' or 'fifo'
+   * @param {boolean} hasTransferredIn - Whether units come from a previous department
+   */
+  calculateDepartment(department, method, hasTransferredIn) {
+    const beginning = department.beginningWIP;
+    const ending = department.endingWIP;
+
+    const completed = beginning.units + department.unitsStarted - ending.units;
+    const startedAndCompleted = completed - beginning.units;
+
+    const categories = hasTransferredIn ? ['transferredIn', 'materials', 'conversion'] : ['materials', 'conversion'];
+
+    // Transferred-in units are always complete for that category
+    const completion = (stage, category) => {
+      if (category === 'transferredIn') return 1;
+      return stage.completion[category] / 100;
+    };
+
+    const added = {
+      transferredIn: department.transferredInCost,
+      materials: department.costsAdded.materials,
+      conversion: department.costsAdded.conversion
+    };
+
+    // Work needed to finish beginning WIP this period (FIFO only)
+    const toComplete = (category) => beginning.units * (1 - completion(beginning, category));
+
+    const lines = categories.map(category => {
+      const endingEquivalent = ending.units * completion(ending, category);
+      const equivalentUnits = method === 'fifo'
+        ? toComplete(category) + startedAndCompleted + endingEquivalent
+        : completed + endingEquivalent;
+
+      const costBase = method === 'fifo' ? added[category] : beginning.costs[category] + added[category];
+      const costPerEquivalentUnit = equivalentUnits > 0 ? costBase / equivalentUnits : 0;
+
+      return {
+        category,
+        label: PROCESS_COST_CATEGORIES[category].label,
+        beginningCost: beginning.costs[category],
+        addedCost: added[category],
+        beginningEquivalentUnits: method === 'fifo' ? NumberHelper.round(toComplete(category), 4) : 0,
+        endingEquivalentUnits: NumberHelper.round(endingEquivalent, 4),
+        equivalentUnits: NumberHelper.round(equivalentUnits, 4),
+        costPerEquivalentUnit: NumberHelper.round(costPerEquivalentUnit, 4),
+        endingCost: MoneyHelper.multiply(costPerEquivalentUnit, endingEquivalent)
+      };
+    });
+
+    const beginningCost = lines.reduce((sum, line) => sum + line.beginningCost, 0);
+    const addedCost = lines.reduce((sum, line) => sum + line.addedCost, 0);
+    const costPerUnit = lines.reduce((sum, line) => sum + line.costPerEquivalentUnit, 0);
+    const endingCost = MoneyHelper.sum(lines.map(line => line.endingCost));
+    const totalCost = MoneyHelper.sum([beginningCost, addedCost]);
+
+    // FIFO: beginning WIP cost and the work to finish it stay together in transferred-out cost
+    const beginningCompletionCost = method === 'fifo'
+      ? MoneyHelper.sum(lines.map(line => toComplete(line.category) * line.costPerEquivalentUnit))
+      : 0;
+
+    // Transferred-out cost takes the rounding remainder so the report balances
+    const transferredOut = MoneyHelper.subtract(totalCost, endingCost);
+
+    return {
+      id: department.id,
+      name: department.name,
+      method,
+      units: {
+        beginningWIP: beginning.units,
+        started: department.unitsStarted,
+        toAccountFor: beginning.units + department.unitsStarted,
+        completed,
+        startedAndCompleted,
+        endingWIP: ending.units
+      },
+      lines,
+      costs: {
+        beginningWIP: MoneyHelper.round(beginningCost),
+        added: MoneyHelper.round(addedCost),
+        total: totalCost,
+        costPerEquivalentUnit: NumberHelper.round(costPerUnit, 4),
+        beginningCompletion: beginningCompletionCost,
+        startedAndCompleted: method === 'fifo' ? MoneyHelper.sum([transferredOut, -beginningCost, -beginningCompletionCost]) : 0,
+        transferredOut,
+        endingWIP: endingCost
+      }
+    };
+  }
+
+  /**
+   * Normalize departments (percentages are 0–100)
+   */
+  normalizeDepartments(departments) {
+    const amount = (value) => parseFloat(value) || 0;
+    const percentage = (value) => Math.min(100, Math.max(0, amount(value)));
+
+    return (Array.isArray(departments) ? departments : []).map((department, index) => {
+      const beginning = department.beginningWIP || {};
+      const ending = department.endingWIP || {};
+      const beginningCosts = beginning.costs || {};
+      const beginningCompletion = beginning.completion || {};
+      const endingCompletion = ending.completion || {};
+      const costsAdded = department.costsAdded || {};
+
+      return {
+        id: department.id || `department-${index + 1}`,
+        name: (department.name || '').toString().trim(),
+        unitsStarted: amount(department.unitsStarted),
+        beginningWIP: {
+          units: amount(beginning.units),
+          costs: {
+            transferredIn: amount(beginningCosts.transferredIn),
+            materials: amount(beginningCosts.materials),
+            conversion: amount(beginningCosts.conversion)
+          },
+          completion: {
+            materials: percentage(beginningCompletion.materials),
+            conversion: percentage(beginningCompletion.conversion)
+          }
+        },
+        costsAdded: {
+          materials: amount(costsAdded.materials),
+          conversion: amount(costsAdded.conversion)
+        },
+        endingWIP: {
+          units: amount(ending.units),
+          completion: {
+            materials: percentage(endingCompletion.materials),
+            conversion: percentage(endingCompletion.conversion)
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Convert a flat editor row into a department
+   */
+  static fromLine(line = {}) {
+    return {
+      id: line.id,
+      name: line.name,
+      unitsStarted: line.unitsStarted,
+      beginningWIP: {
+        units: line.beginningUnits,
+        costs: {
+          transferredIn: line.beginningTransferredInCost,
+          materials: line.beginningMaterialsCost,
+          conversion: line.beginningConversionCost
+        },
+        completion: {
+          materials: line.beginningMaterialsCompletion,
+          conversion: line.beginningConversionCompletion
+        }
+      },
+      costsAdded: {
+        materials: line.materialsCost,
+        conversion: line.conversionCost
+      },
+      endingWIP: {
+        units: line.endingUnits,
+        completion: {
+          materials: line.endingMaterialsCompletion,
+          conversion: line.endingConversionCompletion
+        }
+      }
+    };
+  }
+
+  /**
+   * Convert a department back into a flat editor row
+   */
+  static toLine(department = {}) {
+    const beginning = department.beginningWIP || {};
+    const ending = department.endingWIP || {};
+
+    return {
+      id: department.id,
+      name: department.name || '',
+      unitsStarted: department.unitsStarted || 0,
+      beginningUnits: beginning.units || 0,
+      beginningTransferredInCost: (beginning.costs || {}).transferredIn || 0,
+      beginningMaterialsCost: (beginning.costs || {}).materials || 0,
+      beginningConversionCost: (beginning.costs || {}).conversion || 0,
+      beginningMaterialsCompletion: (beginning.completion || {}).materials || 0,
+      beginningConversionCompletion: (beginning.completion || {}).conversion || 0,
+      materialsCost: (department.costsAdded || {}).materials || 0,
+      conversionCost: (department.costsAdded || {}).conversion || 0,
+      endingUnits: ending.units || 0,
+      endingMaterialsCompletion: (ending.completion || {}).materials || 0,
+      endingConversionCompletion: (ending.completion || {}).conversion || 0
+    };
+  }
+}
+
+// Create and export default process costing instance
+export const defaultProcessCosting = new ProcessCosting();
@@ -0,0 +1,190 @@
+/**
+ * Product Catalog
+ * SKU list costed together in one session, optionally sharing one overhead pool set
+ */
+
+import { DEFAULTS } from '../utils/constants.js';
+import { IdHelper } from '../utils/helpers.js';
+import { StandardCostProfile } from './StandardCosting.js';
+import { Batch } from './BatchScaling.js';
+import { BillOfMaterials } from './BillOfMaterials.js';
+
+/**
+ * Single catalog product (SKU) with its own cost inputs
+ */
+export class CatalogProduct {
+  constructor(data = {}) {
+    this.id = data.id || IdHelper.generate();
+    this.sku = (data.sku || '').toString().trim();
+    this.name = (data.name || '').toString().trim();
+    this.sellingPrice = parseFloat(data.sellingPrice) || 0;
+
+    // Cost inputs (same shape as the HPP form)
+    this.directMaterials = parseFloat(data.directMaterials) || 0;
+    this.directLabor = parseFloat(data.directLabor) || 0;
+    this.manufacturingOverhead = parseFloat(data.manufacturingOverhead) || 0;
+    this.otherCosts = parseFloat(data.otherCosts) || 0;
+    this.totalUnits = parseInt(data.totalUnits) || DEFAULTS.totalUnits;
+    this.bom = Array.isArray(data.bom) ? data.bom : [];
+    this.labor = Array.isArray(data.labor) ? data.labor : [];
+
+    // Recipe batch that derives totalUnits (null when the unit count is typed)
+    this.batch = data.batch ? new Batch(data.batch).toJSON() : null;
+
+    // Row id of this SKU in the catalog's shared overhead drivers
+    this.overheadProductId = data.overheadProductId || null;
+
+    // Standard-cost profile of this SKU (null if no standard is set)
+    this.standardCost = data.standardCost ? new StandardCostProfile(data.standardCost).toJSON() : null;
+  }
+
+  /**
+   * Standard cost of one unit (null if no standard is set)
+   */
+  getStandardCostPerUnit() {
+    return this.standardCost ? new StandardCostProfile(this.standardCost).getStandardCostPerUnit() : null;
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      sku: this.sku,
+      name: this.name,
+      sellingPrice: this.sellingPrice,
+      directMaterials: this.directMaterials,
+      directLabor: this.directLabor,
+      manufacturingOverhead: this.manufacturingOverhead,
+      otherCosts: this.otherCosts,
+      totalUnits: this.totalUnits,
+      bom: this.bom,
+      labor: this.labor,
+      batch: this.batch,
+      overheadProductId: this.overheadProductId,
+      standardCost: this.standardCost
+    };
+  }
+}
+
+/**
+ * Product Catalog Class
+ */
+export class ProductCatalog {
+  constructor(data = {}) {
+    this.products = (Array.isArray(data.products) ? data.products : []).map(product => {
+      return product instanceof CatalogProduct ? product : new CatalogProduct(product);
+    });
+
+    // { overheadAllocation: { pools, products } } or { activityCosting: { activities, products } }
+    this.sharedOverhead = data.sharedOverhead || null;
+  }
+
+  /**
+   * Check if catalog has products
+   */
+  isEmpty() {
+    return this.products.length === 0;
+  }
+
+  /**
+   * Find product by ID
+   */
+  findProduct(id) {
+    return this.products.find(product => product.id === id) || null;
+  }
+
+  /**
+   * Add product, or replace the one with the same ID or SKU code
+   * @returns {CatalogProduct} Saved product
+   */
+  upsertProduct(data) {
+    const index = this.products.findIndex(product => {
+      return product.id === data.id || (data.sku && product.sku === data.sku.toString().trim());
+    });
+
+    const product = new CatalogProduct({
+      ...data,
+      id: index !== -1 ? this.products[index].id : data.id
+    });
+
+    if (index !== -1) {
+      this.products[index] = product;
+    } else {
+      this.products.push(product);
+    }
+
+    return product;
+  }
+
+  /**
+   * Remove product by ID
+   */
+  removeProduct(id) {
+    const initialLength = this.products.length;
+    this.products = this.products.filter(product => product.id !== id);
+    return this.products.length < initialLength;
+  }
+
+  /**
+   * Re-cost products whose linked BOM lines are priced differently than the material master
+   * @param {MaterialMaster} materialMaster - Materials with the current prices
+   * @param {InventoryValuation|null} valuation - Valuation of the purchase lots, null prices at the current price
+   * @returns {Array} Re-costed products
+   */
+  applyMaterialPrices(materialMaster, valuation = null) {
+    return this.products.filter(product => {
+      if (!materialMaster.hasPriceChanged(product.bom, valuation)) return false;
+
+      const bom = new BillOfMaterials(materialMaster.applyToBOM(product.bom, valuation));
+      product.bom = bom.toJSON();
+      product.directMaterials = bom.getTotalCost();
+      return true;
+    });
+  }
+
+  /**
+   * Set overhead shared by all products (null to let each SKU use its own overhead)
+   */
+  setSharedOverhead(sharedOverhead) {
+    this.sharedOverhead = sharedOverhead || null;
+  }
+
+  /**
+   * Build HPPCalculator input for a product, applying the shared overhead
+   */
+  getInputData(product) {
+    const inputData = {
+      directMaterials: product.directMaterials,
+      directLabor: product.directLabor,
+      manufacturingOverhead: product.manufacturingOverhead,
+      otherCosts: product.otherCosts,
+      totalUnits: product.totalUnits,
+      bom: product.bom,
+      labor: product.labor,
+      batch: product.batch
+    };
+
+    const shared = this.sharedOverhead;
+    if (shared && product.overheadProductId) {
+      if (shared.activityCosting) {
+        inputData.activityCosting = { ...shared.activityCosting, productId: product.overheadProductId };
+      } else if (shared.overheadAllocation) {
+        inputData.overheadAllocation = { ...shared.overheadAllocation, productId: product.overheadProductId };
+      }
+    }
+
+    return inputData;
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      products: this.products.map(product => product.toJSON()),
+      sharedOverhead: this.sharedOverhead
+    };
+  }
+}
@@ -3,8 +3,10 @@
  * Handles the display of HPP calculation results with visual breakdown
  */
 
-import { COST_CATEGORIES, ANIMATIONS, CHART_CONFIG } from '../utils/constants.js';
-import { DOMHelper, EventHelper, CurrencyHelper, AnimationHelper, NumberHelper } from '../utils/helpers.js';
+import { COST_CATEGORIES, ANIMATIONS, CHART_CONFIG, PROCESS_COSTING_METHODS, JOB_OVERHEAD_BASES, JOB_STATUSES, VARIANCE_TYPES, PRICING_METHODS, TAX_TREATMENTS, ERROR_MESSAGES, GOAL_SEEK_VARIABLES, GOAL_SEEK_METRICS, SCENARIO_INPUTS, MEASUREMENT_UNITS } from '../utils/constants.js';
+import { DOMHelper, EventHelper, CurrencyHelper, AnimationHelper, NumberHelper, DateHelper } from '../utils/helpers.js';
+import { defaultHPPCalculator } from './HPPCalculator.js';
+import { BreakEvenChart } from './BreakEvenChart.js';
 
 export class ResultsDisplay {
   constructor(containerElement, options = {}) {
@@ -20,10 +22,15 @@ export class ResultsDisplay {
     };
 
     this.currentResult = null;
+    this.currentComparison = null;
+    this.currentScenarioComparison = null;
     this.elements = {};
     this.chart = null;
     this.eventListeners = [];
 
+    // Completed share (0–1) of the Monte Carlo run in progress, null when none is running
+    this.monteCarloProgress = null;
+
     this.init();
   }
 
@@ -90,9 +97,59 @@ export class ResultsDisplay {
     });
 
     this.addEventListenerWithCleanup(document, 'hpp:reset', () => {
+      this.monteCarloProgress = null;
+      this.currentScenarioComparison = null;
       this.showEmptyState();
     });
 
+    // Monte Carlo runs in a worker after the calculation and reports back through these events
+    this.addEventListenerWithCleanup(document, 'hpp:monte-carlo-start', () => {
+      this.monteCarloProgress = 0;
+      this.updateMonteCarlo();
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:monte-carlo-progress', (e) => {
+      this.monteCarloProgress = e.detail.progress;
+      this.updateMonteCarloProgress();
+    });
+
+    ['hpp:monte-carlo-complete', 'hpp:monte-carlo-error', 'hpp:monte-carlo-cancel'].forEach(eventName => {
+      this.addEventListenerWithCleanup(document, eventName, () => {
+        this.monteCarloProgress = null;
+        this.updateMonteCarlo();
+      });
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:goal-seek-solved', (e) => {
+      this.showGoalSeekSolution(e.detail.solution);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:goal-seek-error', (e) => {
+      this.showGoalSeekError(e.detail.error);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:catalog-calculated', (e) => {
+      this.displayCatalogComparison(e.detail.comparison);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:catalog-cleared', () => {
+      this.currentComparison = null;
+      if (this.elements.catalog) {
+        this.elements.catalog.style.display = 'none';
+      }
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:scenarios-calculated', (e) => {
+      this.displayScenarioComparison(e.detail.comparison);
+    });
+
+    this.addEventListenerWithCleanup(document, 'hpp:scenarios-cleared', () => {
+      this.currentScenarioComparison = null;
+      if (this.elements.scenarios) {
+        this.elements.scenarios.style.display = 'none';
+      }
+    });
+
     // Export button events
     if (this.elements.export) {
       const exportButtons = DOMHelper.$$('.btn', this.elements.export);
@@ -130,8 +187,57 @@ export class ResultsDisplay {
   updateDisplay() {
     if (!this.currentResult) return;
 
+    this.updatePricingPanel();
+    this.updateChannelComparison();
+    this.updateCostVolumeProfit();
+    this.updateSensitivity();
+    this.updateMonteCarlo();
+    this.updateGoalSeek();
+
+    // Trading company layout: formula statement instead of cost breakdown
+    if (this.currentResult.mode === 'trading') {
+      this.updateMainResult();
+      this.updateTradingStatement();
+      this.updateTradingStats();
+      this.showResults();
+
+      if (this.elements.chart) {
+        this.elements.chart.style.display = 'none';
+      }
+      return;
+    }
+
+    // Process costing layout: cost-of-production report per department
+    if (this.currentResult.mode === 'process') {
+      this.updateMainResult();
+      this.updateProcessReport();
+      this.updateProcessStats();
+      this.showResults();
+
+      if (this.elements.chart) {
+        this.elements.chart.style.display = 'none';
+      }
+      return;
+    }
+
+    // Job order layout: cost sheet of a single job
+    if (this.currentResult.mode === 'job') {
+      this.updateMainResult();
+      this.updateJobCostSheet();
+      this.updateJobStats();
+      this.showResults();
+
+      if (this.elements.chart) {
+        this.elements.chart.style.display = 'none';
+      }
+      return;
+    }
+
     this.updateMainResult();
     this.updateBreakdown();
+    this.updateManufacturingStatement();
+    this.updateInputTax();
+    this.updateVarianceAnalysis();
     this.updateStats();
     this.updateChart();
     
@@ -158,7 +264,563 @@ export class ResultsDisplay {
     }
 
     if (unitsInfo) {
-      unitsInfo.textContent = `Total ${this.currentResult.totalUnits.toLocaleString('id-ID')} unit diproduksi`;
+      const unitsText = {
+        trading: () => `Total ${this.currentResult.unitsSold.toLocaleString('id-ID')} unit terjual`,
+        process: () => `Total ${this.currentResult.totalUnits.toLocaleString('id-ID')} unit selesai`,
+        job: () => `Pesanan ${this.currentResult.job.number}: ${this.currentResult.totalUnits.toLocaleString('id-ID')} unit`
+      }[this.currentResult.mode];
+
+      unitsInfo.textContent = unitsText
+        ? unitsText()
+        : `Total ${this.currentResult.totalUnits.toLocaleString('id-ID')} unit diproduksi`;
+
+      // Unit count derived from the recipe batch
+      const batch = this.currentResult.batch;
+      if (batch && !unitsText) {
+        unitsInfo.textContent = `Total ${batch.totalUnits.toLocaleString('id-ID')} kemasan ${this.formatQuantity(batch.packSize, batch.packUnit)} ` +
+          `dari batch ${this.formatQuantity(batch.size, batch.unit)}`;
+      }
+    }
+  }
+
+  /**
+   * Format a quantity with its measurement unit label
+   */
+  formatQuantity(value, unit) {
+    const measurement = MEASUREMENT_UNITS.find(item => item.value === unit);
+    return `${value.toLocaleString('id-ID', { maximumFractionDigits: 2 })} ${measurement ? measurement.label : unit}`;
+  }
+
+  /**
+   * Render recommended selling price below the main result (removed when no target is set)
+   */
+  updatePricingPanel() {
+    const pricing = this.currentResult.pricing;
+
+    if (!pricing) {
+      if (this.elements.pricing) {
+        this.elements.pricing.remove();
+        delete this.elements.pricing;
+      }
+      return;
+    }
+
+    if (!this.elements.pricing || !this.container.contains(this.elements.pricing)) {
+      this.createPricingElement();
+    }
+
+    const method = PRICING_METHODS[pricing.method];
+    const formatPercentage = (value) => `${value.toLocaleString('id-ID', { maximumFractionDigits: 2 })}%`;
+    const targetText = pricing.method === 'profit'
+      ? CurrencyHelper.format(pricing.target)
+      : formatPercentage(pricing.target);
+
+    this.elements.pricing.innerHTML = `
+      <div class="pricing-panel__title">
+        <i class="fas fa-tags" aria-hidden="true"></i>
+        Harga Jual yang Disarankan
+      </div>
+      <div class="pricing-panel__price">${CurrencyHelper.format(pricing.sellingPrice)} <span class="pricing-panel__unit">per unit</span></div>
+      <div class="pricing-panel__basis">${method.label}: ${targetText} dari HPP ${CurrencyHelper.format(pricing.hppPerUnit)}</div>
+      ${pricing.tax ? this.createStatementTable([
+        { label: 'DPP (harga jual sebelum PPN)', amount: pricing.tax.dpp, operator: '' },
+        { label: `PPN keluaran ${formatPercentage(pricing.tax.rate)}`, amount: pricing.tax.ppn, operator: '+' },
+        { label: 'Harga jual termasuk PPN', amount: pricing.tax.finalPrice, operator: '=', total: true }
+      ], 'Harga jual dengan PPN') : ''}
+      <dl class="pricing-panel__metrics">
+        <div class="pricing-panel__metric">
+          <dt title="Laba ÷ HPP">Markup</dt>
+          <dd>${formatPercentage(pricing.markupPercentage)}</dd>
+        </div>
+        <div class="pricing-panel__metric">
+          <dt title="Laba ÷ harga jual">Margin Kotor</dt>
+          <dd>${formatPercentage(pricing.marginPercentage)}</dd>
+        </div>
+        <div class="pricing-panel__metric">
+          <dt>Laba per Unit</dt>
+          <dd>${CurrencyHelper.format(pricing.profitPerUnit)}</dd>
+        </div>
+        <div class="pricing-panel__metric">
+          <dt>Pendapatan (${pricing.units.toLocaleString('id-ID')} unit)</dt>
+          <dd>${CurrencyHelper.format(pricing.totalRevenue)}</dd>
+        </div>
+        <div class="pricing-panel__metric">
+          <dt>Laba Kotor</dt>
+          <dd>${CurrencyHelper.format(pricing.totalProfit)}</dd>
+        </div>
+        ${pricing.tax ? `
+          <div class="pricing-panel__metric">
+            <dt>Total PPN Keluaran</dt>
+            <dd>${CurrencyHelper.format(pricing.tax.totalPPN)}</dd>
+          </div>
+          <div class="pricing-panel__metric">
+            <dt>Pendapatan termasuk PPN</dt>
+            <dd>${CurrencyHelper.format(pricing.tax.totalFinalRevenue)}</dd>
+          </div>
+        ` : ''}
+      </dl>
+    `;
+  }
+
+  /**
+   * Render net profit and margin per sales channel (removed without a list price)
+   */
+  updateChannelComparison() {
+    const comparison = this.currentResult.channelComparison;
+
+    if (!comparison) {
+      if (this.elements.channels) {
+        this.elements.channels.remove();
+        delete this.elements.channels;
+      }
+      return;
+    }
+
+    if (!this.elements.channels || !this.container.contains(this.elements.channels)) {
+      this.createChannelsElement();
+    }
+
+    const rows = comparison.channels.map(channel => {
+      const classes = ['channel-table__row'];
+      if (channel.id === comparison.bestChannelId) classes.push('channel-table__row--best');
+      if (channel.netProfit < 0) classes.push('channel-table__row--loss');
+
+      return `
+        <tr class="${classes.join(' ')}">
+          <th scope="row">${DOMHelper.escapeHtml(channel.name)}</th>
+          <td title="Komisi ${CurrencyHelper.format(channel.fees.commission)}, pembayaran ${CurrencyHelper.format(channel.fees.paymentFee)}, biaya tetap ${CurrencyHelper.format(channel.fees.fixedFee)}, ongkir ${CurrencyHelper.format(channel.fees.freeShipping)}">
+            ${CurrencyHelper.format(channel.fees.total)} (${channel.feePercentage}%)
+          </td>
+          <td>${CurrencyHelper.format(channel.netRevenue)}</td>
+          <td>${CurrencyHelper.format(channel.netProfit)}</td>
+          <td>${channel.marginPercentage}%</td>
+        </tr>
+      `;
+    }).join('');
+
+    this.elements.channels.innerHTML = `
+      <div class="breakdown__title">
+        <i class="fas fa-store" aria-hidden="true"></i>
+        Perbandingan Saluran Penjualan
+      </div>
+      <p class="channel-comparison__summary">
+        Harga etalase ${CurrencyHelper.format(comparison.listPrice)}${comparison.taxRate !== null ? ` (termasuk PPN ${CurrencyHelper.format(comparison.ppn)})` : ''}
+        · HPP ${CurrencyHelper.format(comparison.hppPerUnit)} per unit
+      </p>
+      <div class="channel-comparison__scroll">
+        <table class="channel-table">
+          <thead>
+            <tr>
+              <th scope="col">Saluran</th>
+              <th scope="col">Potongan per Unit</th>
+              <th scope="col">Pendapatan Bersih</th>
+              <th scope="col">Laba Bersih</th>
+              <th scope="col">Margin</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Render cost-volume-profit analysis (removed when no CVP selling price is set)
+   */
+  updateCostVolumeProfit() {
+    const cvp = this.currentResult.cvp;
+
+    if (this.breakEvenChart) {
+      this.breakEvenChart.destroy();
+      this.breakEvenChart = null;
+    }
+
+    if (!cvp) {
+      if (this.elements.cvp) {
+        this.elements.cvp.remove();
+        delete this.elements.cvp;
+      }
+      return;
+    }
+
+    if (!this.elements.cvp || !this.container.contains(this.elements.cvp)) {
+      this.createCostVolumeProfitElement();
+    }
+
+    const formatPercentage = (value) => `${value.toLocaleString('id-ID', { maximumFractionDigits: 2 })}%`;
+
+    const rows = cvp.lines.map(line => `
+      <tr>
+        <th scope="row">${line.label}</th>
+        <td>${line.behaviorLabel}${line.behavior === 'semiVariable' ? ` (${formatPercentage(line.variablePercentage)} variabel)` : ''}</td>
+        <td>${CurrencyHelper.format(line.fixed)}</td>
+        <td>${CurrencyHelper.format(line.variable)}</td>
+      </tr>
+    `).join('');
+
+    this.elements.cvp.innerHTML = `
+      <div class="breakdown__title">
+        <i class="fas fa-balance-scale" aria-hidden="true"></i>
+        Analisis Biaya-Volume-Laba
+      </div>
+      <p class="cvp-panel__summary"></p>
+      <p class="cvp-panel__warning" role="alert"></p>
+      <div class="cvp-panel__chart"></div>
+      <div class="cvp-panel__scroll">
+        <table class="cvp-table">
+          <thead>
+            <tr>
+              <th scope="col">Komponen</th>
+              <th scope="col">Perilaku</th>
+              <th scope="col">Tetap</th>
+              <th scope="col">Variabel</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <dl class="cvp-panel__metrics"></dl>
+    `;
+
+    this.updateCostVolumeProfitFigures(cvp, false);
+
+    this.breakEvenChart = new BreakEvenChart(DOMHelper.$('.cvp-panel__chart', this.elements.cvp), {
+      onPriceChange: (price) => this.handleBreakEvenPriceChange(price)
+    });
+    this.breakEvenChart.render(cvp);
+  }
+
+  /**
+   * Fill the summary, warning and metrics of the CVP panel
+   * @param {Object} cvp - Cost-volume-profit analysis
+   * @param {boolean} isSimulated - Whether the price comes from dragging the chart
+   */
+  updateCostVolumeProfitFigures(cvp, isSimulated) {
+    const formatUnits = (value) => value === null ? '-' : `${value.toLocaleString('id-ID', { maximumFractionDigits: 2 })} unit`;
+    const formatAmount = (value) => value === null ? '-' : CurrencyHelper.format(value);
+    const formatPercentage = (value) => value === null ? '-' : `${value.toLocaleString('id-ID', { maximumFractionDigits: 2 })}%`;
+
+    const metrics = [
+      { label: 'Biaya Tetap per Periode', value: formatAmount(cvp.fixedCosts), title: `${CurrencyHelper.format(cvp.fixedCostsPerBatch)} × ${cvp.batchesPerPeriod} produksi + ${CurrencyHelper.format(cvp.otherFixedCosts)} biaya tetap lain` },
+      { label: 'Biaya Variabel per Unit', value: formatAmount(cvp.variableCostPerUnit) },
+      { label: 'Margin Kontribusi per Unit', value: formatAmount(cvp.contributionMargin), title: `Rasio margin kontribusi ${formatPercentage(cvp.contributionMarginRatio)}` },
+      { label: 'Titik Impas', value: formatUnits(cvp.breakEvenUnits) },
+      { label: 'Pendapatan Titik Impas', value: formatAmount(cvp.breakEvenRevenue) },
+      { label: `Laba Operasi (${formatUnits(cvp.expectedUnits)})`, value: formatAmount(cvp.operatingIncome) },
+      { label: 'Margin of Safety', value: cvp.marginOfSafetyUnits === null ? '-' : `${formatUnits(cvp.marginOfSafetyUnits)} (${formatPercentage(cvp.marginOfSafetyPercentage)})`, title: `Pendapatan ${formatAmount(cvp.marginOfSafetyRevenue)} di atas titik impas` },
+      { label: 'Leverage Operasi', value: cvp.operatingLeverage === null ? '-' : `${cvp.operatingLeverage.toLocaleString('id-ID', { maximumFractionDigits: 2 })}×`, title: 'Perubahan % laba operasi untuk setiap 1% perubahan penjualan' },
+      { label: `Volume Target Laba ${CurrencyHelper.format(cvp.targetProfit)}`, value: formatUnits(cvp.targetProfitUnits), title: `Pendapatan ${formatAmount(cvp.targetProfitRevenue)}` }
+    ];
+
+    const summary = DOMHelper.$('.cvp-panel__summary', this.elements.cvp);
+    summary.textContent = `${isSimulated ? 'Simulasi harga' : 'Harga jual'} ${CurrencyHelper.format(cvp.sellingPrice)} per unit · ` +
+      `biaya per produksi ${cvp.totalUnits.toLocaleString('id-ID')} unit`;
+
+    const warning = DOMHelper.$('.cvp-panel__warning', this.elements.cvp);
+    warning.textContent = cvp.isAchievable ? '' : ERROR_MESSAGES.cvpContributionMarginNegative;
+    warning.style.display = cvp.isAchievable ? 'none' : '';
+
+    DOMHelper.$('.cvp-panel__metrics', this.elements.cvp).innerHTML = metrics.map(metric => `
+      <div class="cvp-panel__metric">
+        <dt${metric.title ? ` title="${metric.title}"` : ''}>${metric.label}</dt>
+        <dd>${metric.value}</dd>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Recompute break-even at a price dragged on the chart (the calculation result is left unchanged)
+   * @param {number} price - Simulated selling price per unit
+   * @returns {Object|null} Analysis at the new price, null if it cannot be computed
+   */
+  handleBreakEvenPriceChange(price) {
+    const cvp = this.currentResult.cvp;
+    const analysis = defaultHPPCalculator.calculateBreakEven(this.currentResult, price, {
+      batchesPerPeriod: cvp.batchesPerPeriod,
+      otherFixedCosts: cvp.otherFixedCosts,
+      expectedUnits: cvp.expectedUnits,
+      targetProfit: cvp.targetProfit
+    });
+
+    if (!analysis.isValid) return null;
+
+    this.updateCostVolumeProfitFigures(analysis, price !== cvp.sellingPrice);
+    return analysis;
+  }
+
+  /**
+   * Render tornado chart and HPP table of the sensitivity analysis (removed when not requested)
+   */
+  updateSensitivity() {
+    const sensitivity = this.currentResult.sensitivity;
+
+    if (!sensitivity) {
+      if (this.elements.sensitivity) {
+        this.elements.sensitivity.remove();
+        delete this.elements.sensitivity;
+      }
+      return;
+    }
+
+    if (!this.elements.sensitivity || !this.container.contains(this.elements.sensitivity)) {
+      this.createSensitivityElement();
+    }
+
+    const formatPercentage = (value) => `${value.toLocaleString('id-ID', { maximumFractionDigits: 2 })}%`;
+    const formatChange = (value) => `${value > 0 ? '+' : ''}${formatPercentage(value)}`;
+    const maxChange = Math.max(...sensitivity.drivers.flatMap(driver => [Math.abs(driver.low.hppChange), Math.abs(driver.high.hppChange)]), 0.01);
+
+    // Bars grow from the center line: left lowers HPP, right raises it
+    const createBar = (point) => {
+      const width = (Math.abs(point.hppChange) / maxChange) * 50;
+      const side = point.hppChange < 0 ? 'decrease' : 'increase';
+      const offset = point.hppChange < 0 ? 50 - width : 50;
+
+      return `
+        <div class="tornado__bar tornado__bar--${side}" style="left: ${offset}%; width: ${width}%;"
+          title="${formatChange(point.change)}: HPP ${CurrencyHelper.format(point.hppPerUnit)} (${point.hppChange >= 0 ? '+' : ''}${CurrencyHelper.format(point.hppChange)})"></div>
+      `;
+    };
+
+    const tornadoRows = sensitivity.drivers.map(driver => `
+      <div class="tornado__row">
+        <div class="tornado__label">${driver.label}</div>
+        <div class="tornado__track">
+          ${createBar(driver.low)}
+          ${createBar(driver.high)}
+        </div>
+        <div class="tornado__swing">${CurrencyHelper.format(driver.swing)}</div>
+      </div>
+    `).join('');
+
+    const tableRows = sensitivity.drivers.map(driver => `
+      <tr>
+        <th scope="row">${driver.label}</th>
+        ${driver.points.map(point => `
+          <td class="${point.change === 0 ? 'sensitivity-table__base' : ''}"${point.margin !== null ? ` title="Margin ${formatPercentage(point.margin)}"` : ''}>
+            ${CurrencyHelper.format(point.hppPerUnit)}
+          </td>
+        `).join('')}
+      </tr>
+    `).join('');
+
+    this.elements.sensitivity.innerHTML = `
+      <div class="breakdown__title">
+        <i class="fas fa-sliders-h" aria-hidden="true"></i>
+        Analisis Sensitivitas HPP (±${sensitivity.range.toLocaleString('id-ID')}%)
+      </div>
+      <p class="sensitivity-panel__summary">
+        HPP per unit saat ini ${CurrencyHelper.format(sensitivity.baseHppPerUnit)}
+        ${sensitivity.sellingPrice !== null ? `· margin ${formatPercentage(sensitivity.baseMargin)} pada harga ${CurrencyHelper.format(sensitivity.sellingPrice)}` : ''}
+      </p>
+      ${sensitivity.drivers.length > 0 ? `
+        <div class="tornado" role="img" aria-label="Diagram tornado: pemicu biaya yang paling menggeser HPP per unit di urutan teratas">
+          <div class="tornado__legend">
+            <span>HPP turun</span>
+            <span>Selisih HPP −${sensitivity.range.toLocaleString('id-ID')}% s.d. +${sensitivity.range.toLocaleString('id-ID')}%</span>
+            <span>HPP naik</span>
+          </div>
+          ${tornadoRows}
+        </div>
+        <div class="sensitivity-panel__scroll">
+          <table class="sensitivity-table">
+            <caption class="sensitivity-table__caption">HPP per unit pada setiap perubahan${sensitivity.sellingPrice !== null ? ' (arahkan kursor untuk melihat margin)' : ''}</caption>
+            <thead>
+              <tr>
+                <th scope="col">Pemicu</th>
+                ${sensitivity.steps.map(change => `<th scope="col">${formatChange(change)}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>${tableRows}</tbody>
+          </table>
+        </div>
+      ` : '<p class="sensitivity-panel__summary">Belum ada biaya yang dapat divariasikan.</p>'}
+    `;
+  }
+
+  /**
+   * Update Monte Carlo panel: progress while the simulation runs, HPP distribution when it completes
+   */
+  updateMonteCarlo() {
+    const simulation = this.currentResult ? this.currentResult.monteCarlo : null;
+
+    if (!simulation && this.monteCarloProgress === null) {
+      if (this.elements.monteCarlo) {
+        this.elements.monteCarlo.remove();
+        delete this.elements.monteCarlo;
+      }
+      return;
+    }
+
+    if (!this.currentResult) return;
+
+    if (!this.elements.monteCarlo || !this.container.contains(this.elements.monteCarlo)) {
+      this.createMonteCarloElement();
+    }
+
+    const title = `
+      <div class="breakdown__title">
+        <i class="fas fa-dice" aria-hidden="true"></i>
+        Simulasi Monte Carlo HPP per Unit
+      </div>
+    `;
+
+    if (!simulation) {
+      this.elements.monteCarlo.innerHTML = `
+        ${title}
+        <p class="monte-carlo-panel__summary">Menjalankan simulasi di latar belakang, form tetap dapat digunakan...</p>
+        <div class="monte-carlo-panel__progress" role="progressbar" aria-label="Kemajuan simulasi" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+          <div class="monte-carlo-panel__progress-bar"></div>
+        </div>
+      `;
+      this.updateMonteCarloProgress();
+      return;
+    }
+
+    const span = simulation.max - simulation.min;
+    const position = (value) => span > 0 ? NumberHelper.clamp(((value - simulation.min) / span) * 100, 0, 100) : 50;
+    const maxCount = Math.max(...simulation.histogram.map(bin => bin.count), 1);
+
+    const bars = simulation.histogram.map(bin => `
+      <div class="histogram__bar" style="height: ${(bin.count / maxCount) * 100}%;"
+        title="${CurrencyHelper.format(bin.from)} – ${CurrencyHelper.format(bin.to)}: ${bin.count.toLocaleString('id-ID')} simulasi (${bin.percentage}%)"></div>
+    `).join('');
+
+    const markers = [
+      { key: 'p10', label: 'P10', value: simulation.percentiles.p10 },
+      { key: 'p50', label: 'P50', value: simulation.percentiles.p50 },
+      { key: 'p90', label: 'P90', value: simulation.percentiles.p90 },
+      { key: 'base', label: 'Dasar', value: simulation.baseHppPerUnit }
+    ]
+      .filter(marker => marker.value >= simulation.min && marker.value <= simulation.max)
+      .map(marker => `
+        <div class="histogram__marker histogram__marker--${marker.key}" style="left: ${position(marker.value)}%;">
+          <span class="histogram__marker-label">${marker.label}</span>
+        </div>
+      `).join('');
+
+    const metrics = [
+      { label: 'P10', value: CurrencyHelper.format(simulation.percentiles.p10), title: '10% simulasi menghasilkan HPP per unit di bawah nilai ini' },
+      { label: 'P50 (median)', value: CurrencyHelper.format(simulation.percentiles.p50) },
+      { label: 'P90', value: CurrencyHelper.format(simulation.percentiles.p90), title: '90% simulasi menghasilkan HPP per unit di bawah nilai ini' },
+      { label: 'Rata-rata', value: CurrencyHelper.format(simulation.mean) },
+      { label: 'Simpangan Baku', value: CurrencyHelper.format(simulation.stdev) },
+      { label: 'HPP Dasar', value: CurrencyHelper.format(simulation.baseHppPerUnit), title: 'HPP per unit dari perhitungan tanpa ketidakpastian' }
+    ];
+
+    this.elements.monteCarlo.innerHTML = `
+      ${title}
+      <p class="monte-carlo-panel__summary">
+        ${simulation.iterations.toLocaleString('id-ID')} simulasi · 80% hasil berada antara
+        ${CurrencyHelper.format(simulation.percentiles.p10)} dan ${CurrencyHelper.format(simulation.percentiles.p90)} per unit
+      </p>
+      <div class="histogram" role="img" aria-label="Histogram HPP per unit dari ${simulation.iterations} simulasi">
+        <div class="histogram__plot">
+          ${bars}
+          ${markers}
+        </div>
+        <div class="histogram__axis">
+          <span>${CurrencyHelper.format(simulation.min)}</span>
+          <span>${CurrencyHelper.format(simulation.max)}</span>
+        </div>
+      </div>
+      <dl class="cvp-panel__metrics">
+        ${metrics.map(metric => `
+          <div class="cvp-panel__metric">
+            <dt${metric.title ? ` title="${metric.title}"` : ''}>${metric.label}</dt>
+            <dd>${metric.value}</dd>
+          </div>
+        `).join('')}
+      </dl>
+    `;
+  }
+
+  /**
+   * Move the progress bar of the Monte Carlo run without re-rendering the panel
+   */
+  updateMonteCarloProgress() {
+    if (this.monteCarloProgress === null || !this.elements.monteCarlo) return;
+
+    const progressEl = DOMHelper.$('.monte-carlo-panel__progress', this.elements.monteCarlo);
+    if (!progressEl) return;
+
+    const percentage = Math.round(this.monteCarloProgress * 100);
+    progressEl.setAttribute('aria-valuenow', percentage);
+    DOMHelper.$('.monte-carlo-panel__progress-bar', progressEl).style.width = `${percentage}%`;
+  }
+
+  /**
+   * Show the goal seek panel for manufacturing results
+   * The panel keeps its inputs across results; only the previous answer is cleared
+   */
+  updateGoalSeek() {
+    if (this.currentResult.mode) {
+      if (this.elements.goalSeek) {
+        this.elements.goalSeek.remove();
+        delete this.elements.goalSeek;
+      }
+      return;
+    }
+
+    if (!this.elements.goalSeek || !this.container.contains(this.elements.goalSeek)) {
+      this.createGoalSeekElement();
+    }
+
+    // Metrics of the selling price and CVP analysis need those analyses in the result
+    DOMHelper.$$('[name="metric"] option', this.elements.goalSeek).forEach(option => {
+      const section = option.value.split('.')[0];
+      option.disabled = (section === 'pricing' && !this.currentResult.pricing) ||
+        (section === 'cvp' && !this.currentResult.cvp);
+    });
+
+    const metricSelect = DOMHelper.$('[name="metric"]', this.elements.goalSeek);
+    if (metricSelect.selectedOptions[0] && metricSelect.selectedOptions[0].disabled) {
+      metricSelect.value = 'hppPerUnit';
+    }
+
+    this.showGoalSeekError(null);
+    DOMHelper.$('.goal-seek-panel__result', this.elements.goalSeek).innerHTML = '';
+  }
+
+  /**
+   * Render a goal seek answer
+   * @param {Object} solution - Result of HPPCalculator.goalSeek
+   */
+  showGoalSeekSolution(solution) {
+    if (!this.elements.goalSeek) return;
+
+    const formatValue = (value) => GOAL_SEEK_VARIABLES[solution.variable].integer
+      ? `${value.toLocaleString('id-ID')} unit`
+      : CurrencyHelper.format(value);
+    const change = `${solution.change >= 0 ? '+' : ''}${solution.changePercentage.toLocaleString('id-ID')}%`;
+
+    this.showGoalSeekError(solution.isAchievable ? null : ERROR_MESSAGES.goalSeekNotAchievable);
+    DOMHelper.$('.goal-seek-panel__result', this.elements.goalSeek).innerHTML = `
+      <p class="goal-seek-panel__answer">
+        ${solution.isAchievable ? '' : 'Nilai terdekat: '}${solution.variableLabel}
+        <strong class="goal-seek-panel__value">${formatValue(solution.value)}</strong>
+        <span class="goal-seek-panel__change">(${change} dari ${formatValue(solution.baseValue)})</span>
+      </p>
+      <p class="goal-seek-panel__summary">
+        ${solution.metricLabel} menjadi ${CurrencyHelper.format(solution.metricValue)}
+        · target ${CurrencyHelper.format(solution.target)}
+        · HPP per unit ${CurrencyHelper.format(solution.hppPerUnit)}
+      </p>
+    `;
+  }
+
+  /**
+   * Show or clear the goal seek error line
+   */
+  showGoalSeekError(message) {
+    if (!this.elements.goalSeek) return;
+
+    const errorEl = DOMHelper.$('.goal-seek-panel__error', this.elements.goalSeek);
+    errorEl.textContent = message || '';
+    errorEl.style.display = message ? 'flex' : 'none';
+
+    if (message) {
+      DOMHelper.$('.goal-seek-panel__result', this.elements.goalSeek).innerHTML = '';
     }
   }
 
@@ -212,6 +874,12 @@ export class ResultsDisplay {
     content.appendChild(values);
     item.appendChild(content);
 
+    // Line-item drill-down (e.g. bill of materials)
+    if (Array.isArray(data.items) && data.items.length > 0) {
+      DOMHelper.addClass(item, 'breakdown__item--has-details');
+      item.appendChild(this.createBreakdownDetails(key, data.items));
+    }
+
     // Add hover effect
     this.addEventListenerWithCleanup(item, 'mouseenter', () => {
       this.highlightBreakdownItem(key);
@@ -224,6 +892,751 @@ export class ResultsDisplay {
     return item;
   }
 
+  /**
+   * Create drill-down table for breakdown line items
+   */
+  createBreakdownDetails(key, items) {
+    const columnsByKey = {
+      directMaterials: {
+        summary: `Rincian ${items.length} bahan`,
+        columns: [
+          { label: 'Bahan', value: item => item.name },
+          { label: 'Jumlah', value: item => `${item.grossQuantity.toLocaleString('id-ID')} ${item.unit}` },
+          { label: 'Harga/Satuan', value: item => CurrencyHelper.format(item.pricePerUnit) },
+          { label: 'Biaya', value: item => CurrencyHelper.format(item.amount) },
+          { label: '%', value: item => `${item.percentage}%` }
+        ]
+      },
+      directLabor: {
+        summary: `Rincian ${items.length} peran — terbesar: ${items.reduce((max, item) => item.amount > max.amount ? item : max).name}`,
+        columns: [
+          { label: 'Peran', value: item => item.name },
+          { label: 'Jam', value: item => item.overtimeHours > 0 ? `${item.hours} + ${item.overtimeHours} lembur` : `${item.hours}` },
+          { label: 'Upah/Jam', value: item => CurrencyHelper.format(item.hourlyRate) },
+          { label: 'Biaya', value: item => CurrencyHelper.format(item.amount) },
+          { label: '%', value: item => `${item.percentage}%` }
+        ]
+      },
+      manufacturingOverhead: {
+        summary: `Alokasi dari ${items.length} pos overhead`,
+        columns: [
+          { label: 'Pos Biaya', value: item => item.name },
+          { label: 'Dasar', value: item => `${item.driverQuantity.toLocaleString('id-ID')} ${item.basisLabel.toLowerCase()}` },
+          { label: 'Tarif', value: item => CurrencyHelper.format(item.rate) },
+          { label: 'Biaya', value: item => CurrencyHelper.format(item.amount) },
+          { label: '%', value: item => `${item.percentage}%` }
+        ]
+      }
+    };
+
+    const config = columnsByKey[key] || {
+      summary: `Rincian ${items.length} item`,
+      columns: [
+        { label: 'Item', value: item => item.name },
+        { label: 'Biaya', value: item => CurrencyHelper.format(item.amount) },
+        { label: '%', value: item => `${item.percentage}%` }
+      ]
+    };
+
+    const headerCells = config.columns.map(column => `<th scope="col">${column.label}</th>`).join('');
+    const rows = items.map(item => `
+      <tr>${config.columns.map(column => `<td>${column.value(item)}</td>`).join('')}</tr>
+    `).join('');
+
+    return DOMHelper.create('details', { className: 'breakdown__details' }, `
+      <summary class="breakdown__details-summary">${config.summary}</summary>
+      <table class="breakdown__details-table">
+        <thead><tr>${headerCells}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `);
+  }
+
+  /**
+   * Render trading COGS formula line by line
+   */
+  updateTradingStatement() {
+    if (!this.elements.breakdown || !this.options.showBreakdown) return;
+
+    const itemsContainer = DOMHelper.$('.breakdown__items', this.elements.breakdown);
+    if (!itemsContainer) return;
+
+    itemsContainer.innerHTML = this.createStatementTable(
+      this.currentResult.components,
+      'Perhitungan harga pokok penjualan perusahaan dagang'
+    );
+  }
+
+  /**
+   * Render Laporan Harga Pokok Produksi and Laporan HPP below the cost breakdown
+   */
+  updateManufacturingStatement() {
+    if (!this.elements.breakdown || !this.options.showBreakdown) return;
+
+    const itemsContainer = DOMHelper.$('.breakdown__items', this.elements.breakdown);
+    const statement = this.currentResult.statement;
+    if (!itemsContainer || !statement) return;
+
+    itemsContainer.insertAdjacentHTML('beforeend', `
+      ${this.createStatementTable(statement.costOfGoodsManufactured, 'Laporan Harga Pokok Produksi', true)}
+      ${this.createStatementTable(statement.costOfGoodsSold, 'Laporan Harga Pokok Penjualan', true)}
+    `);
+  }
+
+  /**
+   * Render PPN masukan removed from (or kept in) tax-inclusive cost components
+   */
+  updateInputTax() {
+    if (!this.elements.breakdown || !this.options.showBreakdown) return;
+
+    const itemsContainer = DOMHelper.$('.breakdown__items', this.elements.breakdown);
+    const tax = this.currentResult.tax;
+    if (!itemsContainer || !tax) return;
+
+    const lines = tax.lines
+      .filter(line => line.treatment !== 'exclusive')
+      .flatMap(line => [
+        { label: `${line.label} (${TAX_TREATMENTS[line.treatment].label.toLowerCase()})`, amount: line.gross, operator: '' },
+        line.treatment === 'inclusive'
+          ? { label: `PPN masukan ${tax.rate}% (dikreditkan)`, amount: line.ppn, operator: '−', indent: true }
+          : { label: `PPN ${tax.rate}% tetap menjadi biaya`, amount: line.ppn, operator: '', indent: true },
+        { label: 'Dibebankan ke HPP', amount: line.net, operator: '=', subtotal: true }
+      ]);
+    if (lines.length === 0) return;
+
+    lines.push({ label: 'Total PPN masukan dapat dikreditkan', amount: tax.creditableTax, operator: '', total: true });
+
+    itemsContainer.insertAdjacentHTML('beforeend', this.createStatementTable(lines, 'PPN Masukan atas Biaya', true));
+  }
+
+  /**
+   * Render standard cost variances, each flagged favorable or unfavorable
+   */
+  updateVarianceAnalysis() {
+    if (!this.elements.breakdown || !this.options.showBreakdown) return;
+
+    const itemsContainer = DOMHelper.$('.breakdown__items', this.elements.breakdown);
+    const variances = this.currentResult.variances;
+    if (!itemsContainer || !variances) return;
+
+    const rows = variances.groups.map(group => `
+      <tr class="variance-table__group">
+        <th scope="rowgroup">${group.label}</th>
+        <td>${CurrencyHelper.format(group.actual)}</td>
+        <td>${CurrencyHelper.format(group.standard)}</td>
+        <td>${CurrencyHelper.format(Math.abs(group.total))}</td>
+        <td>${this.createVarianceBadge(group.type)}</td>
+      </tr>
+      ${group.variances.map(variance => `
+        <tr class="variance-table__row">
+          <th scope="row" title="${variance.formula}">${variance.label}</th>
+          <td></td>
+          <td></td>
+          <td>${CurrencyHelper.format(Math.abs(variance.amount))}</td>
+          <td>${this.createVarianceBadge(variance.type)}</td>
+        </tr>
+      `).join('')}
+    `).join('');
+
+    itemsContainer.insertAdjacentHTML('beforeend', `
+      <section class="variance-report">
+        <table class="variance-table">
+          <caption class="cogs-statement__caption">Analisis Selisih Biaya Standar</caption>
+          <thead>
+            <tr>
+              <th scope="col">Elemen Biaya</th>
+              <th scope="col">Aktual</th>
+              <th scope="col">Standar</th>
+              <th scope="col">Selisih</th>
+              <th scope="col"><span class="sr-only">Sifat selisih</span></th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+          <tfoot>
+            <tr class="variance-table__total">
+              <th scope="row">Total selisih</th>
+              <td>${CurrencyHelper.format(variances.actualTotal)}</td>
+              <td>${CurrencyHelper.format(variances.standardTotal)}</td>
+              <td>${CurrencyHelper.format(Math.abs(variances.totalVariance))}</td>
+              <td>${this.createVarianceBadge(variances.type)}</td>
+            </tr>
+          </tfoot>
+        </table>
+        <p class="variance-report__note">
+          Biaya standar ${CurrencyHelper.format(variances.standardCostPerUnit)} per unit untuk ${variances.units.toLocaleString('id-ID')} unit
+          (${variances.standardQuantity.toLocaleString('id-ID')} satuan bahan, ${variances.standardHours.toLocaleString('id-ID')} jam kerja standar)
+        </p>
+      </section>
+    `);
+  }
+
+  /**
+   * Create favorable/unfavorable badge markup
+   */
+  createVarianceBadge(type) {
+    const config = VARIANCE_TYPES[type];
+    return `<span class="variance-badge variance-badge--${type}" title="${config.label}">${config.shortLabel}</span>`;
+  }
+
+  /**
+   * Create statement table markup from { label, amount, operator } lines
+   */
+  createStatementTable(lines, caption, showCaption = false) {
+    const rows = lines.map(line => {
+      const classes = ['cogs-statement__row'];
+      if (line.indent) classes.push('cogs-statement__row--indent');
+      if (line.subtotal) classes.push('cogs-statement__row--subtotal');
+      if (line.total) classes.push('cogs-statement__row--total');
+
+      return `
+        <tr class="${classes.join(' ')}">
+          <td class="cogs-statement__operator">${line.operator}</td>
+          <td class="cogs-statement__label">${line.label}</td>
+          <td class="cogs-statement__amount">${CurrencyHelper.format(line.amount)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <table class="cogs-statement">
+        <caption class="${showCaption ? 'cogs-statement__caption' : 'sr-only'}">${caption}</caption>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Update statistics for trading company result
+   */
+  updateTradingStats() {
+    if (!this.elements.stats || !this.options.showStats) return;
+
+    const stats = [
+      {
+        icon: 'fas fa-calculator',
+        label: 'HPP per Unit',
+        value: CurrencyHelper.format(this.currentResult.hppPerUnit)
+      },
+      {
+        icon: 'fas fa-shopping-cart',
+        label: 'Pembelian Bersih',
+        value: CurrencyHelper.format(this.currentResult.netPurchases)
+      },
+      {
+        icon: 'fas fa-warehouse',
+        label: 'Barang Tersedia',
+        value: CurrencyHelper.format(this.currentResult.goodsAvailableForSale)
+      },
+      {
+        icon: 'fas fa-sync-alt',
+        label: 'Perputaran Persediaan',
+        value: `${this.currentResult.inventoryTurnover.toLocaleString('id-ID')}×`
+      }
+    ];
+
+    this.elements.stats.innerHTML = '';
+
+    stats.forEach(stat => {
+      this.elements.stats.appendChild(this.createStatCard(stat));
+    });
+  }
+
+  /**
+   * Render cost-of-production report (laporan biaya produksi) per department
+   */
+  updateProcessReport() {
+    if (!this.elements.breakdown || !this.options.showBreakdown) return;
+
+    const itemsContainer = DOMHelper.$('.breakdown__items', this.elements.breakdown);
+    if (!itemsContainer) return;
+
+    const formatUnits = (value) => value.toLocaleString('id-ID', { maximumFractionDigits: 2 });
+
+    itemsContainer.innerHTML = this.currentResult.reports.map(department => {
+      const units = department.units;
+      const costs = department.costs;
+      const isFifo = department.method === 'fifo';
+
+      const rows = department.lines.map(line => `
+        <tr>
+          <th scope="row">${line.label}</th>
+          <td>${formatUnits(line.equivalentUnits)}</td>
+          <td>${CurrencyHelper.format(isFifo ? line.addedCost : line.beginningCost + line.addedCost)}</td>
+          <td>${CurrencyHelper.format(line.costPerEquivalentUnit)}</td>
+          <td>${CurrencyHelper.format(line.endingCost)}</td>
+        </tr>
+      `).join('');
+
+      const assignment = isFifo ? [
+        { label: 'Biaya BDP awal', amount: costs.beginningWIP, operator: '' },
+        { label: 'Biaya penyelesaian BDP awal', amount: costs.beginningCompletion, operator: '+', indent: true },
+        { label: `Mulai dan selesai (${formatUnits(units.startedAndCompleted)} unit)`, amount: costs.startedAndCompleted, operator: '+', indent: true },
+        { label: 'Ditransfer keluar', amount: costs.transferredOut, operator: '=', subtotal: true },
+        { label: 'BDP akhir', amount: costs.endingWIP, operator: '+' },
+        { label: 'Total biaya dipertanggungjawabkan', amount: costs.total, operator: '=', total: true }
+      ] : [
+        { label: `Ditransfer keluar (${formatUnits(units.completed)} unit)`, amount: costs.transferredOut, operator: '' },
+        { label: 'BDP akhir', amount: costs.endingWIP, operator: '+' },
+        { label: 'Total biaya dipertanggungjawabkan', amount: costs.total, operator: '=', total: true }
+      ];
+
+      return `
+        <section class="process-report">
+          <h4 class="process-report__title">${DOMHelper.escapeHtml(department.name)}</h4>
+          <p class="process-report__units">
+            BDP awal ${formatUnits(units.beginningWIP)} + masuk ${formatUnits(units.started)} =
+            ${formatUnits(units.toAccountFor)} unit; selesai ${formatUnits(units.completed)}, BDP akhir ${formatUnits(units.endingWIP)}
+          </p>
+          <table class="process-report__table">
+            <caption class="sr-only">Unit ekuivalen dan biaya per unit ekuivalen ${DOMHelper.escapeHtml(department.name)}</caption>
+            <thead>
+              <tr>
+                <th scope="col">Elemen Biaya</th>
+                <th scope="col">Unit Ekuivalen</th>
+                <th scope="col">${isFifo ? 'Biaya Periode Ini' : 'Total Biaya'}</th>
+                <th scope="col">Biaya per UE</th>
+                <th scope="col">BDP Akhir</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+          ${this.createStatementTable(assignment, `Pertanggungjawaban biaya ${DOMHelper.escapeHtml(department.name)}`)}
+        </section>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Update statistics for process costing result
+   */
+  updateProcessStats() {
+    if (!this.elements.stats || !this.options.showStats) return;
+
+    const method = PROCESS_COSTING_METHODS[this.currentResult.method];
+
+    const stats = [
+      {
+        icon: 'fas fa-calculator',
+        label: 'HPP per Unit',
+        value: CurrencyHelper.format(this.currentResult.hppPerUnit)
+      },
+      {
+        icon: 'fas fa-boxes',
+        label: 'Unit Selesai',
+        value: this.currentResult.totalUnits.toLocaleString('id-ID')
+      },
+      {
+        icon: 'fas fa-hourglass-half',
+        label: 'BDP Akhir',
+        value: CurrencyHelper.format(this.currentResult.endingWIP)
+      },
+      {
+        icon: 'fas fa-stream',
+        label: 'Metode',
+        value: method ? method.label : this.currentResult.method
+      }
+    ];
+
+    this.elements.stats.innerHTML = '';
+
+    stats.forEach(stat => {
+      this.elements.stats.appendChild(this.createStatCard(stat));
+    });
+  }
+
+  /**
+   * Render job cost sheet (kartu biaya pesanan): header, requisitions, labor tickets and applied overhead
+   */
+  updateJobCostSheet() {
+    if (!this.elements.breakdown || !this.options.showBreakdown) return;
+
+    const itemsContainer = DOMHelper.$('.breakdown__items', this.elements.breakdown);
+    if (!itemsContainer) return;
+
+    const { job, materials, labor, overhead, result } = this.currentResult;
+    const basis = JOB_OVERHEAD_BASES[overhead.basis];
+    const formatQuantity = (value) => value.toLocaleString('id-ID', { maximumFractionDigits: 2 });
+    const isPercentage = overhead.basis === 'laborCost';
+
+    const materialRows = materials.map(line => `
+      <tr>
+        <th scope="row">${line.reference || '-'}</th>
+        <td class="job-sheet__text">${line.description}</td>
+        <td>${formatQuantity(line.quantity)}</td>
+        <td>${CurrencyHelper.format(line.unitCost)}</td>
+        <td>${CurrencyHelper.format(line.amount)}</td>
+      </tr>
+    `).join('');
+
+    const laborRows = labor.map(line => `
+      <tr>
+        <th scope="row">${line.reference || '-'}</th>
+        <td class="job-sheet__text">${line.employee}</td>
+        <td>${formatQuantity(line.hours)}</td>
+        <td>${CurrencyHelper.format(line.hourlyRate)}</td>
+        <td>${CurrencyHelper.format(line.amount)}</td>
+      </tr>
+    `).join('');
+
+    const overheadLabel = isPercentage
+      ? `Overhead dibebankan (${formatQuantity(overhead.rate)}% × ${CurrencyHelper.format(overhead.base)})`
+      : `Overhead dibebankan (${CurrencyHelper.format(overhead.rate)} × ${formatQuantity(overhead.base)} jam)`;
+
+    const summary = [
+      { label: 'Bahan baku langsung', amount: result.directMaterials, operator: '' },
+      { label: 'Tenaga kerja langsung', amount: result.directLabor, operator: '+' },
+      { label: overheadLabel, amount: overhead.amount, operator: '+' },
+      { label: 'Total biaya pesanan', amount: this.currentResult.totalHPP, operator: '=', total: true }
+    ];
+
+    const dates = [`Dibuka ${DateHelper.format(new Date(job.openedAt))}`];
+    if (job.closedAt) {
+      dates.push(`ditutup ${DateHelper.format(new Date(job.closedAt))}`);
+    }
+
+    const createTable = (rows, caption, columns) => `
+      <table class="job-sheet__table">
+        <caption class="job-sheet__caption">${caption}</caption>
+        <thead>
+          <tr>${columns.map(column => `<th scope="col">${column}</th>`).join('')}</tr>
+        </thead>
+        <tbody>${rows || `<tr><td colspan="${columns.length}" class="job-sheet__empty">Tidak ada catatan</td></tr>`}</tbody>
+      </table>
+    `;
+
+    itemsContainer.innerHTML = `
+      <section class="job-sheet">
+        <header class="job-sheet__header">
+          <h4 class="job-sheet__title">
+            Pesanan ${job.number}
+            <span class="job-sheet__status job-sheet__status--${job.status}">${JOB_STATUSES[job.status].label}</span>
+          </h4>
+          <p class="job-sheet__meta">
+            ${job.customer ? `${job.customer} · ` : ''}${job.description ? `${job.description} · ` : ''}${dates.join(', ')}
+          </p>
+        </header>
+        ${createTable(materialRows, 'Bon Permintaan Bahan', ['No. Bon', 'Bahan', 'Jumlah', 'Harga Satuan', 'Jumlah Biaya'])}
+        ${createTable(laborRows, 'Kartu Jam Kerja', ['No. Kartu', 'Karyawan', 'Jam', 'Upah/Jam', 'Jumlah Upah'])}
+        <p class="job-sheet__overhead">
+          Dasar pembebanan: ${basis ? basis.label : overhead.basis}, tarif ${isPercentage ? `${formatQuantity(overhead.rate)}%` : CurrencyHelper.format(overhead.rate)} ${basis ? `(${basis.rateLabel})` : ''}
+        </p>
+        ${this.createStatementTable(summary, 'Ringkasan biaya pesanan', true)}
+      </section>
+    `;
+  }
+
+  /**
+   * Update statistics for job order result
+   */
+  updateJobStats() {
+    if (!this.elements.stats || !this.options.showStats) return;
+
+    const { job, overhead, result } = this.currentResult;
+
+    const stats = [
+      {
+        icon: 'fas fa-calculator',
+        label: 'HPP per Unit',
+        value: CurrencyHelper.format(this.currentResult.hppPerUnit)
+      },
+      {
+        icon: 'fas fa-boxes',
+        label: 'Bahan Baku',
+        value: CurrencyHelper.format(result.directMaterials)
+      },
+      {
+        icon: 'fas fa-user-clock',
+        label: 'Tenaga Kerja',
+        value: CurrencyHelper.format(result.directLabor)
+      },
+      {
+        icon: 'fas fa-industry',
+        label: 'Overhead Dibebankan',
+        value: CurrencyHelper.format(overhead.amount)
+      },
+      {
+        icon: job.status === 'closed' ? 'fas fa-lock' : 'fas fa-lock-open',
+        label: 'Status',
+        value: JOB_STATUSES[job.status].label
+      }
+    ];
+
+    this.elements.stats.innerHTML = '';
+
+    stats.forEach(stat => {
+      this.elements.stats.appendChild(this.createStatCard(stat));
+    });
+  }
+
+  /**
+   * Display multi-SKU comparison table
+   */
+  displayCatalogComparison(comparison) {
+    if (!comparison) return;
+
+    this.currentComparison = comparison;
+
+    if (!this.elements.catalog || !this.container.contains(this.elements.catalog)) {
+      this.createCatalogElement();
+    }
+
+    this.updateCatalogComparison();
+  }
+
+  /**
+   * Render comparison of HPP per unit, margin and cost mix across SKUs
+   */
+  updateCatalogComparison() {
+    const catalogEl = this.elements.catalog;
+    const comparison = this.currentComparison;
+    if (!catalogEl || !comparison) return;
+
+    const { summary } = comparison;
+
+    const rows = comparison.products.map(product => {
+      if (!product.success) {
+        return `
+          <tr class="catalog-table__row catalog-table__row--error">
+            <td>${DOMHelper.escapeHtml(product.sku || '-')}</td>
+            <td>${DOMHelper.escapeHtml(product.name)}</td>
+            <td colspan="7" class="catalog-table__error">${DOMHelper.escapeHtml(product.error)}</td>
+            <td>${this.createCatalogActions(product.id)}</td>
+          </tr>
+        `;
+      }
+
+      const rowClasses = ['catalog-table__row'];
+      if (product.id === summary.lowestMarginId) rowClasses.push('catalog-table__row--lowest');
+      if (product.marginPerUnit !== null && product.marginPerUnit < 0) rowClasses.push('catalog-table__row--loss');
+
+      return `
+        <tr class="${rowClasses.join(' ')}">
+          <td>${DOMHelper.escapeHtml(product.sku || '-')}</td>
+          <td>${DOMHelper.escapeHtml(product.name)}</td>
+          <td>${product.totalUnits.toLocaleString('id-ID')}</td>
+          <td>${CurrencyHelper.format(product.hppPerUnit)}</td>
+          <td>${product.standardCostPerUnit !== null ? CurrencyHelper.format(product.standardCostPerUnit) : '-'}</td>
+          <td>${product.sellingPrice > 0 ? CurrencyHelper.format(product.sellingPrice) : '-'}</td>
+          <td>${product.marginPerUnit !== null ? CurrencyHelper.format(product.marginPerUnit) : '-'}</td>
+          <td>${product.marginPercentage !== null ? `${product.marginPercentage}%` : '-'}</td>
+          <td>${this.createCostMixBar(product.costMix)}</td>
+          <td>${this.createCatalogActions(product.id)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    catalogEl.innerHTML = `
+      <div class="breakdown__title">
+        <i class="fas fa-layer-group" aria-hidden="true"></i>
+        Perbandingan HPP per SKU
+      </div>
+      <p class="catalog-comparison__summary">
+        ${summary.calculated} dari ${summary.count} SKU dihitung — rata-rata HPP ${CurrencyHelper.format(summary.averageHppPerUnit)} per unit${summary.failed > 0 ? `, ${summary.failed} gagal` : ''}
+      </p>
+      <div class="catalog-comparison__scroll">
+        <table class="catalog-table">
+          <thead>
+            <tr>
+              <th scope="col">SKU</th>
+              <th scope="col">Produk</th>
+              <th scope="col">Unit</th>
+              <th scope="col">HPP/Unit</th>
+              <th scope="col">HPP Standar</th>
+              <th scope="col">Harga Jual</th>
+              <th scope="col">Margin/Unit</th>
+              <th scope="col">Margin %</th>
+              <th scope="col">Komposisi Biaya</th>
+              <th scope="col"><span class="sr-only">Aksi</span></th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+
+    catalogEl.style.display = '';
+  }
+
+  /**
+   * Create stacked bar of cost component percentages
+   */
+  createCostMixBar(costMix) {
+    const segments = Object.entries(costMix)
+      .filter(([, percentage]) => percentage > 0)
+      .map(([key, percentage]) => {
+        const category = COST_CATEGORIES[key];
+        return `<span class="catalog-mix__segment" style="width: ${percentage}%; background: ${category.color};" title="${category.label}: ${percentage}%"></span>`;
+      })
+      .join('');
+
+    const label = Object.entries(costMix)
+      .map(([key, percentage]) => `${COST_CATEGORIES[key].label} ${percentage}%`)
+      .join(', ');
+
+    return `<div class="catalog-mix" role="img" aria-label="${label}">${segments}</div>`;
+  }
+
+  /**
+   * Display side-by-side comparison of named scenarios
+   */
+  displayScenarioComparison(comparison) {
+    if (!comparison) return;
+
+    this.currentScenarioComparison = comparison;
+
+    if (!this.elements.scenarios || !this.container.contains(this.elements.scenarios)) {
+      this.createScenarioElement();
+    }
+
+    this.updateScenarioComparison();
+  }
+
+  /**
+   * Render chart and table of HPP, total costs and cost mix per scenario
+   */
+  updateScenarioComparison() {
+    const scenariosEl = this.elements.scenarios;
+    const comparison = this.currentScenarioComparison;
+    if (!scenariosEl || !comparison) return;
+
+    const { summary } = comparison;
+    const formatPercentage = (value) => `${value.toLocaleString('id-ID', { maximumFractionDigits: 2 })}%`;
+    const formatChange = (value) => `${value > 0 ? '+' : ''}${formatPercentage(value)}`;
+
+    const rows = comparison.scenarios.map(scenario => {
+      const changes = Object.entries(scenario.changes)
+        .filter(([, change]) => change !== 0)
+        .map(([key, change]) => `${SCENARIO_INPUTS[key].label} ${formatChange(change)}`)
+        .join(', ') || 'Sama dengan input form';
+
+      if (!scenario.success) {
+        return `
+          <tr class="scenario-table__row scenario-table__row--error">
+            <th scope="row">${DOMHelper.escapeHtml(scenario.name)}</th>
+            <td>${changes}</td>
+            <td colspan="${3 + Object.keys(COST_CATEGORIES).length}" class="scenario-table__error">${DOMHelper.escapeHtml(scenario.error)}</td>
+          </tr>
+        `;
+      }
+
+      const rowClasses = ['scenario-table__row'];
+      if (summary.calculated > 1 && scenario.id === summary.lowestHppId) rowClasses.push('scenario-table__row--lowest');
+      if (summary.calculated > 1 && scenario.id === summary.highestHppId) rowClasses.push('scenario-table__row--highest');
+
+      const mixCells = Object.keys(COST_CATEGORIES)
+        .map(key => `<td>${formatPercentage(scenario.costMix[key] || 0)}</td>`)
+        .join('');
+
+      return `
+        <tr class="${rowClasses.join(' ')}">
+          <th scope="row">${DOMHelper.escapeHtml(scenario.name)}</th>
+          <td class="scenario-table__changes">${changes}</td>
+          <td>${CurrencyHelper.format(scenario.hppPerUnit)}</td>
+          <td class="${scenario.hppChange > 0 ? 'scenario-table__change--up' : scenario.hppChange < 0 ? 'scenario-table__change--down' : ''}">
+            ${scenario.hppChange > 0 ? '+' : ''}${CurrencyHelper.format(scenario.hppChange)} (${formatChange(scenario.hppChangePercentage)})
+          </td>
+          <td>${CurrencyHelper.format(scenario.totalCosts)}</td>
+          ${mixCells}
+        </tr>
+      `;
+    }).join('');
+
+    const mixHeadings = Object.values(COST_CATEGORIES)
+      .map(category => `<th scope="col">${category.label}</th>`)
+      .join('');
+
+    scenariosEl.innerHTML = `
+      <div class="breakdown__title">
+        <i class="fas fa-code-branch" aria-hidden="true"></i>
+        Perbandingan Skenario
+      </div>
+      <p class="scenario-comparison__summary">
+        Dibandingkan dengan input form: HPP ${CurrencyHelper.format(summary.baseHppPerUnit)} per unit, total biaya ${CurrencyHelper.format(summary.baseTotalCosts)}${summary.failed > 0 ? ` — ${summary.failed} skenario gagal dihitung` : ''}
+      </p>
+      ${this.createScenarioChart(comparison)}
+      <div class="scenario-comparison__scroll">
+        <table class="scenario-table">
+          <thead>
+            <tr>
+              <th scope="col">Skenario</th>
+              <th scope="col">Perubahan Input</th>
+              <th scope="col">HPP/Unit</th>
+              <th scope="col">Selisih HPP</th>
+              <th scope="col">Total Biaya</th>
+              ${mixHeadings}
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+
+    scenariosEl.style.display = '';
+  }
+
+  /**
+   * Create bar chart of total costs per scenario, split by cost component
+   * Bar length is relative to the largest total costs; the marker shows the form inputs
+   */
+  createScenarioChart(comparison) {
+    const { summary } = comparison;
+    const scale = summary.maxTotalCosts > 0 ? 100 / summary.maxTotalCosts : 0;
+
+    const bars = comparison.scenarios
+      .filter(scenario => scenario.success)
+      .map(scenario => {
+        const segments = Object.entries(scenario.costMix)
+          .filter(([, percentage]) => percentage > 0)
+          .map(([key, percentage]) => {
+            const category = COST_CATEGORIES[key];
+            return `<span class="scenario-chart__segment" style="width: ${percentage}%; background: ${category.color};" title="${category.label}: ${percentage}%"></span>`;
+          })
+          .join('');
+
+        return `
+          <div class="scenario-chart__row">
+            <span class="scenario-chart__label">${DOMHelper.escapeHtml(scenario.name)}</span>
+            <div class="scenario-chart__track">
+              <div class="scenario-chart__bar" style="width: ${NumberHelper.round(scenario.totalCosts * scale, 2)}%;" role="img" aria-label="${DOMHelper.escapeHtml(scenario.name)}: total biaya ${CurrencyHelper.format(scenario.totalCosts)}, HPP ${CurrencyHelper.format(scenario.hppPerUnit)} per unit">
+                ${segments}
+              </div>
+              <span class="scenario-chart__base" style="left: ${NumberHelper.round(summary.baseTotalCosts * scale, 2)}%;" aria-hidden="true"></span>
+            </div>
+            <span class="scenario-chart__value">${CurrencyHelper.format(scenario.hppPerUnit)}<span class="scenario-chart__unit">/unit</span></span>
+          </div>
+        `;
+      })
+      .join('');
+
+    const legend = Object.values(COST_CATEGORIES)
+      .map(category => `<span class="scenario-chart__key"><span class="scenario-chart__swatch" style="background: ${category.color};"></span>${category.label}</span>`)
+      .join('');
+
+    return `
+      <div class="scenario-chart">
+        ${bars}
+        <div class="scenario-chart__legend">
+          ${legend}
+          <span class="scenario-chart__key"><span class="scenario-chart__swatch scenario-chart__swatch--base"></span>Total biaya input form</span>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Create load/remove buttons for a catalog row
+   */
+  createCatalogActions(productId) {
+    return `
+      <button type="button" class="btn btn--ghost btn--icon-small" data-catalog-action="load" data-product-id="${productId}" aria-label="Muat ke form">
+        <i class="fas fa-edit" aria-hidden="true"></i>
+      </button>
+      <button type="button" class="btn btn--ghost btn--icon-small" data-catalog-action="remove" data-product-id="${productId}" aria-label="Hapus dari katalog">
+        <i class="fas fa-trash" aria-hidden="true"></i>
+      </button>
+    `;
+  }
+
   /**
    * Update statistics display
    */
@@ -253,6 +1666,47 @@ export class ResultsDisplay {
       }
     ];
 
+    // Statement mode: total costs differ from cost of goods manufactured
+    if (this.currentResult.statement) {
+      stats.splice(2, 0, {
+        icon: 'fas fa-industry',
+        label: 'Harga Pokok Produksi',
+        value: CurrencyHelper.format(this.currentResult.costOfGoodsManufactured)
+      });
+    }
+
+    // Recipe batch: output after yield and process loss, and what is left after whole packs
+    if (this.currentResult.batch) {
+      const batch = this.currentResult.batch;
+      stats.splice(3, 0, {
+        icon: 'fas fa-weight-hanging',
+        label: 'Hasil Batch',
+        value: `${this.formatQuantity(batch.outputQuantity, batch.baseUnit)} (sisa ${this.formatQuantity(batch.leftover, batch.baseUnit)})`
+      });
+    }
+
+    // Share of the month's asset depreciation included in overhead
+    if (this.currentResult.depreciation) {
+      const depreciation = this.currentResult.depreciation;
+      const charged = typeof depreciation.charged === 'number' ? depreciation.charged : depreciation.total;
+      stats.push({
+        icon: 'fas fa-industry',
+        label: `Penyusutan Aset ${depreciation.period}`,
+        value: charged === depreciation.total
+          ? CurrencyHelper.format(charged)
+          : `${CurrencyHelper.format(charged)} dari ${CurrencyHelper.format(depreciation.total)}`
+      });
+    }
+
+    // Standard costing: HPP per unit at standard cost
+    if (this.currentResult.variances) {
+      stats.splice(1, 0, {
+        icon: 'fas fa-balance-scale',
+        label: 'HPP Standar per Unit',
+        value: CurrencyHelper.format(this.currentResult.variances.standardCostPerUnit)
+      });
+    }
+
     this.elements.stats.innerHTML = '';
 
     stats.forEach(stat => {
@@ -542,6 +1996,189 @@ export class ResultsDisplay {
     this.elements.chart = chart;
   }
 
+  /**
+   * Create selling price element right after the main result
+   */
+  createPricingElement() {
+    const pricingEl = DOMHelper.create('div', { className: 'results__pricing pricing-panel' });
+
+    if (this.elements.main && this.container.contains(this.elements.main)) {
+      this.elements.main.after(pricingEl);
+    } else {
+      this.container.appendChild(pricingEl);
+    }
+
+    this.elements.pricing = pricingEl;
+  }
+
+  /**
+   * Create sales channel comparison element after the selling price (or main result)
+   */
+  createChannelsElement() {
+    const channelsEl = DOMHelper.create('div', { className: 'results__channels channel-comparison' });
+    const anchor = [this.elements.pricing, this.elements.main]
+      .find(element => element && this.container.contains(element));
+
+    if (anchor) {
+      anchor.after(channelsEl);
+    } else {
+      this.container.appendChild(channelsEl);
+    }
+
+    this.elements.channels = channelsEl;
+  }
+
+  /**
+   * Create cost-volume-profit element after the channel comparison (or selling price, or main result)
+   */
+  createCostVolumeProfitElement() {
+    const cvpEl = DOMHelper.create('div', { className: 'results__cvp cvp-panel' });
+    const anchor = [this.elements.channels, this.elements.pricing, this.elements.main]
+      .find(element => element && this.container.contains(element));
+
+    if (anchor) {
+      anchor.after(cvpEl);
+    } else {
+      this.container.appendChild(cvpEl);
+    }
+
+    this.elements.cvp = cvpEl;
+  }
+
+  /**
+   * Create sensitivity element after the other analysis panels (or main result)
+   */
+  createSensitivityElement() {
+    const sensitivityEl = DOMHelper.create('div', { className: 'results__sensitivity sensitivity-panel' });
+    const anchor = [this.elements.cvp, this.elements.channels, this.elements.pricing, this.elements.main]
+      .find(element => element && this.container.contains(element));
+
+    if (anchor) {
+      anchor.after(sensitivityEl);
+    } else {
+      this.container.appendChild(sensitivityEl);
+    }
+
+    this.elements.sensitivity = sensitivityEl;
+  }
+
+  /**
+   * Create goal seek panel element with its request form
+   */
+  createGoalSeekElement() {
+    const goalSeekEl = DOMHelper.create('div', { className: 'results__goal-seek goal-seek-panel' }, `
+      <div class="breakdown__title">
+        <i class="fas fa-bullseye" aria-hidden="true"></i>
+        Goal Seek
+      </div>
+      <p class="goal-seek-panel__summary">
+        Cari nilai input yang membuat metrik mencapai target, misalnya jumlah unit agar HPP per unit turun ke Rp 5.000
+      </p>
+      <form class="goal-seek-panel__form" novalidate>
+        <label class="goal-seek-panel__field">
+          <span class="form__label">Cari nilai</span>
+          <select name="variable" class="form__input form__select">
+            ${Object.entries(GOAL_SEEK_VARIABLES).map(([value, variable]) => `<option value="${value}">${variable.label}</option>`).join('')}
+          </select>
+        </label>
+        <label class="goal-seek-panel__field">
+          <span class="form__label">agar</span>
+          <select name="metric" class="form__input form__select">
+            ${Object.entries(GOAL_SEEK_METRICS).map(([value, metric]) => `<option value="${value}">${metric.label}</option>`).join('')}
+          </select>
+        </label>
+        <label class="goal-seek-panel__field">
+          <span class="form__label">mencapai (Rp)</span>
+          <input type="number" name="target" class="form__input" step="0.01" placeholder="5000">
+        </label>
+        <button type="submit" class="btn btn--primary">
+          <i class="fas fa-search" aria-hidden="true"></i>
+          Cari
+        </button>
+      </form>
+      <div class="goal-seek-panel__error form__error" role="alert"></div>
+      <div class="goal-seek-panel__result" aria-live="polite"></div>
+    `);
+
+    const form = DOMHelper.$('.goal-seek-panel__form', goalSeekEl);
+    this.addEventListenerWithCleanup(form, 'submit', (e) => {
+      e.preventDefault();
+
+      EventHelper.trigger(document, 'hpp:goal-seek', {
+        variable: form.elements.variable.value,
+        metric: form.elements.metric.value,
+        target: form.elements.target.value
+      });
+    });
+
+    const anchor = [this.elements.monteCarlo, this.elements.sensitivity, this.elements.cvp, this.elements.channels, this.elements.pricing, this.elements.main]
+      .find(element => element && this.container.contains(element));
+
+    if (anchor) {
+      anchor.after(goalSeekEl);
+    } else {
+      this.container.appendChild(goalSeekEl);
+    }
+
+    this.elements.goalSeek = goalSeekEl;
+  }
+
+  /**
+   * Create Monte Carlo panel element
+   */
+  createMonteCarloElement() {
+    const monteCarloEl = DOMHelper.create('div', { className: 'results__monte-carlo monte-carlo-panel' });
+    const anchor = [this.elements.sensitivity, this.elements.cvp, this.elements.channels, this.elements.pricing, this.elements.main]
+      .find(element => element && this.container.contains(element));
+
+    if (anchor) {
+      anchor.after(monteCarloEl);
+    } else {
+      this.container.appendChild(monteCarloEl);
+    }
+
+    this.elements.monteCarlo = monteCarloEl;
+  }
+
+  /**
+   * Create catalog comparison element
+   */
+  createCatalogElement() {
+    const catalogEl = DOMHelper.create('div', { className: 'results__catalog catalog-comparison' });
+
+    // Delegate row actions so re-rendering keeps listeners
+    this.addEventListenerWithCleanup(catalogEl, 'click', (e) => {
+      const button = e.target.closest('[data-catalog-action]');
+      if (!button) return;
+
+      e.preventDefault();
+      EventHelper.trigger(document, `hpp:catalog-${button.dataset.catalogAction}`, {
+        productId: button.dataset.productId,
+        source: 'results-display'
+      });
+    });
+
+    this.container.appendChild(catalogEl);
+    this.elements.catalog = catalogEl;
+  }
+
+  /**
+   * Create scenario comparison element
+   */
+  createScenarioElement() {
+    const scenariosEl = DOMHelper.create('div', { className: 'results__scenarios scenario-comparison' });
+    const anchor = [this.elements.catalog]
+      .find(element => element && this.container.contains(element));
+
+    if (anchor) {
+      anchor.after(scenariosEl);
+    } else {
+      this.container.appendChild(scenariosEl);
+    }
+
+    this.elements.scenarios = scenariosEl;
+  }
+
   /**
    * Create export element
    */
@@ -601,7 +2238,15 @@ export class ResultsDisplay {
     });
     
     this.eventListeners = [];
+
+    if (this.breakEvenChart) {
+      this.breakEvenChart.destroy();
+      this.breakEvenChart = null;
+    }
+
     this.currentResult = null;
+    this.currentComparison = null;
+    this.currentScenarioComparison = null;
     this.elements = {};
   }
 }
\ No newline at end of file
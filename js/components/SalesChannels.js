@@ -0,0 +1,60 @@
+/**
+ * Sales Channels
+ * Marketplace and reseller fee profiles, and what each channel leaves per unit sold
+ */
+
+import { DEFAULTS } from '../utils/constants.js';
+import { MoneyHelper, IdHelper } from '../utils/helpers.js';
+
+/**
+ * Fee profile of one sales channel (marketplace, reseller, own store)
+ */
+export class SalesChannel {
+  constructor(data = {}) {
+    const amount = (value) => Math.max(0, parseFloat(value) || 0);
+
+    this.id = data.id || IdHelper.generate();
+    this.name = (data.name || '').toString().trim();
+
+    // Percentages of the list price
+    this.commissionRate = amount(data.commissionRate);
+    this.paymentFeeRate = amount(data.paymentFeeRate);
+    this.freeShippingRate = amount(data.freeShippingRate);
+
+    // Fixed fee charged per order, spread over the units in an average order
+    this.fixedFeePerOrder = amount(data.fixedFeePerOrder);
+    this.unitsPerOrder = amount(data.unitsPerOrder) || DEFAULTS.unitsPerOrder;
+  }
+
+  /**
+   * Channel fees deducted from one unit sold at the list price
+   * @param {number} listPrice - Price paid by the buyer per unit
+   * @returns {Object} { commission, paymentFee, fixedFee, freeShipping, total }
+   */
+  getFees(listPrice) {
+    const fees = {
+      commission: MoneyHelper.multiply(listPrice, this.commissionRate / 100),
+      paymentFee: MoneyHelper.multiply(listPrice, this.paymentFeeRate / 100),
+      fixedFee: MoneyHelper.divide(this.fixedFeePerOrder, this.unitsPerOrder),
+      freeShipping: MoneyHelper.multiply(listPrice, this.freeShippingRate / 100)
+    };
+
+    fees.total = MoneyHelper.sum([fees.commission, fees.paymentFee, fees.fixedFee, fees.freeShipping]);
+    return fees;
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      commissionRate: this.commissionRate,
+      paymentFeeRate: this.paymentFeeRate,
+      fixedFeePerOrder: this.fixedFeePerOrder,
+      freeShippingRate: this.freeShippingRate,
+      unitsPerOrder: this.unitsPerOrder
+    };
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Scenarios
+ * Named what-if cases (pessimistic, base, optimistic) as percentage changes of the form inputs
+ */
+
+import { SCENARIO_INPUTS } from '../utils/constants.js';
+import { IdHelper } from '../utils/helpers.js';
+import { defaultSensitivityAnalysis } from './SensitivityAnalysis.js';
+
+/**
+ * One named scenario
+ */
+export class Scenario {
+  constructor(data = {}) {
+    const changes = data.changes || {};
+
+    this.id = data.id || IdHelper.generate();
+    this.name = (data.name || '').toString().trim();
+
+    // Percent change per input; 0 keeps the value from the form
+    this.changes = Object.fromEntries(
+      Object.keys(SCENARIO_INPUTS).map(key => [key, parseFloat(changes[key]) || 0])
+    );
+  }
+
+  /**
+   * Whether any input differs from the form
+   */
+  hasChanges() {
+    return Object.values(this.changes).some(change => change !== 0);
+  }
+
+  /**
+   * Apply the changes to manufacturing input data
+   * Line items are scaled where they exist, like the sensitivity drivers
+   * @param {Object} data - Manufacturing input data
+   * @returns {Object} Input data of the scenario
+   */
+  apply(data) {
+    return defaultSensitivityAnalysis.getDrivers(data)
+      .filter(driver => this.changes[driver.key])
+      .reduce((source, driver) => driver.apply(source, this.changes[driver.key]), data);
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      changes: { ...this.changes }
+    };
+  }
+}
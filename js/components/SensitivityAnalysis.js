@@ -0,0 +1,222 @@
+/**
+ * Sensitivity Analysis
+ * Varies each cost driver by ± percentage steps and ranks the drivers by their effect on HPP per unit
+ */
+
+import { COST_CATEGORIES, DEFAULTS } from '../utils/constants.js';
+import { NumberHelper } from '../utils/helpers.js';
+import { Batch } from './BatchScaling.js';
+
+/**
+ * Sensitivity Analysis Class
+ */
+export class SensitivityAnalysis {
+  constructor(options = {}) {
+    this.options = {
+      precision: 2,
+      ...options
+    };
+  }
+
+  /**
+   * Percentage changes from −range to +range in steps, including 0
+   * @param {number} range - Largest change in percent
+   * @param {number} step - Step between changes in percent
+   * @returns {Array<number>} Changes in percent, ascending
+   */
+  getSteps(range = DEFAULTS.sensitivityRange, step = DEFAULTS.sensitivityStep) {
+    const count = Math.floor(range / step + 1e-9);
+    const steps = [];
+
+    for (let i = -count; i <= count; i++) {
+      steps.push(NumberHelper.round(i * step, 4));
+    }
+
+    // Always include the edges of the range, even when the step does not divide it evenly
+    if (steps[steps.length - 1] < range) {
+      steps.unshift(-range);
+      steps.push(range);
+    }
+
+    return steps;
+  }
+
+  /**
+   * Cost drivers of manufacturing input data that can be varied
+   * Line items are varied where they exist, because the cost components are rolled up from them
+   * @param {Object} data - Manufacturing input data
+   * @returns {Array<Object>} Drivers { key, label, apply(data, change) }
+   */
+  getDrivers(data) {
+    const scale = (value, change) => NumberHelper.round((parseFloat(value) || 0) * (1 + change / 100), 4);
+    // A BOM line with a purchase pack price is priced from that, not from the price per recipe unit
+    const scaleLine = (line, change) => ({
+      ...line,
+      pricePerUnit: scale(line.pricePerUnit, change),
+      purchasePrice: scale(line.purchasePrice, change)
+    });
+    const bom = Array.isArray(data.bom) ? data.bom : [];
+    const labor = Array.isArray(data.labor) ? data.labor : [];
+    const activities = data.activityCosting && Array.isArray(data.activityCosting.activities) ? data.activityCosting.activities : [];
+    const pools = data.overheadAllocation && Array.isArray(data.overheadAllocation.pools) ? data.overheadAllocation.pools : [];
+    const drivers = [];
+
+    const component = (key, apply) => ({
+      key,
+      label: COST_CATEGORIES[key].label,
+      apply
+    });
+
+    drivers.push(bom.length > 0
+      ? component('directMaterials', (source, change) => ({
+        ...source,
+        bom: source.bom.map(line => scaleLine(line, change))
+      }))
+      : component('directMaterials', (source, change) => ({ ...source, directMaterials: scale(source.directMaterials, change) })));
+
+    // Single materials matter when supplier prices change one at a time
+    if (bom.length > 1) {
+      bom.forEach((line, index) => {
+        drivers.push({
+          key: `bom.${line.id || index}`,
+          label: `Harga ${line.name || `bahan ${index + 1}`}`,
+          apply: (source, change) => ({
+            ...source,
+            bom: source.bom.map((item, itemIndex) => itemIndex === index
+              ? scaleLine(item, change)
+              : item)
+          })
+        });
+      });
+    }
+
+    drivers.push(labor.length > 0
+      ? component('directLabor', (source, change) => ({
+        ...source,
+        labor: source.labor.map(role => ({ ...role, hourlyRate: scale(role.hourlyRate, change) }))
+      }))
+      : component('directLabor', (source, change) => ({ ...source, directLabor: scale(source.directLabor, change) })));
+
+    // Linked asset depreciation is part of the overhead; scaling cost and salvage value scales every month of it
+    const scaleDepreciation = (source, change) => source.depreciation
+      ? {
+        ...source.depreciation,
+        assets: source.depreciation.assets.map(asset => ({
+          ...asset,
+          cost: scale(asset.cost, change),
+          salvageValue: scale(asset.salvageValue, change)
+        }))
+      }
+      : source.depreciation;
+
+    if (activities.length > 0) {
+      drivers.push(component('manufacturingOverhead', (source, change) => ({
+        ...source,
+        depreciation: scaleDepreciation(source, change),
+        activityCosting: {
+          ...source.activityCosting,
+          activities: source.activityCosting.activities.map(activity => ({ ...activity, cost: scale(activity.cost, change) }))
+        }
+      })));
+    } else if (pools.length > 0) {
+      drivers.push(component('manufacturingOverhead', (source, change) => ({
+        ...source,
+        depreciation: scaleDepreciation(source, change),
+        overheadAllocation: {
+          ...source.overheadAllocation,
+          pools: source.overheadAllocation.pools.map(pool => ({ ...pool, amount: scale(pool.amount, change) }))
+        }
+      })));
+    } else {
+      drivers.push(component('manufacturingOverhead', (source, change) => ({
+        ...source,
+        depreciation: scaleDepreciation(source, change),
+        manufacturingOverhead: scale(source.manufacturingOverhead, change)
+      })));
+    }
+
+    drivers.push(component('otherCosts', (source, change) => ({ ...source, otherCosts: scale(source.otherCosts, change) })));
+
+    // A changed unit count replaces the one derived from the recipe batch
+    drivers.push({
+      key: 'totalUnits',
+      label: 'Jumlah Unit Dihasilkan',
+      apply: (source, change) => ({
+        ...source,
+        totalUnits: Math.max(1, Math.round(
+          (source.batch ? new Batch(source.batch).getTotalUnits() : parseInt(source.totalUnits) || 1) * (1 + change / 100)
+        )),
+        batch: null
+      })
+    });
+
+    return drivers;
+  }
+
+  /**
+   * Vary each driver over the steps and rank drivers by HPP swing (tornado order)
+   * @param {Object} baseData - Manufacturing input data
+   * @param {Function} evaluate - Returns a result with hppPerUnit for input data
+   * @param {Object} options - { range, step, sellingPrice }
+   * @returns {Object} Base HPP, HPP per unit and margin per driver and step, drivers ranked by swing
+   */
+  analyze(baseData, evaluate, options = {}) {
+    const precision = this.options.precision;
+    const range = parseFloat(options.range) || DEFAULTS.sensitivityRange;
+    const step = parseFloat(options.step) || DEFAULTS.sensitivityStep;
+    const steps = this.getSteps(range, step);
+    const sellingPrice = parseFloat(options.sellingPrice) > 0 ? parseFloat(options.sellingPrice) : null;
+
+    const margin = (hppPerUnit) => sellingPrice !== null
+      ? NumberHelper.percentage(sellingPrice - hppPerUnit, sellingPrice)
+      : null;
+
+    const base = evaluate(baseData);
+    const baseHppPerUnit = base.hppPerUnit;
+
+    const drivers = this.getDrivers(baseData)
+      .map(driver => {
+        const points = steps.map(change => {
+          const hppPerUnit = change === 0 ? baseHppPerUnit : evaluate(driver.apply(baseData, change)).hppPerUnit;
+          const hppChange = NumberHelper.round(hppPerUnit - baseHppPerUnit, precision);
+
+          return {
+            change,
+            hppPerUnit,
+            hppChange,
+            hppChangePercentage: NumberHelper.percentage(hppChange, baseHppPerUnit),
+            margin: margin(hppPerUnit)
+          };
+        });
+
+        const low = points[0];
+        const high = points[points.length - 1];
+
+        return {
+          key: driver.key,
+          label: driver.label,
+          points,
+          low,
+          high,
+          swing: NumberHelper.round(Math.abs(high.hppPerUnit - low.hppPerUnit), precision)
+        };
+      })
+      // A driver that does not move HPP (zero cost) only adds noise
+      .filter(driver => driver.swing > 0)
+      .sort((a, b) => b.swing - a.swing);
+
+    return {
+      range,
+      step,
+      steps,
+      baseHppPerUnit,
+      sellingPrice,
+      baseMargin: margin(baseHppPerUnit),
+      drivers,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Create and export default sensitivity analysis instance
+export const defaultSensitivityAnalysis = new SensitivityAnalysis();
@@ -0,0 +1,89 @@
+/**
+ * Standard Costing
+ * Standard-cost profile per product: what one unit should cost in materials, labor and overhead
+ */
+
+import { MoneyHelper } from '../utils/helpers.js';
+
+/**
+ * Standard-cost profile (kartu biaya standar) of one product
+ */
+export class StandardCostProfile {
+  constructor(data = {}) {
+    const amount = (value) => Math.max(0, parseFloat(value) || 0);
+    const materials = data.materials || {};
+    const labor = data.labor || {};
+    const overhead = data.overhead || {};
+
+    // Standard quantity and price of direct materials per unit
+    this.materials = {
+      quantityPerUnit: amount(materials.quantityPerUnit),
+      price: amount(materials.price)
+    };
+
+    // Standard direct labor hours per unit and hourly rate
+    this.labor = {
+      hoursPerUnit: amount(labor.hoursPerUnit),
+      rate: amount(labor.rate)
+    };
+
+    // Overhead budget applied on direct labor hours
+    this.overhead = {
+      variableRate: amount(overhead.variableRate),
+      fixedBudget: amount(overhead.fixedBudget),
+      normalHours: amount(overhead.normalHours)
+    };
+  }
+
+  /**
+   * Check if no standard has been set
+   */
+  isEmpty() {
+    return this.getStandardCostPerUnit() === 0;
+  }
+
+  /**
+   * Fixed overhead rate per labor hour at normal capacity
+   */
+  getFixedOverheadRate() {
+    if (this.overhead.normalHours <= 0) return 0;
+    return this.overhead.fixedBudget / this.overhead.normalHours;
+  }
+
+  /**
+   * Predetermined overhead rate per labor hour (variable + fixed)
+   */
+  getOverheadRate() {
+    return this.overhead.variableRate + this.getFixedOverheadRate();
+  }
+
+  /**
+   * Standard cost of one unit per cost element
+   */
+  getStandardCostBreakdown() {
+    return {
+      directMaterials: MoneyHelper.multiply(this.materials.price, this.materials.quantityPerUnit),
+      directLabor: MoneyHelper.multiply(this.labor.rate, this.labor.hoursPerUnit),
+      manufacturingOverhead: MoneyHelper.multiply(this.getOverheadRate(), this.labor.hoursPerUnit)
+    };
+  }
+
+  /**
+   * Standard cost of one unit
+   */
+  getStandardCostPerUnit() {
+    const breakdown = this.getStandardCostBreakdown();
+    return MoneyHelper.sum([breakdown.directMaterials, breakdown.directLabor, breakdown.manufacturingOverhead]);
+  }
+
+  /**
+   * Export data for storage
+   */
+  toJSON() {
+    return {
+      materials: { ...this.materials },
+      labor: { ...this.labor },
+      overhead: { ...this.overhead }
+    };
+  }
+}
@@ -3,9 +3,17 @@
  * Centralized state management with local storage integration
  */
 
-import { DEFAULTS, STORAGE_KEYS } from '../utils/constants.js';
+import { DEFAULTS, STORAGE_KEYS, ROUNDING_MODES } from '../utils/constants.js';
 import { EventHelper } from '../utils/helpers.js';
 import { defaultStorageManager } from '../utils/storage.js';
+import { UnitConverter } from '../utils/units.js';
+import { ProductCatalog } from './ProductCatalog.js';
+import { JobOrderCosting } from './JobOrderCosting.js';
+import { SalesChannel } from './SalesChannels.js';
+import { Scenario } from './Scenarios.js';
+import { MaterialMaster } from './MaterialMaster.js';
+import { defaultInventoryValuation } from './InventoryValuation.js';
+import { AssetRegister } from './FixedAssets.js';
 
 /**
  * State change event
@@ -75,6 +83,31 @@ export class StateManager {
         manufacturingOverhead: DEFAULTS.manufacturingOverhead,
         otherCosts: DEFAULTS.otherCosts,
         totalUnits: DEFAULTS.totalUnits,
+        bom: [],
+        labor: [],
+        overheadAllocation: null,
+        activityCosting: null,
+        inventory: null,
+        standardCosting: null,
+        tax: null,
+        pricing: null,
+        channels: null,
+        costBehavior: null,
+        cvp: null,
+        sensitivity: null,
+        monteCarlo: null,
+        processCosting: null,
+        overheadMethod: DEFAULTS.overheadMethod,
+        calculationMode: DEFAULTS.calculationMode,
+        trading: {
+          beginningInventory: 0,
+          purchases: 0,
+          purchaseReturns: 0,
+          purchaseDiscounts: 0,
+          freightIn: 0,
+          endingInventory: 0,
+          unitsSold: DEFAULTS.totalUnits
+        },
         isValid: false,
         isDirty: false,
         errors: {},
@@ -89,6 +122,45 @@ export class StateManager {
         error: null
       },
 
+      // Product Catalog State (multi-SKU costing)
+      catalog: {
+        products: [],
+        sharedOverhead: null,
+        comparison: null
+      },
+
+      // Job Order State (open and closed jobs)
+      jobs: {
+        items: [],
+        activeJobId: null
+      },
+
+      // Custom purchase pack units (sak, jeriken, tray)
+      packUnits: {
+        items: []
+      },
+
+      // Raw Material Master (prices referenced by BOM lines)
+      materials: {
+        items: []
+      },
+
+      // Fixed Asset Register (depreciation charged to overhead)
+      assets: {
+        items: []
+      },
+
+      // Sales Channel Fee Profiles
+      salesChannels: {
+        items: []
+      },
+
+      // Named Scenarios (percentage changes of the form inputs)
+      scenarios: {
+        items: [],
+        comparison: null
+      },
+
       // History State
       history: {
         calculations: [],
@@ -103,7 +175,10 @@ export class StateManager {
         showCurrency: true,
         decimalPlaces: 2,
         exportFormat: 'pdf',
-        notifications: true
+        notifications: true,
+        roundingMode: DEFAULTS.roundingMode,
+        pricingRoundingMode: DEFAULTS.pricingRoundingMode,
+        inventoryValuation: DEFAULTS.inventoryValuation
       },
 
       // Application State
@@ -315,7 +390,10 @@ export class StateManager {
           'ui.showAnimations': prefsResult.data.showAnimations !== false,
           'settings.autoSave': prefsResult.data.autoSave !== false,
           'settings.autoCalculate': prefsResult.data.autoCalculate !== false,
-          'settings.notifications': prefsResult.data.notifications !== false
+          'settings.notifications': prefsResult.data.notifications !== false,
+          'settings.roundingMode': prefsResult.data.roundingMode || DEFAULTS.roundingMode,
+          'settings.pricingRoundingMode': prefsResult.data.pricingRoundingMode || DEFAULTS.pricingRoundingMode,
+          'settings.inventoryValuation': prefsResult.data.inventoryValuation || DEFAULTS.inventoryValuation
         }, 'storage');
       }
 
@@ -325,6 +403,51 @@ export class StateManager {
         this.setState('history.calculations', historyResult.data, 'storage');
       }
 
+      // Load product catalog
+      const catalogResult = defaultStorageManager.catalog.getCatalog();
+      if (catalogResult.success) {
+        this.updateState({
+          'catalog.products': catalogResult.data.products || [],
+          'catalog.sharedOverhead': catalogResult.data.sharedOverhead || null
+        }, 'storage');
+      }
+
+      // Load job orders
+      const jobsResult = defaultStorageManager.jobs.getJobs();
+      if (jobsResult.success) {
+        this.setState('jobs.items', jobsResult.data, 'storage');
+      }
+
+      // Load purchase pack units
+      const packUnitsResult = defaultStorageManager.packUnits.getPackUnits();
+      if (packUnitsResult.success) {
+        this.setState('packUnits.items', packUnitsResult.data, 'storage');
+      }
+
+      // Load material master
+      const materialsResult = defaultStorageManager.materials.getMaterials();
+      if (materialsResult.success) {
+        this.setState('materials.items', materialsResult.data, 'storage');
+      }
+
+      // Load fixed asset register
+      const assetsResult = defaultStorageManager.assets.getAssets();
+      if (assetsResult.success) {
+        this.setState('assets.items', assetsResult.data, 'storage');
+      }
+
+      // Load sales channel profiles
+      const channelsResult = defaultStorageManager.preferences.getSalesChannels();
+      if (channelsResult.success) {
+        this.setState('salesChannels.items', channelsResult.data, 'storage');
+      }
+
+      // Load named scenarios
+      const scenariosResult = defaultStorageManager.preferences.getScenarios();
+      if (scenariosResult.success) {
+        this.setState('scenarios.items', scenariosResult.data, 'storage');
+      }
+
       this.setState('app.lastSaved', new Date().toISOString(), 'system');
       this.setState('app.hasUnsavedChanges', false, 'system');
 
@@ -346,7 +469,10 @@ export class StateManager {
         showAnimations: this.state.ui.showAnimations,
         autoSave: this.state.settings.autoSave,
         autoCalculate: this.state.settings.autoCalculate,
-        notifications: this.state.settings.notifications
+        notifications: this.state.settings.notifications,
+        roundingMode: this.state.settings.roundingMode,
+        pricingRoundingMode: this.state.settings.pricingRoundingMode,
+        inventoryValuation: this.state.settings.inventoryValuation
       };
 
       await defaultStorageManager.preferences.savePreferences(preferences);
@@ -527,6 +653,31 @@ export const StateActions = {
       'form.manufacturingOverhead': formData.manufacturingOverhead || 0,
       'form.otherCosts': formData.otherCosts || 0,
       'form.totalUnits': formData.totalUnits || 1,
+      'form.bom': formData.bom || [],
+      'form.labor': formData.labor || [],
+      'form.overheadAllocation': formData.overheadAllocation || null,
+      'form.activityCosting': formData.activityCosting || null,
+      'form.inventory': formData.inventory || null,
+      'form.standardCosting': formData.standardCosting || null,
+      'form.tax': formData.tax || null,
+      'form.pricing': formData.pricing || null,
+      'form.channels': formData.channels || null,
+      'form.costBehavior': formData.costBehavior || null,
+      'form.cvp': formData.cvp || null,
+      'form.sensitivity': formData.sensitivity || null,
+      'form.monteCarlo': formData.monteCarlo || null,
+      'form.processCosting': formData.processCosting || null,
+      'form.overheadMethod': formData.overheadMethod || DEFAULTS.overheadMethod,
+      'form.calculationMode': formData.calculationMode || DEFAULTS.calculationMode,
+      'form.trading': {
+        beginningInventory: formData.beginningInventory || 0,
+        purchases: formData.purchases || 0,
+        purchaseReturns: formData.purchaseReturns || 0,
+        purchaseDiscounts: formData.purchaseDiscounts || 0,
+        freightIn: formData.freightIn || 0,
+        endingInventory: formData.endingInventory || 0,
+        unitsSold: formData.unitsSold || DEFAULTS.totalUnits
+      },
       'form.isDirty': true
     }, 'form-update');
   },
@@ -569,10 +720,12 @@ export const StateActions = {
 
   /**
    * Add to history
+   * The calculation is stored first, so the history shows the same record a reload brings back
    */
   addToHistory: (stateManager, calculation) => {
+    const saved = defaultStorageManager.calculations.saveCalculation({ ...calculation.data, name: calculation.name });
     const history = [...stateManager.getState('history.calculations')];
-    history.unshift(calculation);
+    history.unshift(saved.success ? saved.data[0] : calculation);
     
     const maxItems = stateManager.getState('history.maxItems');
     if (history.length > maxItems) {
@@ -582,6 +735,277 @@ export const StateActions = {
     stateManager.setState('history.calculations', history, 'history-add');
   },
 
+  /**
+   * Remove all saved calculations
+   */
+  clearHistory: (stateManager) => {
+    defaultStorageManager.calculations.clearCalculations();
+    stateManager.setState('history.calculations', [], 'history-clear');
+  },
+
+  /**
+   * Add or update a catalog product (SKU)
+   */
+  saveCatalogProduct: (stateManager, productData) => {
+    const catalog = new ProductCatalog(stateManager.getState('catalog'));
+    const product = catalog.upsertProduct(productData);
+
+    stateManager.updateState({
+      'catalog.products': catalog.toJSON().products,
+      'catalog.comparison': null
+    }, 'catalog-save');
+    defaultStorageManager.catalog.saveCatalog(catalog.toJSON());
+
+    return product;
+  },
+
+  /**
+   * Remove a catalog product
+   */
+  removeCatalogProduct: (stateManager, productId) => {
+    const catalog = new ProductCatalog(stateManager.getState('catalog'));
+    if (!catalog.removeProduct(productId)) return false;
+
+    stateManager.updateState({
+      'catalog.products': catalog.toJSON().products,
+      'catalog.comparison': null
+    }, 'catalog-remove');
+    defaultStorageManager.catalog.saveCatalog(catalog.toJSON());
+
+    return true;
+  },
+
+  /**
+   * Re-cost catalog products that use materials whose price changed
+   * @returns {Array} Re-costed products
+   */
+  applyMaterialPricesToCatalog: (stateManager, materials) => {
+    const catalog = new ProductCatalog(stateManager.getState('catalog'));
+    const products = catalog.applyMaterialPrices(new MaterialMaster(materials), defaultInventoryValuation);
+    if (products.length === 0) return products;
+
+    stateManager.setState('catalog.products', catalog.toJSON().products, 'catalog-materials');
+    defaultStorageManager.catalog.saveCatalog(stateManager.getState('catalog'));
+
+    return products;
+  },
+
+  /**
+   * Set overhead shared by all catalog products
+   */
+  setCatalogSharedOverhead: (stateManager, sharedOverhead) => {
+    stateManager.updateState({
+      'catalog.sharedOverhead': sharedOverhead || null,
+      'catalog.comparison': null
+    }, 'catalog-shared-overhead');
+    defaultStorageManager.catalog.saveCatalog(stateManager.getState('catalog'));
+  },
+
+  /**
+   * Set multi-SKU comparison result
+   */
+  setCatalogComparison: (stateManager, comparison) => {
+    stateManager.setState('catalog.comparison', comparison, 'catalog-calculated');
+  },
+
+  /**
+   * Add or update a job order (closed jobs are read-only)
+   * @returns {JobOrder|null} Saved job, or null if the job is closed
+   */
+  saveJob: (stateManager, jobData) => {
+    const jobs = new JobOrderCosting({ jobs: stateManager.getState('jobs.items') });
+    const existing = jobs.findMatchingJob(jobData);
+    if (existing && existing.isClosed()) return null;
+
+    const job = jobs.upsertJob(jobData);
+
+    stateManager.updateState({
+      'jobs.items': jobs.toJSON().jobs,
+      'jobs.activeJobId': job.id
+    }, 'job-save');
+    defaultStorageManager.jobs.saveJobs(jobs.toJSON().jobs);
+
+    return job;
+  },
+
+  /**
+   * Close a job order
+   * @returns {JobOrder|null} Closed job, or null if not found
+   */
+  closeJob: (stateManager, jobId) => {
+    const jobs = new JobOrderCosting({ jobs: stateManager.getState('jobs.items') });
+    const job = jobs.findJob(jobId);
+    if (!job) return null;
+
+    job.close();
+
+    stateManager.setState('jobs.items', jobs.toJSON().jobs, 'job-close');
+    defaultStorageManager.jobs.saveJobs(jobs.toJSON().jobs);
+
+    return job;
+  },
+
+  /**
+   * Reopen a closed job order
+   * @returns {JobOrder|null} Reopened job, or null if not found
+   */
+  reopenJob: (stateManager, jobId) => {
+    const jobs = new JobOrderCosting({ jobs: stateManager.getState('jobs.items') });
+    const job = jobs.findJob(jobId);
+    if (!job) return null;
+
+    job.reopen();
+
+    stateManager.setState('jobs.items', jobs.toJSON().jobs, 'job-reopen');
+    defaultStorageManager.jobs.saveJobs(jobs.toJSON().jobs);
+
+    return job;
+  },
+
+  /**
+   * Remove a job order
+   */
+  removeJob: (stateManager, jobId) => {
+    const jobs = new JobOrderCosting({ jobs: stateManager.getState('jobs.items') });
+    if (!jobs.removeJob(jobId)) return false;
+
+    stateManager.updateState({
+      'jobs.items': jobs.toJSON().jobs,
+      'jobs.activeJobId': stateManager.getState('jobs.activeJobId') === jobId ? null : stateManager.getState('jobs.activeJobId')
+    }, 'job-remove');
+    defaultStorageManager.jobs.saveJobs(jobs.toJSON().jobs);
+
+    return true;
+  },
+
+  /**
+   * Set job order shown in the form
+   */
+  setActiveJob: (stateManager, jobId) => {
+    stateManager.setState('jobs.activeJobId', jobId || null, 'job-select');
+  },
+
+  /**
+   * Replace custom purchase pack units
+   * @returns {Array} Saved pack units
+   */
+  savePackUnits: (stateManager, packUnits) => {
+    const items = new UnitConverter().setPackUnits(packUnits).getPackUnits();
+
+    stateManager.setState('packUnits.items', items, 'pack-units-save');
+    defaultStorageManager.packUnits.savePackUnits(items);
+
+    return items;
+  },
+
+  /**
+   * Save edited material master, recording price changes in each material's history
+   * @returns {Array} Saved materials
+   */
+  saveMaterials: (stateManager, materials) => {
+    const items = new MaterialMaster(stateManager.getState('materials.items')).update(materials).toJSON();
+
+    stateManager.setState('materials.items', items, 'materials-save');
+    defaultStorageManager.materials.saveMaterials(items);
+
+    return items;
+  },
+
+  /**
+   * Post the material usage of a saved calculation to the purchase lots (once per calculation)
+   * @returns {Object|null} { items, issues }, null if nothing was posted
+   */
+  postMaterialUsage: (stateManager, calculation) => {
+    if (calculation.postedAt || !calculation.data) return null;
+
+    const postedAt = new Date().toISOString();
+    const master = new MaterialMaster(stateManager.getState('materials.items'));
+    const issues = master.recordUsage(calculation.data.bom, defaultInventoryValuation, calculation.id, postedAt);
+    if (issues.length === 0) return null;
+
+    const items = master.toJSON();
+    const history = stateManager.getState('history.calculations').map(item => {
+      return item.id === calculation.id ? { ...item, postedAt } : item;
+    });
+
+    stateManager.updateState({
+      'materials.items': items,
+      'history.calculations': history
+    }, 'materials-usage');
+    defaultStorageManager.materials.saveMaterials(items);
+    defaultStorageManager.calculations.updateCalculation(calculation.id, { postedAt });
+
+    return { items, issues };
+  },
+
+  /**
+   * Replace fixed asset register
+   * @returns {Array} Saved assets
+   */
+  saveAssets: (stateManager, assets) => {
+    const items = new AssetRegister(assets).toJSON();
+
+    stateManager.setState('assets.items', items, 'assets-save');
+    defaultStorageManager.assets.saveAssets(items);
+
+    return items;
+  },
+
+  /**
+   * Change how money amounts and selling prices are rounded
+   * @param {Object} modes - { roundingMode, pricingRoundingMode }, keys of ROUNDING_MODES
+   */
+  setRoundingModes: (stateManager, modes) => {
+    const updates = {};
+    ['roundingMode', 'pricingRoundingMode'].forEach(key => {
+      if (ROUNDING_MODES[modes[key]]) {
+        updates[`settings.${key}`] = modes[key];
+      }
+    });
+
+    stateManager.updateState(updates, 'settings');
+  },
+
+  /**
+   * Change how material consumption is costed from purchase lots
+   */
+  setInventoryValuation: (stateManager, method) => {
+    stateManager.setState('settings.inventoryValuation', method, 'settings');
+  },
+
+  /**
+   * Replace sales channel fee profiles
+   * @returns {Array} Saved channel profiles
+   */
+  saveSalesChannels: (stateManager, channels) => {
+    const items = (Array.isArray(channels) ? channels : []).map(channel => new SalesChannel(channel).toJSON());
+
+    stateManager.setState('salesChannels.items', items, 'sales-channels-save');
+    defaultStorageManager.preferences.saveSalesChannels(items);
+
+    return items;
+  },
+
+  /**
+   * Replace named scenarios
+   * @returns {Array} Saved scenarios
+   */
+  saveScenarios: (stateManager, scenarios) => {
+    const items = (Array.isArray(scenarios) ? scenarios : []).map(scenario => new Scenario(scenario).toJSON());
+
+    stateManager.setState('scenarios.items', items, 'scenarios-save');
+    defaultStorageManager.preferences.saveScenarios(items);
+
+    return items;
+  },
+
+  /**
+   * Store scenario comparison result
+   */
+  setScenarioComparison: (stateManager, comparison) => {
+    stateManager.setState('scenarios.comparison', comparison || null, 'scenarios-calculated');
+  },
+
   /**
    * Toggle theme
    */
@@ -601,6 +1025,23 @@ export const StateActions = {
       'form.manufacturingOverhead': DEFAULTS.manufacturingOverhead,
       'form.otherCosts': DEFAULTS.otherCosts,
       'form.totalUnits': DEFAULTS.totalUnits,
+      'form.bom': [],
+      'form.labor': [],
+      'form.overheadAllocation': null,
+      'form.activityCosting': null,
+      'form.inventory': null,
+      'form.standardCosting': null,
+      'form.tax': null,
+      'form.pricing': null,
+      'form.channels': null,
+      'form.costBehavior': null,
+      'form.cvp': null,
+      'form.sensitivity': null,
+      'form.monteCarlo': null,
+      'form.processCosting': null,
+      'form.overheadMethod': DEFAULTS.overheadMethod,
+      'form.calculationMode': DEFAULTS.calculationMode,
+      'form.trading': stateManager.getDefaultState().form.trading,
       'form.isValid': false,
       'form.isDirty': false,
       'form.errors': {},
@@ -15,6 +15,11 @@ export const APP_CONFIG = {
 export const STORAGE_KEYS = {
   calculations: 'hpp_calculations',
   preferences: 'hpp_preferences',
+  catalog: 'hpp_catalog',
+  jobs: 'hpp_jobs',
+  packUnits: 'hpp_pack_units',
+  materials: 'hpp_materials',
+  assets: 'hpp_assets',
   history: 'hpp_history',
   theme: 'hpp_theme',
   language: 'hpp_language'
@@ -27,6 +32,32 @@ export const DEFAULTS = {
   manufacturingOverhead: 0,
   otherCosts: 0,
   totalUnits: 1,
+  bomUnit: 'kg',
+  batchUnit: 'kg',
+  packUnit: 'g',
+  batchYieldPercentage: 100,
+  overtimeMultiplier: 1.5,
+  allocationBasis: 'machineHours',
+  overheadMethod: 'direct',
+  calculationMode: 'manufacturing',
+  processCostingMethod: 'weightedAverage',
+  jobOverheadBasis: 'laborHours',
+  pricingMethod: 'markup',
+  ppnRate: 11,
+  taxTreatment: 'exclusive',
+  unitsPerOrder: 1,
+  semiVariablePercentage: 50,
+  batchesPerPeriod: 1,
+  sensitivityRange: 20,
+  sensitivityStep: 10,
+  monteCarloIterations: 5000,
+  monteCarloBins: 20,
+  distributionType: 'fixed',
+  roundingMode: 'halfUp',
+  pricingRoundingMode: 'ceiling',
+  inventoryValuation: 'fifo',
+  depreciationMethod: 'straightLine',
+  decliningBalanceFactor: 2,
   theme: 'light',
   language: 'id',
   currency: 'IDR',
@@ -40,9 +71,48 @@ export const VALIDATION = {
   minUnits: 1,
   maxUnits: 999999999,
   decimalPlaces: 2,
+  minSimulations: 1000,
+  maxSimulations: 50000,
+  minScenarioChange: -100,
+  maxScenarioChange: 1000,
+  maxScenarios: 10,
   requiredFields: ['directMaterials', 'directLabor', 'manufacturingOverhead', 'totalUnits']
 };
 
+// Rounding of money amounts to whole sen
+export const ROUNDING_MODES = {
+  halfUp: { label: 'Setengah ke atas (0,5 dibulatkan menjauhi nol)' },
+  halfEven: { label: 'Setengah ke genap (pembulatan bankir)' },
+  ceiling: { label: 'Selalu ke atas' }
+};
+
+// Costing of material consumption from purchase lots
+export const INVENTORY_VALUATION_METHODS = {
+  fifo: { label: 'FIFO (masuk pertama, keluar pertama)' },
+  movingAverage: { label: 'Rata-rata tertimbang bergerak' }
+};
+
+// Depreciation methods of fixed assets
+export const DEPRECIATION_METHODS = {
+  straightLine: { label: 'Garis lurus' },
+  decliningBalance: { label: 'Saldo menurun ganda' },
+  unitsOfProduction: { label: 'Unit produksi' }
+};
+
+// Whether an asset's depreciation is charged to manufacturing overhead
+export const ASSET_OVERHEAD_LINKS = {
+  linked: { label: 'Ya' },
+  excluded: { label: 'Tidak' }
+};
+
+// Pool line of linked asset depreciation in a shared overhead allocation or ABC
+export const DEPRECIATION_POOL = {
+  id: 'depreciation',
+  name: 'Penyusutan aset',
+  // ABC driver: each product takes depreciation in proportion to its other activity costs
+  driver: 'Rp overhead aktivitas'
+};
+
 // Currency Configuration
 export const CURRENCY = {
   symbol: 'Rp',
@@ -116,6 +186,401 @@ export const FORM_FIELDS = {
   }
 };
 
+// Calculation Modes
+export const CALCULATION_MODES = {
+  manufacturing: {
+    label: 'Perusahaan Manufaktur',
+    description: 'HPP produksi dari bahan baku, tenaga kerja dan overhead'
+  },
+  trading: {
+    label: 'Perusahaan Dagang',
+    description: 'HPP = persediaan awal + pembelian bersih − persediaan akhir'
+  },
+  process: {
+    label: 'Kalkulasi Biaya Proses',
+    description: 'Produksi terus-menerus per departemen dengan unit ekuivalen'
+  },
+  job: {
+    label: 'Pesanan (Job Order)',
+    description: 'HPP per pesanan dari bon bahan, kartu jam kerja dan overhead dibebankan'
+  }
+};
+
+// Job Order Overhead Bases (predetermined overhead rate)
+export const JOB_OVERHEAD_BASES = {
+  laborHours: {
+    label: 'Jam Tenaga Kerja Langsung',
+    rateLabel: 'Rp per jam'
+  },
+  laborCost: {
+    label: 'Biaya Tenaga Kerja Langsung',
+    rateLabel: '% dari upah langsung'
+  },
+  machineHours: {
+    label: 'Jam Mesin',
+    rateLabel: 'Rp per jam mesin'
+  }
+};
+
+// Job Order Statuses
+export const JOB_STATUSES = {
+  open: { label: 'Terbuka' },
+  closed: { label: 'Selesai' }
+};
+
+// Selling Price Targets: markup is a percentage of HPP, margin a percentage of the selling price
+export const PRICING_METHODS = {
+  markup: {
+    label: 'Markup dari HPP',
+    targetLabel: 'Target Markup (%)',
+    description: 'Laba dihitung sebagai persentase dari HPP: harga = HPP × (1 + markup)'
+  },
+  margin: {
+    label: 'Margin Kotor',
+    targetLabel: 'Target Margin Kotor (%)',
+    description: 'Laba dihitung sebagai persentase dari harga jual: harga = HPP ÷ (1 − margin)'
+  },
+  profit: {
+    label: 'Laba per Unit',
+    targetLabel: 'Target Laba per Unit (Rp)',
+    description: 'Laba tetap dalam rupiah per unit: harga = HPP + laba'
+  }
+};
+
+// PPN (Pajak Pertambahan Nilai) treatment of an entered cost amount
+export const TAX_TREATMENTS = {
+  exclusive: { label: 'Belum termasuk PPN' },
+  inclusive: { label: 'Termasuk PPN masukan (dapat dikreditkan)' },
+  nonCreditable: { label: 'Termasuk PPN tidak dapat dikreditkan' }
+};
+
+// Cost components that can carry PPN masukan (wages are not subject to PPN)
+export const TAXABLE_COST_COMPONENTS = ['directMaterials', 'manufacturingOverhead', 'otherCosts'];
+
+// Cost behavior for cost-volume-profit analysis (semi-variable costs are split by their variable share)
+export const COST_BEHAVIORS = {
+  variable: { label: 'Variabel' },
+  fixed: { label: 'Tetap' },
+  semiVariable: { label: 'Semi-variabel' }
+};
+
+// Default behavior of each cost component and of its line items
+export const DEFAULT_COST_BEHAVIORS = {
+  directMaterials: 'variable',
+  directLabor: 'variable',
+  manufacturingOverhead: 'fixed',
+  otherCosts: 'variable'
+};
+
+// Probability distributions of uncertain inputs in the Monte Carlo simulation
+export const DISTRIBUTION_TYPES = {
+  fixed: { label: 'Tetap (tanpa ketidakpastian)' },
+  triangular: { label: 'Segitiga (min / paling mungkin / maks)' },
+  normal: { label: 'Normal (rata-rata / simpangan baku)' }
+};
+
+// Inputs that can be given a distribution: cost components (as entered, before PPN) and the yield
+export const MONTE_CARLO_INPUTS = {
+  directMaterials: { label: 'Bahan Baku Langsung' },
+  directLabor: { label: 'Tenaga Kerja Langsung' },
+  manufacturingOverhead: { label: 'Biaya Overhead Pabrik' },
+  otherCosts: { label: 'Biaya Lain-lain' },
+  totalUnits: { label: 'Jumlah Unit Dihasilkan' }
+};
+
+// Inputs a goal seek can solve for (costs as entered, before PPN)
+export const GOAL_SEEK_VARIABLES = {
+  directMaterials: { label: 'Bahan Baku Langsung' },
+  directLabor: { label: 'Tenaga Kerja Langsung' },
+  manufacturingOverhead: { label: 'Biaya Overhead Pabrik' },
+  otherCosts: { label: 'Biaya Lain-lain' },
+  totalUnits: { label: 'Jumlah Unit Dihasilkan', integer: true }
+};
+
+// Target metrics offered for goal seek, as paths into HPPResult.getSummary()
+export const GOAL_SEEK_METRICS = {
+  hppPerUnit: { label: 'HPP per Unit' },
+  totalHPP: { label: 'Total HPP' },
+  totalCosts: { label: 'Total Biaya Produksi' },
+  'pricing.sellingPrice': { label: 'Harga Jual Disarankan per Unit' },
+  'cvp.contributionMargin': { label: 'Margin Kontribusi per Unit' },
+  'cvp.operatingIncome': { label: 'Laba Operasi per Periode' }
+};
+
+// Numeric search limits of goal seek
+export const GOAL_SEEK = {
+  tolerance: 0.005, // Rupiah: half of the smallest rounded amount
+  maxIterations: 100,
+  maxExpansions: 60
+};
+
+// Starting sales channel profiles (fees are examples, adjust to the current marketplace terms)
+export const DEFAULT_SALES_CHANNELS = [
+  { id: 'offline', name: 'Toko Sendiri', commissionRate: 0, paymentFeeRate: 0, fixedFeePerOrder: 0, freeShippingRate: 0, unitsPerOrder: 1 },
+  { id: 'reseller', name: 'Reseller Offline', commissionRate: 15, paymentFeeRate: 0, fixedFeePerOrder: 0, freeShippingRate: 0, unitsPerOrder: 10 },
+  { id: 'marketplace', name: 'Marketplace', commissionRate: 8, paymentFeeRate: 2, fixedFeePerOrder: 1250, freeShippingRate: 4, unitsPerOrder: 1 }
+];
+
+// Inputs a scenario can change, in percent of the value in the form (costs as entered, before PPN)
+export const SCENARIO_INPUTS = {
+  directMaterials: { label: 'Bahan Baku Langsung', shortLabel: 'Bahan %' },
+  directLabor: { label: 'Tenaga Kerja Langsung', shortLabel: 'Tenaga Kerja %' },
+  manufacturingOverhead: { label: 'Biaya Overhead Pabrik', shortLabel: 'Overhead %' },
+  otherCosts: { label: 'Biaya Lain-lain', shortLabel: 'Lain-lain %' },
+  totalUnits: { label: 'Jumlah Unit Dihasilkan', shortLabel: 'Unit %' }
+};
+
+// Starting scenarios (changes are examples, adjust to the risks of the product)
+export const DEFAULT_SCENARIOS = [
+  { id: 'pessimistic', name: 'Pesimis', changes: { directMaterials: 10, directLabor: 5, manufacturingOverhead: 5, otherCosts: 0, totalUnits: -10 } },
+  { id: 'base', name: 'Dasar', changes: { directMaterials: 0, directLabor: 0, manufacturingOverhead: 0, otherCosts: 0, totalUnits: 0 } },
+  { id: 'optimistic', name: 'Optimis', changes: { directMaterials: -5, directLabor: 0, manufacturingOverhead: -5, otherCosts: 0, totalUnits: 10 } }
+];
+
+// Standard Cost Variances (amount > 0 is unfavorable: actual cost above standard)
+export const VARIANCE_TYPES = {
+  favorable: { label: 'Menguntungkan', shortLabel: 'F' },
+  unfavorable: { label: 'Tidak Menguntungkan', shortLabel: 'TM' },
+  none: { label: 'Sesuai Standar', shortLabel: '-' }
+};
+
+export const VARIANCE_GROUPS = {
+  directMaterials: {
+    label: 'Bahan Baku Langsung',
+    variances: {
+      price: 'Selisih Harga Bahan',
+      quantity: 'Selisih Kuantitas Bahan'
+    }
+  },
+  directLabor: {
+    label: 'Tenaga Kerja Langsung',
+    variances: {
+      rate: 'Selisih Tarif Upah',
+      efficiency: 'Selisih Efisiensi Upah'
+    }
+  },
+  manufacturingOverhead: {
+    label: 'Overhead Pabrik',
+    variances: {
+      spending: 'Selisih Pengeluaran Overhead',
+      volume: 'Selisih Volume Overhead'
+    }
+  }
+};
+
+// Process Costing Methods
+export const PROCESS_COSTING_METHODS = {
+  weightedAverage: {
+    label: 'Rata-rata Tertimbang',
+    description: 'Biaya BDP awal digabung dengan biaya periode ini'
+  },
+  fifo: {
+    label: 'FIFO (MPKP)',
+    description: 'BDP awal diselesaikan lebih dulu, biaya per unit ekuivalen hanya dari biaya periode ini'
+  }
+};
+
+// Process Costing Cost Categories (transferred-in only after the first department)
+export const PROCESS_COST_CATEGORIES = {
+  transferredIn: { label: 'Dari Departemen Sebelumnya' },
+  materials: { label: 'Bahan Baku' },
+  conversion: { label: 'Biaya Konversi' }
+};
+
+// Form Field Configurations (trading company mode)
+export const TRADING_FORM_FIELDS = {
+  beginningInventory: {
+    name: 'beginningInventory',
+    label: 'Persediaan Awal (Rp)',
+    placeholder: '0',
+    type: 'number',
+    required: true,
+    min: 0,
+    step: 0.01,
+    icon: 'fas fa-warehouse',
+    helpText: 'Nilai barang dagang di awal periode',
+    tooltip: 'Persediaan barang dagang yang tersisa dari periode sebelumnya'
+  },
+  purchases: {
+    name: 'purchases',
+    label: 'Pembelian (Rp)',
+    placeholder: '0',
+    type: 'number',
+    required: true,
+    min: 0,
+    step: 0.01,
+    icon: 'fas fa-shopping-cart',
+    helpText: 'Total pembelian barang dagang selama periode',
+    tooltip: 'Pembelian kotor sebelum retur dan potongan'
+  },
+  purchaseReturns: {
+    name: 'purchaseReturns',
+    label: 'Retur Pembelian (Rp)',
+    placeholder: '0',
+    type: 'number',
+    required: false,
+    min: 0,
+    step: 0.01,
+    icon: 'fas fa-undo',
+    helpText: 'Barang yang dikembalikan ke pemasok',
+    tooltip: 'Mengurangi pembelian'
+  },
+  purchaseDiscounts: {
+    name: 'purchaseDiscounts',
+    label: 'Potongan Pembelian (Rp)',
+    placeholder: '0',
+    type: 'number',
+    required: false,
+    min: 0,
+    step: 0.01,
+    icon: 'fas fa-tags',
+    helpText: 'Diskon dari pemasok, misalnya potongan tunai',
+    tooltip: 'Mengurangi pembelian'
+  },
+  freightIn: {
+    name: 'freightIn',
+    label: 'Ongkos Angkut Pembelian (Rp)',
+    placeholder: '0',
+    type: 'number',
+    required: false,
+    min: 0,
+    step: 0.01,
+    icon: 'fas fa-truck',
+    helpText: 'Biaya kirim barang dari pemasok ke gudang',
+    tooltip: 'Menambah pembelian'
+  },
+  endingInventory: {
+    name: 'endingInventory',
+    label: 'Persediaan Akhir (Rp)',
+    placeholder: '0',
+    type: 'number',
+    required: true,
+    min: 0,
+    step: 0.01,
+    icon: 'fas fa-boxes',
+    helpText: 'Nilai barang dagang yang belum terjual di akhir periode',
+    tooltip: 'Hasil stock opname akhir periode'
+  },
+  unitsSold: {
+    name: 'unitsSold',
+    label: 'Jumlah Unit Terjual',
+    placeholder: '0',
+    type: 'number',
+    required: true,
+    min: 1,
+    step: 1,
+    icon: 'fas fa-calculator',
+    helpText: 'Untuk menghitung HPP per unit',
+    tooltip: 'Total unit barang dagang yang terjual selama periode'
+  }
+};
+
+// Form Field Configurations (manufacturing statement inventories)
+export const INVENTORY_FORM_FIELDS = {
+  beginningWIP: {
+    name: 'beginningWIP',
+    label: 'Persediaan Awal Barang Dalam Proses (Rp)',
+    placeholder: '0',
+    type: 'number',
+    required: false,
+    min: 0,
+    step: 0.01,
+    icon: 'fas fa-cogs',
+    helpText: 'Produk setengah jadi di awal periode',
+    tooltip: 'Menambah biaya produksi periode ini'
+  },
+  endingWIP: {
+    name: 'endingWIP',
+    label: 'Persediaan Akhir Barang Dalam Proses (Rp)',
+    placeholder: '0',
+    type: 'number',
+    required: false,
+    min: 0,
+    step: 0.01,
+    icon: 'fas fa-cogs',
+    helpText: 'Produk setengah jadi yang belum selesai di akhir periode',
+    tooltip: 'Mengurangi biaya produksi periode ini'
+  },
+  beginningFinishedGoods: {
+    name: 'beginningFinishedGoods',
+    label: 'Persediaan Awal Barang Jadi (Rp)',
+    placeholder: '0',
+    type: 'number',
+    required: false,
+    min: 0,
+    step: 0.01,
+    icon: 'fas fa-box',
+    helpText: 'Produk jadi yang belum terjual di awal periode',
+    tooltip: 'Menambah barang tersedia untuk dijual'
+  },
+  endingFinishedGoods: {
+    name: 'endingFinishedGoods',
+    label: 'Persediaan Akhir Barang Jadi (Rp)',
+    placeholder: '0',
+    type: 'number',
+    required: false,
+    min: 0,
+    step: 0.01,
+    icon: 'fas fa-box',
+    helpText: 'Produk jadi yang belum terjual di akhir periode',
+    tooltip: 'Mengurangi barang tersedia untuk dijual'
+  }
+};
+
+// Units of Measure for BOM Lines
+export const MEASUREMENT_UNITS = [
+  { value: 'kg', label: 'kg' },
+  { value: 'g', label: 'gram' },
+  { value: 'l', label: 'liter' },
+  { value: 'ml', label: 'ml' },
+  { value: 'pcs', label: 'pcs' },
+  { value: 'pack', label: 'pack' }
+];
+
+// Base unit and factor of each measurement unit (1 kg = 1000 g)
+// Mass (g) and volume (ml) convert into each other through a material's density in g/ml
+export const UNIT_CONVERSIONS = {
+  kg: { base: 'g', factor: 1000 },
+  g: { base: 'g', factor: 1 },
+  l: { base: 'ml', factor: 1000 },
+  ml: { base: 'ml', factor: 1 },
+  pcs: { base: 'pcs', factor: 1 },
+  pack: { base: 'pack', factor: 1 }
+};
+
+// Overhead Allocation Bases (cost drivers)
+export const ALLOCATION_BASES = {
+  machineHours: {
+    label: 'Jam Mesin',
+    unit: 'jam'
+  },
+  laborHours: {
+    label: 'Jam Tenaga Kerja',
+    unit: 'jam'
+  },
+  units: {
+    label: 'Jumlah Unit',
+    unit: 'unit'
+  },
+  floorArea: {
+    label: 'Luas Lantai',
+    unit: 'm²'
+  }
+};
+
+// Overhead Costing Methods
+export const OVERHEAD_METHODS = {
+  direct: {
+    label: 'Input Langsung'
+  },
+  allocation: {
+    label: 'Alokasi Satu Pemicu'
+  },
+  abc: {
+    label: 'Activity-Based Costing (ABC)'
+  }
+};
+
 // Cost Categories for Display
 export const COST_CATEGORIES = {
   directMaterials: {
@@ -238,6 +703,98 @@ export const ERROR_MESSAGES = {
   minValue: 'Nilai tidak boleh kurang dari {min}',
   maxValue: 'Nilai tidak boleh lebih dari {max}',
   minUnits: 'Jumlah unit minimal adalah 1',
+  bomNameRequired: 'Nama bahan wajib diisi',
+  wastePercentage: 'Persentase susut harus antara 0 dan 100',
+  laborRoleRequired: 'Nama peran pekerja wajib diisi',
+  overtimeMultiplier: 'Pengali lembur minimal 1',
+  overheadPoolNameRequired: 'Nama pos overhead wajib diisi',
+  allocationBasis: 'Dasar alokasi tidak dikenal',
+  allocationProductRequired: 'Nama produk wajib diisi',
+  allocationDriverZero: 'Total {basis} semua produk tidak boleh nol',
+  allocationProductNotFound: 'Produk untuk alokasi overhead tidak ditemukan',
+  activityNameRequired: 'Nama aktivitas wajib diisi',
+  activityDriverRequired: 'Pemicu biaya aktivitas wajib diisi',
+  activityDriverZero: 'Total pemicu aktivitas {activity} tidak boleh nol',
+  overheadMethodConflict: 'Gunakan salah satu: alokasi satu pemicu atau ABC',
+  catalogProductNameRequired: 'Nama produk (SKU) wajib diisi',
+  catalogEmpty: 'Katalog produk masih kosong',
+  jobNumberRequired: 'Nomor pesanan wajib diisi',
+  jobNotFound: 'Pesanan tidak ditemukan',
+  jobClosed: 'Pesanan sudah ditutup, buka kembali untuk mengubah biaya',
+  jobNoCosts: 'Pesanan belum memiliki bon bahan atau kartu jam kerja',
+  jobRequisitionDescriptionRequired: 'Keterangan bahan wajib diisi',
+  jobTicketEmployeeRequired: 'Nama pekerja wajib diisi',
+  pricingMethodInvalid: 'Metode penentuan harga jual tidak dikenal',
+  pricingMarginTooHigh: 'Target margin kotor harus kurang dari 100%',
+  taxTreatmentInvalid: 'Perlakuan PPN tidak dikenal',
+  costBehaviorInvalid: 'Perilaku biaya harus tetap, variabel atau semi-variabel',
+  cvpSellingPriceRequired: 'Harga jual per unit wajib diisi untuk analisis CVP',
+  cvpContributionMarginNegative: 'Harga jual tidak menutup biaya variabel per unit, titik impas tidak tercapai',
+  sensitivityRangeInvalid: 'Rentang perubahan harus lebih dari 0% dan paling besar 100%',
+  sensitivityStepInvalid: 'Langkah perubahan harus lebih dari 0% dan tidak melebihi rentang',
+  sensitivityTooManySteps: 'Langkah terlalu kecil, paling banyak 10 langkah ke setiap arah',
+  sensitivityManufacturingOnly: 'Analisis sensitivitas hanya tersedia untuk perusahaan manufaktur',
+  monteCarloIterationsInvalid: 'Jumlah simulasi harus bilangan bulat antara 1.000 dan 50.000',
+  monteCarloDistributionInvalid: 'Jenis distribusi tidak dikenal',
+  monteCarloRangeInvalid: 'Nilai minimum harus lebih kecil dari nilai maksimum dan tidak negatif',
+  monteCarloModeOutOfRange: 'Nilai paling mungkin harus di antara nilai minimum dan maksimum',
+  monteCarloStdevInvalid: 'Simpangan baku harus lebih dari 0 dan rata-rata tidak negatif',
+  monteCarloNoUncertainty: 'Atur distribusi untuk minimal satu input',
+  monteCarloManufacturingOnly: 'Simulasi Monte Carlo hanya tersedia untuk perusahaan manufaktur',
+  monteCarloFailed: 'Simulasi Monte Carlo gagal dijalankan',
+  goalSeekVariableInvalid: 'Pilih input yang akan dicari nilainya',
+  goalSeekMetricInvalid: 'Pilih metrik target',
+  goalSeekTargetInvalid: 'Nilai target wajib diisi dengan angka',
+  goalSeekRangeInvalid: 'Batas bawah tidak boleh negatif dan harus lebih kecil dari batas atas',
+  goalSeekMetricUnavailable: 'Metrik target tidak tersedia, aktifkan harga jual yang disarankan atau analisis CVP terlebih dahulu',
+  goalSeekNotAchievable: 'Target tidak dapat dicapai hanya dengan mengubah input ini',
+  goalSeekManufacturingOnly: 'Goal seek hanya tersedia untuk perusahaan manufaktur',
+  channelListPriceRequired: 'Harga jual di etalase harus lebih dari 0',
+  salesChannelNameRequired: 'Nama saluran penjualan wajib diisi',
+  salesChannelRatesTooHigh: 'Total komisi, biaya pembayaran dan subsidi ongkir harus kurang dari 100%',
+  scenariosRequired: 'Tambahkan minimal satu skenario',
+  scenariosTooMany: 'Maksimal 10 skenario dapat dibandingkan',
+  scenarioNameRequired: 'Nama skenario wajib diisi',
+  scenariosManufacturingOnly: 'Perbandingan skenario hanya tersedia untuk perusahaan manufaktur',
+  unitUnknown: 'Satuan {unit} tidak dikenal',
+  packUnitInvalid: 'Kemasan {unit} harus berisi lebih dari 0 dalam satuan yang dikenal',
+  packUnitNameRequired: 'Nama kemasan wajib diisi',
+  packUnitNameTaken: 'Nama kemasan {unit} sudah dipakai satuan atau kemasan lain',
+  bomPurchaseQuantityRequired: 'Isi kemasan beli harus lebih dari 0',
+  bomDensityInvalid: 'Densitas tidak boleh negatif',
+  materialNameRequired: 'Nama bahan baku wajib diisi',
+  assetsRequired: 'Tambahkan minimal satu aset tetap',
+  assetNameRequired: 'Nama aset wajib diisi',
+  assetCostRequired: 'Harga perolehan aset harus lebih dari 0',
+  assetSalvageInvalid: 'Nilai sisa harus 0 atau lebih dan lebih kecil dari harga perolehan',
+  assetUsefulLifeRequired: 'Umur manfaat aset harus lebih dari 0 tahun',
+  assetMethodInvalid: 'Metode penyusutan tidak dikenal',
+  assetUnitsRequired: 'Isi kapasitas produksi dan unit per bulan untuk metode unit produksi',
+  assetDateRequired: 'Tanggal perolehan aset wajib diisi',
+  depreciationPeriodRequired: 'Pilih bulan penyusutan yang dibebankan ke overhead',
+  materialLotMaterialRequired: 'Pilih bahan untuk lot pembelian',
+  materialLotDateRequired: 'Tanggal lot pembelian wajib diisi',
+  materialLotQuantityRequired: 'Jumlah kemasan lot pembelian harus lebih dari 0',
+  materialUsageEmpty: 'Perhitungan ini tidak memakai bahan dari master bahan atau pemakaiannya sudah dicatat',
+  bomUnitConversion: 'Satuan isi kemasan {material} tidak dapat dikonversi ke satuan resep; isi densitas untuk konversi volume ↔ berat',
+  batchSizeRequired: 'Ukuran batch harus lebih dari 0',
+  batchPackSizeRequired: 'Ukuran kemasan harus lebih dari 0',
+  batchYieldInvalid: 'Persentase hasil harus lebih dari 0% dan paling besar 100%',
+  batchProcessLossInvalid: 'Susut proses harus 0% atau lebih dan kurang dari 100%',
+  batchUnitMismatch: 'Satuan batch dan kemasan harus sejenis (berat, volume atau jumlah)',
+  batchNoUnits: 'Hasil batch lebih kecil dari satu kemasan',
+  batchRequired: 'Aktifkan batch resep terlebih dahulu',
+  standardCostRequired: 'Isi minimal satu biaya standar per unit',
+  standardNormalHoursRequired: 'Jam kapasitas normal wajib diisi jika ada anggaran overhead tetap',
+  tradingNetPurchasesNegative: 'Retur dan potongan pembelian tidak boleh melebihi pembelian ditambah ongkos angkut',
+  tradingEndingInventoryExceeds: 'Persediaan akhir tidak boleh melebihi barang tersedia untuk dijual',
+  endingWIPExceeds: 'Persediaan akhir barang dalam proses tidak boleh melebihi total barang dalam proses',
+  processDepartmentsRequired: 'Tambahkan minimal satu departemen produksi',
+  processDepartmentNameRequired: 'Nama departemen wajib diisi',
+  processMethodInvalid: 'Metode kalkulasi biaya proses tidak dikenal',
+  processEndingUnitsExceed: 'Unit BDP akhir departemen {department} melebihi unit yang harus dipertanggungjawabkan',
+  processNoCompletedUnits: 'Departemen {department} belum menyelesaikan unit apa pun',
+  endingFinishedGoodsExceeds: 'Persediaan akhir barang jadi tidak boleh melebihi barang tersedia untuk dijual',
   maxUnits: 'Jumlah unit maksimal adalah {max}',
   calculationError: 'Terjadi kesalahan dalam perhitungan',
   storageError: 'Gagal menyimpan data',
@@ -253,12 +810,28 @@ export const SUCCESS_MESSAGES = {
   dataExported: 'Data berhasil diekspor',
   settingsUpdated: 'Pengaturan berhasil diperbarui',
   historyCleared: 'Riwayat berhasil dihapus',
-  formReset: 'Form berhasil direset'
+  formReset: 'Form berhasil direset',
+  catalogProductSaved: 'Produk berhasil disimpan ke katalog',
+  catalogCalculated: 'HPP semua produk katalog berhasil dihitung',
+  jobSaved: 'Pesanan berhasil disimpan',
+  jobClosed: 'Pesanan berhasil ditutup',
+  jobReopened: 'Pesanan dibuka kembali',
+  salesChannelsSaved: 'Profil saluran penjualan berhasil disimpan',
+  scenariosSaved: 'Skenario berhasil disimpan',
+  scenariosCalculated: 'Perbandingan skenario berhasil dihitung',
+  batchRescaled: 'Resep berhasil diskalakan ke ukuran batch baru',
+  packUnitsSaved: 'Kemasan beli berhasil disimpan',
+  materialsSaved: 'Master bahan baku berhasil disimpan',
+  materialUsagePosted: 'Pemakaian bahan dicatat ke lot pembelian',
+  catalogRecosted: 'Master bahan baku disimpan, HPP {count} produk katalog dihitung ulang',
+  assetsSaved: 'Daftar aset tetap berhasil disimpan',
+  depreciationExported: 'Jadwal penyusutan berhasil diekspor ke CSV'
 };
 
 // Info Messages
 export const INFO_MESSAGES = {
   calculating: 'Sedang menghitung HPP...',
+  simulating: 'Menjalankan simulasi Monte Carlo...',
   saving: 'Menyimpan data...',
   loading: 'Memuat data...',
   exporting: 'Mengekspor data...',
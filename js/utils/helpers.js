@@ -3,7 +3,7 @@
  * Common utility functions used throughout the application
  */
 
-import { CURRENCY, ANIMATIONS, DEBOUNCE_DELAYS, BREAKPOINTS } from './constants.js';
+import { CURRENCY, ANIMATIONS, DEBOUNCE_DELAYS, BREAKPOINTS, DEFAULTS, ROUNDING_MODES } from './constants.js';
 
 /**
  * Currency formatting utilities
@@ -59,19 +59,76 @@ export const CurrencyHelper = {
   }
 };
 
+/**
+ * Exact decimal value of a number: digits / 10^scale
+ * 15 significant digits drop binary noise (1.005 stays 1.005, 0.1 + 0.2 becomes 0.3)
+ * @param {number} value - Finite number
+ * @returns {Object} { digits: BigInt, scale }
+ */
+function toDecimal(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number === 0) return { digits: 0n, scale: 0 };
+
+  const [mantissa, exponent] = Math.abs(number).toExponential(14).split('e');
+  const [whole, fraction] = mantissa.split('.');
+  const digits = BigInt(whole + fraction) * (number < 0 ? -1n : 1n);
+  const scale = fraction.length - parseInt(exponent, 10);
+
+  return scale >= 0
+    ? { digits, scale }
+    : { digits: digits * 10n ** BigInt(-scale), scale: 0 };
+}
+
+/**
+ * Integer quotient numerator / denominator rounded with a rounding mode
+ * @param {BigInt} numerator
+ * @param {BigInt} denominator - Not zero
+ * @param {string} mode - Key of ROUNDING_MODES
+ * @returns {BigInt} Rounded quotient
+ */
+function roundQuotient(numerator, denominator, mode) {
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  const sign = numerator < 0n ? -1n : 1n;
+  const twiceRemainder = 2n * remainder * sign;
+
+  switch (mode) {
+    case 'ceiling':
+      return sign > 0n ? quotient + 1n : quotient;
+    case 'halfEven':
+      if (twiceRemainder > denominator) return quotient + sign;
+      if (twiceRemainder < denominator) return quotient;
+      return quotient % 2n === 0n ? quotient : quotient + sign;
+    default:
+      return twiceRemainder >= denominator ? quotient + sign : quotient;
+  }
+}
+
 /**
  * Number utilities
  */
 export const NumberHelper = {
   /**
-   * Round number to specified decimal places
+   * Round number to specified decimal places using exact decimal arithmetic
    * @param {number} num - Number to round
    * @param {number} decimals - Number of decimal places
+   * @param {string} mode - Key of ROUNDING_MODES (default half-up)
    * @returns {number} Rounded number
    */
-  round(num, decimals = 2) {
-    const factor = Math.pow(10, decimals);
-    return Math.round((num + Number.EPSILON) * factor) / factor;
+  round(num, decimals = 2, mode = 'halfUp') {
+    const number = Number(num);
+    if (!Number.isFinite(number)) return number;
+
+    const { digits, scale } = toDecimal(number);
+    const rounded = roundQuotient(digits * 10n ** BigInt(decimals), 10n ** BigInt(scale), mode);
+    return Number(rounded) / Math.pow(10, decimals);
   },
 
   /**
@@ -107,6 +164,16 @@ export const NumberHelper = {
     return this.round((value / total) * 100, 1);
   },
 
+  /**
+   * Parse a 0–100 percentage input, falling back when empty or invalid
+   * @param {*} value - Raw input value
+   * @param {number} fallback - Value used when the input is not a number
+   */
+  toPercentage(value, fallback = 0) {
+    const number = parseFloat(value);
+    return isNaN(number) ? fallback : this.clamp(number, 0, 100);
+  },
+
   /**
    * Generate random number between min and max
    * @param {number} min - Minimum value
@@ -118,6 +185,140 @@ export const NumberHelper = {
   }
 };
 
+/**
+ * Money arithmetic in whole sen (1/100 rupiah)
+ * Amounts go in and come out as rupiah numbers; sums, products and quotients are exact
+ * and rounded once to the sen with the configured rounding mode
+ */
+export const MoneyHelper = {
+  // Rounding of money amounts; pricing passes its own mode (ceiling by default)
+  roundingMode: DEFAULTS.roundingMode,
+
+  /**
+   * Change the rounding mode of money amounts
+   * @param {string} mode - Key of ROUNDING_MODES
+   * @returns {boolean} True if the mode is known
+   */
+  setRoundingMode(mode) {
+    if (!ROUNDING_MODES[mode]) return false;
+
+    this.roundingMode = mode;
+    return true;
+  },
+
+  /**
+   * Amount in whole sen
+   * @param {number} amount - Rupiah
+   * @param {string} mode - Rounding mode (default: configured mode)
+   * @returns {number} Integer sen
+   */
+  toSen(amount, mode = this.roundingMode) {
+    const { digits, scale } = toDecimal(amount);
+    return Number(roundQuotient(digits * 100n, 10n ** BigInt(scale), mode));
+  },
+
+  /**
+   * Rupiah amount of whole sen
+   * @param {number} sen - Integer sen
+   * @returns {number} Rupiah
+   */
+  fromSen(sen) {
+    return sen / 100;
+  },
+
+  /**
+   * Round an amount to the sen
+   */
+  round(amount, mode = this.roundingMode) {
+    return this.fromSen(this.toSen(amount, mode));
+  },
+
+  /**
+   * Exact sum of amounts, rounded once to the sen
+   * @param {Array<number>} amounts - Rupiah (negative amounts are subtracted)
+   * @param {string} mode - Rounding mode (default: configured mode)
+   * @returns {number} Rupiah
+   */
+  sum(amounts, mode = this.roundingMode) {
+    const values = amounts.map(amount => toDecimal(amount));
+    const scale = values.reduce((max, value) => Math.max(max, value.scale), 0);
+    const total = values.reduce((sum, value) => sum + value.digits * 10n ** BigInt(scale - value.scale), 0n);
+
+    return this.fromSen(Number(roundQuotient(total * 100n, 10n ** BigInt(scale), mode)));
+  },
+
+  /**
+   * Difference of two amounts, rounded to the sen
+   */
+  subtract(amount, deduction, mode = this.roundingMode) {
+    return this.sum([amount, -deduction], mode);
+  },
+
+  /**
+   * Amount × factor (quantity, rate or ratio), rounded to the sen
+   * @param {number} amount - Rupiah
+   * @param {number} factor - Multiplier
+   * @param {string} mode - Rounding mode (default: configured mode)
+   * @returns {number} Rupiah
+   */
+  multiply(amount, factor, mode = this.roundingMode) {
+    const a = toDecimal(amount);
+    const f = toDecimal(factor);
+    const sen = roundQuotient(a.digits * f.digits * 100n, 10n ** BigInt(a.scale + f.scale), mode);
+    return this.fromSen(Number(sen));
+  },
+
+  /**
+   * Amount ÷ divisor (for example cost per unit), rounded to the sen
+   * @param {number} amount - Rupiah
+   * @param {number} divisor - Units or ratio; zero gives 0
+   * @param {string} mode - Rounding mode (default: configured mode)
+   * @returns {number} Rupiah
+   */
+  divide(amount, divisor, mode = this.roundingMode) {
+    const a = toDecimal(amount);
+    const d = toDecimal(divisor);
+    if (d.digits === 0n) return 0;
+
+    const sen = roundQuotient(a.digits * 10n ** BigInt(d.scale) * 100n, d.digits * 10n ** BigInt(a.scale), mode);
+    return this.fromSen(Number(sen));
+  },
+
+  /**
+   * Shares of the total in percent that always add up to exactly 100
+   * Each share is truncated, then the leftover steps go to the largest remainders
+   * @param {Array<number>} amounts - Non-negative parts
+   * @param {number} decimals - Decimal places of each percentage
+   * @returns {Array<number>} Percentages in the order of the amounts (all 0 when the total is 0)
+   */
+  percentages(amounts, decimals = 1) {
+    const values = amounts.map(amount => toDecimal(amount));
+    const scale = values.reduce((max, value) => Math.max(max, value.scale), 0);
+    const parts = values.map(value => value.digits * 10n ** BigInt(scale - value.scale));
+    const total = parts.reduce((sum, part) => sum + part, 0n);
+    if (total <= 0n) return amounts.map(() => 0);
+
+    const steps = 100n * 10n ** BigInt(decimals);
+    const shares = parts.map((part, index) => ({
+      index,
+      units: (part * steps) / total,
+      remainder: (part * steps) % total
+    }));
+
+    let leftover = steps - shares.reduce((sum, share) => sum + share.units, 0n);
+    [...shares]
+      .sort((a, b) => (a.remainder === b.remainder ? a.index - b.index : (b.remainder > a.remainder ? 1 : -1)))
+      .forEach(share => {
+        if (leftover > 0n) {
+          share.units += 1n;
+          leftover -= 1n;
+        }
+      });
+
+    return shares.map(share => Number(share.units) / Math.pow(10, decimals));
+  }
+};
+
 /**
  * DOM manipulation utilities
  */
@@ -152,6 +353,20 @@ export const DOMHelper = {
     }
   },
 
+  /**
+   * Escape text for use in an HTML template
+   * @param {*} value - Text entered by the user, e.g. a product name
+   * @returns {string} Text with HTML special characters escaped
+   */
+  escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
   /**
    * Create element with attributes and content
    * @param {string} tag - HTML tag name
@@ -552,6 +767,19 @@ export const URLHelper = {
   }
 };
 
+/**
+ * Unique ID utilities
+ */
+export const IdHelper = {
+  /**
+   * Generate a short unique ID for line items and saved records
+   * @returns {string} Unique ID
+   */
+  generate() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+  }
+};
+
 /**
  * Date and time utilities
  */
@@ -3,8 +3,8 @@
  * Local storage operations and data persistence management
  */
 
-import { STORAGE_KEYS, DEFAULTS } from './constants.js';
-import { DeviceHelper } from './helpers.js';
+import { STORAGE_KEYS, DEFAULTS, DEFAULT_SALES_CHANNELS, DEFAULT_SCENARIOS, DEPRECIATION_POOL } from './constants.js';
+import { DeviceHelper, MoneyHelper } from './helpers.js';
 
 /**
  * Storage operation result
@@ -216,18 +216,74 @@ export class CalculationsStorage extends BaseStorage {
    * @returns {StorageResult} Operation result
    */
   saveCalculation(calculation) {
+    const costs = this.getCostsAsEntered(calculation);
     const calculationData = {
       id: this.generateId(),
       timestamp: new Date().toISOString(),
       name: calculation.name || `Perhitungan ${new Date().toLocaleDateString('id-ID')}`,
-      data: {
-        directMaterials: calculation.directMaterials || 0,
-        directLabor: calculation.directLabor || 0,
-        manufacturingOverhead: calculation.manufacturingOverhead || 0,
-        otherCosts: calculation.otherCosts || 0,
+      data: calculation.mode === 'job' ? {
+        mode: 'job',
+        job: calculation.job || null,
+        totalUnits: calculation.totalUnits || 0,
+        hppPerUnit: calculation.hppPerUnit || 0,
+        totalHPP: calculation.totalHPP || 0,
+        pricing: calculation.pricing || null
+      } : calculation.mode === 'process' ? {
+        mode: 'process',
+        method: calculation.method,
+        departments: Array.isArray(calculation.departments) ? calculation.departments : [],
+        totalUnits: calculation.totalUnits || 0,
+        hppPerUnit: calculation.hppPerUnit || 0,
+        totalHPP: calculation.totalHPP || 0,
+        pricing: calculation.pricing || null
+      } : calculation.mode === 'trading' ? {
+        mode: 'trading',
+        beginningInventory: calculation.beginningInventory || 0,
+        purchases: calculation.purchases || 0,
+        purchaseReturns: calculation.purchaseReturns || 0,
+        purchaseDiscounts: calculation.purchaseDiscounts || 0,
+        freightIn: calculation.freightIn || 0,
+        endingInventory: calculation.endingInventory || 0,
+        unitsSold: calculation.unitsSold || 1,
+        hppPerUnit: calculation.hppPerUnit || 0,
+        totalHPP: calculation.totalHPP || 0,
+        pricing: calculation.pricing || null
+      } : {
+        directMaterials: costs.directMaterials,
+        directLabor: costs.directLabor,
+        // Overhead as entered: the depreciation below is charged again when the calculation is reloaded
+        manufacturingOverhead: Math.max(0, MoneyHelper.subtract(
+          costs.manufacturingOverhead,
+          calculation.depreciation ? calculation.depreciation.charged || 0 : 0
+        )),
+        otherCosts: costs.otherCosts,
         totalUnits: calculation.totalUnits || 1,
+        batch: calculation.batch || null,
+        depreciation: calculation.depreciation ? {
+          assets: Array.isArray(calculation.depreciation.assets) ? calculation.depreciation.assets : [],
+          period: calculation.depreciation.period
+        } : null,
+        bom: Array.isArray(calculation.bom) ? calculation.bom : [],
+        labor: Array.isArray(calculation.labor) ? calculation.labor : [],
+        overheadAllocation: calculation.overheadAllocation ? {
+          ...calculation.overheadAllocation,
+          pools: this.withoutDepreciationPool(calculation.overheadAllocation.pools)
+        } : null,
+        activityCosting: calculation.activityCosting ? {
+          ...calculation.activityCosting,
+          activities: this.withoutDepreciationPool(calculation.activityCosting.activities)
+        } : null,
+        inventory: calculation.inventory || null,
+        standardCosting: calculation.standardCosting || null,
+        tax: calculation.tax || null,
         hppPerUnit: calculation.hppPerUnit || 0,
-        totalHPP: calculation.totalHPP || 0
+        totalHPP: calculation.totalHPP || 0,
+        pricing: calculation.pricing || null,
+        cvp: calculation.cvp || null,
+        // Fixed, variable or semi-variable tags of the cost components the CVP analysis splits by
+        costBehavior: calculation.costBehavior || null,
+        sensitivity: calculation.sensitivity || null,
+        monteCarlo: calculation.monteCarlo || null
       }
     };
 
@@ -251,6 +307,37 @@ export class CalculationsStorage extends BaseStorage {
     return this.setItem(STORAGE_KEYS.calculations, calculations);
   }
 
+  /**
+   * Cost components as entered: the result holds them net of PPN masukan,
+   * which is split out again when the calculation is reloaded with its tax settings
+   * @param {Object} calculation - Calculation result data
+   * @returns {Object} { directMaterials, directLabor, manufacturingOverhead, otherCosts }
+   */
+  getCostsAsEntered(calculation) {
+    const costs = {
+      directMaterials: calculation.directMaterials || 0,
+      directLabor: calculation.directLabor || 0,
+      manufacturingOverhead: calculation.manufacturingOverhead || 0,
+      otherCosts: calculation.otherCosts || 0
+    };
+
+    const lines = calculation.tax && Array.isArray(calculation.tax.lines) ? calculation.tax.lines : [];
+    lines.forEach(line => {
+      if (line.key in costs) {
+        costs[line.key] = line.gross;
+      }
+    });
+
+    return costs;
+  }
+
+  /**
+   * Pool lines as entered, without the depreciation line added when the calculation was prepared
+   */
+  withoutDepreciationPool(lines) {
+    return (Array.isArray(lines) ? lines : []).filter(line => line.id !== DEPRECIATION_POOL.id);
+  }
+
   /**
    * Get all calculations
    * @returns {StorageResult} Operation result with calculations array
@@ -441,6 +528,40 @@ export class PreferencesStorage extends BaseStorage {
     return this.savePreferences({ [key]: value });
   }
 
+  /**
+   * Get sales channel fee profiles (starting profiles until the user saves their own)
+   * @returns {StorageResult} Operation result with channels
+   */
+  getSalesChannels() {
+    return this.getPreference('salesChannels', DEFAULT_SALES_CHANNELS);
+  }
+
+  /**
+   * Save sales channel fee profiles
+   * @param {Array} channels - Channel profiles
+   * @returns {StorageResult} Operation result
+   */
+  saveSalesChannels(channels) {
+    return this.setPreference('salesChannels', Array.isArray(channels) ? channels : []);
+  }
+
+  /**
+   * Get named scenarios (pessimistic, base and optimistic until the user saves their own)
+   * @returns {StorageResult} Operation result with scenarios
+   */
+  getScenarios() {
+    return this.getPreference('scenarios', DEFAULT_SCENARIOS);
+  }
+
+  /**
+   * Save named scenarios
+   * @param {Array} scenarios - Scenarios { id, name, changes }
+   * @returns {StorageResult} Operation result
+   */
+  saveScenarios(scenarios) {
+    return this.setPreference('scenarios', Array.isArray(scenarios) ? scenarios : []);
+  }
+
   /**
    * Reset preferences to defaults
    * @returns {StorageResult} Operation result
@@ -457,6 +578,236 @@ export class PreferencesStorage extends BaseStorage {
   }
 }
 
+/**
+ * Product catalog storage manager
+ */
+export class CatalogStorage extends BaseStorage {
+  constructor() {
+    super('hpp_catalog_');
+  }
+
+  /**
+   * Save product catalog
+   * @param {Object} catalog - { products, sharedOverhead }
+   * @returns {StorageResult} Operation result
+   */
+  saveCatalog(catalog) {
+    return this.setItem(STORAGE_KEYS.catalog, {
+      products: Array.isArray(catalog.products) ? catalog.products : [],
+      sharedOverhead: catalog.sharedOverhead || null,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get product catalog
+   * @returns {StorageResult} Operation result with catalog
+   */
+  getCatalog() {
+    return this.getItem(STORAGE_KEYS.catalog, {
+      products: [],
+      sharedOverhead: null
+    });
+  }
+
+  /**
+   * Clear product catalog
+   * @returns {StorageResult} Operation result
+   */
+  clearCatalog() {
+    return this.removeItem(STORAGE_KEYS.catalog);
+  }
+}
+
+/**
+ * Job order storage manager (open and closed jobs)
+ */
+export class JobStorage extends BaseStorage {
+  constructor() {
+    super('hpp_jobs_');
+  }
+
+  /**
+   * Save all jobs
+   * @param {Array} jobs - Job data
+   * @returns {StorageResult} Operation result
+   */
+  saveJobs(jobs) {
+    return this.setItem(STORAGE_KEYS.jobs, Array.isArray(jobs) ? jobs : []);
+  }
+
+  /**
+   * Get jobs, optionally filtered by status
+   * @param {string} status - 'open', 'closed' or empty for all
+   * @returns {StorageResult} Operation result with jobs
+   */
+  getJobs(status = null) {
+    const result = this.getItem(STORAGE_KEYS.jobs, []);
+    if (!result.success || !status) {
+      return result;
+    }
+
+    return new StorageResult(true, result.data.filter(job => job.status === status));
+  }
+
+  /**
+   * Get jobs still accumulating costs
+   * @returns {StorageResult} Operation result with open jobs
+   */
+  getOpenJobs() {
+    return this.getJobs('open');
+  }
+
+  /**
+   * Get finished jobs
+   * @returns {StorageResult} Operation result with closed jobs
+   */
+  getClosedJobs() {
+    return this.getJobs('closed');
+  }
+
+  /**
+   * Add or replace a job by ID
+   * @param {Object} job - Job data
+   * @returns {StorageResult} Operation result
+   */
+  saveJob(job) {
+    const existingResult = this.getJobs();
+    if (!existingResult.success) {
+      return existingResult;
+    }
+
+    const jobs = existingResult.data.filter(item => item.id !== job.id);
+    jobs.push(job);
+
+    return this.saveJobs(jobs);
+  }
+
+  /**
+   * Remove a job by ID
+   * @param {string} id - Job ID
+   * @returns {StorageResult} Operation result
+   */
+  removeJob(id) {
+    const existingResult = this.getJobs();
+    if (!existingResult.success) {
+      return existingResult;
+    }
+
+    return this.saveJobs(existingResult.data.filter(job => job.id !== id));
+  }
+
+  /**
+   * Clear all jobs
+   * @returns {StorageResult} Operation result
+   */
+  clearJobs() {
+    return this.removeItem(STORAGE_KEYS.jobs);
+  }
+}
+
+/**
+ * Custom purchase pack unit storage
+ */
+export class PackUnitStorage extends BaseStorage {
+  constructor() {
+    super('hpp_pack_units_');
+  }
+
+  /**
+   * Save all pack units
+   * @param {Array} packUnits - { name, quantity, unit }
+   * @returns {StorageResult} Operation result
+   */
+  savePackUnits(packUnits) {
+    return this.setItem(STORAGE_KEYS.packUnits, Array.isArray(packUnits) ? packUnits : []);
+  }
+
+  /**
+   * Get all pack units
+   * @returns {StorageResult} Operation result with pack units
+   */
+  getPackUnits() {
+    return this.getItem(STORAGE_KEYS.packUnits, []);
+  }
+
+  /**
+   * Clear all pack units
+   * @returns {StorageResult} Operation result
+   */
+  clearPackUnits() {
+    return this.removeItem(STORAGE_KEYS.packUnits);
+  }
+}
+
+/**
+ * Raw material master storage
+ */
+export class MaterialStorage extends BaseStorage {
+  constructor() {
+    super('hpp_materials_');
+  }
+
+  /**
+   * Save all materials
+   * @param {Array} materials - Material data with price history
+   * @returns {StorageResult} Operation result
+   */
+  saveMaterials(materials) {
+    return this.setItem(STORAGE_KEYS.materials, Array.isArray(materials) ? materials : []);
+  }
+
+  /**
+   * Get all materials
+   * @returns {StorageResult} Operation result with materials
+   */
+  getMaterials() {
+    return this.getItem(STORAGE_KEYS.materials, []);
+  }
+
+  /**
+   * Clear all materials
+   * @returns {StorageResult} Operation result
+   */
+  clearMaterials() {
+    return this.removeItem(STORAGE_KEYS.materials);
+  }
+}
+
+/**
+ * Fixed asset register storage
+ */
+export class AssetStorage extends BaseStorage {
+  constructor() {
+    super('hpp_assets_');
+  }
+
+  /**
+   * Save all fixed assets
+   * @param {Array} assets - Asset data
+   * @returns {StorageResult} Operation result
+   */
+  saveAssets(assets) {
+    return this.setItem(STORAGE_KEYS.assets, Array.isArray(assets) ? assets : []);
+  }
+
+  /**
+   * Get all fixed assets
+   * @returns {StorageResult} Operation result with assets
+   */
+  getAssets() {
+    return this.getItem(STORAGE_KEYS.assets, []);
+  }
+
+  /**
+   * Clear all fixed assets
+   * @returns {StorageResult} Operation result
+   */
+  clearAssets() {
+    return this.removeItem(STORAGE_KEYS.assets);
+  }
+}
+
 /**
  * Main storage manager
  */
@@ -464,6 +815,11 @@ export class StorageManager {
   constructor() {
     this.calculations = new CalculationsStorage();
     this.preferences = new PreferencesStorage();
+    this.catalog = new CatalogStorage();
+    this.jobs = new JobStorage();
+    this.packUnits = new PackUnitStorage();
+    this.materials = new MaterialStorage();
+    this.assets = new AssetStorage();
     this.base = new BaseStorage();
   }
 
@@ -501,13 +857,23 @@ export class StorageManager {
     try {
       const calculations = this.calculations.getAllCalculations();
       const preferences = this.preferences.getPreferences();
+      const catalog = this.catalog.getCatalog();
+      const jobs = this.jobs.getJobs();
+      const packUnits = this.packUnits.getPackUnits();
+      const materials = this.materials.getMaterials();
+      const assets = this.assets.getAssets();
       
       const backup = {
         version: '1.0',
         timestamp: new Date().toISOString(),
         data: {
           calculations: calculations.success ? calculations.data : [],
-          preferences: preferences.success ? preferences.data : {}
+          preferences: preferences.success ? preferences.data : {},
+          catalog: catalog.success ? catalog.data : null,
+          jobs: jobs.success ? jobs.data : [],
+          packUnits: packUnits.success ? packUnits.data : [],
+          materials: materials.success ? materials.data : [],
+          assets: assets.success ? assets.data : []
         }
       };
       
@@ -539,6 +905,31 @@ export class StorageManager {
       if (backup.data.preferences) {
         this.preferences.setItem(STORAGE_KEYS.preferences, backup.data.preferences);
       }
+
+      // Restore product catalog
+      if (backup.data.catalog) {
+        this.catalog.saveCatalog(backup.data.catalog);
+      }
+
+      // Restore job orders
+      if (backup.data.jobs) {
+        this.jobs.saveJobs(backup.data.jobs);
+      }
+
+      // Restore purchase pack units
+      if (backup.data.packUnits) {
+        this.packUnits.savePackUnits(backup.data.packUnits);
+      }
+
+      // Restore material master
+      if (backup.data.materials) {
+        this.materials.saveMaterials(backup.data.materials);
+      }
+
+      // Restore fixed asset register
+      if (backup.data.assets) {
+        this.assets.saveAssets(backup.data.assets);
+      }
       
       return new StorageResult(true);
     } catch (error) {
@@ -554,6 +945,11 @@ export class StorageManager {
     try {
       this.calculations.clearCalculations();
       this.preferences.resetPreferences();
+      this.catalog.clearCatalog();
+      this.jobs.clearJobs();
+      this.packUnits.clearPackUnits();
+      this.materials.clearMaterials();
+      this.assets.clearAssets();
       this.base.clear();
       
       return new StorageResult(true);
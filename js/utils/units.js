@@ -0,0 +1,190 @@
+/**
+ * Unit of Measure Utilities
+ * Conversion between measurement units: base units, factors, density (volume ↔ mass) and custom pack units
+ */
+
+import { UNIT_CONVERSIONS, MEASUREMENT_UNITS, ERROR_MESSAGES } from './constants.js';
+import { NumberHelper } from './helpers.js';
+
+/**
+ * Base units that a density in g/ml converts between
+ */
+const MASS_BASE = 'g';
+const VOLUME_BASE = 'ml';
+
+/**
+ * Conversion precision of quantities
+ */
+const QUANTITY_PRECISION = 8;
+
+/**
+ * Unit converter with custom pack units (sak = 25 kg, jeriken = 18 l, tray = 30 pcs)
+ */
+export class UnitConverter {
+  constructor(packUnits = {}) {
+    this.packUnits = {};
+
+    Object.entries(packUnits).forEach(([name, pack]) => {
+      this.definePackUnit(name, pack.quantity, pack.unit);
+    });
+  }
+
+  /**
+   * Define a pack unit as a quantity of another unit
+   * @param {string} name - Pack unit name, e.g. 'sak'
+   * @param {number} quantity - Content of one pack, e.g. 25
+   * @param {string} unit - Unit of the content, e.g. 'kg'
+   * @returns {UnitConverter} This converter
+   */
+  definePackUnit(name, quantity, unit) {
+    if (!this.isValidPackUnit(name, quantity, unit)) {
+      throw new Error(ERROR_MESSAGES.packUnitInvalid.replace('{unit}', name));
+    }
+
+    this.packUnits[name] = { quantity: parseFloat(quantity), unit };
+    return this;
+  }
+
+  /**
+   * Check if a pack unit can be defined: a new name holding more than 0 of a known unit
+   */
+  isValidPackUnit(name, quantity, unit) {
+    return Boolean(name) && !UNIT_CONVERSIONS[name] && (parseFloat(quantity) || 0) > 0 && this.hasUnit(unit) && unit !== name;
+  }
+
+  /**
+   * Replace all custom pack units, skipping invalid ones (e.g. from older storage)
+   * @param {Array} packUnits - { name, quantity, unit }
+   * @returns {UnitConverter} This converter
+   */
+  setPackUnits(packUnits = []) {
+    this.packUnits = {};
+
+    (Array.isArray(packUnits) ? packUnits : []).forEach(pack => {
+      const name = (pack.name || '').toString().trim();
+      if (this.isValidPackUnit(name, pack.quantity, pack.unit)) {
+        this.definePackUnit(name, pack.quantity, pack.unit);
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Custom pack units for storage
+   * @returns {Array} { name, quantity, unit }
+   */
+  getPackUnits() {
+    return Object.entries(this.packUnits).map(([name, pack]) => ({ name, quantity: pack.quantity, unit: pack.unit }));
+  }
+
+  /**
+   * Remove a custom pack unit
+   */
+  removePackUnit(name) {
+    delete this.packUnits[name];
+  }
+
+  /**
+   * Check if a unit is known (measurement unit or custom pack unit)
+   */
+  hasUnit(unit) {
+    return Boolean(UNIT_CONVERSIONS[unit] || this.packUnits[unit]);
+  }
+
+  /**
+   * Measurement units and custom pack units as select options
+   */
+  getUnits() {
+    return [
+      ...MEASUREMENT_UNITS,
+      ...Object.entries(this.packUnits).map(([name, pack]) => ({
+        value: name,
+        label: `${name} (${pack.quantity} ${pack.unit})`
+      }))
+    ];
+  }
+
+  /**
+   * Quantity in the base unit of its dimension (g, ml, pcs or pack)
+   * @param {number} quantity - Quantity in the unit
+   * @param {string} unit - Measurement or pack unit
+   * @returns {Object} { quantity, base }
+   */
+  toBase(quantity, unit) {
+    const pack = this.packUnits[unit];
+    if (pack) {
+      return this.toBase((parseFloat(quantity) || 0) * pack.quantity, pack.unit);
+    }
+
+    const conversion = UNIT_CONVERSIONS[unit];
+    if (!conversion) {
+      throw new Error(ERROR_MESSAGES.unitUnknown.replace('{unit}', unit));
+    }
+
+    return {
+      quantity: NumberHelper.round((parseFloat(quantity) || 0) * conversion.factor, QUANTITY_PRECISION),
+      base: conversion.base
+    };
+  }
+
+  /**
+   * Check if a quantity can be converted between two units
+   * @param {string} from - Source unit
+   * @param {string} to - Target unit
+   * @param {number} density - Density in g/ml, needed between volume and mass
+   */
+  canConvert(from, to, density = 0) {
+    return this.convert(1, from, to, density) !== null;
+  }
+
+  /**
+   * Convert a quantity between units
+   * @param {number} quantity - Quantity in the source unit
+   * @param {string} from - Source unit
+   * @param {string} to - Target unit
+   * @param {number} density - Density in g/ml, needed between volume and mass
+   * @returns {number|null} Quantity in the target unit, null when the units cannot be converted
+   */
+  convert(quantity, from, to, density = 0) {
+    if (!this.hasUnit(from) || !this.hasUnit(to)) return null;
+
+    const source = this.toBase(quantity, from);
+    const target = this.toBase(1, to);
+    let amount = source.quantity;
+
+    if (source.base !== target.base) {
+      const ratio = parseFloat(density) || 0;
+      if (ratio <= 0) return null;
+
+      if (source.base === VOLUME_BASE && target.base === MASS_BASE) {
+        amount = amount * ratio;
+      } else if (source.base === MASS_BASE && target.base === VOLUME_BASE) {
+        amount = amount / ratio;
+      } else {
+        return null;
+      }
+    }
+
+    return NumberHelper.round(amount / target.quantity, QUANTITY_PRECISION);
+  }
+
+  /**
+   * Price of one unit from the price of a pack, e.g. Rp 300.000 per 25 kg sack → price per gram
+   * @param {number} price - Price of one pack
+   * @param {number} packQuantity - Content of the pack
+   * @param {string} packUnit - Unit of the pack content
+   * @param {string} unit - Unit to price
+   * @param {number} density - Density in g/ml, needed between volume and mass
+   * @returns {number|null} Price per unit, null when the units cannot be converted
+   */
+  getUnitPrice(price, packQuantity, packUnit, unit, density = 0) {
+    const units = this.convert(packQuantity, packUnit, unit, density);
+    if (units === null || units <= 0) return null;
+
+    return NumberHelper.round((parseFloat(price) || 0) / units, QUANTITY_PRECISION);
+  }
+}
+
+// Export default instance
+export const defaultUnitConverter = new UnitConverter();
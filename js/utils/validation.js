@@ -3,8 +3,9 @@
  * Comprehensive validation system for form inputs and data
  */
 
-import { VALIDATION, ERROR_MESSAGES, FORM_FIELDS } from './constants.js';
+import { VALIDATION, ERROR_MESSAGES, FORM_FIELDS, TRADING_FORM_FIELDS, INVENTORY_FORM_FIELDS, ALLOCATION_BASES, PROCESS_COSTING_METHODS, PRICING_METHODS, TAX_TREATMENTS, COST_BEHAVIORS, DISTRIBUTION_TYPES, MONTE_CARLO_INPUTS, GOAL_SEEK_VARIABLES, SCENARIO_INPUTS, DEPRECIATION_METHODS, DEFAULTS, MEASUREMENT_UNITS } from './constants.js';
 import { NumberHelper } from './helpers.js';
+import { defaultUnitConverter } from './units.js';
 
 /**
  * Validation result structure
@@ -297,6 +298,24 @@ export class ValidationManager {
       new RequiredValidator(),
       new UnitsValidator({ min: VALIDATION.minUnits, max: VALIDATION.maxUnits })
     ]);
+
+    // Trading company fields
+    Object.values(TRADING_FORM_FIELDS).forEach(config => {
+      const validators = config.required ? [new RequiredValidator()] : [];
+
+      validators.push(config.name === 'unitsSold'
+        ? new UnitsValidator({ min: VALIDATION.minUnits, max: VALIDATION.maxUnits })
+        : new CurrencyValidator({ min: 0, max: VALIDATION.maxValue }));
+
+      this.addValidator(config.name, validators);
+    });
+
+    // Work-in-process and finished goods inventories (optional)
+    Object.values(INVENTORY_FORM_FIELDS).forEach(config => {
+      this.addValidator(config.name, [
+        new CurrencyValidator({ min: 0, max: VALIDATION.maxValue })
+      ]);
+    });
   }
 
   /**
@@ -396,6 +415,1026 @@ export class ValidationManager {
       }
     }
 
+    // Bill of materials lines
+    if (Array.isArray(data.bom) && data.bom.length > 0) {
+      this.mergeResult(result, this.validateBOM(data.bom));
+    }
+
+    // Labor role rows
+    if (Array.isArray(data.labor) && data.labor.length > 0) {
+      this.mergeResult(result, this.validateLabor(data.labor));
+    }
+
+    // Shared overhead allocation
+    if (data.overheadAllocation) {
+      this.mergeResult(result, this.validateOverheadAllocation(data.overheadAllocation));
+    }
+
+    // Activity-based costing
+    if (data.activityCosting) {
+      this.mergeResult(result, this.validateActivityCosting(data.activityCosting));
+
+      if (data.overheadAllocation) {
+        result.addError('manufacturingOverhead', ERROR_MESSAGES.overheadMethodConflict);
+      }
+    }
+
+    // Work-in-process and finished goods inventories
+    if (data.inventory) {
+      this.mergeResult(result, this.validateInventory(data.inventory, totalCosts));
+    }
+
+    // Standard-cost profile and actual quantities for variance analysis
+    if (data.standardCosting) {
+      this.mergeResult(result, this.validateStandardCosting(data.standardCosting));
+    }
+
+    // Recipe batch that derives the number of units
+    if (data.batch) {
+      this.mergeResult(result, this.validateBatch(data.batch));
+    }
+
+    // Monthly depreciation of fixed assets charged to overhead
+    if (data.depreciation) {
+      this.mergeResult(result, this.validateDepreciation(data.depreciation));
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate selling price target
+   * @param {Object} pricing - { method: 'markup'|'margin'|'profit', target }
+   * @returns {ValidationResult} Validation result
+   */
+  validatePricing(pricing) {
+    const result = new ValidationResult();
+
+    if (!PRICING_METHODS[pricing.method]) {
+      result.addError('pricingTarget', ERROR_MESSAGES.pricingMethodInvalid);
+      return result;
+    }
+
+    const validator = pricing.method === 'profit'
+      ? new CurrencyValidator({ min: 0, max: VALIDATION.maxValue })
+      : new NumberValidator({ min: 0, max: VALIDATION.maxValue, decimalPlaces: 2 });
+
+    this.mergeResult(result, validator.validate(pricing.target || 0, 'pricingTarget'));
+
+    if (result.isValid && pricing.method === 'margin' && (parseFloat(pricing.target) || 0) >= 100) {
+      result.addError('pricingTarget', ERROR_MESSAGES.pricingMarginTooHigh);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate PPN rate and per-component tax treatments
+   * @param {Object} tax - { rate, treatments: { directMaterials: 'inclusive', ... } }
+   * @returns {ValidationResult} Validation result
+   */
+  validateTax(tax) {
+    const result = new ValidationResult();
+
+    this.mergeResult(result, new NumberValidator({ min: 0, max: 100, decimalPlaces: 2 }).validate(tax.rate, 'ppnRate'));
+
+    const invalid = Object.values(tax.treatments || {}).some(treatment => !TAX_TREATMENTS[treatment]);
+    if (invalid) {
+      result.addError('ppnRate', ERROR_MESSAGES.taxTreatmentInvalid);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate standard-cost profile and actual quantities
+   * @param {Object} standardCosting - { profile: { materials, labor, overhead }, actual: { materialsQuantity, laborHours } }
+   * @returns {ValidationResult} Validation result
+   */
+  validateStandardCosting(standardCosting) {
+    const result = new ValidationResult();
+    const profile = standardCosting.profile || {};
+    const materials = profile.materials || {};
+    const labor = profile.labor || {};
+    const overhead = profile.overhead || {};
+    const actual = standardCosting.actual || {};
+    const costValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+    const quantityValidator = new NumberValidator({ min: 0, max: VALIDATION.maxValue, decimalPlaces: 4 });
+
+    [
+      quantityValidator.validate(materials.quantityPerUnit || 0, 'standardMaterialsQuantity'),
+      costValidator.validate(materials.price || 0, 'standardMaterialsPrice'),
+      quantityValidator.validate(labor.hoursPerUnit || 0, 'standardLaborHours'),
+      costValidator.validate(labor.rate || 0, 'standardLaborRate'),
+      costValidator.validate(overhead.variableRate || 0, 'standardVariableOverheadRate'),
+      costValidator.validate(overhead.fixedBudget || 0, 'standardFixedOverhead'),
+      quantityValidator.validate(overhead.normalHours || 0, 'standardNormalHours'),
+      quantityValidator.validate(actual.materialsQuantity || 0, 'actualMaterialsQuantity'),
+      quantityValidator.validate(actual.laborHours || 0, 'actualLaborHours')
+    ].forEach(fieldResult => this.mergeResult(result, fieldResult));
+
+    if (!result.isValid) {
+      return result;
+    }
+
+    const amount = (value) => parseFloat(value) || 0;
+
+    const standardCost = amount(materials.quantityPerUnit) * amount(materials.price) +
+      amount(labor.hoursPerUnit) * amount(labor.rate) +
+      amount(overhead.variableRate) + amount(overhead.fixedBudget);
+    if (standardCost === 0) {
+      result.addError('standardMaterialsQuantity', ERROR_MESSAGES.standardCostRequired);
+    }
+
+    if (amount(overhead.fixedBudget) > 0 && amount(overhead.normalHours) === 0) {
+      result.addError('standardNormalHours', ERROR_MESSAGES.standardNormalHoursRequired);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate recipe batch size, yield, process loss and pack size
+   * @param {Object} batch - { size, unit, yieldPercentage, processLoss, packSize, packUnit }
+   * @returns {ValidationResult} Validation result
+   */
+  validateBatch(batch) {
+    const result = new ValidationResult();
+    const size = parseFloat(batch.size) || 0;
+    const packSize = parseFloat(batch.packSize) || 0;
+    const yieldPercentage = parseFloat(batch.yieldPercentage);
+    const processLoss = parseFloat(batch.processLoss) || 0;
+    const quantityValidator = new NumberValidator({ min: 0, max: VALIDATION.maxValue, decimalPlaces: 4 });
+
+    if (size <= 0) {
+      result.addError('batchSize', ERROR_MESSAGES.batchSizeRequired);
+    } else {
+      this.mergeResult(result, quantityValidator.validate(size, 'batchSize'));
+    }
+
+    if (packSize <= 0) {
+      result.addError('batchPackSize', ERROR_MESSAGES.batchPackSizeRequired);
+    } else {
+      this.mergeResult(result, quantityValidator.validate(packSize, 'batchPackSize'));
+    }
+
+    if (isNaN(yieldPercentage) || yieldPercentage <= 0 || yieldPercentage > 100) {
+      result.addError('batchYield', ERROR_MESSAGES.batchYieldInvalid);
+    }
+
+    if (processLoss < 0 || processLoss >= 100) {
+      result.addError('batchProcessLoss', ERROR_MESSAGES.batchProcessLossInvalid);
+    }
+
+    const packs = defaultUnitConverter.convert(size, batch.unit, batch.packUnit);
+    if (packs === null) {
+      result.addError('batchPackSize', ERROR_MESSAGES.batchUnitMismatch);
+    }
+
+    if (!result.isValid) {
+      return result;
+    }
+
+    const output = packs * (yieldPercentage / 100) * (1 - processLoss / 100);
+    if (NumberHelper.round(output / packSize, 6) < 1) {
+      result.addError('batchPackSize', ERROR_MESSAGES.batchNoUnits);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate work-in-process and finished goods inventories of the manufacturing statement
+   * @param {Object} inventory - { beginningWIP, endingWIP, beginningFinishedGoods, endingFinishedGoods }
+   * @param {number} totalCosts - Total manufacturing costs of the period
+   * @returns {ValidationResult} Validation result
+   */
+  validateInventory(inventory, totalCosts) {
+    const result = new ValidationResult();
+
+    Object.keys(INVENTORY_FORM_FIELDS).forEach(field => {
+      this.mergeResult(result, this.validateField(field, inventory[field] || 0));
+    });
+
+    if (!result.isValid) {
+      return result;
+    }
+
+    const amount = (field) => parseFloat(inventory[field]) || 0;
+
+    const workInProcess = totalCosts + amount('beginningWIP');
+    if (amount('endingWIP') > workInProcess) {
+      result.addError('endingWIP', ERROR_MESSAGES.endingWIPExceeds);
+      return result;
+    }
+
+    const goodsAvailable = workInProcess - amount('endingWIP') + amount('beginningFinishedGoods');
+    if (amount('endingFinishedGoods') > goodsAvailable) {
+      result.addError('endingFinishedGoods', ERROR_MESSAGES.endingFinishedGoodsExceeds);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate trading company COGS data
+   * @param {Object} data - Trading COGS data
+   * @returns {ValidationResult} Validation result
+   */
+  validateTradingData(data) {
+    const result = new ValidationResult();
+
+    Object.entries(TRADING_FORM_FIELDS).forEach(([field, config]) => {
+      const value = data[field] !== undefined ? data[field] : (config.required ? '' : 0);
+      this.mergeResult(result, this.validateField(field, value));
+    });
+
+    if (!result.isValid) {
+      return result;
+    }
+
+    const netPurchases = (data.purchases || 0) - (data.purchaseReturns || 0) -
+                         (data.purchaseDiscounts || 0) + (data.freightIn || 0);
+
+    if (netPurchases < 0) {
+      result.addError('purchaseReturns', ERROR_MESSAGES.tradingNetPurchasesNegative);
+    }
+
+    const goodsAvailable = (data.beginningInventory || 0) + netPurchases;
+    if ((data.endingInventory || 0) > goodsAvailable) {
+      result.addError('endingInventory', ERROR_MESSAGES.tradingEndingInventoryExceeds);
+    }
+
+    if (goodsAvailable - (data.endingInventory || 0) === 0) {
+      result.addWarning('general', 'HPP bernilai nol, pastikan pembelian dan persediaan sudah benar');
+    }
+
+    return result;
+  }
+
+  /**
+   * Merge errors and warnings of one result into another
+   * @param {ValidationResult} target - Result to merge into
+   * @param {ValidationResult} source - Result to merge from
+   * @returns {ValidationResult} Target result
+   */
+  mergeResult(target, source) {
+    target.errors.push(...source.errors);
+    target.warnings.push(...source.warnings);
+    if (!source.isValid) {
+      target.isValid = false;
+    }
+    return target;
+  }
+
+  /**
+   * Validate bill of materials lines
+   * @param {Array} lines - BOM lines
+   * @returns {ValidationResult} Validation result
+   */
+  validateBOM(lines) {
+    const result = new ValidationResult();
+    const quantityValidator = new NumberValidator({ min: 0, max: VALIDATION.maxValue, decimalPlaces: 4 });
+    const priceValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+
+    lines.forEach((line, index) => {
+      const prefix = `bom.${index}`;
+
+      if (!line.name || !line.name.toString().trim()) {
+        result.addError(`${prefix}.name`, ERROR_MESSAGES.bomNameRequired);
+      }
+
+      [
+        quantityValidator.validate(line.quantity, `${prefix}.quantity`),
+        priceValidator.validate(line.pricePerUnit, `${prefix}.pricePerUnit`)
+      ].forEach(fieldResult => this.mergeResult(result, fieldResult));
+
+      const waste = parseFloat(line.wastePercentage) || 0;
+      if (!NumberHelper.inRange(waste, 0, 100)) {
+        result.addError(`${prefix}.wastePercentage`, ERROR_MESSAGES.wastePercentage);
+      }
+
+      const density = parseFloat(line.density) || 0;
+      if (density < 0) {
+        result.addError(`${prefix}.density`, ERROR_MESSAGES.bomDensityInvalid);
+      }
+
+      // Purchase pack price converted into the recipe unit
+      const purchasePrice = parseFloat(line.purchasePrice) || 0;
+      if (purchasePrice > 0) {
+        const blank = line.purchaseQuantity === undefined || line.purchaseQuantity === null || line.purchaseQuantity === '';
+        const unit = line.unit || DEFAULTS.bomUnit;
+
+        this.mergeResult(result, priceValidator.validate(purchasePrice, `${prefix}.purchasePrice`));
+
+        if (!blank && !((parseFloat(line.purchaseQuantity) || 0) > 0)) {
+          result.addError(`${prefix}.purchaseQuantity`, ERROR_MESSAGES.bomPurchaseQuantityRequired);
+        } else if (!defaultUnitConverter.canConvert(line.purchaseUnit || unit, unit, density)) {
+          result.addError(`${prefix}.purchaseUnit`, ERROR_MESSAGES.bomUnitConversion.replace('{material}', line.name || `bahan ${index + 1}`));
+        }
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate custom purchase pack units
+   * @param {Array} packUnits - { name, quantity, unit } with the content in a measurement unit
+   * @returns {ValidationResult} Validation result
+   */
+  validatePackUnits(packUnits) {
+    const result = new ValidationResult();
+    const names = new Set();
+
+    packUnits.forEach((pack, index) => {
+      const prefix = `packUnits.${index}`;
+      const name = (pack.name || '').toString().trim();
+
+      if (!name) {
+        result.addError(`${prefix}.name`, ERROR_MESSAGES.packUnitNameRequired);
+      } else if (MEASUREMENT_UNITS.some(unit => unit.value === name) || names.has(name)) {
+        result.addError(`${prefix}.name`, ERROR_MESSAGES.packUnitNameTaken.replace('{unit}', name));
+      }
+      names.add(name);
+
+      if (!((parseFloat(pack.quantity) || 0) > 0) || !MEASUREMENT_UNITS.some(unit => unit.value === pack.unit)) {
+        result.addError(`${prefix}.quantity`, ERROR_MESSAGES.packUnitInvalid.replace('{unit}', name));
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate raw materials of the material master
+   * @param {Array} materials - { name, supplier, purchaseQuantity, purchaseUnit, currentPrice, density }
+   * @returns {ValidationResult} Validation result
+   */
+  validateMaterials(materials) {
+    const result = new ValidationResult();
+    const priceValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+
+    materials.forEach((material, index) => {
+      const prefix = `materials.${index}`;
+
+      if (!material.name || !material.name.toString().trim()) {
+        result.addError(`${prefix}.name`, ERROR_MESSAGES.materialNameRequired);
+      }
+
+      this.mergeResult(result, priceValidator.validate(material.currentPrice || 0, `${prefix}.currentPrice`));
+
+      if (!((parseFloat(material.purchaseQuantity) || 0) > 0)) {
+        result.addError(`${prefix}.purchaseQuantity`, ERROR_MESSAGES.bomPurchaseQuantityRequired);
+      }
+
+      if (!defaultUnitConverter.hasUnit(material.purchaseUnit)) {
+        result.addError(`${prefix}.purchaseUnit`, ERROR_MESSAGES.unitUnknown.replace('{unit}', material.purchaseUnit));
+      }
+
+      if ((parseFloat(material.density) || 0) < 0) {
+        result.addError(`${prefix}.density`, ERROR_MESSAGES.bomDensityInvalid);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate purchase lots of the material master
+   * @param {Array} lots - { materialId, date, quantity, price } with quantity in purchase packs
+   * @returns {ValidationResult} Validation result
+   */
+  validateMaterialLots(lots) {
+    const result = new ValidationResult();
+    const priceValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+
+    lots.forEach((lot, index) => {
+      const prefix = `materialLots.${index}`;
+
+      if (!lot.materialId) {
+        result.addError(`${prefix}.materialId`, ERROR_MESSAGES.materialLotMaterialRequired);
+      }
+
+      if (!lot.date || isNaN(new Date(lot.date).getTime())) {
+        result.addError(`${prefix}.date`, ERROR_MESSAGES.materialLotDateRequired);
+      }
+
+      if (!((parseFloat(lot.quantity) || 0) > 0)) {
+        result.addError(`${prefix}.quantity`, ERROR_MESSAGES.materialLotQuantityRequired);
+      }
+
+      this.mergeResult(result, priceValidator.validate(lot.price || 0, `${prefix}.price`));
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate fixed assets of the asset register
+   * @param {Array} assets - { name, method, cost, salvageValue, usefulLife, totalUnits, unitsPerMonth, acquisitionDate }
+   * @returns {ValidationResult} Validation result
+   */
+  validateAssets(assets) {
+    const result = new ValidationResult();
+    const costValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+
+    assets.forEach((asset, index) => {
+      const prefix = `assets.${index}`;
+      const cost = parseFloat(asset.cost) || 0;
+      const salvageValue = parseFloat(asset.salvageValue) || 0;
+
+      if (!asset.name || !asset.name.toString().trim()) {
+        result.addError(`${prefix}.name`, ERROR_MESSAGES.assetNameRequired);
+      }
+
+      if (!DEPRECIATION_METHODS[asset.method]) {
+        result.addError(`${prefix}.method`, ERROR_MESSAGES.assetMethodInvalid);
+      }
+
+      this.mergeResult(result, costValidator.validate(asset.cost || 0, `${prefix}.cost`));
+      if (cost <= 0) {
+        result.addError(`${prefix}.cost`, ERROR_MESSAGES.assetCostRequired);
+      }
+
+      if (salvageValue < 0 || (cost > 0 && salvageValue >= cost)) {
+        result.addError(`${prefix}.salvageValue`, ERROR_MESSAGES.assetSalvageInvalid);
+      }
+
+      if (asset.method === 'unitsOfProduction') {
+        if (!((parseFloat(asset.totalUnits) || 0) > 0) || !((parseFloat(asset.unitsPerMonth) || 0) > 0)) {
+          result.addError(`${prefix}.totalUnits`, ERROR_MESSAGES.assetUnitsRequired);
+        }
+      } else if (!((parseFloat(asset.usefulLife) || 0) > 0)) {
+        result.addError(`${prefix}.usefulLife`, ERROR_MESSAGES.assetUsefulLifeRequired);
+      }
+
+      if (!asset.acquisitionDate || isNaN(new Date(asset.acquisitionDate).getTime())) {
+        result.addError(`${prefix}.acquisitionDate`, ERROR_MESSAGES.assetDateRequired);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate depreciation charged to overhead
+   * @param {Object} depreciation - { assets, period } with period as 'YYYY-MM'
+   * @returns {ValidationResult} Validation result
+   */
+  validateDepreciation(depreciation) {
+    const result = new ValidationResult();
+    const assets = Array.isArray(depreciation.assets) ? depreciation.assets : [];
+
+    if (!/^\d{4}-\d{2}$/.test(depreciation.period || '')) {
+      result.addError('depreciationPeriod', ERROR_MESSAGES.depreciationPeriodRequired);
+    }
+
+    if (assets.length === 0) {
+      result.addError('assets', ERROR_MESSAGES.assetsRequired);
+    }
+
+    this.mergeResult(result, this.validateAssets(assets));
+    return result;
+  }
+
+  /**
+   * Validate labor role rows
+   * @param {Array} roles - Labor role rows
+   * @returns {ValidationResult} Validation result
+   */
+  validateLabor(roles) {
+    const result = new ValidationResult();
+    const hoursValidator = new NumberValidator({ min: 0, max: VALIDATION.maxValue });
+    const rateValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+
+    roles.forEach((role, index) => {
+      const prefix = `labor.${index}`;
+
+      if (!role.role || !role.role.toString().trim()) {
+        result.addError(`${prefix}.role`, ERROR_MESSAGES.laborRoleRequired);
+      }
+
+      [
+        hoursValidator.validate(role.hours, `${prefix}.hours`),
+        hoursValidator.validate(role.overtimeHours || 0, `${prefix}.overtimeHours`),
+        rateValidator.validate(role.hourlyRate, `${prefix}.hourlyRate`)
+      ].forEach(fieldResult => this.mergeResult(result, fieldResult));
+
+      if (role.overtimeMultiplier !== undefined && role.overtimeMultiplier !== '' &&
+          (parseFloat(role.overtimeMultiplier) || 0) < 1) {
+        result.addError(`${prefix}.overtimeMultiplier`, ERROR_MESSAGES.overtimeMultiplier);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate sales channel fee profiles
+   * @param {Array} channels - { name, commissionRate, paymentFeeRate, fixedFeePerOrder, freeShippingRate, unitsPerOrder }
+   * @returns {ValidationResult} Validation result
+   */
+  validateSalesChannels(channels) {
+    const result = new ValidationResult();
+    const rateValidator = new NumberValidator({ min: 0, max: 100, decimalPlaces: 2 });
+    const feeValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+    const unitsValidator = new NumberValidator({ min: 0, max: VALIDATION.maxValue });
+
+    channels.forEach((channel, index) => {
+      const prefix = `salesChannels.${index}`;
+
+      if (!channel.name || !channel.name.toString().trim()) {
+        result.addError(`${prefix}.name`, ERROR_MESSAGES.salesChannelNameRequired);
+      }
+
+      [
+        rateValidator.validate(channel.commissionRate || 0, `${prefix}.commissionRate`),
+        rateValidator.validate(channel.paymentFeeRate || 0, `${prefix}.paymentFeeRate`),
+        rateValidator.validate(channel.freeShippingRate || 0, `${prefix}.freeShippingRate`),
+        feeValidator.validate(channel.fixedFeePerOrder || 0, `${prefix}.fixedFeePerOrder`),
+        unitsValidator.validate(channel.unitsPerOrder || 0, `${prefix}.unitsPerOrder`)
+      ].forEach(fieldResult => this.mergeResult(result, fieldResult));
+
+      const totalRate = (parseFloat(channel.commissionRate) || 0) +
+        (parseFloat(channel.paymentFeeRate) || 0) +
+        (parseFloat(channel.freeShippingRate) || 0);
+      if (totalRate >= 100) {
+        result.addError(`${prefix}.commissionRate`, ERROR_MESSAGES.salesChannelRatesTooHigh);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate named scenarios
+   * @param {Array} scenarios - { name, changes: { [input]: percent } }
+   * @returns {ValidationResult} Validation result
+   */
+  validateScenarios(scenarios) {
+    const result = new ValidationResult();
+    const items = Array.isArray(scenarios) ? scenarios : [];
+    const changeValidator = new NumberValidator({
+      min: VALIDATION.minScenarioChange,
+      max: VALIDATION.maxScenarioChange,
+      allowNegative: true,
+      decimalPlaces: 2
+    });
+
+    if (items.length === 0) {
+      result.addError('scenarios', ERROR_MESSAGES.scenariosRequired);
+      return result;
+    }
+
+    if (items.length > VALIDATION.maxScenarios) {
+      result.addError('scenarios', ERROR_MESSAGES.scenariosTooMany);
+    }
+
+    items.forEach((scenario, index) => {
+      const prefix = `scenarios.${index}`;
+      const changes = scenario.changes || {};
+
+      if (!scenario.name || !scenario.name.toString().trim()) {
+        result.addError(`${prefix}.name`, ERROR_MESSAGES.scenarioNameRequired);
+      }
+
+      Object.entries(SCENARIO_INPUTS).forEach(([key, input]) => {
+        changeValidator.validate(changes[key] || 0, `${prefix}.${key}`).errors.forEach(error => {
+          result.addError(error.field, `${scenario.name || `Skenario ${index + 1}`}, ${input.label}: ${error.message}`);
+        });
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate list price and channel profiles of a channel comparison
+   * @param {Object} salesChannels - { listPrice, channels }
+   * @returns {ValidationResult} Validation result
+   */
+  validateChannelComparison(salesChannels) {
+    const result = this.validateSalesChannels(salesChannels.channels || []);
+
+    if (!((parseFloat(salesChannels.listPrice) || 0) > 0)) {
+      result.addError('channelListPrice', ERROR_MESSAGES.channelListPriceRequired);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate cost behaviors and period volumes of a cost-volume-profit analysis
+   * @param {Object} cvp - { sellingPrice, batchesPerPeriod, otherFixedCosts, expectedUnits, targetProfit }
+   * @param {Object} behaviors - { [component]: { behavior, variablePercentage } }
+   * @returns {ValidationResult} Validation result
+   */
+  validateCostVolumeProfit(cvp, behaviors = {}) {
+    const result = new ValidationResult();
+    const costValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+    const quantityValidator = new NumberValidator({ min: 0, max: VALIDATION.maxValue, decimalPlaces: 2 });
+
+    if (!((parseFloat(cvp.sellingPrice) || 0) > 0)) {
+      result.addError('cvpSellingPrice', ERROR_MESSAGES.cvpSellingPriceRequired);
+    } else {
+      this.mergeResult(result, costValidator.validate(cvp.sellingPrice, 'cvpSellingPrice'));
+    }
+
+    [
+      quantityValidator.validate(cvp.batchesPerPeriod || 0, 'cvpBatchesPerPeriod'),
+      costValidator.validate(cvp.otherFixedCosts || 0, 'cvpOtherFixedCosts'),
+      quantityValidator.validate(cvp.expectedUnits || 0, 'cvpExpectedUnits'),
+      costValidator.validate(cvp.targetProfit || 0, 'cvpTargetProfit')
+    ].forEach(fieldResult => this.mergeResult(result, fieldResult));
+
+    Object.values(behaviors || {}).forEach(setting => {
+      if (!setting || !COST_BEHAVIORS[setting.behavior]) {
+        result.addError('costBehavior', ERROR_MESSAGES.costBehaviorInvalid);
+        return;
+      }
+
+      this.mergeResult(result, new NumberValidator({ min: 0, max: 100, decimalPlaces: 2 }).validate(setting.variablePercentage || 0, 'costBehavior'));
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate range and step of a sensitivity analysis
+   * @param {Object} sensitivity - { range, step, sellingPrice }
+   * @returns {ValidationResult} Validation result
+   */
+  validateSensitivity(sensitivity) {
+    const result = new ValidationResult();
+    const range = parseFloat(sensitivity.range);
+    const step = parseFloat(sensitivity.step);
+
+    if (!(range > 0 && range <= 100)) {
+      result.addError('sensitivityRange', ERROR_MESSAGES.sensitivityRangeInvalid);
+    }
+
+    if (!(step > 0) || (range > 0 && step > range)) {
+      result.addError('sensitivityStep', ERROR_MESSAGES.sensitivityStepInvalid);
+    } else if (range > 0 && range / step > 10) {
+      result.addError('sensitivityStep', ERROR_MESSAGES.sensitivityTooManySteps);
+    }
+
+    this.mergeResult(result, new CurrencyValidator({ min: 0, max: VALIDATION.maxValue }).validate(sensitivity.sellingPrice || 0, 'sensitivitySellingPrice'));
+
+    return result;
+  }
+
+  /**
+   * Validate simulation count and input distributions of a Monte Carlo simulation
+   * A blank most likely value (mean) stands for the calculated value and is checked once it is known
+   * @param {Object} monteCarlo - { iterations, distributions: { [input]: { type, min, mode, max, stdev } } }
+   * @returns {ValidationResult} Validation result
+   */
+  validateMonteCarlo(monteCarlo) {
+    const result = new ValidationResult();
+    const iterations = Number(monteCarlo.iterations);
+    const distributions = monteCarlo.distributions || {};
+
+    if (!Number.isInteger(iterations) || iterations < VALIDATION.minSimulations || iterations > VALIDATION.maxSimulations) {
+      result.addError('monteCarloIterations', ERROR_MESSAGES.monteCarloIterationsInvalid);
+    }
+
+    const uncertain = Object.keys(MONTE_CARLO_INPUTS)
+      .filter(key => distributions[key] && distributions[key].type !== 'fixed');
+
+    if (uncertain.length === 0) {
+      result.addError('monteCarloDistributions', ERROR_MESSAGES.monteCarloNoUncertainty);
+    }
+
+    uncertain.forEach(key => {
+      // Messages name the input, since all distributions share one error line
+      const addError = (message) => result.addError(`monteCarlo.${key}`, `${MONTE_CARLO_INPUTS[key].label}: ${message}`);
+      const distribution = distributions[key];
+      const min = parseFloat(distribution.min);
+      const max = parseFloat(distribution.max);
+      const stdev = parseFloat(distribution.stdev);
+      const hasMode = distribution.mode !== null && distribution.mode !== undefined && distribution.mode !== '';
+      const mode = parseFloat(distribution.mode);
+
+      if (!DISTRIBUTION_TYPES[distribution.type]) {
+        addError(ERROR_MESSAGES.monteCarloDistributionInvalid);
+      } else if (distribution.type === 'triangular') {
+        if (!(min >= 0 && max > min)) {
+          addError(ERROR_MESSAGES.monteCarloRangeInvalid);
+        } else if (hasMode && !(mode >= min && mode <= max)) {
+          addError(ERROR_MESSAGES.monteCarloModeOutOfRange);
+        }
+      } else if (distribution.type === 'normal' && (!(stdev > 0) || (hasMode && !(mode >= 0)))) {
+        addError(ERROR_MESSAGES.monteCarloStdevInvalid);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate a goal seek request
+   * @param {Object} goal - { variable, metric, target, min, max }
+   * @returns {ValidationResult} Validation result
+   */
+  validateGoalSeek(goal) {
+    const result = new ValidationResult();
+    const isBlank = (value) => value === null || value === undefined || value === '';
+    const min = parseFloat(goal.min);
+    const max = parseFloat(goal.max);
+
+    if (!GOAL_SEEK_VARIABLES[goal.variable]) {
+      result.addError('goalSeekVariable', ERROR_MESSAGES.goalSeekVariableInvalid);
+    }
+
+    if (typeof goal.metric !== 'string' || !goal.metric.trim()) {
+      result.addError('goalSeekMetric', ERROR_MESSAGES.goalSeekMetricInvalid);
+    }
+
+    if (isBlank(goal.target) || !Number.isFinite(parseFloat(goal.target))) {
+      result.addError('goalSeekTarget', ERROR_MESSAGES.goalSeekTargetInvalid);
+    }
+
+    if ((!isBlank(goal.min) && !(min >= 0)) || (!isBlank(goal.max) && !(max > (isBlank(goal.min) ? 0 : min)))) {
+      result.addError('goalSeekRange', ERROR_MESSAGES.goalSeekRangeInvalid);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate shared overhead allocation input
+   * @param {Object} allocation - { pools, products, productId }
+   * @returns {ValidationResult} Validation result
+   */
+  validateOverheadAllocation(allocation) {
+    const result = new ValidationResult();
+    const pools = Array.isArray(allocation.pools) ? allocation.pools : [];
+    const products = Array.isArray(allocation.products) ? allocation.products : [];
+    const amountValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+    const driverValidator = new NumberValidator({ min: 0, max: VALIDATION.maxValue, decimalPlaces: 4 });
+
+    pools.forEach((pool, index) => {
+      const prefix = `overheadPools.${index}`;
+
+      if (!pool.name || !pool.name.toString().trim()) {
+        result.addError(`${prefix}.name`, ERROR_MESSAGES.overheadPoolNameRequired);
+      }
+
+      this.mergeResult(result, amountValidator.validate(pool.amount, `${prefix}.amount`));
+
+      if (!ALLOCATION_BASES[pool.basis]) {
+        result.addError(`${prefix}.basis`, ERROR_MESSAGES.allocationBasis);
+      }
+    });
+
+    products.forEach((product, index) => {
+      const prefix = `overheadDrivers.${index}`;
+
+      if (!product.name || !product.name.toString().trim()) {
+        result.addError(`${prefix}.name`, ERROR_MESSAGES.allocationProductRequired);
+      }
+
+      Object.keys(ALLOCATION_BASES).forEach(basis => {
+        const value = product.drivers ? product.drivers[basis] : product[basis];
+        this.mergeResult(result, driverValidator.validate(value || 0, `${prefix}.${basis}`));
+      });
+    });
+
+    // Every basis in use needs a non-zero driver total to compute a rate
+    const usedBases = [...new Set(pools.map(pool => pool.basis).filter(basis => ALLOCATION_BASES[basis]))];
+    usedBases.forEach(basis => {
+      const totalDriver = products.reduce((sum, product) => {
+        const value = product.drivers ? product.drivers[basis] : product[basis];
+        return sum + (parseFloat(value) || 0);
+      }, 0);
+
+      if (totalDriver <= 0) {
+        result.addError('overheadDrivers', driverValidator.formatMessage(ERROR_MESSAGES.allocationDriverZero, {
+          basis: ALLOCATION_BASES[basis].label.toLowerCase()
+        }));
+      }
+    });
+
+    if (pools.length > 0 && products.length === 0) {
+      result.addError('overheadDrivers', ERROR_MESSAGES.allocationProductNotFound);
+    }
+
+    if (allocation.productId && products.length > 0 &&
+        !products.some(product => product.id === allocation.productId)) {
+      result.addError('overheadDrivers', ERROR_MESSAGES.allocationProductNotFound);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate process costing input
+   * @param {Object} costing - { method, departments } with departments in process order
+   * @returns {ValidationResult} Validation result
+   */
+  validateProcessCosting(costing) {
+    const result = new ValidationResult();
+    const departments = Array.isArray(costing.departments) ? costing.departments : [];
+    const costValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+    const unitsValidator = new NumberValidator({ min: 0, max: VALIDATION.maxUnits, decimalPlaces: 4 });
+    const percentageValidator = new NumberValidator({ min: 0, max: 100, decimalPlaces: 2 });
+
+    if (!PROCESS_COSTING_METHODS[costing.method]) {
+      result.addError('processMethod', ERROR_MESSAGES.processMethodInvalid);
+    }
+
+    if (departments.length === 0) {
+      result.addError('processDepartments', ERROR_MESSAGES.processDepartmentsRequired);
+      return result;
+    }
+
+    let transferredUnits = null;
+
+    departments.forEach((department, index) => {
+      const prefix = `processDepartments.${index}`;
+      const beginning = department.beginningWIP || {};
+      const ending = department.endingWIP || {};
+      const name = department.name && department.name.toString().trim();
+
+      if (!name) {
+        result.addError(`${prefix}.name`, ERROR_MESSAGES.processDepartmentNameRequired);
+      }
+
+      [
+        unitsValidator.validate(beginning.units || 0, `${prefix}.beginningUnits`),
+        unitsValidator.validate(ending.units || 0, `${prefix}.endingUnits`),
+        costValidator.validate((department.costsAdded || {}).materials || 0, `${prefix}.materialsCost`),
+        costValidator.validate((department.costsAdded || {}).conversion || 0, `${prefix}.conversionCost`)
+      ].forEach(fieldResult => this.mergeResult(result, fieldResult));
+
+      Object.entries(beginning.costs || {}).forEach(([category, amount]) => {
+        this.mergeResult(result, costValidator.validate(amount || 0, `${prefix}.beginning.${category}`));
+      });
+
+      [beginning, ending].forEach((stage, stageIndex) => {
+        Object.entries(stage.completion || {}).forEach(([category, percentage]) => {
+          this.mergeResult(result, percentageValidator.validate(percentage || 0, `${prefix}.${stageIndex === 0 ? 'beginning' : 'ending'}.${category}`));
+        });
+      });
+
+      // Units flow from the previous department's completed units
+      const started = transferredUnits !== null ? transferredUnits : (parseFloat(department.unitsStarted) || 0);
+      if (transferredUnits === null) {
+        this.mergeResult(result, unitsValidator.validate(department.unitsStarted || 0, `${prefix}.unitsStarted`));
+      }
+
+      const toAccountFor = (parseFloat(beginning.units) || 0) + started;
+      const completed = toAccountFor - (parseFloat(ending.units) || 0);
+      const messageParams = { department: name || index + 1 };
+
+      if (completed < 0) {
+        result.addError(`${prefix}.endingUnits`, unitsValidator.formatMessage(ERROR_MESSAGES.processEndingUnitsExceed, messageParams));
+      } else if (completed === 0) {
+        result.addError(`${prefix}.endingUnits`, unitsValidator.formatMessage(ERROR_MESSAGES.processNoCompletedUnits, messageParams));
+      }
+
+      transferredUnits = Math.max(0, completed);
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate job order cost records
+   * @param {Object} job - { number, units, materialRequisitions, laborTickets, overhead, machineHours }
+   * @returns {ValidationResult} Validation result
+   */
+  validateJob(job) {
+    const result = new ValidationResult();
+    const requisitions = Array.isArray(job.materialRequisitions) ? job.materialRequisitions : [];
+    const tickets = Array.isArray(job.laborTickets) ? job.laborTickets : [];
+    const costValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+    const quantityValidator = new NumberValidator({ min: 0, max: VALIDATION.maxValue, decimalPlaces: 4 });
+    const unitsValidator = new UnitsValidator({ min: VALIDATION.minUnits, max: VALIDATION.maxUnits });
+
+    if (!job.number || !job.number.toString().trim()) {
+      result.addError('jobNumber', ERROR_MESSAGES.jobNumberRequired);
+    }
+
+    [
+      unitsValidator.validate(job.units, 'jobUnits'),
+      quantityValidator.validate((job.overhead || {}).rate || 0, 'jobOverheadRate'),
+      quantityValidator.validate(job.machineHours || 0, 'jobMachineHours')
+    ].forEach(fieldResult => this.mergeResult(result, fieldResult));
+
+    requisitions.forEach((line, index) => {
+      const prefix = `jobMaterials.${index}`;
+
+      if (!line.description || !line.description.toString().trim()) {
+        result.addError(`${prefix}.description`, ERROR_MESSAGES.jobRequisitionDescriptionRequired);
+      }
+
+      [
+        quantityValidator.validate(line.quantity || 0, `${prefix}.quantity`),
+        costValidator.validate(line.unitCost || 0, `${prefix}.unitCost`)
+      ].forEach(fieldResult => this.mergeResult(result, fieldResult));
+    });
+
+    tickets.forEach((line, index) => {
+      const prefix = `jobLabor.${index}`;
+
+      if (!line.employee || !line.employee.toString().trim()) {
+        result.addError(`${prefix}.employee`, ERROR_MESSAGES.jobTicketEmployeeRequired);
+      }
+
+      [
+        quantityValidator.validate(line.hours || 0, `${prefix}.hours`),
+        costValidator.validate(line.hourlyRate || 0, `${prefix}.hourlyRate`)
+      ].forEach(fieldResult => this.mergeResult(result, fieldResult));
+    });
+
+    if (requisitions.length === 0 && tickets.length === 0) {
+      result.addError('jobMaterials', ERROR_MESSAGES.jobNoCosts);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate activity-based costing input
+   * @param {Object} costing - { activities, products, productId }
+   * @returns {ValidationResult} Validation result
+   */
+  validateActivityCosting(costing) {
+    const result = new ValidationResult();
+    const activities = Array.isArray(costing.activities) ? costing.activities : [];
+    const products = Array.isArray(costing.products) ? costing.products : [];
+    const costValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+    const quantityValidator = new NumberValidator({ min: 0, max: VALIDATION.maxValue, decimalPlaces: 4 });
+
+    activities.forEach((activity, index) => {
+      const prefix = `activities.${index}`;
+
+      if (!activity.name || !activity.name.toString().trim()) {
+        result.addError(`${prefix}.name`, ERROR_MESSAGES.activityNameRequired);
+      }
+
+      if (!activity.driver || !activity.driver.toString().trim()) {
+        result.addError(`${prefix}.driver`, ERROR_MESSAGES.activityDriverRequired);
+      }
+
+      this.mergeResult(result, costValidator.validate(activity.cost, `${prefix}.cost`));
+
+      // Rate needs a non-zero total driver volume
+      const totalDriver = products.reduce((sum, product) => {
+        const consumption = product.consumption || product;
+        return sum + (parseFloat(consumption[activity.id]) || 0);
+      }, 0);
+
+      if (totalDriver <= 0) {
+        result.addError('activityConsumption', quantityValidator.formatMessage(ERROR_MESSAGES.activityDriverZero, {
+          activity: activity.name || index + 1
+        }));
+      }
+    });
+
+    products.forEach((product, index) => {
+      const prefix = `activityConsumption.${index}`;
+      const consumption = product.consumption || product;
+
+      if (!product.name || !product.name.toString().trim()) {
+        result.addError(`${prefix}.name`, ERROR_MESSAGES.allocationProductRequired);
+      }
+
+      activities.forEach(activity => {
+        this.mergeResult(result, quantityValidator.validate(consumption[activity.id] || 0, `${prefix}.${activity.id}`));
+      });
+    });
+
+    if (activities.length > 0 && products.length === 0) {
+      result.addError('activityConsumption', ERROR_MESSAGES.allocationProductNotFound);
+    }
+
+    if (costing.productId && products.length > 0 &&
+        !products.some(product => product.id === costing.productId)) {
+      result.addError('activityConsumption', ERROR_MESSAGES.allocationProductNotFound);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate catalog product (SKU) identity and selling price
+   * @param {Object} product - { sku, name, sellingPrice }
+   * @returns {ValidationResult} Validation result
+   */
+  validateCatalogProduct(product) {
+    const result = new ValidationResult();
+    const priceValidator = new CurrencyValidator({ min: 0, max: VALIDATION.maxValue });
+
+    if (!product.name || !product.name.toString().trim()) {
+      result.addError('productName', ERROR_MESSAGES.catalogProductNameRequired);
+    }
+
+    this.mergeResult(result, priceValidator.validate(product.sellingPrice || 0, 'sellingPrice'));
+
     return result;
   }
 
@@ -414,7 +1453,7 @@ export class ValidationManager {
    * @returns {Object|null} Field configuration
    */
   getFieldConfig(field) {
-    return FORM_FIELDS[field] || null;
+    return FORM_FIELDS[field] || TRADING_FORM_FIELDS[field] || INVENTORY_FORM_FIELDS[field] || null;
   }
 }
 
@@ -0,0 +1,130 @@
+/**
+ * HPP Calculator tests
+ * Run with: node --experimental-default-type=module --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HPPCalculator, HPPResult } from '../js/components/HPPCalculator.js';
+
+const baseData = {
+  calculationMode: 'manufacturing',
+  directMaterials: 200000,
+  directLabor: 100000,
+  manufacturingOverhead: 50000,
+  otherCosts: 0,
+  totalUnits: 100
+};
+
+test('cache hit returns a copy and leaves earlier results unchanged', () => {
+  const calculator = new HPPCalculator({ enableCaching: true });
+
+  const first = calculator.calculate({ ...baseData, pricing: { method: 'markup', target: 20 } });
+  const firstPrice = first.pricing.sellingPrice;
+
+  const second = calculator.calculate({ ...baseData, pricing: { method: 'markup', target: 50 } });
+
+  assert.notEqual(second, first);
+  assert.ok(second instanceof HPPResult);
+  assert.equal(second.hppPerUnit, first.hppPerUnit);
+  assert.equal(first.pricing.sellingPrice, firstPrice);
+  assert.ok(second.pricing.sellingPrice > firstPrice);
+
+  const third = calculator.calculate(baseData);
+  assert.equal(third.pricing, null);
+  assert.notEqual(second.pricing, null);
+});
+
+const modeData = {
+  trading: {
+    calculationMode: 'trading',
+    beginningInventory: 100000,
+    purchases: 400000,
+    endingInventory: 100000,
+    unitsSold: 1000
+  },
+  process: {
+    calculationMode: 'process',
+    processCosting: {
+      method: 'weightedAverage',
+      departments: [{ id: 'd1', name: 'Pencampuran', unitsStarted: 1000, costsAdded: { materials: 300000, conversion: 100000 } }]
+    }
+  },
+  job: {
+    calculationMode: 'job',
+    job: {
+      id: 'job-1',
+      number: 'JO-001',
+      units: 100,
+      openedAt: '2026-10-01T00:00:00.000Z',
+      materialRequisitions: [{ id: 'm1', description: 'Kain', quantity: 10, unitCost: 30000 }],
+      laborTickets: [{ id: 't1', employee: 'Budi', hours: 10, hourlyRate: 10000 }]
+    }
+  }
+};
+
+Object.entries(modeData).forEach(([mode, data]) => {
+  test(`${mode} cache hit returns a copy and leaves earlier results unchanged`, () => {
+    const calculator = new HPPCalculator({ enableCaching: true });
+
+    const first = calculator.calculate({ ...data, pricing: { method: 'markup', target: 20 } });
+    const firstPrice = first.pricing.sellingPrice;
+
+    const second = calculator.calculate({ ...data, pricing: { method: 'markup', target: 50 } });
+
+    assert.notEqual(second, first);
+    assert.equal(Object.getPrototypeOf(second), Object.getPrototypeOf(first));
+    assert.equal(second.hppPerUnit, first.hppPerUnit);
+    assert.equal(first.pricing.sellingPrice, firstPrice);
+    assert.ok(second.pricing.sellingPrice > firstPrice);
+  });
+});
+
+const depreciation = {
+  period: '2026-10',
+  assets: [
+    { id: 'a1', name: 'Oven', method: 'straightLine', cost: 6000000, salvageValue: 0, usefulLife: 5, acquisitionDate: '2026-01-01', overheadLink: 'linked' }
+  ]
+};
+
+test('depreciation joins the shared overhead pool before it is allocated', () => {
+  const calculator = new HPPCalculator({ enableCaching: false });
+  const overheadAllocation = {
+    pools: [{ id: 'rent', name: 'Sewa pabrik', amount: 1000000, basis: 'machineHours' }],
+    products: [
+      { id: 'p1', name: 'Roti', machineHours: 50 },
+      { id: 'p2', name: 'Kue', machineHours: 50 }
+    ]
+  };
+
+  const overheadOf = (productId) => calculator.calculate({
+    ...baseData,
+    depreciation,
+    overheadAllocation: { ...overheadAllocation, productId }
+  });
+
+  const first = overheadOf('p1');
+  const second = overheadOf('p2');
+
+  // 1.000.000 pool plus 100.000 depreciation split 50/50
+  assert.equal(first.depreciation.total, 100000);
+  assert.equal(first.depreciation.charged, 50000);
+  assert.equal(first.manufacturingOverhead, 550000);
+  assert.equal(first.manufacturingOverhead + second.manufacturingOverhead, 1100000);
+
+  // Calculating the prepared result again does not add the depreciation line twice
+  const again = calculator.calculate({ ...baseData, depreciation, overheadAllocation: first.overheadAllocation });
+  assert.equal(again.manufacturingOverhead, 550000);
+});
+
+test('depreciation without shared pools is prorated over the batches of the month', () => {
+  const calculator = new HPPCalculator({ enableCaching: false });
+
+  const result = calculator.calculate({ ...baseData, depreciation, cvp: { sellingPrice: 5000, batchesPerPeriod: 4 } });
+
+  assert.equal(result.depreciation.charged, 25000);
+  assert.equal(result.manufacturingOverhead, 75000);
+
+  // Four batches of 50.000 overhead plus one month of depreciation
+  assert.equal(result.cvp.fixedCosts, 300000);
+});
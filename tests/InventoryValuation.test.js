@@ -0,0 +1,77 @@
+/**
+ * Inventory valuation and material usage posting tests
+ * Run with: node --experimental-default-type=module --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InventoryValuation } from '../js/components/InventoryValuation.js';
+import { MaterialMaster } from '../js/components/MaterialMaster.js';
+
+/**
+ * Master with flour bought per kg in two lots
+ */
+function createMaster(lots) {
+  return new MaterialMaster([{
+    id: 'flour',
+    name: 'Tepung terigu',
+    purchaseQuantity: 1,
+    purchaseUnit: 'kg',
+    currentPrice: 130,
+    lots
+  }]);
+}
+
+const bom = [{ id: 'l1', materialId: 'flour', quantity: 8, unit: 'kg' }];
+
+test('FIFO usage posted twice moves on to the next lot', () => {
+  const master = createMaster([
+    { id: 'a', date: '2026-01-05', quantity: 10, price: 100 },
+    { id: 'b', date: '2026-02-05', quantity: 10, price: 120 }
+  ]);
+  const fifo = new InventoryValuation('fifo');
+
+  const [first] = master.recordUsage(bom, fifo, 'calc-1');
+  assert.equal(first.amount, 800);
+  assert.deepEqual(first.lots.map(lot => [lot.id, lot.quantity]), [['a', 8]]);
+
+  const [second] = master.recordUsage(bom, fifo, 'calc-2');
+  assert.equal(second.amount, 920);
+  assert.deepEqual(second.lots.map(lot => [lot.id, lot.quantity]), [['a', 2], ['b', 6]]);
+
+  const flour = master.getMaterial('flour');
+  assert.deepEqual(flour.lots.map(lot => lot.remaining), [0, 4]);
+  assert.deepEqual(flour.issues.map(issue => issue.reference), ['calc-1', 'calc-2']);
+
+  // The next calculation is costed from what is left of lot b
+  assert.equal(master.valueBOM([{ ...bom[0], quantity: 4 }], fifo).consumptions[0].amount, 480);
+});
+
+test('moving average is recomputed on each purchase and issue', () => {
+  const movingAverage = new InventoryValuation('movingAverage');
+  const master = createMaster([{ id: 'a', date: '2026-01-05', quantity: 10, price: 100 }]);
+  assert.equal(master.getMaterial('flour').averageCost, 100);
+
+  const [first] = master.recordUsage(bom, movingAverage, 'calc-1');
+  assert.equal(first.unitCost, 100);
+  assert.equal(master.getMaterial('flour').averageCost, 100);
+
+  // 2 packs left at 100 plus 6 bought at 150
+  const updated = master.update([{
+    ...master.getMaterial('flour').toJSON(),
+    lots: [
+      ...master.getMaterial('flour').lots,
+      { id: 'b', date: '2026-02-05', quantity: 6, price: 150 }
+    ]
+  }]);
+  const flour = updated.getMaterial('flour');
+  assert.equal(flour.averageCost, 137.5);
+  assert.deepEqual(flour.lots.map(lot => lot.remaining), [2, 6]);
+
+  const [second] = updated.recordUsage([{ ...bom[0], quantity: 4 }], movingAverage, 'calc-2');
+  assert.equal(second.unitCost, 137.5);
+  assert.equal(second.amount, 550);
+  assert.equal(flour.averageCost, 137.5);
+  assert.equal(flour.getQuantityOnHand(), 4);
+  assert.equal(flour.issues.length, 2);
+});
@@ -0,0 +1,42 @@
+/**
+ * Product catalog tests
+ * Run with: node --experimental-default-type=module --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProductCatalog } from '../js/components/ProductCatalog.js';
+import { MaterialMaster } from '../js/components/MaterialMaster.js';
+import { BillOfMaterials } from '../js/components/BillOfMaterials.js';
+
+const flour = { id: 'flour', name: 'Tepung terigu', purchaseQuantity: 25, purchaseUnit: 'kg', currentPrice: 300000 };
+
+/**
+ * Catalog product with its BOM priced from the material master
+ */
+function createProduct(id, materials, bom) {
+  const lines = new BillOfMaterials(new MaterialMaster(materials).applyToBOM(bom));
+  return { id, sku: id, name: id, totalUnits: 10, bom: lines.toJSON(), directMaterials: lines.getTotalCost() };
+}
+
+test('material price change re-costs only the catalog products using it', () => {
+  const catalog = new ProductCatalog({
+    products: [
+      createProduct('roti', [flour], [{ id: 'l1', materialId: 'flour', quantity: 2000, unit: 'g' }]),
+      createProduct('kue', [flour], [{ id: 'l2', name: 'Gula', quantity: 1, unit: 'kg', pricePerUnit: 15000 }])
+    ]
+  });
+
+  // Rp12/g before, Rp14/g after the price rise
+  assert.equal(catalog.findProduct('roti').directMaterials, 24000);
+
+  const recosted = catalog.applyMaterialPrices(new MaterialMaster([{ ...flour, currentPrice: 350000 }]));
+
+  assert.deepEqual(recosted.map(product => product.id), ['roti']);
+  assert.equal(catalog.findProduct('roti').directMaterials, 28000);
+  assert.equal(catalog.findProduct('roti').bom[0].pricePerUnit, 14);
+  assert.equal(catalog.findProduct('kue').directMaterials, 15000);
+
+  // Nothing left to re-cost once the catalog carries the new price
+  assert.deepEqual(catalog.applyMaterialPrices(new MaterialMaster([{ ...flour, currentPrice: 350000 }])), []);
+});
@@ -0,0 +1,84 @@
+/**
+ * Sensitivity Analysis tests
+ * Run with: node --experimental-default-type=module --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HPPCalculator, defaultHPPCalculator } from '../js/components/HPPCalculator.js';
+
+const baseData = {
+  calculationMode: 'manufacturing',
+  directMaterials: 0,
+  directLabor: 100000,
+  manufacturingOverhead: 50000,
+  otherCosts: 0,
+  totalUnits: 100,
+  bom: [
+    { id: 'b1', name: 'Tepung', quantity: 5, unit: 'kg', pricePerUnit: 16000 },
+    { id: 'b2', name: 'Gula', quantity: 2000, unit: 'g', purchasePrice: 300000, purchaseQuantity: 25, purchaseUnit: 'kg' }
+  ]
+};
+
+test('material price driver scales BOM lines priced from a purchase pack', () => {
+  const analysis = defaultHPPCalculator.calculateSensitivity(baseData, { range: 10, step: 10 });
+  const materials = analysis.drivers.find(driver => driver.key === 'directMaterials');
+
+  // 80.000 + 24.000 of materials over 100 units
+  assert.deepEqual(materials.points.map(point => point.hppPerUnit), [2436, 2540, 2644]);
+});
+
+test('single material driver scales a purchase-pack line', () => {
+  const analysis = defaultHPPCalculator.calculateSensitivity(baseData, { range: 10, step: 10 });
+  const sugar = analysis.drivers.find(driver => driver.key === 'bom.b2');
+
+  assert.deepEqual(sugar.points.map(point => point.hppPerUnit), [2516, 2540, 2564]);
+});
+
+test('scenario material change scales a purchase-pack line', () => {
+  const comparison = defaultHPPCalculator.calculateScenarioComparison(baseData, [
+    { name: 'Bahan naik', changes: { directMaterials: 10 } }
+  ]);
+
+  assert.equal(comparison.scenarios[0].hppChange, 104);
+});
+
+test('material price driver varies lines linked to the material master', () => {
+  const calculator = new HPPCalculator();
+  calculator.setMaterials([
+    { id: 'm1', name: 'Tepung', purchaseQuantity: 1, purchaseUnit: 'kg', currentPrice: 16000 }
+  ]);
+
+  const data = {
+    ...baseData,
+    bom: [{ id: 'b1', materialId: 'm1', name: 'Tepung', quantity: 5, unit: 'kg' }]
+  };
+
+  const analysis = calculator.calculateSensitivity(data, { range: 10, step: 10 });
+  const materials = analysis.drivers.find(driver => driver.key === 'directMaterials');
+  assert.deepEqual(materials.points.map(point => point.hppPerUnit), [2220, 2300, 2380]);
+
+  const goal = calculator.goalSeek(data, { variable: 'directMaterials', metric: 'hppPerUnit', target: 2380 });
+  assert.ok(Math.abs(goal.value - 88000) < 1);
+});
+
+test('scenario without changes is calculated from the same priced inputs as the others', () => {
+  const calculator = new HPPCalculator();
+  calculator.setMaterials([
+    { id: 'm1', name: 'Tepung', purchaseQuantity: 1, purchaseUnit: 'kg', currentPrice: 16000 }
+  ]);
+
+  const data = {
+    ...baseData,
+    bom: [{ id: 'b1', materialId: 'm1', name: 'Tepung', quantity: 5, unit: 'kg' }]
+  };
+
+  const [base, unchanged] = calculator.calculateScenarios(data, [
+    { name: 'Dasar' },
+    { name: 'Tanpa perubahan', changes: {} }
+  ]);
+
+  assert.deepEqual(base.data.bom, unchanged.data.bom);
+  assert.equal(base.data.bom[0].materialId, '');
+  assert.equal(base.result.hppPerUnit, unchanged.result.hppPerUnit);
+});
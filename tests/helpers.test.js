@@ -0,0 +1,17 @@
+/**
+ * Helper tests
+ * Run with: node --experimental-default-type=module --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMHelper } from '../js/utils/helpers.js';
+
+test('escapeHtml keeps user text from being parsed as markup', () => {
+  assert.equal(
+    DOMHelper.escapeHtml('<img src=x onerror="alert(1)"> Roti & Kue \'Spesial\''),
+    '&lt;img src=x onerror=&quot;alert(1)&quot;&gt; Roti &amp; Kue &#39;Spesial&#39;'
+  );
+  assert.equal(DOMHelper.escapeHtml(null), '');
+  assert.equal(DOMHelper.escapeHtml(25), '25');
+});
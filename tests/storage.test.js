@@ -0,0 +1,123 @@
+/**
+ * Storage tests
+ * Run with: node --experimental-default-type=module --test tests/
+ */
+
+import './support/localStorage.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CalculationsStorage } from '../js/utils/storage.js';
+import { HPPCalculator } from '../js/components/HPPCalculator.js';
+
+const storage = new CalculationsStorage();
+
+beforeEach(() => {
+  storage.clearCalculations();
+});
+
+/**
+ * Save a calculation result and load it back as history does
+ */
+const saveAndLoad = (result) => {
+  storage.saveCalculation({ ...result.toJSON(), name: 'Roti tawar' });
+  return storage.getAllCalculations().data[0];
+};
+
+test('saved calculation keeps the recipe batch and reloads to the same HPP', () => {
+  const calculator = new HPPCalculator({ enableCaching: false });
+  const batch = { size: 10, unit: 'kg', yieldPercentage: 90, processLoss: 10, packSize: 250, packUnit: 'g' };
+  const result = calculator.calculate({
+    calculationMode: 'manufacturing',
+    directMaterials: 150000,
+    directLabor: 80000,
+    manufacturingOverhead: 40000,
+    otherCosts: 0,
+    totalUnits: 1,
+    batch
+  });
+
+  const saved = saveAndLoad(result);
+  const { size, unit, yieldPercentage, processLoss, packSize, packUnit } = saved.data.batch;
+  assert.deepEqual({ size, unit, yieldPercentage, processLoss, packSize, packUnit }, batch);
+
+  const reloaded = calculator.calculate(saved.data);
+  assert.equal(reloaded.totalUnits, result.totalUnits);
+  assert.equal(reloaded.hppPerUnit, result.hppPerUnit);
+});
+
+test('saved calculation keeps depreciation charged to overhead without counting it twice', () => {
+  const calculator = new HPPCalculator({ enableCaching: false });
+  const depreciation = {
+    period: '2026-10',
+    assets: [
+      { id: 'a1', name: 'Oven', method: 'straightLine', cost: 13000000, salvageValue: 1000000, usefulLife: 5, acquisitionDate: '2026-01-15', overheadLink: 'linked' },
+      { id: 'a2', name: 'Mixer', method: 'decliningBalance', cost: 6000000, salvageValue: 0, usefulLife: 2, acquisitionDate: '2026-03-01', overheadLink: 'linked' }
+    ]
+  };
+  const result = calculator.calculate({
+    calculationMode: 'manufacturing',
+    directMaterials: 200000,
+    directLabor: 100000,
+    manufacturingOverhead: 50000,
+    otherCosts: 0,
+    totalUnits: 100,
+    depreciation
+  });
+
+  const saved = saveAndLoad(result);
+  assert.equal(saved.data.manufacturingOverhead, 50000);
+  assert.equal(saved.data.depreciation.period, depreciation.period);
+  assert.deepEqual(saved.data.depreciation.assets.map(asset => asset.id), ['a1', 'a2']);
+
+  const reloaded = calculator.calculate(saved.data);
+  assert.equal(reloaded.manufacturingOverhead, result.manufacturingOverhead);
+  assert.equal(reloaded.hppPerUnit, result.hppPerUnit);
+});
+
+test('saved calculation keeps costs as entered so PPN masukan is split out only once', () => {
+  const calculator = new HPPCalculator({ enableCaching: false });
+  const result = calculator.calculate({
+    calculationMode: 'manufacturing',
+    directMaterials: 111000,
+    directLabor: 150000,
+    manufacturingOverhead: 0,
+    otherCosts: 0,
+    totalUnits: 100,
+    tax: { rate: 11, treatments: { directMaterials: 'inclusive' } }
+  });
+  assert.equal(result.directMaterials, 100000);
+  assert.equal(result.hppPerUnit, 2500);
+
+  const saved = saveAndLoad(result);
+  assert.equal(saved.data.directMaterials, 111000);
+
+  const reloaded = calculator.calculate(saved.data);
+  assert.equal(reloaded.directMaterials, 100000);
+  assert.equal(reloaded.hppPerUnit, 2500);
+});
+
+test('saved calculation keeps cost behavior tags so break-even reloads unchanged', () => {
+  const calculator = new HPPCalculator({ enableCaching: false });
+  const costBehavior = {
+    directLabor: { behavior: 'fixed' },
+    manufacturingOverhead: { behavior: 'semiVariable', variablePercentage: 40 }
+  };
+  const result = calculator.calculate({
+    calculationMode: 'manufacturing',
+    directMaterials: 200000,
+    directLabor: 100000,
+    manufacturingOverhead: 50000,
+    otherCosts: 0,
+    totalUnits: 100,
+    costBehavior,
+    cvp: { sellingPrice: 5000, batchesPerPeriod: 4 }
+  });
+
+  const saved = saveAndLoad(result);
+  assert.deepEqual(saved.data.costBehavior, costBehavior);
+
+  const reloaded = calculator.calculate(saved.data);
+  assert.equal(reloaded.cvp.fixedCosts, result.cvp.fixedCosts);
+  assert.equal(reloaded.cvp.breakEvenUnits, result.cvp.breakEvenUnits);
+  assert.equal(reloaded.cvp.marginOfSafetyUnits, result.cvp.marginOfSafetyUnits);
+});
@@ -0,0 +1,17 @@
+/**
+ * In-memory localStorage for storage tests
+ * Import before the modules under test, which check storage availability when loaded
+ */
+
+const items = new Map();
+
+globalThis.localStorage = {
+  getItem: (key) => (items.has(key) ? items.get(key) : null),
+  setItem: (key, value) => items.set(key, String(value)),
+  removeItem: (key) => items.delete(key),
+  clear: () => items.clear(),
+  key: (index) => [...items.keys()][index] ?? null,
+  get length() {
+    return items.size;
+  }
+};
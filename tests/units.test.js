@@ -0,0 +1,47 @@
+/**
+ * Purchase pack unit tests
+ * Run with: node --experimental-default-type=module --test tests/
+ */
+
+import './support/localStorage.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { defaultUnitConverter } from '../js/utils/units.js';
+import { PackUnitStorage } from '../js/utils/storage.js';
+import { BOMLine } from '../js/components/BillOfMaterials.js';
+
+const storage = new PackUnitStorage();
+
+afterEach(() => {
+  defaultUnitConverter.setPackUnits([]);
+  storage.clearPackUnits();
+});
+
+test('BOM line bought in a defined pack is priced per usage unit', () => {
+  defaultUnitConverter.setPackUnits([{ name: 'sak', quantity: 25, unit: 'kg' }]);
+
+  const line = new BOMLine({
+    name: 'Tepung terigu',
+    quantity: 500,
+    unit: 'g',
+    purchasePrice: 300000,
+    purchaseQuantity: 1,
+    purchaseUnit: 'sak'
+  });
+
+  // Rp300.000 per sak of 25.000 g
+  assert.equal(line.pricePerUnit, 12);
+});
+
+test('saved pack units load back into the converter', () => {
+  storage.savePackUnits([
+    { name: 'sak', quantity: 25, unit: 'kg' },
+    { name: 'kg', quantity: 2, unit: 'g' }
+  ]);
+
+  defaultUnitConverter.setPackUnits(storage.getPackUnits().data);
+
+  // The pack named after a measurement unit is skipped
+  assert.deepEqual(defaultUnitConverter.getPackUnits(), [{ name: 'sak', quantity: 25, unit: 'kg' }]);
+  assert.ok(defaultUnitConverter.getUnits().some(unit => unit.value === 'sak'));
+});